@@ -0,0 +1,74 @@
+const scraperController = require('../../controllers/scraperController');
+const scraperService = require('../../services/scraperService');
+
+jest.mock('../../services/scraperService');
+
+describe('scraperController', () => {
+  describe('runScraper', () => {
+    let res;
+
+    const run = (body) => scraperController.runScraper({ params: { scraperName: 'lever' }, body }, res);
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      res = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+      scraperService.getAvailableScrapers.mockReturnValue(['lever']);
+      scraperService.runScraper.mockResolvedValue({ success: true, jobs: [] });
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pass per-run scraper config through', async () => {
+      await run({ config: { companies: ['acme'], timeout: 5000 } });
+
+      expect(scraperService.runScraper).toHaveBeenCalledWith('lever', { config: { companies: ['acme'], timeout: 5000 } });
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it.each([
+      ['fixtures', { mode: 'record', name: 'lever' }],
+      ['robotsOverride', { ignore: true, reason: 'testing' }],
+      ['responseCache', {}]
+    ])('should reject config.%s', async (key, value) => {
+      await run({ config: { companies: ['acme'], [key]: value } });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: false,
+        error: `Invalid request: config does not accept ${key}`
+      }));
+      expect(scraperService.runScraper).not.toHaveBeenCalled();
+    });
+
+    it('should reject a config that is not an object', async () => {
+      await run({ config: ['companies'] });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(scraperService.runScraper).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runMultipleScrapers', () => {
+    it('should reject config keys a run may not override', async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const scrapers = [
+        { name: 'lever', options: { config: { companies: ['acme'] } } },
+        { name: 'feed', options: { config: { fixtures: { mode: 'record', name: 'feed' } } } }
+      ];
+
+      await scraperController.runMultipleScrapers({ body: { scrapers } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Invalid request: config does not accept fixtures (scraper feed)'
+      }));
+      expect(scraperService.runMultipleScrapers).not.toHaveBeenCalled();
+    });
+  });
+});
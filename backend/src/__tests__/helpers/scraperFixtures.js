@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { getScraper, getAvailableScrapers } = require('../../services/scrapers');
+const { FIXTURES_DIR, FixtureStore, fixtureDir } = require('../../services/scrapers/fixtureStore');
+
+/**
+ * Jest helpers for recorded scraper fixtures
+ * Replays a registered scraper against the pages recorded with `npm run fixtures:record`
+ * and compares the jobs it extracts to a golden snapshot, so selector or extractJobData
+ * changes that alter the output show up as snapshot diffs.
+ */
+
+// Everything but Date keeps running in real time
+const REAL_TIMERS = [
+  'hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+  'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'
+];
+
+/**
+ * Registered scrapers that have recorded fixtures
+ * @param {string} dir - Fixtures root (default: fixtures/scrapers)
+ * @returns {Array<string>} Scraper names
+ */
+const recordedScrapers = (dir = FIXTURES_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+
+  const available = getAvailableScrapers();
+  return fs.readdirSync(dir).filter(name => (
+    available.includes(name) && fs.existsSync(path.join(dir, name, 'manifest.json'))
+  ));
+};
+
+/**
+ * Run a scraper against its recorded fixtures
+ * The clock is frozen at the recording time so relative dates ("hace 2 días") resolve
+ * the same way on every run. Jobs are not saved.
+ * @param {string} scraperName - Registered scraper name
+ * @param {Object} options - Replay options
+ * @param {Object} options.config - Scraper config overrides
+ * @returns {Promise<Object>} { jobs, result, missing } - missing lists URLs without a fixture
+ */
+const replayScraper = async (scraperName, { config = {} } = {}) => {
+  const dir = fixtureDir(scraperName);
+  const manifest = await new FixtureStore({ dir }).readManifest();
+
+  if (!manifest) {
+    throw new Error(`No fixtures for ${scraperName} in ${dir}. Record them with: npm run fixtures:record -- ${scraperName}`);
+  }
+
+  jest.useFakeTimers({ now: new Date(manifest.recordedAt), doNotFake: REAL_TIMERS });
+  const scraper = getScraper(scraperName, { ...config, fixtures: { mode: 'replay', name: scraperName } });
+
+  try {
+    const result = await scraper.scrapeAll({ ...manifest.options, save: false });
+    return { jobs: result.jobs, result, missing: scraper.renderer.missing };
+  } finally {
+    await scraper.close();
+    jest.useRealTimers();
+  }
+};
+
+/**
+ * Replay a scraper and compare its jobs to the golden snapshot
+ * Update the snapshot with `npx jest -u` after an intended extraction change.
+ * @param {string} scraperName - Registered scraper name
+ * @param {Object} options - Replay options (see replayScraper())
+ */
+const expectScraperToMatchFixtures = async (scraperName, options = {}) => {
+  const { jobs, result, missing } = await replayScraper(scraperName, options);
+
+  expect(result.errors).toEqual([]);
+  expect(missing).toEqual([]);
+  expect(jobs.length).toBeGreaterThan(0);
+  expect(jobs).toMatchSnapshot(scraperName);
+};
+
+module.exports = {
+  recordedScrapers,
+  replayScraper,
+  expectScraperToMatchFixtures
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Job = require('../../models/Job');
+const { collapseDuplicateJobs } = require('../../migrations/collapseDuplicateJobs');
+const { buildFingerprint, buildExternalId } = require('../../services/scrapers/fingerprint');
+
+describe('collapseDuplicateJobs migration', () => {
+  let mongoServer;
+  let consoleLogSpy;
+
+  const baseJob = {
+    title: 'Backend Developer',
+    company: 'Tech Corp',
+    location: 'Santiago',
+    source: 'Oficina de Trabajo CEI',
+    applyLink: 'https://www.oficinaempleo.cl/buscar-empleo'
+  };
+
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(async () => {
+    await Job.deleteMany({});
+    consoleLogSpy.mockRestore();
+  });
+
+  test('should collapse timestamped duplicates into one job with a stable ID', async () => {
+    await Job.create([
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704067200000', postedAt: new Date('2024-01-01') },
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704153600000', postedAt: new Date('2024-01-02') },
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704240000000', postedAt: new Date('2024-01-03') }
+    ]);
+
+    const summary = await collapseDuplicateJobs();
+
+    expect(summary).toMatchObject({ scanned: 3, duplicateGroups: 1, removed: 2, updated: 1 });
+
+    const jobs = await Job.find({});
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].externalId).toBe(buildExternalId(baseJob));
+    expect(jobs[0].fingerprint).toBe(buildFingerprint(baseJob));
+    expect(jobs[0].postedAt).toEqual(new Date('2024-01-01'));
+  });
+
+  test('should keep the job with a source-provided ID', async () => {
+    await Job.create([
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-12345' },
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704067200000' }
+    ]);
+
+    await collapseDuplicateJobs();
+
+    const jobs = await Job.find({});
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0].externalId).toBe('oficina-de-trabajo-cei-12345');
+  });
+
+  test('should leave distinct jobs alone apart from backfilling fingerprints', async () => {
+    await Job.create([
+      { ...baseJob, externalId: 'job-1' },
+      { ...baseJob, location: 'Valparaíso', externalId: 'job-2' }
+    ]);
+
+    const summary = await collapseDuplicateJobs();
+
+    expect(summary).toMatchObject({ scanned: 2, duplicateGroups: 0, removed: 0, updated: 2 });
+    expect(await Job.countDocuments({ fingerprint: { $exists: true } })).toBe(2);
+  });
+
+  test('should not write anything in dry-run mode', async () => {
+    await Job.create([
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704067200000' },
+      { ...baseJob, externalId: 'oficina-de-trabajo-cei-tech-corp-backend-developer-1704153600000' }
+    ]);
+
+    const summary = await collapseDuplicateJobs({ dryRun: true });
+
+    expect(summary).toMatchObject({ removed: 1, dryRun: true });
+    expect(await Job.countDocuments()).toBe(2);
+  });
+});
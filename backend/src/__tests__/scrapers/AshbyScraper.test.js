@@ -0,0 +1,48 @@
+const AshbyScraper = require('../../services/scrapers/AshbyScraper');
+
+jest.mock('../../models/Job');
+
+// Synthetic Job Posting API responses (fictional board, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'ashby' };
+
+describe('AshbyScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new AshbyScraper({ boards: ['nubelabs'], fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should map listed jobs with their compensation', async () => {
+    const result = await scraper.scrape({ save: false });
+
+    expect(result.success).toBe(true);
+    expect(result.jobs).toHaveLength(2);
+    expect(result.jobs[0]).toEqual({
+      title: 'Senior Frontend Engineer',
+      company: 'nubelabs',
+      location: 'Buenos Aires; Montevideo',
+      description: 'Own the design system used across our cloud console.',
+      applyLink: 'https://jobs.ashbyhq.com/nubelabs/1b7c4e2a-9d3f-4a8b-b6e5-2c0f9a7d1e34',
+      externalId: 'ashby-1b7c4e2a-9d3f-4a8b-b6e5-2c0f9a7d1e34',
+      tags: ['Web Platform', 'Engineering', 'Full-time', 'Hybrid'],
+      employmentType: 'Full-time',
+      salary: { min: 55000, max: 70000, currency: 'USD', unit: 'YEAR' },
+      postedAt: new Date('2024-03-13T15:30:00.000Z'),
+      postedAtInferred: false,
+      source: 'Ashby'
+    });
+    expect(result.jobs[1]).not.toHaveProperty('salary');
+  });
+
+  it('should use the configured company name', async () => {
+    const result = await scraper.scrape({ save: false, boards: [{ board: 'nubelabs', company: 'Nube Labs' }], query: 'reliability' });
+
+    expect(result.jobs.map(job => [job.title, job.company])).toEqual([['Site Reliability Engineer', 'Nube Labs']]);
+  });
+});
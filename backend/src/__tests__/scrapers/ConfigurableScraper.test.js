@@ -0,0 +1,326 @@
+const ConfigurableScraper = require('../../services/scrapers/ConfigurableScraper');
+const scraperRegistry = require('../../services/scrapers/scraperRegistry');
+const Job = require('../../models/Job');
+const { robotsPolicy } = require('../../services/scrapers/robotsPolicy');
+const FakeRenderer = require('../../services/scrapers/renderers/FakeRenderer');
+const axios = require('axios');
+
+jest.mock('../../models/Job');
+jest.mock('axios');
+
+const definition = {
+  source: 'Portal Empleos',
+  baseUrl: 'https://www.portal.com',
+  searchUrl: '/buscar?q={query}&l={location}&p={page}',
+  selectors: {
+    card: '.job-card',
+    title: 'h2',
+    company: '.company',
+    location: '.location',
+    link: 'a.title@href',
+    date: 'time@datetime',
+    tags: '.tag'
+  },
+  pagination: { type: 'page', start: 1, step: 1 },
+  idPattern: '/empleo/(\\d+)',
+  postProcess: {
+    company: [{ replace: '^Empresa:\\s*', with: '' }, { default: 'Confidencial' }]
+  }
+};
+
+const listingHtml = `
+  <div class="job-card">
+    <a class="title" href="/empleo/101"><h2>Desarrollador Node</h2></a>
+    <span class="company">Empresa: Tech SA</span>
+    <span class="location">Montevideo</span>
+    <time datetime="2024-03-12">12 de marzo</time>
+    <span class="tag">Remoto</span><span class="tag">Full-time</span>
+  </div>
+  <div class="job-card">
+    <a class="title" href="/empleo/102"><h2>QA Analyst</h2></a>
+    <span class="location">Canelones</span>
+  </div>
+`;
+
+describe('ConfigurableScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new ConfigurableScraper({ definition });
+    jest.clearAllMocks();
+  });
+
+  describe('Constructor', () => {
+    it('should take source and baseUrl from the definition', () => {
+      expect(scraper.source).toBe('Portal Empleos');
+      expect(scraper.baseUrl).toBe('https://www.portal.com');
+      expect(scraper.pagination.type).toBe('page');
+    });
+
+    it('should let runtime config override definition values', () => {
+      const custom = new ConfigurableScraper({ definition, timeout: 30000 });
+
+      expect(custom.timeout).toBe(30000);
+    });
+  });
+
+  describe('validateDefinition()', () => {
+    it('should accept a valid definition', () => {
+      expect(ConfigurableScraper.validateDefinition(definition)).toEqual([]);
+    });
+
+    it('should report missing required fields', () => {
+      const errors = ConfigurableScraper.validateDefinition({ selectors: {} });
+
+      expect(errors).toContain('source is required');
+      expect(errors).toContain('searchUrl is required');
+      expect(errors).toContain('selectors.card is required');
+      expect(errors).toContain('selectors.title is required');
+    });
+
+    it('should reject unknown selectors, pagination types and bad patterns', () => {
+      const errors = ConfigurableScraper.validateDefinition({
+        ...definition,
+        selectors: { ...definition.selectors, salary: '.salary' },
+        pagination: { type: 'infinite' },
+        idPattern: '(unclosed'
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'selectors.salary is not a supported field',
+        'pagination.type must be one of: page, offset, next, click, none',
+        expect.stringContaining('idPattern is not a valid regular expression')
+      ]));
+    });
+
+    it('should reject split steps on fields other than tags', () => {
+      expect(ConfigurableScraper.validateDefinition({ ...definition, postProcess: { tags: [{ split: ',' }] } })).toEqual([]);
+      expect(ConfigurableScraper.validateDefinition({ ...definition, postProcess: { location: [{ split: '/' }] } }))
+        .toEqual(['postProcess.location[0] split is only supported for tags']);
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(ConfigurableScraper.validateDefinition({ ...definition, timezone: 'America/Montevideo', locale: 'es-UY' })).toEqual([]);
+      expect(ConfigurableScraper.validateDefinition({ ...definition, timezone: 'Mars/Olympus' }))
+        .toEqual(['timezone must be an IANA timezone (e.g. "America/Santiago")']);
+    });
+
+    it('should reject non-object definitions', () => {
+      expect(ConfigurableScraper.validateDefinition(null)).toEqual(['Definition must be an object']);
+    });
+  });
+
+  describe('buildSearchUrl()', () => {
+    it('should expand template placeholders', () => {
+      const url = scraper.buildSearchUrl({ query: 'node js', location: 'Montevideo', pageIndex: 1 });
+
+      expect(url).toBe('https://www.portal.com/buscar?q=node%20js&l=Montevideo&p=2');
+    });
+
+    it('should support offset pagination through a query parameter', () => {
+      const offsetScraper = new ConfigurableScraper({
+        definition: {
+          ...definition,
+          searchUrl: '/buscar?q={query}',
+          pagination: { type: 'offset', step: 25, param: 'start' }
+        }
+      });
+
+      expect(offsetScraper.buildSearchUrl({ query: 'qa', pageIndex: 2 })).toContain('start=50');
+    });
+  });
+
+  describe('extractJobsFromPage()', () => {
+    it('should extract fields using the configured selectors', async () => {
+      const $ = require('cheerio').load(listingHtml);
+      const jobs = await scraper.extractJobsFromPage($);
+
+      expect(jobs).toHaveLength(2);
+      expect(jobs[0]).toMatchObject({
+        title: 'Desarrollador Node',
+        company: 'Tech SA',
+        location: 'Montevideo',
+        applyLink: 'https://www.portal.com/empleo/101',
+        externalId: 'portal-empleos-101',
+        tags: ['Remoto', 'Full-time'],
+        source: 'Portal Empleos'
+      });
+      expect(jobs[0].postedAt.toISOString()).toContain('2024-03-12');
+    });
+
+    it('should apply post-processing defaults', async () => {
+      const $ = require('cheerio').load(listingHtml);
+      const jobs = await scraper.extractJobsFromPage($);
+
+      expect(jobs[1].company).toBe('Confidencial');
+    });
+
+    it('should support match and split steps', () => {
+      const matcher = new ConfigurableScraper({
+        definition: {
+          ...definition,
+          postProcess: {
+            title: [{ match: 'Puesto: (.+)' }],
+            tags: [{ split: ',' }]
+          }
+        }
+      });
+      const $ = require('cheerio').load(
+        '<div class="job-card"><h2>Puesto: Backend Dev</h2><span class="tag">Remoto, Senior</span></div>'
+      );
+
+      const job = matcher.extractJobData($, $('.job-card')[0]);
+
+      expect(job.title).toBe('Backend Dev');
+      expect(job.tags).toEqual(['Remoto', 'Senior']);
+    });
+  });
+
+  describe('scrape()', () => {
+    it('should scrape and save jobs until an empty page', async () => {
+      robotsPolicy.clear();
+      axios.get
+        .mockResolvedValueOnce({ status: 404, data: '' })
+        .mockResolvedValueOnce({ data: `<html><body>${listingHtml}</body></html>` })
+        .mockResolvedValueOnce({ data: '<html><body></body></html>' });
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      Job.bulkWrite.mockImplementation(async (operations) => ({
+        upsertedIds: Object.fromEntries(operations.map((operation, index) => [index, `id-${index}`]))
+      }));
+      scraper.delayBetweenRequests = 0;
+
+      const result = await scraper.scrape({ query: 'node', maxPages: 3 });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs).toHaveLength(2);
+      expect(result.stats.saved).toBe(2);
+      // robots.txt once, then two listing pages
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect(axios.get.mock.calls[0][0]).toBe('https://www.portal.com/robots.txt');
+    });
+
+    it('should resolve relative links against the listing page when there is no baseUrl', async () => {
+      robotsPolicy.clear();
+      axios.get.mockResolvedValueOnce({ status: 404, data: '' });
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      const searchUrl = 'https://portal.example/empleos/lista?q={query}';
+      const portal = new ConfigurableScraper({
+        definition: { source: 'Portal Example', searchUrl, selectors: { card: 'li', title: 'a', link: 'a@href' } },
+        renderer: new FakeRenderer({
+          'https://portal.example/empleos/lista?q=node': '<li><a href="/job/1">Backend</a></li><li><a href="detalle?id=3">QA</a></li>'
+        })
+      });
+
+      expect(ConfigurableScraper.validateDefinition(portal.definition)).toEqual([]);
+
+      const result = await portal.scrape({ query: 'node', save: false });
+
+      expect(result.errors).toEqual([]);
+      expect(result.jobs.map(job => job.applyLink)).toEqual([
+        'https://portal.example/job/1',
+        'https://portal.example/empleos/detalle?id=3'
+      ]);
+    });
+
+    it('should stop when robots.txt disallows the search path', async () => {
+      robotsPolicy.clear();
+      axios.get.mockResolvedValueOnce({ status: 200, data: 'User-agent: *\nDisallow: /buscar' });
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      const result = await scraper.scrape({ query: 'node', maxPages: 3 });
+
+      expect(result.jobs).toHaveLength(0);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(result.errors).toContainEqual(expect.objectContaining({ stage: 'robots' }));
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('click pagination', () => {
+    const clickDefinition = {
+      ...definition,
+      searchUrl: '/buscar?q={query}',
+      renderer: 'puppeteer',
+      renderActions: [{ type: 'waitForSelector', selector: '.job-card' }],
+      pagination: { type: 'click', selector: 'button.next', maxPages: 3 }
+    };
+
+    it('should validate click pagination and renderer settings', () => {
+      expect(ConfigurableScraper.validateDefinition(clickDefinition)).toEqual([]);
+
+      const errors = ConfigurableScraper.validateDefinition({
+        ...definition,
+        renderer: 'fake',
+        renderActions: [{ type: 'hover' }],
+        pagination: { type: 'click' }
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'pagination.selector is required for click pagination',
+        'renderer must be one of: http, puppeteer',
+        expect.stringContaining('renderActions: actions[0].type must be one of')
+      ]));
+      expect(ConfigurableScraper.validateDefinition({ ...definition, renderActions: [{ type: 'scroll' }] }))
+        .toContain('renderActions require a browser renderer (e.g. "puppeteer")');
+    });
+
+    it('should click through pages rendered by the browser', async () => {
+      robotsPolicy.clear();
+      axios.get.mockResolvedValueOnce({ status: 404, data: '' });
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      Job.bulkWrite.mockImplementation(async (operations) => ({
+        upsertedIds: Object.fromEntries(operations.map((operation, index) => [index, `id-${index}`]))
+      }));
+
+      const renderer = new FakeRenderer({
+        'https://www.portal.com/buscar?q=node': {
+          html: `${listingHtml}<button class="next">Siguiente</button>`,
+          click: {
+            'button.next': [`
+              <div class="job-card"><a class="title" href="/empleo/103"><h2>Data Engineer</h2></a></div>
+            `]
+          }
+        }
+      });
+      const browserScraper = new ConfigurableScraper({ definition: clickDefinition, renderer });
+
+      const result = await browserScraper.scrape({ query: 'node' });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs.map(job => job.title)).toEqual(['Desarrollador Node', 'QA Analyst', 'Data Engineer']);
+      expect(renderer.calls.filter(call => call.type === 'render')).toHaveLength(1);
+      expect(renderer.calls).toContainEqual({ type: 'click', selector: 'button.next' });
+      expect(renderer.calls).toContainEqual({ type: 'waitForSelector', selector: '.job-card' });
+    });
+  });
+
+  describe('scraperRegistry integration', () => {
+    afterEach(() => {
+      if (scraperRegistry.isDefinition('portal-empleos')) {
+        scraperRegistry.unregister('portal-empleos');
+      }
+    });
+
+    it('should register a definition and build instances from it', () => {
+      scraperRegistry.registerDefinition('portal-empleos', definition);
+
+      const instance = scraperRegistry.getScraper('portal-empleos', { timeout: 1234 });
+
+      expect(instance).toBeInstanceOf(ConfigurableScraper);
+      expect(instance.source).toBe('Portal Empleos');
+      expect(instance.timeout).toBe(1234);
+      expect(scraperRegistry.getDefinitions()).toEqual([{ id: 'portal-empleos', definition }]);
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => scraperRegistry.registerDefinition('broken', { source: 'X' }))
+        .toThrow('Invalid scraper definition for broken');
+      expect(scraperRegistry.hasScraper('broken')).toBe(false);
+    });
+
+    it('should not replace built-in scrapers', () => {
+      expect(() => scraperRegistry.registerDefinition('linkedin', definition))
+        .toThrow('Cannot replace built-in scraper: linkedin');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const FeedScraper = require('../../services/scrapers/FeedScraper');
+const { ParseError } = require('../../services/scrapers/errors');
+
+jest.mock('../../models/Job');
+
+// Synthetic RSS 2.0 and Atom feeds (fictional sites, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'feed' };
+const RSS_URL = 'https://empleos.andinojobs.com/feed/rss?q=desarrollador';
+const ATOM_URL = 'https://careers.pampalabs.com/jobs.atom';
+
+describe('FeedScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new FeedScraper({ feeds: [RSS_URL, { url: ATOM_URL, location: 'Buenos Aires, Argentina' }], fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('RSS 2.0', () => {
+    it('should map items, preferring content:encoded and job:* elements', async () => {
+      const result = await scraper.scrape({ save: false, feeds: RSS_URL });
+
+      expect(result.jobs[0]).toEqual({
+        title: 'Desarrollador Backend Node.js',
+        company: 'Banco del Pacífico Sur',
+        location: 'Santiago, Chile',
+        description: 'Buscamos desarrollador/a backend para nuestra plataforma de pagos. Requisitos 3 años con Node.js Experiencia en AWS',
+        applyLink: 'https://empleos.andinojobs.com/oferta/48213-desarrollador-backend-nodejs',
+        externalId: expect.stringMatching(/^feed-empleos-andinojobs-com-[0-9a-f]{16}$/),
+        tags: ['Tecnología', 'Node.js'],
+        employmentType: 'Full-time',
+        attachments: [{ url: 'https://empleos.andinojobs.com/files/48213-perfil.pdf', type: 'application/pdf', length: 184320 }],
+        postedAt: new Date('2024-03-13T13:30:00.000Z'),
+        postedAtInferred: false,
+        source: 'Feed'
+      });
+    });
+
+    it('should decode escaped HTML, resolve relative links and name the company from dc:creator', async () => {
+      const [, job] = (await scraper.scrape({ save: false, feeds: RSS_URL })).jobs;
+
+      expect(job).toMatchObject({
+        company: 'Retail Andes',
+        description: 'App de fidelización para 2M clientes.',
+        applyLink: 'https://empleos.andinojobs.com/oferta/48190-desarrolladora-mobile-flutter'
+      });
+      expect(job).not.toHaveProperty('attachments');
+    });
+  });
+
+  describe('Atom', () => {
+    it('should map entries with enclosure links and updated dates', async () => {
+      const result = await scraper.scrape({ save: false, feeds: [{ url: ATOM_URL, location: 'Buenos Aires, Argentina' }] });
+
+      expect(result.jobs[0]).toMatchObject({
+        title: 'Data Engineer',
+        company: 'Pampa Labs Recruiting',
+        location: 'Buenos Aires, Argentina',
+        description: 'Build the pipelines behind our agritech sensors. Spark Airflow',
+        applyLink: 'https://careers.pampalabs.com/jobs/112-data-engineer',
+        tags: ['Data', 'Remote'],
+        postedAt: new Date('2024-03-12T14:00:00.000Z'),
+        sourceUpdatedAt: new Date('2024-03-14T09:15:00.000Z'),
+        attachments: [{ url: 'https://careers.pampalabs.com/images/jobs/112.png', type: 'image/png', length: 20480 }]
+      });
+    });
+
+    it('should read html and xhtml text constructs and fall back to the feed title', async () => {
+      const [, job] = (await scraper.scrape({ save: false })).jobs.filter(({ applyLink }) => applyLink.includes('pampalabs'));
+
+      expect(job).toMatchObject({
+        title: 'Product Designer & Researcher',
+        company: 'Pampa Labs Careers',
+        description: 'Design the field app used by farmers.',
+        postedAt: new Date('2024-03-05T12:00:00.000Z')
+      });
+    });
+  });
+
+  it('should keep external IDs stable across runs', async () => {
+    const first = await scraper.scrape({ save: false });
+    const second = await new FeedScraper({ feeds: [RSS_URL, ATOM_URL], fixtures }).scrape({ save: false });
+
+    expect(second.jobs.map(job => job.externalId)).toEqual(first.jobs.map(job => job.externalId));
+    expect(new Set(first.jobs.map(job => job.externalId)).size).toBe(4);
+  });
+
+  it('should reject documents that are not feeds', () => {
+    expect(() => scraper.parseFeed('<html><body>Jobs</body></html>', RSS_URL)).toThrow(ParseError);
+  });
+
+  it('should skip a failing feed and keep the others', async () => {
+    const result = await scraper.scrape({ save: false, feeds: ['https://example.com/missing.rss', RSS_URL] });
+
+    expect(result.success).toBe(true);
+    expect(result.jobs).toHaveLength(2);
+    expect(result.errors).toEqual([expect.objectContaining({ feed: 'https://example.com/missing.rss', status: 404 })]);
+  });
+});
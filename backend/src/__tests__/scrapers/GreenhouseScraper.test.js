@@ -0,0 +1,94 @@
+const GreenhouseScraper = require('../../services/scrapers/GreenhouseScraper');
+const { FixtureStore, fixtureDir } = require('../../services/scrapers/fixtureStore');
+
+jest.mock('../../models/Job');
+
+// Synthetic Job Board API responses (fictional boards, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'greenhouse' };
+
+describe('GreenhouseScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new GreenhouseScraper({ boards: ['andestech', 'pampalabs'], fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseBoards()', () => {
+    it('should accept tokens, objects and comma-separated strings', () => {
+      expect(GreenhouseScraper.parseBoards(' acme, globex ,')).toEqual([
+        { token: 'acme', company: null },
+        { token: 'globex', company: null }
+      ]);
+      expect(GreenhouseScraper.parseBoards(['acme', { token: 'globex', company: 'Globex Corp' }])).toEqual([
+        { token: 'acme', company: null },
+        { token: 'globex', company: 'Globex Corp' }
+      ]);
+    });
+  });
+
+  describe('mapPosting()', () => {
+    it('should map a board job to Job fields', async () => {
+      const store = new FixtureStore({ dir: fixtureDir(fixtures.name) });
+      const { html } = await store.get(scraper.buildBoardUrl('andestech', '/jobs?content=true'));
+      const [posting] = JSON.parse(html).jobs;
+
+      expect(scraper.mapPosting(posting, { token: 'andestech', company: 'Andes Tech' })).toEqual({
+        title: 'Senior Backend Engineer',
+        company: 'Andes Tech',
+        location: 'Santiago, Chile',
+        description: 'About the role Design and operate the payment APIs used by 2M merchants. 5+ years with Node.js or Go PostgreSQL & Kafka',
+        applyLink: 'https://boards.greenhouse.io/andestech/jobs/4012345',
+        externalId: 'greenhouse-andestech-4012345',
+        tags: ['Engineering', 'Santiago'],
+        postedAt: new Date('2024-03-01T13:00:00.000Z'),
+        postedAtInferred: false,
+        sourceUpdatedAt: new Date('2024-03-14T14:22:31.000Z'),
+        source: 'Greenhouse'
+      });
+    });
+  });
+
+  describe('scrape()', () => {
+    it('should read every board and name companies from the board API', async () => {
+      const result = await scraper.scrape({ save: false });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs).toHaveLength(5);
+      expect(new Set(result.jobs.map(job => job.company))).toEqual(new Set(['Andes Tech', 'Pampa Labs']));
+    });
+
+    it('should match query and location against titles, departments and offices', async () => {
+      const engineers = await scraper.scrape({ save: false, query: 'engineer' });
+      expect(engineers.jobs.map(job => job.externalId)).toEqual([
+        'greenhouse-andestech-4012345',
+        'greenhouse-andestech-4012347'
+      ]);
+
+      const remote = await scraper.scrape({ save: false, location: 'remoto' });
+      expect(remote.jobs.map(job => job.title)).toEqual(['Engenheiro de Software Pleno']);
+    });
+
+    it('should skip a failing board and keep the others', async () => {
+      const result = await scraper.scrape({ save: false, boards: ['missing', 'pampalabs'] });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs).toHaveLength(2);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ board: 'missing', type: 'not-found', status: 404 })
+      ]);
+    });
+
+    it('should fail when no board can be read', async () => {
+      expect((await scraper.scrape({ save: false, boards: 'missing' })).success).toBe(false);
+      expect((await new GreenhouseScraper({ fixtures }).scrape({ save: false })).errors[0].error)
+        .toContain('No boards configured');
+    });
+  });
+});
@@ -1,9 +1,23 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
 const JobPortalScraper = require('../../services/scrapers/JobPortalScraper');
+const { ResponseCache } = require('../../services/scrapers/responseCache');
+const FakeRenderer = require('../../services/scrapers/renderers/FakeRenderer');
 const Job = require('../../models/Job');
+const { hashJobContent } = require('../../services/jobWriter');
 
 // Mock Job model
 jest.mock('../../models/Job');
 
+// Nothing stored yet: every bulkWrite operation upserts a new job
+const mockBulkUpserts = () => {
+  Job.find = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+  Job.bulkWrite = jest.fn(async (operations) => ({
+    upsertedIds: Object.fromEntries(operations.map((operation, index) => [index, `id-${index}`]))
+  }));
+};
+
 describe('JobPortalScraper Base Class', () => {
   let scraper;
 
@@ -93,6 +107,228 @@ describe('JobPortalScraper Base Class', () => {
       const cleaned = scraper.cleanJobData(rawJob);
       expect(cleaned.externalId).toContain('test-scraper-');
     });
+
+    it('should add the content fingerprint', () => {
+      const cleaned = scraper.cleanJobData({ title: 'Developer', company: 'Company' });
+
+      expect(cleaned.fingerprint).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('should flag a posted date that had to be inferred', () => {
+      expect(scraper.cleanJobData({ title: 'Developer', postedAt: new Date('2024-01-01') }).postedAtInferred).toBe(false);
+      expect(scraper.cleanJobData({ title: 'Developer' }).postedAtInferred).toBe(true);
+      expect(scraper.cleanJobData({ title: 'Developer', ...scraper.parsePostedAt('Confidencial') }).postedAtInferred).toBe(true);
+    });
+  });
+
+  describe('extractStructuredJobs()', () => {
+    it('should map JSON-LD JobPostings and prefix identifiers with the source', () => {
+      const $ = require('cheerio').load(`
+        <script type="application/ld+json">
+          {"@type":"JobPosting","title":"Developer","identifier":"77",
+           "hiringOrganization":{"name":"Company"},"datePosted":"2024-01-15","url":"/jobs/77"}
+        </script>
+      `);
+
+      const [job] = scraper.extractStructuredJobs($, 'https://example.com/list');
+
+      expect(job).toMatchObject({
+        title: 'Developer',
+        company: 'Company',
+        applyLink: 'https://example.com/jobs/77',
+        externalId: 'test-scraper-77',
+        source: 'Test Scraper'
+      });
+      expect(job.postedAt).toEqual(new Date('2024-01-15'));
+    });
+
+    it('should return an empty array when the page has no structured data', () => {
+      const $ = require('cheerio').load('<div>No markup</div>');
+
+      expect(scraper.extractStructuredJobs($)).toEqual([]);
+    });
+  });
+
+  describe('mergeStructuredJobs()', () => {
+    it('should prefer structured fields and keep selector values as fallback', () => {
+      const jobs = [{
+        title: 'Developer',
+        company: 'Company',
+        location: 'Santiago',
+        applyLink: 'https://example.com/jobs/77',
+        tags: ['remote'],
+        postedAt: new Date('2024-02-01')
+      }];
+      const structured = [{
+        title: 'Developer',
+        applyLink: 'https://example.com/jobs/77',
+        postedAt: new Date('2024-01-15'),
+        salary: { min: 1000, max: 2000, currency: 'USD' },
+        tags: ['FULL_TIME']
+      }];
+
+      const [merged] = scraper.mergeStructuredJobs(jobs, structured);
+
+      expect(merged.company).toBe('Company');
+      expect(merged.location).toBe('Santiago');
+      expect(merged.postedAt).toEqual(new Date('2024-01-15'));
+      expect(merged.salary).toEqual({ min: 1000, max: 2000, currency: 'USD' });
+      expect(merged.tags).toEqual(['remote', 'FULL_TIME']);
+    });
+
+    it('should append structured jobs that match no card', () => {
+      const merged = scraper.mergeStructuredJobs([], [{ title: 'Other role' }]);
+
+      expect(merged).toEqual([{ title: 'Other role' }]);
+    });
+  });
+
+  describe('cleanJobData() structured fields', () => {
+    it('should keep salary, employment type and expiry when present', () => {
+      const cleaned = scraper.cleanJobData({
+        title: 'Developer',
+        employmentType: ' FULL_TIME ',
+        salary: { min: 1, max: 2 },
+        validThrough: new Date('2024-06-01')
+      });
+
+      expect(cleaned.employmentType).toBe('FULL_TIME');
+      expect(cleaned.salary).toEqual({ min: 1, max: 2 });
+      expect(cleaned.validThrough).toEqual(new Date('2024-06-01'));
+    });
+
+    it('should omit structured fields when missing', () => {
+      const cleaned = scraper.cleanJobData({ title: 'Developer' });
+
+      expect(cleaned).not.toHaveProperty('salary');
+      expect(cleaned).not.toHaveProperty('validThrough');
+    });
+  });
+
+  describe('enrichJobs()', () => {
+    const detailPage = require('cheerio').load(`
+      <div class="job-description"><p>Full description</p><p>with details</p></div>
+      <ul class="requirements"><li>Node.js</li><li>MongoDB</li></ul>
+      <span class="job-type">Full-time</span>
+      <span class="salary">$50.000 - $70.000 USD</span>
+    `);
+
+    beforeEach(() => {
+      scraper.delayBetweenRequests = 0;
+      Job.find = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should fetch detail pages and fill in missing fields', async () => {
+      jest.spyOn(scraper, 'fetchAndParse').mockResolvedValue(detailPage);
+      const jobs = [{ title: 'Dev', externalId: 'job-1', applyLink: 'https://example.com/jobs/1', description: 'Posted 1 day ago' }];
+
+      const stats = await scraper.enrichJobs(jobs);
+
+      expect(stats).toEqual({ enriched: 1, skipped: 0, failed: 0 });
+      expect(jobs[0]).toMatchObject({
+        description: 'Full description with details',
+        requirements: ['Node.js', 'MongoDB'],
+        employmentType: 'Full-time',
+        salary: { min: 50000, max: 70000, currency: 'USD' }
+      });
+      expect(jobs[0].enrichedAt).toBeInstanceOf(Date);
+      expect(scraper.getStats().enrichment).toEqual(stats);
+    });
+
+    it('should skip jobs enriched recently and reuse stored details', async () => {
+      const fetchSpy = jest.spyOn(scraper, 'fetchAndParse').mockResolvedValue(detailPage);
+      Job.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { _id: 'abc', externalId: 'job-1', description: 'Stored description', enrichedAt: new Date() }
+        ])
+      });
+      const jobs = [{ title: 'Dev', externalId: 'job-1', applyLink: 'https://example.com/jobs/1' }];
+
+      const stats = await scraper.enrichJobs(jobs, { maxAgeHours: 12 });
+
+      expect(stats.skipped).toBe(1);
+      expect(fetchSpy).not.toHaveBeenCalled();
+      expect(jobs[0].description).toBe('Stored description');
+      expect(jobs[0]).not.toHaveProperty('_id');
+      expect(Job.find).toHaveBeenCalledWith(
+        expect.objectContaining({ externalId: { $in: ['job-1'] } }),
+        expect.any(String)
+      );
+    });
+
+    it('should skip jobs without a detail link', async () => {
+      const fetchSpy = jest.spyOn(scraper, 'fetchAndParse');
+      const jobs = [{ title: 'Dev', externalId: 'job-1', applyLink: 'https://example.com' }];
+
+      const stats = await scraper.enrichJobs(jobs, { force: true });
+
+      expect(stats).toEqual({ enriched: 0, skipped: 1, failed: 0 });
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+
+    it('should record failures without stopping other jobs', async () => {
+      jest.spyOn(console, 'error').mockImplementation();
+      jest.spyOn(scraper, 'fetchAndParse')
+        .mockRejectedValueOnce(new Error('Timeout'))
+        .mockResolvedValueOnce(detailPage);
+      const jobs = [
+        { title: 'A', externalId: 'a', applyLink: 'https://example.com/jobs/a' },
+        { title: 'B', externalId: 'b', applyLink: 'https://example.com/jobs/b' }
+      ];
+
+      const stats = await scraper.enrichJobs(jobs, { concurrency: 1 });
+
+      expect(stats).toEqual({ enriched: 1, skipped: 0, failed: 1 });
+      expect(scraper.errors[0]).toMatchObject({ url: 'https://example.com/jobs/a', stage: 'enrich' });
+      console.error.mockRestore();
+    });
+
+    it('should limit the number of concurrent detail requests', async () => {
+      let active = 0;
+      let peak = 0;
+      jest.spyOn(scraper, 'fetchAndParse').mockImplementation(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return detailPage;
+      });
+      const jobs = Array.from({ length: 6 }, (_, i) => ({
+        title: `Job ${i}`, externalId: `job-${i}`, applyLink: `https://example.com/jobs/${i}`
+      }));
+
+      await scraper.enrichJobs(jobs, { concurrency: 2 });
+
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('extractJobDetails()', () => {
+    it('should prefer structured data on the detail page', () => {
+      const $ = require('cheerio').load(`
+        <script type="application/ld+json">
+          {"@type":"JobPosting","title":"Dev","description":"<p>From JSON-LD</p>","employmentType":"CONTRACTOR"}
+        </script>
+        <div class="job-description">From selectors</div>
+      `);
+
+      const details = scraper.extractJobDetails($, { applyLink: 'https://example.com/jobs/1' });
+
+      expect(details.description).toBe('From JSON-LD');
+      expect(details.employmentType).toBe('CONTRACTOR');
+    });
+
+    it('should use configured detail selectors', () => {
+      const custom = new JobPortalScraper({ source: 'Custom', detailSelectors: { description: '.detalle' } });
+      const $ = require('cheerio').load('<div class="detalle">Descripción completa</div>');
+
+      expect(custom.extractJobDetails($, {}).description).toBe('Descripción completa');
+    });
   });
 
   describe('validateJobData()', () => {
@@ -117,103 +353,186 @@ describe('JobPortalScraper Base Class', () => {
 
       expect(scraper.validateJobData(invalidJob)).toBe(false);
     });
+
+    it('should list the reasons a job is invalid', () => {
+      expect(scraper.getValidationErrors({ title: 'Developer', company: 'Company', source: 'Test' }))
+        .toEqual(['missing location', 'missing applyLink']);
+    });
   });
 
   describe('generateExternalId()', () => {
-    it('should generate unique external ID', async () => {
+    it('should generate a stable external ID from job content', () => {
       const job = {
         title: 'Software Engineer',
-        company: 'Tech Corp'
+        company: 'Tech Corp',
+        location: 'Santiago',
+        applyLink: 'https://example.com/jobs?id=1'
       };
 
       const id1 = scraper.generateExternalId(job);
-      await new Promise(resolve => setTimeout(resolve, 10)); // Small delay
-      const id2 = scraper.generateExternalId(job);
+      const id2 = scraper.generateExternalId({ ...job });
 
       expect(id1).toContain('test-scraper-');
       expect(id1).toContain('tech-corp');
       expect(id1).toContain('software-engineer');
-      expect(id1).not.toBe(id2); // Should be unique
+      expect(id1).toBe(id2); // Same content, same ID on every run
+    });
+
+    it('should ignore tracking parameters and formatting differences', () => {
+      const id1 = scraper.generateExternalId({
+        title: 'Software Engineer',
+        company: 'Tech Corp',
+        applyLink: 'https://example.com/jobs/1?utm_source=newsletter'
+      });
+      const id2 = scraper.generateExternalId({
+        title: '  software   ENGINEER ',
+        company: 'Tech Corp.',
+        applyLink: 'https://www.example.com/jobs/1/'
+      });
+
+      expect(id1).toBe(id2);
+    });
+
+    it('should differ when the posting differs', () => {
+      const base = { title: 'Software Engineer', company: 'Tech Corp', location: 'Santiago' };
+
+      expect(scraper.generateExternalId(base))
+        .not.toBe(scraper.generateExternalId({ ...base, location: 'Valparaíso' }));
     });
   });
 
   describe('saveJobs()', () => {
+    const job = (externalId, extra = {}) => ({
+      title: 'Developer',
+      company: 'Company',
+      location: 'Location',
+      description: 'Desc',
+      applyLink: `https://example.com/${externalId}`,
+      externalId,
+      ...extra
+    });
+
     beforeEach(() => {
-      Job.updateOne = jest.fn();
+      mockBulkUpserts();
     });
 
     it('should save valid jobs to database', async () => {
-      const jobs = [
-        {
-          title: 'Developer',
-          company: 'Company',
-          location: 'Location',
-          description: 'Desc',
-          applyLink: 'https://example.com/1',
-          externalId: 'job-1'
-        }
-      ];
-
-      Job.updateOne.mockResolvedValue({
-        upsertedCount: 1,
-        matchedCount: 0
-      });
-
-      scraper.jobs = jobs;
+      scraper.jobs = [job('job-1')];
       const result = await scraper.saveJobs();
 
       expect(result.saved).toBe(1);
       expect(result.failed).toBe(0);
-      expect(Job.updateOne).toHaveBeenCalledTimes(1);
+      expect(Job.bulkWrite).toHaveBeenCalledTimes(1);
+
+      const [[operation], options] = Job.bulkWrite.mock.calls[0];
+      expect(options).toEqual({ ordered: false });
+      expect(operation.updateOne).toMatchObject({
+        filter: { externalId: 'job-1' },
+        update: { $set: { title: 'Developer', contentHash: expect.any(String), updatedAt: expect.any(Date) } },
+        upsert: true
+      });
     });
 
     it('should count duplicates correctly', async () => {
-      const jobs = [
-        {
-          title: 'Developer',
-          company: 'Company',
-          location: 'Location',
-          description: 'Desc',
-          applyLink: 'https://example.com/1',
-          externalId: 'job-1'
-        }
-      ];
+      Job.bulkWrite.mockResolvedValue({ upsertedIds: {} });
 
-      Job.updateOne.mockResolvedValue({
-        upsertedCount: 0,
-        matchedCount: 1
-      });
-
-      scraper.jobs = jobs;
+      scraper.jobs = [job('job-1')];
       const result = await scraper.saveJobs();
 
       expect(result.duplicates).toBe(1);
+      expect(result.updated).toBe(1);
       expect(result.saved).toBe(0);
     });
 
-    it('should handle invalid jobs', async () => {
-      const jobs = [
-        {
-          title: 'Developer'
-          // missing required fields
-        }
-      ];
+    it('should not write jobs whose content is unchanged', async () => {
+      const stored = scraper.cleanJobData(job('job-1'));
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([{ externalId: 'job-1', contentHash: hashJobContent(stored) }]) });
+
+      const result = await scraper.saveJobs([job('job-1'), job('job-2')]);
+
+      expect(result).toMatchObject({ saved: 1, duplicates: 1, inserted: 1, updated: 0, unchanged: 1, total: 2 });
+      expect(Job.bulkWrite.mock.calls[0][0]).toHaveLength(1);
+      expect(Job.bulkWrite.mock.calls[0][0][0].updateOne.filter).toEqual({ externalId: 'job-2' });
+    });
+
+    it('should write in batches of writeBatchSize', async () => {
+      const batched = new JobPortalScraper({ source: 'Test Scraper', writeBatchSize: 2 });
+
+      const result = await batched.saveJobs([job('job-1'), job('job-2'), job('job-3')]);
+
+      expect(result.saved).toBe(3);
+      expect(Job.bulkWrite.mock.calls.map(([operations]) => operations.length)).toEqual([2, 1]);
+    });
+
+    it('should count per-item write errors as failed', async () => {
+      const error = Object.assign(new Error('E11000 duplicate key'), {
+        writeErrors: [{ index: 1, errmsg: 'E11000 duplicate key' }],
+        result: { upsertedIds: { 0: 'id-0' } }
+      });
+      Job.bulkWrite.mockRejectedValue(error);
+      jest.spyOn(console, 'error').mockImplementation();
+
+      const result = await scraper.saveJobs([job('job-1'), job('job-2')]);
+
+      expect(result).toMatchObject({ saved: 1, failed: 1 });
+      expect(scraper.errors).toEqual([
+        { job: expect.objectContaining({ externalId: 'job-2' }), error: 'E11000 duplicate key' }
+      ]);
+      console.error.mockRestore();
+    });
 
-      scraper.jobs = jobs;
+    it('should handle invalid jobs', async () => {
+      scraper.jobs = [{ title: 'Developer' }];
       const result = await scraper.saveJobs();
 
       expect(result.failed).toBe(1);
       expect(result.saved).toBe(0);
-      expect(Job.updateOne).not.toHaveBeenCalled();
+      expect(Job.bulkWrite).not.toHaveBeenCalled();
     });
 
     it('should return zero counts for empty jobs array', async () => {
       scraper.jobs = [];
       const result = await scraper.saveJobs();
 
-      expect(result.saved).toBe(0);
-      expect(result.duplicates).toBe(0);
-      expect(result.failed).toBe(0);
+      expect(result).toEqual({ saved: 0, duplicates: 0, failed: 0, total: 0, inserted: 0, updated: 0, unchanged: 0 });
+      expect(Job.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('previewJobs()', () => {
+    const job = (externalId, extra = {}) => ({
+      title: 'Developer',
+      company: 'Company',
+      location: 'Location',
+      applyLink: `https://example.com/${externalId}`,
+      externalId,
+      ...extra
+    });
+
+    beforeEach(() => {
+      Job.bulkWrite = jest.fn();
+      Job.find = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([{ externalId: 'job-2' }]) });
+    });
+
+    it('should sort jobs into inserts, updates and rejections without writing', async () => {
+      const preview = await scraper.previewJobs([job('job-1'), job('job-2'), job('job-3', { company: '' })]);
+
+      expect(preview.insert.map(j => j.externalId)).toEqual(['job-1']);
+      expect(preview.update.map(j => j.externalId)).toEqual(['job-2']);
+      expect(preview.rejected).toEqual([
+        { job: expect.objectContaining({ externalId: 'job-3' }), reasons: ['missing company'] }
+      ]);
+      expect(Job.find).toHaveBeenCalledWith({ externalId: { $in: ['job-1', 'job-2'] } }, 'externalId');
+      expect(Job.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should count a job repeated within the run as an update', async () => {
+      const seen = new Set(['job-1']);
+
+      const preview = await scraper.previewJobs([job('job-1')], seen);
+
+      expect(preview.update).toHaveLength(1);
+      expect(preview.insert).toHaveLength(0);
     });
   });
 
@@ -259,6 +578,779 @@ describe('JobPortalScraper Base Class', () => {
     });
   });
 
+  describe('checkRobots()', () => {
+    const decision = (overrides = {}) => ({
+      allowed: true,
+      reason: 'no matching rule',
+      crawlDelay: null,
+      robotsUrl: 'https://example.com/robots.txt',
+      ...overrides
+    });
+
+    let policy;
+
+    beforeEach(() => {
+      policy = { check: jest.fn(), waitForCrawlDelay: jest.fn().mockResolvedValue(0) };
+      scraper.robotsPolicy = policy;
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should allow URLs and wait for the Crawl-delay', async () => {
+      policy.check.mockResolvedValue(decision({ crawlDelay: 2 }));
+
+      await scraper.checkRobots('https://example.com/jobs');
+
+      expect(policy.check).toHaveBeenCalledWith('https://example.com/jobs', scraper.robotsUserAgent, scraper.userAgent);
+      expect(policy.waitForCrawlDelay).toHaveBeenCalledWith('https://example.com/jobs', 2, null);
+    });
+
+    it('should refuse disallowed URLs and record the error', async () => {
+      policy.check.mockResolvedValue(decision({ allowed: false, reason: 'Disallow: /private' }));
+
+      await expect(scraper.checkRobots('https://example.com/private/1'))
+        .rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+      expect(scraper.errors).toEqual([expect.objectContaining({
+        url: 'https://example.com/private/1',
+        stage: 'robots',
+        error: expect.stringContaining('Disallow: /private')
+      })]);
+      expect(scraper.robotsStats.blocked).toBe(1);
+    });
+
+    it('should not fetch pages blocked by robots.txt', async () => {
+      policy.check.mockResolvedValue(decision({ allowed: false, reason: 'Disallow: /' }));
+      const axios = require('axios');
+      const getSpy = jest.spyOn(axios, 'get');
+
+      await expect(scraper.fetchPage('https://example.com/jobs')).rejects.toThrow('Blocked by robots.txt');
+      expect(getSpy).not.toHaveBeenCalled();
+      getSpy.mockRestore();
+    });
+
+    it('should require a reason for overrides', () => {
+      expect(() => new JobPortalScraper({ robotsOverride: { ignore: true } })).toThrow('requires a reason');
+    });
+
+    it('should apply explicit overrides and log them', async () => {
+      scraper.robotsOverride = { allowPaths: ['/private'], crawlDelay: 0, reason: 'Written permission' };
+      policy.check.mockResolvedValue(decision({ allowed: false, reason: 'Disallow: /private', crawlDelay: 5 }));
+
+      await scraper.checkRobots('https://example.com/private/1');
+
+      expect(policy.waitForCrawlDelay).toHaveBeenCalledWith('https://example.com/private/1', 0, null);
+      expect(scraper.robotsStats.overridden).toBe(1);
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Written permission'));
+
+      scraper.robotsOverride = { ignore: true, reason: 'Own site' };
+      await scraper.checkRobots('https://example.com/private/2');
+
+      expect(policy.check).toHaveBeenCalledTimes(1);
+      expect(scraper.robotsStats.overridden).toBe(2);
+    });
+  });
+
+  describe('fetchPage() rate limiting', () => {
+    it('should take a token from the shared limiter for every attempt', async () => {
+      const axios = require('axios');
+      const rateLimiter = { acquire: jest.fn().mockResolvedValue(0) };
+      const limited = new JobPortalScraper({
+        source: 'Test Scraper',
+        maxRetries: 2,
+        delayBetweenRequests: 1,
+        rateLimiter,
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() }
+      });
+      const getSpy = jest.spyOn(axios, 'get')
+        .mockRejectedValueOnce(new Error('Timeout'))
+        .mockResolvedValueOnce({ data: '<html></html>' });
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'error').mockImplementation();
+
+      expect(await limited.fetchPage('https://example.com/jobs')).toBe('<html></html>');
+      expect(rateLimiter.acquire).toHaveBeenCalledTimes(2);
+      expect(rateLimiter.acquire).toHaveBeenCalledWith('https://example.com/jobs', { signal: null });
+
+      getSpy.mockRestore();
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('fetchPage() encodings', () => {
+    it('should decode Latin-1 pages and count them per charset', async () => {
+      const axios = require('axios');
+      const latin = new JobPortalScraper({
+        source: 'Test Scraper',
+        cache: { enabled: false },
+        rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() }
+      });
+      const getSpy = jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 200,
+        data: Buffer.from('<h2>Se\u00f1or Dise\u00f1ador</h2>', 'latin1'),
+        headers: { 'content-type': 'text/html; charset=ISO-8859-1' }
+      });
+
+      expect(await latin.fetchPage('https://example.com/jobs')).toBe('<h2>Señor Diseñador</h2>');
+      expect(getSpy.mock.calls[0][1].responseType).toBe('arraybuffer');
+      expect(latin.getStats().encodings).toEqual({ 'windows-1252': 1 });
+
+      getSpy.mockRestore();
+    });
+  });
+
+  describe('fetchPage() retries', () => {
+    const axios = require('axios');
+    let getSpy;
+    let retrying;
+
+    const httpError = (status, headers = {}) =>
+      Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+    beforeEach(() => {
+      retrying = new JobPortalScraper({
+        source: 'Test Scraper',
+        maxRetries: 3,
+        rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() }
+      });
+      jest.spyOn(retrying, 'delay').mockResolvedValue();
+      getSpy = jest.spyOn(axios, 'get');
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      getSpy.mockRestore();
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('should fail fast on 404 with a typed error', async () => {
+      getSpy.mockRejectedValue(httpError(404));
+
+      await expect(retrying.fetchPage('https://example.com/gone')).rejects.toMatchObject({
+        type: 'not-found',
+        status: 404,
+        attempts: 1,
+        message: 'Failed to fetch https://example.com/gone after 1 attempt: HTTP 404'
+      });
+      expect(getSpy).toHaveBeenCalledTimes(1);
+      expect(retrying.delay).not.toHaveBeenCalled();
+    });
+
+    it('should retry server errors with exponential backoff', async () => {
+      getSpy
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: '<html></html>' });
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+
+      expect(await retrying.fetchPage('https://example.com/jobs')).toBe('<html></html>');
+      expect(retrying.delay.mock.calls).toEqual([[500], [1000]]);
+
+      Math.random.mockRestore();
+    });
+
+    it('should not retry when the browser cannot be launched', async () => {
+      const { PuppeteerRenderer } = require('../../services/scrapers/renderers');
+      const puppeteer = { launch: jest.fn().mockRejectedValue(new Error('spawn /opt/none ENOENT')) };
+      retrying.renderer = new PuppeteerRenderer({ puppeteer, executablePath: '/opt/none' });
+
+      await expect(retrying.fetchPage('https://example.com/jobs')).rejects.toMatchObject({ type: 'config', attempts: 1 });
+      expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+      expect(retrying.delay).not.toHaveBeenCalled();
+    });
+
+    it('should wait for Retry-After on 429', async () => {
+      getSpy
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '7' }))
+        .mockResolvedValueOnce({ data: 'ok' });
+
+      await retrying.fetchPage('https://example.com/jobs');
+
+      expect(retrying.delay).toHaveBeenCalledWith(7000);
+    });
+
+    it('should record typed errors in scrape results', async () => {
+      getSpy.mockRejectedValue(httpError(403));
+
+      const error = await retrying.fetchPage('https://example.com/jobs').catch(e => e);
+      retrying.recordError(error);
+      retrying.recordError(error);
+
+      expect(retrying.errors).toEqual([expect.objectContaining({
+        type: 'blocked',
+        status: 403,
+        url: 'https://example.com/jobs'
+      })]);
+      expect(retrying.getStats().errorTypes).toEqual({ blocked: 1 });
+    });
+  });
+
+  describe('fetchResponse() caching', () => {
+    const axios = require('axios');
+    const url = 'https://example.com/jobs?page=1';
+    let getSpy;
+    let store;
+    let cached;
+
+    const buildScraper = (cache = {}) => new JobPortalScraper({
+      source: 'Test Scraper',
+      cache,
+      rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+      robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+      responseCache: {
+        get: jest.fn(async key => store.get(key) || null),
+        set: jest.fn(async (key, entry) => store.set(key, { ...entry, url: key, storedAt: Date.now() })),
+        touch: jest.fn(async (key, entry) => store.set(key, { ...entry, storedAt: Date.now() })),
+        markSaved: jest.fn()
+      }
+    });
+
+    beforeEach(() => {
+      store = new Map();
+      cached = { url, body: '<html>cached</html>', etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT', storedAt: Date.now() - 60000 };
+      getSpy = jest.spyOn(axios, 'get');
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      getSpy.mockRestore();
+      console.log.mockRestore();
+    });
+
+    it('should store responses that carry validators', async () => {
+      const cachingScraper = buildScraper();
+      getSpy.mockResolvedValue({ status: 200, data: '<html>new</html>', headers: { etag: '"v2"' } });
+
+      const response = await cachingScraper.fetchResponse(url);
+
+      expect(response).toEqual({ body: '<html>new</html>', fromCache: false, unchanged: false });
+      expect(store.get(url)).toMatchObject({ body: '<html>new</html>', etag: '"v2"' });
+    });
+
+    it('should send conditional headers and serve 304s from cache', async () => {
+      const cachingScraper = buildScraper();
+      store.set(url, cached);
+      getSpy.mockResolvedValue({ status: 304, data: '', headers: {} });
+
+      const response = await cachingScraper.fetchResponse(url);
+
+      expect(getSpy.mock.calls[0][1].headers).toMatchObject({
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+      });
+      expect(response).toEqual({ body: '<html>cached</html>', fromCache: true, unchanged: true });
+      expect(cachingScraper.cacheStats.notModified).toBe(1);
+    });
+
+    it('should serve fresh entries within the TTL without a request', async () => {
+      const cachingScraper = buildScraper({ ttl: 3600 });
+      store.set(url, cached);
+
+      expect((await cachingScraper.fetchResponse(url)).body).toBe('<html>cached</html>');
+      expect(getSpy).not.toHaveBeenCalled();
+      expect(cachingScraper.cacheStats.hits).toBe(1);
+      // No request reaches the host, so there is no Crawl-delay to wait out
+      expect(cachingScraper.robotsPolicy.check).not.toHaveBeenCalled();
+      expect(cachingScraper.robotsPolicy.waitForCrawlDelay).not.toHaveBeenCalled();
+    });
+
+    it('should ignore stored entries when bypassed', async () => {
+      const cachingScraper = buildScraper({ ttl: 3600, bypass: true });
+      store.set(url, cached);
+      getSpy.mockResolvedValue({ status: 200, data: '<html>new</html>', headers: {} });
+
+      expect((await cachingScraper.fetchResponse(url)).body).toBe('<html>new</html>');
+      expect(getSpy.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+    });
+
+    it('should skip parsing unchanged pages whose jobs were saved', async () => {
+      const cachingScraper = buildScraper({ ttl: 3600 });
+      store.set(url, { ...cached, savedJobs: 2 });
+
+      expect(await cachingScraper.fetchAndParseIfChanged(url)).toBeNull();
+      expect(cachingScraper.cacheStats.skippedPages).toBe(1);
+      expect(cachingScraper.responseCache.get).toHaveBeenCalledWith(url, 'Test Scraper');
+
+      cachingScraper.cacheOptions.skipUnchanged = false;
+      expect((await cachingScraper.fetchAndParseIfChanged(url))('html').text()).toBe('cached');
+    });
+
+    it('should parse unchanged pages no run has saved', async () => {
+      const cachingScraper = buildScraper({ ttl: 3600 });
+      store.set(url, cached);
+
+      expect((await cachingScraper.fetchAndParseIfChanged(url))('html').text()).toBe('cached');
+      expect(cachingScraper.cacheStats.skippedPages).toBe(0);
+    });
+  });
+
+  describe('renderers', () => {
+    const url = 'https://example.com/jobs';
+    const buildScraper = (config) => new JobPortalScraper({
+      baseUrl: 'https://example.com',
+      source: 'Test Scraper',
+      rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+      robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+      responseCache: { get: jest.fn(), set: jest.fn(), touch: jest.fn() },
+      ...config
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should run renderActions on listing pages and bypass the HTTP cache', async () => {
+      const renderer = new FakeRenderer({
+        [url]: { html: '<div id="app"></div>', scroll: ['<div id="app"><p class="job">Dev</p></div>'] }
+      });
+      const browserScraper = buildScraper({
+        renderer,
+        renderActions: [{ type: 'scroll', times: 2 }, { type: 'waitForSelector', selector: '.job' }]
+      });
+
+      const $ = await browserScraper.fetchAndParseIfChanged(url);
+
+      expect($('.job').text()).toBe('Dev');
+      expect(browserScraper.responseCache.get).not.toHaveBeenCalled();
+      expect(renderer.calls[0]).toMatchObject({ type: 'render', url });
+    });
+
+    it('should not run listing actions on detail pages', async () => {
+      const renderer = new FakeRenderer({ [url]: '<p class="detail">Details</p>' });
+      const browserScraper = buildScraper({
+        renderer,
+        renderActions: [{ type: 'waitForSelector', selector: '.job' }]
+      });
+
+      const html = await browserScraper.fetchPage(url);
+
+      expect(html).toBe('<p class="detail">Details</p>');
+      expect(renderer.calls[0].options.actions).toEqual([]);
+    });
+
+    it('should parse every page collected by click pagination', async () => {
+      const renderer = new FakeRenderer({
+        [url]: { html: '<p>1</p><a class="next">&gt;</a>', click: { '.next': ['<p>2</p>'] } }
+      });
+      const browserScraper = buildScraper({ renderer });
+
+      const pages = await browserScraper.fetchAndParsePages(url, [{ type: 'paginate', selector: '.next' }]);
+
+      expect(pages.map($ => $('p').text())).toEqual(['1', '2']);
+    });
+
+    it('should retry and classify renderer failures like HTTP ones', async () => {
+      const renderer = new FakeRenderer({ [url]: { status: 404 } });
+      const browserScraper = buildScraper({ renderer });
+      jest.spyOn(console, 'error').mockImplementation();
+
+      await expect(browserScraper.fetchPage(url)).rejects.toMatchObject({ type: 'not-found', attempts: 1 });
+      console.error.mockRestore();
+    });
+
+    it('should reject renderActions for the plain HTTP renderer', () => {
+      expect(() => buildScraper({ renderActions: [{ type: 'scroll' }] }))
+        .toThrow('The http renderer does not support renderActions');
+      expect(() => buildScraper({ renderer: new FakeRenderer(), renderActions: [{ type: 'click' }] }))
+        .toThrow('Invalid renderActions: actions[0].selector is required');
+    });
+
+    it('should only replay fixtures, never record them from config', () => {
+      expect(() => buildScraper({ fixtures: { mode: 'record', name: 'portal' } }))
+        .toThrow('record them with npm run fixtures:record');
+    });
+
+    it('should close the renderer', async () => {
+      const renderer = new FakeRenderer();
+      await buildScraper({ renderer }).close();
+
+      expect(renderer.closed).toBe(true);
+    });
+  });
+
+  describe('listing pages', () => {
+    class ListScraper extends JobPortalScraper {
+      buildSearchUrl({ page = 1 }) {
+        return `https://example.com/jobs?page=${page}`;
+      }
+
+      async extractJobsFromPage($) {
+        return $('li').map((i, el) => ({
+          externalId: $(el).attr('id'),
+          title: $(el).text(),
+          company: 'Acme',
+          location: 'Remote',
+          applyLink: `https://example.com/jobs/${$(el).attr('id')}`,
+          postedAt: new Date($(el).attr('data-posted'))
+        })).get();
+      }
+    }
+
+    const list = (...ids) => ids.map(id => `<li id="${id}" data-posted="2024-03-${10 + id}">Job ${id}</li>`).join('');
+    const buildScraper = (routes, config = {}) => new ListScraper({
+      baseUrl: 'https://example.com',
+      source: 'Test Scraper',
+      renderer: new FakeRenderer(routes),
+      rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+      robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+      delayBetweenRequests: 0,
+      ...config
+    });
+
+    const routes = {
+      'https://example.com/jobs?page=1': `<ul>${list(9, 8)}</ul>`,
+      'https://example.com/jobs?page=2': `<ul>${list(7, 6)}</ul>`,
+      'https://example.com/jobs?page=3': `<ul>${list(5)}</ul>`,
+      'https://example.com/jobs?page=4': '<ul></ul>'
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('should walk pages until an empty one', async () => {
+      const listScraper = buildScraper(routes);
+
+      const stats = await listScraper.scrapePages({}, { maxPages: 10 });
+
+      expect(listScraper.jobs.map(job => job.externalId)).toEqual(['9', '8', '7', '6', '5']);
+      expect(stats).toEqual({ pages: 4, jobs: 5, stopReason: 'empty-page' });
+      expect(listScraper.getStats().pagination).toBe(stats);
+    });
+
+    it('should stop at maxPages from the scraper config or run options', async () => {
+      const listScraper = buildScraper(routes, { stopConditions: { maxPages: 2 } });
+
+      expect((await listScraper.scrapePages()).stopReason).toBe('max-pages');
+      expect(listScraper.jobs).toHaveLength(4);
+
+      listScraper.reset();
+      await listScraper.scrapePages({}, { maxPages: 1 });
+      expect(listScraper.jobs).toHaveLength(2);
+    });
+
+    it('should stop at maxJobs', async () => {
+      const listScraper = buildScraper(routes);
+
+      const stats = await listScraper.scrapePages({}, { maxPages: 10, maxJobs: 3 });
+
+      expect(listScraper.jobs.map(job => job.externalId)).toEqual(['9', '8', '7']);
+      expect(stats.stopReason).toBe('max-jobs');
+    });
+
+    it('should drop jobs posted before the cutoff and stop on a page of older jobs', async () => {
+      const listScraper = buildScraper(routes);
+
+      const stats = await listScraper.scrapePages({}, { maxPages: 10, postedAfter: '2024-03-18' });
+
+      expect(listScraper.jobs.map(job => job.externalId)).toEqual(['9', '8']);
+      expect(stats).toMatchObject({ pages: 2, stopReason: 'posted-before-cutoff' });
+    });
+
+    it('should stop when a page only repeats jobs already seen', async () => {
+      const listScraper = buildScraper({
+        ...routes,
+        'https://example.com/jobs?page=2': `<ul>${list(9, 8)}</ul>`
+      });
+
+      const stats = await listScraper.scrapePages({}, { maxPages: 10 });
+
+      expect(listScraper.jobs).toHaveLength(2);
+      expect(stats.stopReason).toBe('no-new-jobs');
+    });
+
+    it('should follow next links and never request a page twice', async () => {
+      const listScraper = buildScraper({
+        'https://example.com/jobs?page=1': `<ul>${list(9)}</ul><a rel="next" href="/jobs/b">›</a>`,
+        'https://example.com/jobs/b': `<ul>${list(8)}</ul><a rel="next" href="/jobs?page=1">›</a>`
+      }, { pagination: { type: 'next' } });
+
+      const stats = await listScraper.scrapePages({}, { maxPages: 10 });
+
+      expect(listScraper.jobs.map(job => job.externalId)).toEqual(['9', '8']);
+      expect(stats.stopReason).toBe('repeated-page');
+    });
+
+    it('should save and yield jobs page by page with running progress', async () => {
+      const listScraper = buildScraper(routes);
+      const onProgress = jest.fn();
+      mockBulkUpserts();
+
+      const pages = [];
+      for await (const page of listScraper.scrapeStream({ maxPages: 10, onProgress })) {
+        // Each page is persisted before it is yielded
+        pages.push({ ids: page.jobs.map(job => job.externalId), saves: Job.bulkWrite.mock.calls.flatMap(([operations]) => operations).length });
+      }
+
+      expect(pages).toEqual([
+        { ids: ['9', '8'], saves: 2 },
+        { ids: ['7', '6'], saves: 4 },
+        { ids: ['5'], saves: 5 }
+      ]);
+      expect(onProgress).toHaveBeenLastCalledWith({ pages: 3, jobs: 5, saved: 5, duplicates: 0, failed: 0 });
+      expect(listScraper.jobs).toEqual([]);
+    });
+
+    it('should keep pages saved before a failure', async () => {
+      const listScraper = buildScraper({
+        'https://example.com/jobs?page=1': `<ul>${list(9, 8)}</ul>`,
+        'https://example.com/jobs?page=2': { status: 410 }
+      });
+      mockBulkUpserts();
+      jest.spyOn(console, 'error').mockImplementation();
+
+      const result = await listScraper.scrapeAll({ maxPages: 3 });
+
+      expect(result.success).toBe(false);
+      expect(result.jobs).toHaveLength(2);
+      expect(result.stats).toEqual({ saved: 2, duplicates: 0, failed: 0, total: 2, encodings: {} });
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'not-found' })]);
+      console.error.mockRestore();
+    });
+
+    it('should cancel mid-run, keeping the pages already saved', async () => {
+      const listScraper = buildScraper({
+        ...routes,
+        'https://example.com/jobs?page=2': { html: `<ul>${list(7, 6)}</ul>`, delay: 60000 }
+      });
+      const controller = new AbortController();
+      mockBulkUpserts();
+      jest.spyOn(console, 'warn').mockImplementation();
+
+      // Cancel while the second page is loading
+      const onProgress = () => setTimeout(() => controller.abort(), 10);
+      const started = Date.now();
+      const result = await listScraper.scrapeAll({ maxPages: 10, signal: controller.signal, onProgress });
+
+      expect(Date.now() - started).toBeLessThan(5000);
+      expect(result).toMatchObject({ success: false, cancelled: true });
+      expect(result.stats).toEqual({ saved: 2, duplicates: 0, failed: 0, total: 2, encodings: {} });
+      expect(result.errors).toEqual([expect.objectContaining({ type: 'cancelled' })]);
+      console.warn.mockRestore();
+    });
+
+    it('should preview every page on a dry run without saving', async () => {
+      const listScraper = buildScraper(routes);
+      Job.bulkWrite = jest.fn();
+      Job.find = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([{ externalId: '7' }]) });
+
+      const result = await listScraper.scrapeAll({ maxPages: 10, dryRun: true });
+
+      expect(result).toMatchObject({ success: true, dryRun: true });
+      expect(result.stats).toEqual({ saved: 4, duplicates: 1, failed: 0, total: 5, encodings: {} });
+      expect(result.preview.insert.map(job => job.externalId)).toEqual(['9', '8', '6', '5']);
+      expect(result.preview.update.map(job => job.externalId)).toEqual(['7']);
+      expect(Job.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    it('should let consumers stop the stream early', async () => {
+      const listScraper = buildScraper(routes);
+      mockBulkUpserts();
+
+      for await (const page of listScraper.scrapeStream({ maxPages: 10 })) {
+        if (page.pageIndex === 0) break;
+      }
+
+      expect(listScraper.renderer.calls.filter(call => call.type === 'render')).toHaveLength(1);
+      expect(listScraper.progress.pages).toBe(1);
+    });
+
+    describe('with the response cache', () => {
+      const axios = require('axios');
+      const pages = {
+        'https://example.com/jobs?offset=0': { etag: '"a"', html: `<ul>${list(9, 8)}</ul>` },
+        'https://example.com/jobs?offset=2': { etag: '"b"', html: `<ul>${list(7, 6)}</ul>` },
+        'https://example.com/jobs?offset=4': { etag: '"c"', html: '<ul></ul>' }
+      };
+      let dir;
+      let responseCache;
+      let getSpy;
+
+      class OffsetScraper extends ListScraper {
+        buildSearchUrl({ offset }) {
+          return `https://example.com/jobs?offset=${offset}`;
+        }
+      }
+
+      const buildCachingScraper = (source = 'Test Scraper') => new OffsetScraper({
+        source,
+        responseCache,
+        pagination: { type: 'offset' },
+        stopConditions: { maxPages: 10 },
+        rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+        delayBetweenRequests: 1
+      });
+
+      const requestedUrls = () => getSpy.mock.calls.map(([url]) => url);
+
+      beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-cache-test-'));
+        responseCache = new ResponseCache({ dir });
+        // Pages answer 304 to a matching If-None-Match
+        getSpy = jest.spyOn(axios, 'get').mockImplementation(async (url, options) => {
+          const { etag, html } = pages[url];
+          return options.headers['If-None-Match'] === etag
+            ? { status: 304, data: '', headers: {} }
+            : { status: 200, data: html, headers: { etag } };
+        });
+        mockBulkUpserts();
+      });
+
+      afterEach(async () => {
+        getSpy.mockRestore();
+        await fs.rm(dir, { recursive: true, force: true });
+      });
+
+      it('should skip pages saved by a previous run and keep stepping offsets', async () => {
+        expect((await buildCachingScraper().scrapeAll()).jobs).toHaveLength(4);
+        getSpy.mockClear();
+
+        const rerun = buildCachingScraper();
+        const result = await rerun.scrapeAll();
+
+        expect(result.jobs).toEqual([]);
+        expect(rerun.getStats().cache).toMatchObject({ notModified: 3, skippedPages: 2 });
+        expect(requestedUrls()).toEqual(Object.keys(pages));
+      });
+
+      it('should not skip saved pages when the run enriches their jobs', async () => {
+        await buildCachingScraper().scrapeAll();
+
+        const rerun = buildCachingScraper();
+        const enrichSpy = jest.spyOn(rerun, 'enrichJobs').mockResolvedValue({ enriched: 2, skipped: 0, failed: 0 });
+        const result = await rerun.scrapeAll({ enrich: true });
+
+        expect(result.jobs).toHaveLength(4);
+        expect(enrichSpy).toHaveBeenCalledTimes(2);
+        expect(rerun.getStats().cache).toMatchObject({ notModified: 3, skippedPages: 0 });
+        expect(rerun.cacheOptions.skipUnchanged).toBe(true);
+      });
+
+      it('should not skip pages fetched without saving their jobs', async () => {
+        // A run that doesn't save and another scraper reading the same page
+        await buildCachingScraper().scrapeAll({ save: false });
+        await buildCachingScraper('Other Scraper').scrapeAll();
+        Job.bulkWrite.mockClear();
+
+        const result = await buildCachingScraper().scrapeAll();
+
+        expect(result.jobs).toHaveLength(4);
+        expect(Job.bulkWrite).toHaveBeenCalled();
+      });
+
+      it('should leave no cache entries behind after a dry run', async () => {
+        const preview = await buildCachingScraper().scrapeAll({ dryRun: true });
+        expect(preview.preview.insert).toHaveLength(4);
+        expect(await fs.readdir(dir)).toEqual([]);
+
+        const scraper = buildCachingScraper();
+        const result = await scraper.scrapeAll();
+
+        expect(result.stats.saved).toBe(4);
+        expect(scraper.getStats().cache).toMatchObject({ notModified: 0, skippedPages: 0 });
+      });
+
+      it('should not skip pages whose jobs failed to save', async () => {
+        Job.bulkWrite = jest.fn().mockRejectedValue(new Error('connection lost'));
+        jest.spyOn(console, 'error').mockImplementation();
+        await buildCachingScraper().scrapeAll();
+        console.error.mockRestore();
+        mockBulkUpserts();
+
+        const result = await buildCachingScraper().scrapeAll();
+
+        expect(result.stats.saved).toBe(4);
+      });
+    });
+
+    it('should build cursor URLs from tokens found on each page', async () => {
+      class CursorScraper extends ListScraper {
+        buildSearchUrl({ cursor }) {
+          return cursor ? `https://example.com/jobs?after=${cursor}` : 'https://example.com/jobs';
+        }
+      }
+
+      const listScraper = new CursorScraper({
+        source: 'Test Scraper',
+        renderer: new FakeRenderer({
+          'https://example.com/jobs': `<ul data-next="c2">${list(9)}</ul>`,
+          'https://example.com/jobs?after=c2': `<ul>${list(8)}</ul>`
+        }),
+        rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+        pagination: { type: 'cursor', selector: 'ul', attribute: 'data-next' },
+        stopConditions: { maxPages: 5 }
+      });
+
+      const stats = await listScraper.scrapePages();
+
+      expect(listScraper.jobs.map(job => job.externalId)).toEqual(['9', '8']);
+      expect(stats.stopReason).toBe('last-page');
+    });
+
+    it('should follow cursors of JSON APIs fetched over HTTP', async () => {
+      const axios = require('axios');
+      const api = {
+        'https://example.com/api/jobs': { jobs: [{ id: '9' }], meta: { next: 'c2' } },
+        'https://example.com/api/jobs?after=c2': { jobs: [{ id: '8' }], meta: { next: null } }
+      };
+      // HttpRenderer receives bytes and decodes them to a string
+      const getSpy = jest.spyOn(axios, 'get').mockImplementation(async (url) => ({
+        status: 200,
+        data: Buffer.from(JSON.stringify(api[url])),
+        headers: { 'content-type': 'application/json; charset=utf-8' }
+      }));
+
+      class ApiScraper extends ListScraper {
+        buildSearchUrl({ cursor }) {
+          return cursor ? `https://example.com/api/jobs?after=${cursor}` : 'https://example.com/api/jobs';
+        }
+
+        async extractJobsFromPage($, page) {
+          return page.data.jobs.map(({ id }) => ({
+            externalId: id,
+            title: `Job ${id}`,
+            company: 'Acme',
+            location: 'Remote',
+            applyLink: `https://example.com/jobs/${id}`
+          }));
+        }
+      }
+
+      const apiScraper = new ApiScraper({
+        source: 'Test Scraper',
+        cache: { enabled: false },
+        rateLimiter: { acquire: jest.fn().mockResolvedValue(0) },
+        robotsPolicy: { check: jest.fn().mockResolvedValue({ allowed: true }), waitForCrawlDelay: jest.fn() },
+        pagination: { type: 'cursor', path: 'meta.next' },
+        stopConditions: { maxPages: 5 },
+        delayBetweenRequests: 1
+      });
+
+      const stats = await apiScraper.scrapePages();
+      getSpy.mockRestore();
+
+      expect(apiScraper.jobs.map(job => job.externalId)).toEqual(['9', '8']);
+      expect(stats).toMatchObject({ pages: 2, stopReason: 'last-page' });
+    });
+  });
+
   describe('getStats()', () => {
     it('should return scraper statistics', () => {
       scraper.jobs = [{ title: 'Job 1' }, { title: 'Job 2' }];
@@ -0,0 +1,111 @@
+const LeverScraper = require('../../services/scrapers/LeverScraper');
+const { FixtureStore, fixtureDir } = require('../../services/scrapers/fixtureStore');
+
+jest.mock('../../models/Job');
+
+// Synthetic Postings API responses (fictional companies, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'lever' };
+
+describe('LeverScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new LeverScraper({ companies: ['quipu', { slug: 'selvadata', company: 'Selva Data' }], fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCompanies()', () => {
+    it('should accept slugs, objects and comma-separated strings', () => {
+      expect(LeverScraper.parseCompanies(' acme, globex ,')).toEqual([
+        { slug: 'acme', company: 'acme' },
+        { slug: 'globex', company: 'globex' }
+      ]);
+      expect(LeverScraper.parseCompanies(['acme', { slug: 'globex', company: 'Globex Corp' }])).toEqual([
+        { slug: 'acme', company: 'acme' },
+        { slug: 'globex', company: 'Globex Corp' }
+      ]);
+    });
+  });
+
+  describe('mapPosting()', () => {
+    const postingsOf = async (slug) => {
+      const store = new FixtureStore({ dir: fixtureDir(fixtures.name) });
+      const { html } = await store.get(scraper.buildPostingsUrl(slug));
+      return JSON.parse(html);
+    };
+
+    it('should map a posting to Job fields', async () => {
+      const [posting] = await postingsOf('quipu');
+
+      expect(scraper.mapPosting(posting, { slug: 'quipu', company: 'Quipu' })).toEqual({
+        title: 'Backend Engineer (Go)',
+        company: 'Quipu',
+        location: 'Lima, Peru, Santiago, Chile',
+        description: 'Join the team that moves money for 40,000 small businesses. ' +
+          'Requirements: 3+ years writing Go in production; Experience with PostgreSQL ' +
+          'Benefits: Health insurance; Learning budget We hire across Peru and Chile.',
+        applyLink: 'https://jobs.lever.co/quipu/6f1c2a9e-3b7d-4e52-9a1f-0c8d4b2e7a31',
+        externalId: 'lever-6f1c2a9e-3b7d-4e52-9a1f-0c8d4b2e7a31',
+        tags: ['Payments', 'Engineering', 'Full-time', 'Hybrid'],
+        employmentType: 'Full-time',
+        requirements: ['3+ years writing Go in production', 'Experience with PostgreSQL'],
+        salary: { min: 48000, max: 62000, currency: 'USD', unit: 'YEAR' },
+        postedAt: new Date('2024-03-11T14:00:00.000Z'),
+        postedAtInferred: false,
+        source: 'Lever'
+      });
+    });
+
+    it('should read requirements from Spanish lists and leave out a missing salary', async () => {
+      const [, posting] = await postingsOf('quipu');
+      const job = scraper.mapPosting(posting, { slug: 'quipu', company: 'Quipu' });
+
+      expect(job.requirements).toEqual(['Título de Contador Público', 'Manejo de NIIF']);
+      expect(job.tags).toEqual(['Accounting', 'Finance', 'Contract', 'On-site']);
+      expect(job).not.toHaveProperty('salary');
+    });
+  });
+
+  describe('scrape()', () => {
+    it('should read every company', async () => {
+      const result = await scraper.scrape({ save: false });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs).toHaveLength(3);
+      expect(new Set(result.jobs.map(job => job.company))).toEqual(new Set(['quipu', 'Selva Data']));
+    });
+
+    it('should match query and location against titles, teams and locations', async () => {
+      const engineers = await scraper.scrape({ save: false, query: 'engineer' });
+      expect(engineers.jobs.map(job => job.title)).toEqual(['Backend Engineer (Go)']);
+
+      const remote = await scraper.scrape({ save: false, location: 'remote' });
+      expect(remote.jobs.map(job => job.title)).toEqual(['Data Scientist']);
+
+      const chile = await scraper.scrape({ save: false, location: 'chile' });
+      expect(chile.jobs.map(job => job.title)).toEqual(['Backend Engineer (Go)']);
+    });
+
+    it('should skip a failing company and keep the others', async () => {
+      const result = await scraper.scrape({ save: false, companies: ['missing', 'selvadata'] });
+
+      expect(result.success).toBe(true);
+      expect(result.jobs).toHaveLength(1);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ company: 'missing', type: 'not-found', status: 404 })
+      ]);
+    });
+
+    it('should fail when no company can be read', async () => {
+      expect((await scraper.scrape({ save: false, companies: 'missing' })).success).toBe(false);
+      expect((await new LeverScraper({ fixtures }).scrape({ save: false })).errors[0].error)
+        .toContain('No companies configured');
+    });
+  });
+});
@@ -141,7 +141,7 @@ describe('OficinaDeTrabajoCeiScraper', () => {
 
   describe('extractPostedDate()', () => {
     it('should parse "X days ago" format', () => {
-      const $ = require('cheerio').load('<div class="posted-date">3 days ago</div>');
+      const $ = require('cheerio').load('<div class="job-card"><span class="posted-date">3 days ago</span></div>');
       const element = $('div')[0];
       const date = scraper.extractPostedDate($, element);
 
@@ -152,7 +152,7 @@ describe('OficinaDeTrabajoCeiScraper', () => {
     });
 
     it('should parse Spanish "hace X días" format', () => {
-      const $ = require('cheerio').load('<div class="posted-date">hace 5 días</div>');
+      const $ = require('cheerio').load('<div class="job-card"><span class="posted-date">hace 5 días</span></div>');
       const element = $('div')[0];
       const date = scraper.extractPostedDate($, element);
 
@@ -162,6 +162,13 @@ describe('OficinaDeTrabajoCeiScraper', () => {
       expect(date.getDate()).toBe(expectedDate.getDate());
     });
 
+    it('should read absolute dates in Chilean time', () => {
+      const $ = require('cheerio').load('<div class="job-card"><span class="posted-date">12/03/2024</span></div>');
+      const date = scraper.extractPostedDate($, $('div')[0]);
+
+      expect(date.toISOString()).toBe('2024-03-12T03:00:00.000Z');
+    });
+
     it('should return current date if no date text found', () => {
       const $ = require('cheerio').load('<div></div>');
       const element = $('div')[0];
@@ -231,10 +238,7 @@ describe('OficinaDeTrabajoCeiScraper', () => {
         data: '<html><body></body></html>'
       });
 
-      Job.updateOne.mockResolvedValue({
-        upsertedCount: 0,
-        matchedCount: 0
-      });
+      Job.bulkWrite.mockResolvedValue({ upsertedIds: {} });
 
       const result = await scraper.scrape({
         query: 'test',
@@ -248,6 +252,8 @@ describe('OficinaDeTrabajoCeiScraper', () => {
 
     it('should handle scraping errors gracefully', async () => {
       axios.get.mockRejectedValue(new Error('Network error'));
+      // Network errors are retried with backoff; don't wait it out
+      jest.spyOn(scraper, 'delay').mockResolvedValue();
 
       const result = await scraper.scrape({
         query: 'test',
@@ -0,0 +1,139 @@
+const SelectorDiscovery = require('../../services/scrapers/SelectorDiscovery');
+const cheerio = require('cheerio');
+
+jest.mock('axios');
+
+const listingPage = `
+  <html>
+    <body>
+      <nav>
+        <ul class="menu">
+          <li class="item"><a href="/">Home</a></li>
+          <li class="item"><a href="/empresas">Empresas</a></li>
+          <li class="item"><a href="/ayuda">Ayuda</a></li>
+        </ul>
+      </nav>
+      <section class="results">
+        <article class="offer">
+          <h2 class="offer-title"><a class="offer-link" href="/empleo/1">Desarrollador Backend Node.js</a></h2>
+          <span class="offer-company">Tech SA</span>
+          <span class="offer-place">Montevideo, Uruguay</span>
+          <span class="tag">Remoto</span>
+        </article>
+        <article class="offer">
+          <h2 class="offer-title"><a class="offer-link" href="/empleo/2">Analista QA Senior</a></h2>
+          <span class="offer-company">Banco Azul</span>
+          <span class="offer-place">Santiago, Chile</span>
+        </article>
+        <article class="offer">
+          <h2 class="offer-title"><a class="offer-link" href="/empleo/3">Diseñador UX/UI</a></h2>
+          <span class="offer-company">Estudio Creativo</span>
+          <span class="offer-place">Remoto</span>
+        </article>
+        <article class="offer">
+          <h2 class="offer-title"><a class="offer-link" href="/empleo/4">Data Engineer</a></h2>
+          <span class="offer-company">Retail Corp</span>
+          <span class="offer-place">Buenos Aires, Argentina</span>
+        </article>
+      </section>
+      <footer>
+        <a class="social" href="https://x.com/portal">X</a>
+        <a class="social" href="https://facebook.com/portal">Facebook</a>
+        <a class="social" href="https://linkedin.com/portal">LinkedIn</a>
+      </footer>
+    </body>
+  </html>
+`;
+
+describe('SelectorDiscovery', () => {
+  let discovery;
+
+  beforeEach(() => {
+    discovery = new SelectorDiscovery();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('analyze()', () => {
+    it('should rank the job card structure first', () => {
+      const candidates = discovery.analyze(cheerio.load(listingPage), 'https://www.portal.com/buscar');
+
+      expect(candidates.length).toBeGreaterThan(0);
+      expect(candidates[0].selectors).toEqual({
+        card: 'article.offer',
+        title: 'h2.offer-title',
+        company: 'span.offer-company',
+        location: 'span.offer-place',
+        link: 'a.offer-link@href'
+      });
+      expect(candidates[0].count).toBe(4);
+    });
+
+    it('should ignore navigation and footer link lists', () => {
+      const candidates = discovery.analyze(cheerio.load(listingPage), 'https://www.portal.com/buscar');
+      const cardSelectors = candidates.map(c => c.selectors.card);
+
+      expect(cardSelectors).not.toContain('li.item');
+      expect(cardSelectors).not.toContain('a.social');
+    });
+
+    it('should include a preview of extracted rows', () => {
+      const [best] = discovery.analyze(cheerio.load(listingPage), 'https://www.portal.com/buscar');
+
+      expect(best.preview[0]).toEqual({
+        title: 'Desarrollador Backend Node.js',
+        company: 'Tech SA',
+        location: 'Montevideo, Uruguay',
+        applyLink: 'https://www.portal.com/empleo/1'
+      });
+    });
+
+    it('should propose a draft ConfigurableScraper definition', () => {
+      const [best] = discovery.analyze(cheerio.load(listingPage), 'https://www.portal.com/buscar');
+
+      expect(best.definition).toMatchObject({
+        source: 'portal.com',
+        baseUrl: 'https://www.portal.com',
+        searchUrl: 'https://www.portal.com/buscar',
+        pagination: { type: 'none' }
+      });
+    });
+
+    it('should anchor class-less repeated rows to an identifiable ancestor', () => {
+      const $ = cheerio.load(`
+        <table id="jobs">
+          <tr><td><a href="/j/1">Backend Developer Node</a></td><td>Acme Inc</td></tr>
+          <tr><td><a href="/j/2">Frontend Developer React</a></td><td>Globex</td></tr>
+          <tr><td><a href="/j/3">DevOps Engineer AWS</a></td><td>Initech</td></tr>
+        </table>
+      `);
+
+      const candidates = discovery.analyze($, 'https://jobs.example.com/list');
+
+      expect(candidates[0].selectors.card).toBe('table#jobs > tbody > tr');
+      expect(candidates[0].preview[1].applyLink).toBe('https://jobs.example.com/j/2');
+    });
+
+    it('should return no candidates when nothing repeats', () => {
+      const $ = cheerio.load('<html><body><h1>Empty</h1><p>No jobs</p></body></html>');
+
+      expect(discovery.analyze($, 'https://example.com')).toEqual([]);
+    });
+  });
+
+  describe('discover()', () => {
+    it('should fetch the page through the base scraper', async () => {
+      const fetchAndParse = jest.fn().mockResolvedValue(cheerio.load(listingPage));
+      discovery = new SelectorDiscovery({ scraper: { fetchAndParse } });
+
+      const result = await discovery.discover('https://www.portal.com/buscar');
+
+      expect(fetchAndParse).toHaveBeenCalledWith('https://www.portal.com/buscar');
+      expect(result.definition.selectors.card).toBe('article.offer');
+    });
+  });
+});
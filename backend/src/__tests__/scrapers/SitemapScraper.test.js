@@ -0,0 +1,121 @@
+const SitemapScraper = require('../../services/scrapers/SitemapScraper');
+const Job = require('../../models/Job');
+const { ParseError } = require('../../services/scrapers/errors');
+
+jest.mock('../../models/Job');
+
+// Synthetic career site (fictional company, see the fixtures manifest): a sitemap index with
+// a nested index of job sitemaps
+const fixtures = { mode: 'replay', name: 'sitemap' };
+const SITE = 'https://www.tierraverde.com.pe';
+const ANALYST_URL = `${SITE}/empleos/analista-de-sostenibilidad-lima`;
+const PLANT_MANAGER_URL = `${SITE}/empleos/jefe-de-planta-arequipa`;
+
+describe('SitemapScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new SitemapScraper({ baseUrl: SITE, fixtures });
+    Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should name the source after the site', () => {
+    expect(scraper.source).toBe('tierraverde.com.pe');
+  });
+
+  it('should follow nested sitemap indexes and crawl the matching URLs, newest first', async () => {
+    const result = await scraper.scrape({ save: false });
+
+    expect(result.success).toBe(true);
+    expect(result.jobs.map(job => job.applyLink)).toEqual([ANALYST_URL, PLANT_MANAGER_URL]);
+    expect(scraper.getStats().sitemap).toEqual({
+      sitemaps: 4, urls: 6, matched: 3, unchanged: 0, outdated: 0, fetched: 3, notJobs: 1
+    });
+  });
+
+  it('should prefer JobPosting data and fall back to the page selectors', async () => {
+    const [analyst, plantManager] = (await scraper.scrape({ save: false })).jobs;
+
+    expect(analyst).toMatchObject({
+      title: 'Analista de Sostenibilidad',
+      company: 'Tierra Verde S.A.C.',
+      location: 'Lima, PE',
+      externalId: 'tierraverde.com.pe-TV-2024-031',
+      employmentType: 'FULL_TIME',
+      postedAt: new Date('2024-03-12T00:00:00.000Z'),
+      sourceUpdatedAt: new Date('2024-03-14T14:30:00.000Z')
+    });
+    expect(plantManager).toMatchObject({
+      title: 'Jefe de Planta',
+      company: 'Tierra Verde',
+      location: 'Arequipa, Perú',
+      description: expect.stringContaining('planta de compostaje'),
+      postedAt: new Date('2024-03-08T00:00:00.000Z'),
+      postedAtInferred: false,
+      sourceUpdatedAt: new Date('2024-03-11T00:00:00.000Z')
+    });
+  });
+
+  it('should filter URLs with include and exclude patterns', async () => {
+    scraper = new SitemapScraper({ baseUrl: SITE, fixtures, include: '/empleos/', exclude: ['arequipa'] });
+
+    expect(scraper.matchesPath(`${SITE}/empleos/`)).toBe(true);
+    expect(scraper.matchesPath(PLANT_MANAGER_URL)).toBe(false);
+    expect(scraper.matchesPath(`${SITE}/nosotros`)).toBe(false);
+    expect(() => new SitemapScraper({ baseUrl: SITE, include: '(' })).toThrow('Invalid URL pattern');
+  });
+
+  it('should skip postings whose lastmod is not newer than the stored copy', async () => {
+    Job.find.mockReturnValue({
+      lean: jest.fn().mockResolvedValue([{ applyLink: ANALYST_URL, sourceUpdatedAt: new Date('2024-03-14T14:30:00.000Z') }])
+    });
+
+    const result = await scraper.scrape({ save: false });
+
+    expect(Job.find).toHaveBeenCalledWith(
+      expect.objectContaining({ source: 'tierraverde.com.pe', applyLink: { $in: expect.arrayContaining([ANALYST_URL]) } }),
+      'applyLink sourceUpdatedAt'
+    );
+    expect(result.jobs.map(job => job.applyLink)).toEqual([PLANT_MANAGER_URL]);
+    expect(scraper.getStats().sitemap.unchanged).toBe(1);
+
+    const forced = await scraper.scrape({ save: false, force: true });
+    expect(forced.jobs).toHaveLength(2);
+  });
+
+  it('should not fetch postings last modified before postedAfter', async () => {
+    const result = await scraper.scrape({ save: false, postedAfter: '2024-03-12' });
+
+    expect(result.jobs.map(job => job.applyLink)).toEqual([ANALYST_URL]);
+    expect(scraper.getStats().sitemap).toMatchObject({ outdated: 2, fetched: 1 });
+  });
+
+  it('should stop at maxJobs', async () => {
+    const result = await scraper.scrape({ save: false, maxJobs: 1 });
+
+    expect(result.jobs.map(job => job.applyLink)).toEqual([ANALYST_URL]);
+    expect(scraper.getStats().sitemap.fetched).toBe(1);
+  });
+
+  it('should skip a failing sitemap and fail only when none can be read', async () => {
+    const partial = await scraper.scrape({ save: false, sitemaps: ['/missing-sitemap.xml', '/sitemap.xml'] });
+
+    expect(partial.success).toBe(true);
+    expect(partial.jobs).toHaveLength(2);
+    expect(partial.errors).toEqual([expect.objectContaining({ url: `${SITE}/missing-sitemap.xml`, stage: 'sitemap', status: 404 })]);
+
+    const failed = await scraper.scrape({ save: false, sitemaps: ['/missing-sitemap.xml'] });
+    expect(failed.success).toBe(false);
+  });
+
+  it('should reject documents that are not sitemaps', () => {
+    expect(() => scraper.parseSitemap('<html><body>Empleos</body></html>', SITE)).toThrow(ParseError);
+  });
+});
@@ -0,0 +1,56 @@
+const SmartRecruitersScraper = require('../../services/scrapers/SmartRecruitersScraper');
+
+jest.mock('../../models/Job');
+
+// Synthetic Posting API responses (fictional company, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'smartrecruiters' };
+
+describe('SmartRecruitersScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new SmartRecruitersScraper({ companies: ['MercadoAndino'], delayBetweenRequests: 0, fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should read every page of postings', async () => {
+    const result = await scraper.scrape({ save: false });
+
+    expect(result.success).toBe(true);
+    expect(result.jobs.map(job => job.externalId)).toEqual([
+      'smartrecruiters-744000012345671',
+      'smartrecruiters-744000012345672',
+      'smartrecruiters-744000012345673'
+    ]);
+  });
+
+  it('should map postings and link them to their job page', async () => {
+    const [, job] = (await scraper.scrape({ save: false })).jobs;
+
+    expect(job).toEqual({
+      title: 'Data Engineer',
+      company: 'Mercado Andino',
+      location: 'Lima, Lima, PE',
+      description: '',
+      applyLink: 'https://jobs.smartrecruiters.com/MercadoAndino/744000012345672',
+      externalId: 'smartrecruiters-744000012345672',
+      tags: ['Tecnología', 'Information Technology', 'Full-time', 'Associate', 'Remote'],
+      employmentType: 'Full-time',
+      postedAt: new Date('2024-03-10T09:00:00.000Z'),
+      postedAtInferred: false,
+      source: 'SmartRecruiters'
+    });
+  });
+
+  it('should fail without companies', async () => {
+    const result = await new SmartRecruitersScraper({ fixtures }).scrape({ save: false });
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].error).toContain('No companies configured');
+  });
+});
@@ -0,0 +1,52 @@
+const WorkableScraper = require('../../services/scrapers/WorkableScraper');
+
+jest.mock('../../models/Job');
+
+// Synthetic jobs widget API responses (fictional account, see the fixtures manifest)
+const fixtures = { mode: 'replay', name: 'workable' };
+
+describe('WorkableScraper', () => {
+  let scraper;
+
+  beforeEach(() => {
+    scraper = new WorkableScraper({ accounts: ['cordillera'], fixtures });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should map widget jobs and name the company from the account', async () => {
+    const result = await scraper.scrape({ save: false });
+
+    expect(result.success).toBe(true);
+    expect(result.jobs[0]).toEqual({
+      title: 'Desarrollador/a Full Stack',
+      company: 'Cordillera Salud',
+      location: 'Santiago, Chile; Concepción, Chile',
+      description: 'Construye la plataforma de agendamiento de nuestras clínicas. React Node.js',
+      applyLink: 'https://apply.workable.com/j/8E4F1A2B3C',
+      externalId: 'workable-8E4F1A2B3C',
+      tags: ['Tecnología', 'Engineering', 'Full-time'],
+      employmentType: 'Full-time',
+      postedAt: new Date('2024-03-12T00:00:00.000Z'),
+      postedAtInferred: false,
+      source: 'Workable'
+    });
+  });
+
+  it('should locate and tag remote jobs without locations as Remote', async () => {
+    const result = await scraper.scrape({ save: false, location: 'remote' });
+
+    expect(result.jobs.map(job => [job.title, job.location])).toEqual([['Customer Success Analyst', 'Remote']]);
+  });
+
+  it('should record a failing account under its subdomain', async () => {
+    const result = await scraper.scrape({ save: false, accounts: 'missing,cordillera' });
+
+    expect(result.jobs).toHaveLength(2);
+    expect(result.errors).toEqual([expect.objectContaining({ account: 'missing', status: 404 })]);
+  });
+});
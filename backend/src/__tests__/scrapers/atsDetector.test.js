@@ -0,0 +1,63 @@
+const { detectAts, detectAtsInPage } = require('../../services/scrapers/atsDetector');
+
+describe('atsDetector', () => {
+  describe('detectAts()', () => {
+    it.each([
+      ['https://boards.greenhouse.io/acme/jobs/4012345', 'greenhouse', { boards: ['acme'] }],
+      ['https://boards.greenhouse.io/embed/job_board?for=acme', 'greenhouse', { boards: ['acme'] }],
+      ['https://job-boards.eu.greenhouse.io/acme', 'greenhouse', { boards: ['acme'], baseUrl: 'https://boards-api.eu.greenhouse.io' }],
+      ['https://jobs.lever.co/acme/6f1c2a9e', 'lever', { companies: ['acme'] }],
+      ['https://jobs.eu.lever.co/acme', 'lever', { companies: ['acme'], baseUrl: 'https://api.eu.lever.co' }],
+      ['https://apply.workable.com/acme/j/8E4F1A2B3C/', 'workable', { accounts: ['acme'] }],
+      ['https://acme.workable.com/', 'workable', { accounts: ['acme'] }],
+      ['https://jobs.ashbyhq.com/acme/1b7c4e2a', 'ashby', { boards: ['acme'] }],
+      ['https://careers.smartrecruiters.com/Acme', 'smartrecruiters', { companies: ['Acme'] }],
+      ['https://api.smartrecruiters.com/v1/companies/Acme/postings', 'smartrecruiters', { companies: ['Acme'] }]
+    ])('should detect %s', (url, scraper, config) => {
+      expect(detectAts(url)).toEqual(expect.objectContaining({ scraper, config }));
+    });
+
+    it.each([
+      'https://acme.com/careers',
+      'https://apply.workable.com/j/8E4F1A2B3C',
+      'https://www.greenhouse.io/',
+      'not a url'
+    ])('should not detect %s', (url) => {
+      expect(detectAts(url)).toBeNull();
+    });
+
+    it('should keep path segments with malformed percent-encoding as they are', () => {
+      expect(detectAts('https://jobs.lever.co/%E0%A4%A')).toEqual(expect.objectContaining({
+        scraper: 'lever',
+        id: '%E0%A4%A'
+      }));
+    });
+  });
+
+  describe('detectAtsInPage()', () => {
+    it('should find embedded boards once each, in order of appearance', () => {
+      const html = `
+        <script src="//boards.greenhouse.io/embed/job_board/js?for=acme&amp;b=https://acme.com"></script>
+        <iframe src="https://boards.greenhouse.io/embed/job_board?for=acme"></iframe>
+        <a href="https://jobs.lever.co/acme-labs">Open roles</a>
+        <a href="https://www.linkedin.com/company/acme">LinkedIn</a>`;
+
+      expect(detectAtsInPage(html).map(({ scraper, id }) => `${scraper}:${id}`)).toEqual([
+        'greenhouse:acme',
+        'lever:acme-labs'
+      ]);
+    });
+
+    it('should still find boards when another link is malformed', () => {
+      const html = `
+        <a href="https://jobs.ashbyhq.com/%E0%A4%A/123">Broken</a>
+        <a href="https://jobs.lever.co/acme-labs">Open roles</a>`;
+
+      expect(detectAtsInPage(html).map(({ scraper }) => scraper)).toContain('lever');
+    });
+
+    it('should return nothing for pages without a board', () => {
+      expect(detectAtsInPage('<a href="/careers/apply">Apply</a>')).toEqual([]);
+    });
+  });
+});
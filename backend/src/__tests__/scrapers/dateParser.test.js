@@ -0,0 +1,84 @@
+const { parseDate, isValidTimezone } = require('../../services/scrapers/dateParser');
+
+// Friday 15 March 2024, 12:00 UTC (09:00 in Santiago)
+const now = new Date('2024-03-15T12:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const parse = (text, options = {}) => parseDate(text, { now, ...options });
+const iso = (text, options) => parse(text, options).date.toISOString();
+
+describe('dateParser', () => {
+  describe('relative phrases', () => {
+    it.each([
+      ['hace 3 días', 3 * DAY],
+      ['Publicado hace 2 semanas', 14 * DAY],
+      ['hace una hora', 60 * 60 * 1000],
+      ['há 5 dias', 5 * DAY],
+      ['3 dias atrás', 3 * DAY],
+      ['3 days ago', 3 * DAY],
+      ['30+ days ago', 30 * DAY],
+      ['an hour ago', 60 * 60 * 1000],
+      ['2d', 2 * DAY],
+      ['ayer', DAY],
+      ['ontem', DAY],
+      ['Yesterday', DAY],
+      ['anteayer', 2 * DAY],
+      ['just now', 0],
+      ['Hoy', 0],
+      ['recién publicado', 0],
+      ['agora mesmo', 0]
+    ])('should parse "%s"', (text, ago) => {
+      expect(parse(text)).toEqual({ date: new Date(now.getTime() - ago), inferred: false });
+    });
+
+    it('should go back calendar months and years', () => {
+      expect(iso('hace 2 meses')).toBe('2024-01-15T12:00:00.000Z');
+      expect(iso('1 year ago')).toBe('2023-03-15T12:00:00.000Z');
+    });
+  });
+
+  describe('absolute dates', () => {
+    it('should read dates without a time as midnight in the timezone', () => {
+      const santiago = { timezone: 'America/Santiago' };
+
+      expect(iso('12/03/2024', santiago)).toBe('2024-03-12T03:00:00.000Z');
+      expect(iso('2024-03-12', santiago)).toBe('2024-03-12T03:00:00.000Z');
+      expect(iso('2024-03-12')).toBe('2024-03-12T00:00:00.000Z');
+    });
+
+    it('should respect explicit offsets', () => {
+      expect(iso('2024-03-12T10:00:00-03:00', { timezone: 'Asia/Tokyo' })).toBe('2024-03-12T13:00:00.000Z');
+      expect(iso('2024-03-12T10:00:00Z')).toBe('2024-03-12T10:00:00.000Z');
+    });
+
+    it('should parse month names in Spanish, Portuguese and English', () => {
+      expect(iso('12 de marzo de 2023')).toBe('2023-03-12T00:00:00.000Z');
+      expect(iso('5 de março de 2024')).toBe('2024-03-05T00:00:00.000Z');
+      expect(iso('March 12, 2024')).toBe('2024-03-12T00:00:00.000Z');
+      expect(iso('1 ago. 2023')).toBe('2023-08-01T00:00:00.000Z');
+    });
+
+    it('should infer a missing year as the most recent past date', () => {
+      expect(iso('12 de marzo')).toBe('2024-03-12T00:00:00.000Z');
+      expect(iso('12 dic')).toBe('2023-12-12T00:00:00.000Z');
+    });
+
+    it('should read numeric dates day-first unless the locale is en-US', () => {
+      expect(iso('03/04/2024')).toBe('2024-04-03T00:00:00.000Z');
+      expect(iso('03/04/2024', { locale: 'en-US' })).toBe('2024-03-04T00:00:00.000Z');
+      expect(iso('03/25/2024')).toBe('2024-03-25T00:00:00.000Z');
+      expect(iso('15.03.24')).toBe('2024-03-15T00:00:00.000Z');
+    });
+  });
+
+  describe('fallback', () => {
+    it.each([undefined, '', 'Confidencial', '31/02/2024'])('should infer "now" from %p', (text) => {
+      expect(parse(text)).toEqual({ date: now, inferred: true });
+    });
+  });
+
+  it('should validate timezones', () => {
+    expect(isValidTimezone('America/Sao_Paulo')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+});
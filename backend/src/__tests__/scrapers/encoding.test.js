@@ -0,0 +1,50 @@
+const { normalizeEncoding, detectEncoding, decodeBody } = require('../../services/scrapers/encoding');
+
+const latin1 = (text) => Buffer.from(text, 'latin1');
+
+describe('encoding', () => {
+  describe('detectEncoding()', () => {
+    it('should prefer the BOM, then the Content-Type charset, then <meta>', () => {
+      const body = latin1('<meta charset="utf-8"><h2>Señor</h2>');
+
+      expect(detectEncoding(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), body]), 'text/html; charset=iso-8859-1'))
+        .toEqual({ encoding: 'utf-8', source: 'bom' });
+      expect(detectEncoding(body, 'text/html; charset="ISO-8859-1"')).toEqual({ encoding: 'windows-1252', source: 'header' });
+      expect(detectEncoding(body, 'text/html')).toEqual({ encoding: 'utf-8', source: 'meta' });
+    });
+
+    it('should read http-equiv meta tags', () => {
+      const body = latin1('<meta http-equiv="Content-Type" content="text/html; charset=iso-8859-15">');
+
+      expect(detectEncoding(body)).toEqual({ encoding: 'iso-8859-15', source: 'meta' });
+    });
+
+    it('should read the XML declaration of feeds', () => {
+      const body = latin1('<?xml version="1.0" encoding="ISO-8859-1"?><rss><title>Señor</title></rss>');
+
+      expect(detectEncoding(body)).toEqual({ encoding: 'windows-1252', source: 'meta' });
+    });
+
+    it('should sniff undeclared pages that are not valid UTF-8 as Windows-1252', () => {
+      expect(detectEncoding(Buffer.from('Señor'))).toEqual({ encoding: 'utf-8', source: 'sniffed' });
+      expect(detectEncoding(latin1('Señor'))).toEqual({ encoding: 'windows-1252', source: 'sniffed' });
+    });
+
+    it('should ignore unknown charset labels', () => {
+      expect(normalizeEncoding('klingon')).toBeNull();
+      expect(detectEncoding(Buffer.from('Señor'), 'text/html; charset=klingon').source).toBe('sniffed');
+    });
+  });
+
+  describe('decodeBody()', () => {
+    it('should transcode to a UTF-8 string without the BOM', () => {
+      expect(decodeBody(latin1('Diseñador \u0080'), 'text/html; charset=windows-1252'))
+        .toEqual({ html: 'Diseñador €', encoding: 'windows-1252', source: 'header' });
+      expect(decodeBody(Buffer.from('﻿Señor')).html).toBe('Señor');
+    });
+
+    it('should pass decoded strings through', () => {
+      expect(decodeBody('<html></html>', 'text/html; charset=iso-8859-1')).toEqual({ html: '<html></html>' });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const {
+  ScraperError,
+  BlockedError,
+  NotFoundError,
+  TimeoutError,
+  NetworkError,
+  RateLimitedError,
+  ServerError,
+  HttpError,
+  CancelledError,
+  parseRetryAfter,
+  classifyError,
+  summarizeErrors
+} = require('../../services/scrapers/errors');
+const { abortReason, sleep } = require('../../services/scrapers/abort');
+
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+};
+
+describe('scraper errors', () => {
+  describe('classifyError()', () => {
+    it.each([
+      [403, BlockedError, 'blocked', false],
+      [401, BlockedError, 'blocked', false],
+      [404, NotFoundError, 'not-found', false],
+      [410, NotFoundError, 'not-found', false],
+      [400, HttpError, 'http-error', false],
+      [408, TimeoutError, 'timeout', true],
+      [429, RateLimitedError, 'rate-limited', true],
+      [500, ServerError, 'server-error', true],
+      [503, ServerError, 'server-error', true]
+    ])('should classify HTTP %i', (status, ErrorClass, type, retryable) => {
+      const error = classifyError(httpError(status), 'https://portal.com/jobs');
+
+      expect(error).toBeInstanceOf(ErrorClass);
+      expect(error).toBeInstanceOf(ScraperError);
+      expect(error).toMatchObject({ type, retryable, status, url: 'https://portal.com/jobs' });
+      expect(error.message).toBe(`HTTP ${status}`);
+    });
+
+    it('should classify timeouts and network failures', () => {
+      const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+      const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+      expect(classifyError(timeout)).toBeInstanceOf(TimeoutError);
+      expect(classifyError(reset)).toMatchObject({ type: 'network', code: 'ECONNRESET', retryable: true });
+      expect(classifyError(new Error('Network error'))).toBeInstanceOf(NetworkError);
+    });
+
+    it('should classify aborted requests as cancelled, never retryable', () => {
+      const canceled = Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+      const aborted = Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+
+      expect(classifyError(canceled)).toBeInstanceOf(CancelledError);
+      expect(classifyError(aborted)).toMatchObject({ type: 'cancelled', retryable: false });
+    });
+
+    it('should read Retry-After from 429 and 503 responses', () => {
+      expect(classifyError(httpError(429, { 'retry-after': '5' })).retryAfterMs).toBe(5000);
+      expect(classifyError(httpError(503, { 'retry-after': '2' })).retryAfterMs).toBe(2000);
+    });
+
+    it('should return scraper errors unchanged', () => {
+      const error = new BlockedError('Blocked by robots.txt');
+
+      expect(classifyError(error)).toBe(error);
+    });
+  });
+
+  describe('parseRetryAfter()', () => {
+    it('should parse seconds and HTTP dates', () => {
+      const now = Date.parse('2024-01-01T00:00:00Z');
+
+      expect(parseRetryAfter('120', now)).toBe(120000);
+      expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+      expect(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now)).toBe(0);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeUndefined();
+      expect(parseRetryAfter('soon')).toBeUndefined();
+    });
+  });
+
+  describe('abort helpers', () => {
+    it('should reuse a CancelledError reason and wrap any other', () => {
+      const timeout = new CancelledError('Scrape exceeded 100ms', { code: 'RUN_TIMEOUT' });
+      const controller = new AbortController();
+      controller.abort(timeout);
+
+      expect(abortReason(controller.signal)).toBe(timeout);
+
+      const plain = new AbortController();
+      plain.abort('user left');
+      expect(abortReason(plain.signal)).toMatchObject({ type: 'cancelled', code: 'CANCELLED', message: 'user left' });
+    });
+
+    it('should stop sleeping when the signal aborts', async () => {
+      const controller = new AbortController();
+      const wait = sleep(60000, controller.signal);
+
+      controller.abort();
+
+      await expect(wait).rejects.toBeInstanceOf(CancelledError);
+      await expect(sleep(10, controller.signal)).rejects.toBeInstanceOf(CancelledError);
+    });
+  });
+
+  describe('summarizeErrors()', () => {
+    it('should count errors by type', () => {
+      expect(summarizeErrors([{ type: 'timeout' }, { type: 'timeout' }, { type: 'blocked' }, {}]))
+        .toEqual({ timeout: 2, blocked: 1, unknown: 1 });
+      expect(summarizeErrors()).toEqual({});
+    });
+  });
+});
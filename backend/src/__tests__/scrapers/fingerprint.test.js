@@ -0,0 +1,91 @@
+const {
+  normalizeText,
+  slugify,
+  canonicalizeUrl,
+  buildFingerprint,
+  buildExternalId,
+  isTimestampedExternalId
+} = require('../../services/scrapers/fingerprint');
+
+describe('fingerprint', () => {
+  describe('normalizeText()', () => {
+    it('should lowercase, strip accents and punctuation', () => {
+      expect(normalizeText('  Señor   Developer (Node.js)! ')).toBe('senor developer node js');
+    });
+
+    it('should handle empty values', () => {
+      expect(normalizeText(null)).toBe('');
+      expect(normalizeText(undefined)).toBe('');
+    });
+  });
+
+  describe('slugify()', () => {
+    it('should build dash separated slugs within the max length', () => {
+      expect(slugify('Oficina de Trabajo CEI')).toBe('oficina-de-trabajo-cei');
+      expect(slugify('A very long company name', 10)).toBe('a-very-lon');
+    });
+  });
+
+  describe('canonicalizeUrl()', () => {
+    it('should strip tracking parameters and fragments', () => {
+      expect(canonicalizeUrl('https://www.linkedin.com/jobs/view/123/?refId=abc&trackingId=xyz&position=1&pageNum=0#top'))
+        .toBe('https://linkedin.com/jobs/view/123');
+      expect(canonicalizeUrl('https://portal.com/job?id=7&utm_source=mail&utm_medium=cpc&gclid=1'))
+        .toBe('https://portal.com/job?id=7');
+    });
+
+    it('should normalise protocol, host case and parameter order', () => {
+      expect(canonicalizeUrl('http://Portal.COM/job?b=2&a=1'))
+        .toBe(canonicalizeUrl('https://portal.com/job/?a=1&b=2'));
+    });
+
+    it('should return non-URLs unchanged', () => {
+      expect(canonicalizeUrl(' not a url ')).toBe('not a url');
+      expect(canonicalizeUrl('')).toBe('');
+    });
+  });
+
+  describe('buildFingerprint()', () => {
+    const job = {
+      source: 'LinkedIn Jobs',
+      company: 'Tech Corp',
+      title: 'Backend Developer',
+      location: 'Montevideo',
+      applyLink: 'https://portal.com/job/1'
+    };
+
+    it('should be deterministic', () => {
+      expect(buildFingerprint(job)).toBe(buildFingerprint({ ...job }));
+      expect(buildFingerprint(job)).toMatch(/^[0-9a-f]{40}$/);
+    });
+
+    it('should change when any identifying field changes', () => {
+      const fingerprint = buildFingerprint(job);
+
+      for (const field of ['source', 'company', 'title', 'location', 'applyLink']) {
+        expect(buildFingerprint({ ...job, [field]: `${job[field]}2` })).not.toBe(fingerprint);
+      }
+    });
+  });
+
+  describe('buildExternalId()', () => {
+    it('should combine readable slugs with a short hash', () => {
+      const id = buildExternalId({ source: 'Test Scraper', company: 'Tech Corp', title: 'Developer' });
+
+      expect(id).toMatch(/^test-scraper-tech-corp-developer-[0-9a-f]{12}$/);
+      expect(isTimestampedExternalId(id)).toBe(false);
+    });
+
+    it('should fall back to "unknown" slugs', () => {
+      expect(buildExternalId({})).toMatch(/^unknown-unknown-unknown-[0-9a-f]{12}$/);
+    });
+  });
+
+  describe('isTimestampedExternalId()', () => {
+    it('should detect IDs generated with Date.now()', () => {
+      expect(isTimestampedExternalId('test-scraper-tech-corp-developer-1704067200000')).toBe(true);
+      expect(isTimestampedExternalId('linkedin-3812345678')).toBe(false);
+      expect(isTimestampedExternalId(undefined)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const { recordedScrapers, expectScraperToMatchFixtures } = require('../helpers/scraperFixtures');
+
+jest.mock('../../models/Job');
+
+describe('recorded scraper fixtures', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it.each(recordedScrapers())('%s should extract the jobs in its golden snapshot', async (scraperName) => {
+    await expectScraperToMatchFixtures(scraperName);
+  });
+});
@@ -0,0 +1,82 @@
+const { HostRateLimiter } = require('../../services/scrapers/hostRateLimiter');
+
+describe('HostRateLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    limiter = new HostRateLimiter({ requestsPerMinute: 60, burst: 2 });
+  });
+
+  afterEach(() => {
+    limiter.reset();
+    jest.useRealTimers();
+  });
+
+  it('should grant a burst immediately', async () => {
+    expect(await limiter.acquire('https://portal.com/a')).toBe(0);
+    expect(await limiter.acquire('https://portal.com/b')).toBe(0);
+  });
+
+  it('should queue requests beyond the burst in FIFO order', async () => {
+    const order = [];
+    const requests = ['a', 'b', 'c', 'd'].map(path =>
+      limiter.acquire(`https://portal.com/${path}`).then(waited => order.push([path, waited]))
+    );
+
+    await Promise.resolve();
+    expect(limiter.getStats().hosts['portal.com'].queueDepth).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(order.map(([path]) => path)).toEqual(['a', 'b', 'c']);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await Promise.all(requests);
+
+    expect(order).toEqual([['a', 0], ['b', 0], ['c', 1000], ['d', 2000]]);
+    expect(limiter.getStats().hosts['portal.com']).toMatchObject({
+      queueDepth: 0,
+      granted: 4,
+      throttled: 2,
+      maxWaitMs: 2000
+    });
+  });
+
+  it('should keep separate buckets per host', async () => {
+    await limiter.acquire('https://portal.com/a');
+    await limiter.acquire('https://portal.com/b');
+
+    expect(await limiter.acquire('https://other.com/a')).toBe(0);
+    expect(Object.keys(limiter.getStats().hosts)).toEqual(['portal.com', 'other.com']);
+  });
+
+  it('should apply per-host limits', async () => {
+    expect(limiter.configure('https://www.portal.com', { burst: 1 })).toEqual({ requestsPerMinute: 60, burst: 1 });
+
+    await limiter.acquire('https://www.portal.com/a');
+    const second = limiter.acquire('https://www.portal.com/b');
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(await second).toBe(1000);
+  });
+
+  it('should drop a waiter from the queue when its signal aborts', async () => {
+    await limiter.acquire('https://portal.com/a');
+    await limiter.acquire('https://portal.com/b');
+
+    const controller = new AbortController();
+    const cancelled = limiter.acquire('https://portal.com/c', { signal: controller.signal });
+    const next = limiter.acquire('https://portal.com/d');
+    controller.abort();
+
+    await expect(cancelled).rejects.toMatchObject({ type: 'cancelled' });
+    await jest.advanceTimersByTimeAsync(1000);
+    // The freed slot goes to the next waiter
+    expect(await next).toBe(1000);
+  });
+
+  it('should reject invalid limits', () => {
+    expect(() => limiter.configure('portal.com', { requestsPerMinute: 0 })).toThrow('requestsPerMinute');
+    expect(() => limiter.configure('portal.com', { burst: 1.5 })).toThrow('burst');
+  });
+});
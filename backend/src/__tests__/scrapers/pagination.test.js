@@ -0,0 +1,117 @@
+const cheerio = require('cheerio');
+const {
+  createPagination,
+  PageNumberPagination,
+  OffsetPagination,
+  NextLinkPagination,
+  CursorPagination,
+  LoadMorePagination
+} = require('../../services/scrapers/pagination');
+
+const pageOf = (html, extra = {}) => ({ url: 'https://portal.com/jobs', $: cheerio.load(html), data: null, jobs: [], ...extra });
+
+describe('pagination strategies', () => {
+  describe('createPagination()', () => {
+    it('should build strategies from names and specs', () => {
+      expect(createPagination()).toBeInstanceOf(PageNumberPagination);
+      expect(createPagination({ type: 'offset', step: 25 }).step).toBe(25);
+      expect(createPagination('next')).toBeInstanceOf(NextLinkPagination);
+    });
+
+    it('should pass instances through and reject unknown types', () => {
+      const strategy = new LoadMorePagination();
+
+      expect(createPagination(strategy)).toBe(strategy);
+      expect(() => createPagination('infinite')).toThrow('Unknown pagination type: infinite');
+    });
+  });
+
+  describe('PageNumberPagination', () => {
+    it('should count pages from start by step', () => {
+      const strategy = new PageNumberPagination({ start: 0, step: 2, key: 'p' });
+
+      expect(strategy.first()).toEqual({ p: 0 });
+      expect(strategy.next(pageOf('', { params: { p: 2 } }))).toEqual({ p: 4 });
+    });
+  });
+
+  describe('OffsetPagination', () => {
+    it('should advance by the fixed step', () => {
+      const strategy = new OffsetPagination({ step: 25, key: 'start' });
+
+      expect(strategy.first()).toEqual({ start: 0 });
+      expect(strategy.next(pageOf('', { params: { start: 25 } }))).toEqual({ start: 50 });
+    });
+
+    it('should advance by the jobs found when no step is set', () => {
+      const strategy = new OffsetPagination();
+
+      expect(strategy.next(pageOf('', { params: { offset: 0 }, jobs: [{}, {}, {}] }))).toEqual({ offset: 3 });
+      expect(strategy.next(pageOf('', { params: { offset: 3 }, jobs: [] }))).toBeNull();
+    });
+  });
+
+  describe('NextLinkPagination', () => {
+    it('should follow rel="next" links relative to the page URL', () => {
+      const strategy = new NextLinkPagination();
+
+      expect(strategy.next(pageOf('<a rel="next" href="/jobs?page=2">Next</a>')))
+        .toEqual({ url: 'https://portal.com/jobs?page=2' });
+    });
+
+    it('should use a custom selector and stop without a usable link', () => {
+      const strategy = new NextLinkPagination({ selector: 'a.siguiente' });
+
+      expect(strategy.next(pageOf('<a class="siguiente" href="p/3">›</a>'))).toEqual({ url: 'https://portal.com/p/3' });
+      expect(strategy.next(pageOf('<a class="siguiente" href="#">›</a>'))).toBeNull();
+      expect(strategy.next(pageOf('<p>last page</p>'))).toBeNull();
+    });
+  });
+
+  describe('CursorPagination', () => {
+    it('should read the next token from a JSON path', () => {
+      const strategy = new CursorPagination({ path: 'meta.next' });
+      const { data } = strategy.parse({ meta: { next: 'abc' } });
+
+      expect(strategy.first()).toEqual({});
+      expect(strategy.next(pageOf('', { params: {}, data }))).toEqual({ cursor: 'abc' });
+      expect(strategy.next(pageOf('', { params: { cursor: 'abc' }, data }))).toBeNull();
+    });
+
+    it('should parse JSON bodies that arrive as text', () => {
+      const strategy = new CursorPagination({ path: 'meta.next' });
+
+      expect(strategy.parse(' {"meta":{"next":"abc"}}').data).toEqual({ meta: { next: 'abc' } });
+      expect(strategy.parse('<ul><li>1</li></ul>').data).toBeNull();
+      expect(strategy.parse('{ not json').data).toBeNull();
+    });
+
+    it('should read the token from an element attribute', () => {
+      const strategy = new CursorPagination({ selector: '[data-cursor]', attribute: 'data-cursor', key: 'after' });
+
+      expect(strategy.next(pageOf('<div data-cursor="t2"></div>', { params: {} }))).toEqual({ after: 't2' });
+      expect(strategy.next(pageOf('<div></div>', { params: {} }))).toBeNull();
+    });
+
+    it('should require a way to read the token', () => {
+      expect(() => new CursorPagination()).toThrow('CursorPagination needs a path, selector or extract function');
+    });
+  });
+
+  describe('LoadMorePagination', () => {
+    it('should parse the HTML fragment of a JSON response', () => {
+      const strategy = new LoadMorePagination();
+      const { $, data } = strategy.parse('{"html":"<li class=\\"job\\">A</li>","hasMore":true}');
+
+      expect($('.job').text()).toBe('A');
+      expect(data.hasMore).toBe(true);
+    });
+
+    it('should stop when the API reports no more results', () => {
+      const strategy = new LoadMorePagination({ step: 10 });
+
+      expect(strategy.next(pageOf('', { params: { offset: 0 }, data: { hasMore: true } }))).toEqual({ offset: 10 });
+      expect(strategy.next(pageOf('', { params: { offset: 10 }, data: { hasMore: false } }))).toBeNull();
+    });
+  });
+});
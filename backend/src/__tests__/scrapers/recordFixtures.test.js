@@ -0,0 +1,28 @@
+const { parseArgs } = require('../../services/scrapers/recordFixtures');
+
+describe('recordFixtures', () => {
+  describe('parseArgs()', () => {
+    it('should parse numbers and plain strings', () => {
+      expect(parseArgs(['--query', 'desarrollador', '--max-pages', '3'])).toEqual({
+        query: 'desarrollador',
+        maxPages: 3
+      });
+    });
+
+    it('should split comma-separated list options', () => {
+      expect(parseArgs(['--boards', 'andestech,pampalabs'])).toEqual({ boards: ['andestech', 'pampalabs'] });
+      expect(parseArgs(['--sitemaps', 'https://www.tierraverde.com.pe/sitemap.xml', '--force', 'true'])).toEqual({
+        sitemaps: ['https://www.tierraverde.com.pe/sitemap.xml'],
+        force: true
+      });
+      // Not a list option: commas are kept
+      expect(parseArgs(['--query', 'node, react'])).toEqual({ query: 'node, react' });
+    });
+
+    it('should parse JSON values for entries with more fields', () => {
+      const companies = ['quipu', { slug: 'selvadata', company: 'Selva Data' }];
+
+      expect(parseArgs(['--companies', JSON.stringify(companies)])).toEqual({ companies });
+    });
+  });
+});
@@ -0,0 +1,318 @@
+const {
+  createRenderer,
+  validateActions,
+  runActions,
+  HttpRenderer,
+  PuppeteerRenderer,
+  FakeRenderer,
+  ReplayRenderer,
+  createFixtureRenderer
+} = require('../../services/scrapers/renderers');
+const axios = require('axios');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios');
+
+describe('renderers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRenderer()', () => {
+    it('should build renderers by name or spec object', () => {
+      expect(createRenderer()).toBeInstanceOf(HttpRenderer);
+      expect(createRenderer('puppeteer')).toBeInstanceOf(PuppeteerRenderer);
+      expect(createRenderer({ type: 'fake', routes: { 'https://a.com/': '<p>hi</p>' } }).routes)
+        .toEqual({ 'https://a.com/': '<p>hi</p>' });
+    });
+
+    it('should pass renderer instances through', () => {
+      const renderer = new FakeRenderer();
+      expect(createRenderer(renderer)).toBe(renderer);
+    });
+
+    it('should reject unknown renderers', () => {
+      expect(() => createRenderer('phantom')).toThrow('Unknown renderer: phantom');
+    });
+  });
+
+  describe('validateActions()', () => {
+    it('should accept supported actions', () => {
+      expect(validateActions([
+        { type: 'waitForSelector', selector: '.job' },
+        { type: 'scroll', times: 2 },
+        { type: 'paginate', selector: '.next' }
+      ])).toEqual([]);
+    });
+
+    it('should report unknown types, missing selectors and repeated pagination', () => {
+      const errors = validateActions([
+        { type: 'hover', selector: '.x' },
+        { type: 'click' },
+        { type: 'paginate', selector: '.a' },
+        { type: 'paginate', selector: '.b' }
+      ]);
+
+      expect(errors).toEqual([
+        expect.stringContaining('actions[0].type must be one of'),
+        'actions[1].selector is required',
+        'only one paginate action is allowed'
+      ]);
+    });
+  });
+
+  describe('HttpRenderer', () => {
+    it('should fetch with browser-like headers and return the body', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: '<html></html>', headers: { etag: '"1"' } });
+
+      const result = await new HttpRenderer().render('https://a.com/jobs', {
+        userAgent: 'TestAgent',
+        timeout: 5000,
+        headers: { 'If-None-Match': '"0"' }
+      });
+
+      expect(result).toEqual({ html: '<html></html>', status: 200, headers: { etag: '"1"' } });
+      const [url, options] = axios.get.mock.calls[0];
+      expect(url).toBe('https://a.com/jobs');
+      expect(options.timeout).toBe(5000);
+      expect(options.headers).toMatchObject({ 'User-Agent': 'TestAgent', 'If-None-Match': '"0"' });
+      expect(options.validateStatus(304)).toBe(false);
+    });
+
+    it('should decode the body from its declared charset', async () => {
+      axios.get.mockResolvedValue({
+        status: 200,
+        data: Buffer.from('<meta charset="windows-1252"><h2>Se\u00f1or</h2>', 'latin1'),
+        headers: { 'content-type': 'text/html' }
+      });
+
+      const result = await new HttpRenderer().render('https://a.com/jobs', {});
+
+      expect(result.html).toBe('<meta charset="windows-1252"><h2>Señor</h2>');
+      expect(result.encoding).toBe('windows-1252');
+    });
+  });
+
+  describe('FakeRenderer', () => {
+    it('should load more content on scroll until nothing changes', async () => {
+      const renderer = new FakeRenderer({
+        'https://a.com/jobs': {
+          html: '<ul><li class="job">1</li></ul>',
+          scroll: ['<ul><li class="job">1</li><li class="job">2</li></ul>']
+        }
+      });
+
+      const { html } = await renderer.render('https://a.com/jobs', {
+        actions: [{ type: 'scroll', times: 5 }]
+      });
+
+      expect(html).toContain('>2<');
+      expect(renderer.calls.filter(call => call.type === 'scroll')).toHaveLength(2);
+    });
+
+    it('should collect every page when paginating by click', async () => {
+      const renderer = new FakeRenderer({
+        'https://a.com/jobs': {
+          html: '<p>page 1</p><a class="next">next</a>',
+          click: { '.next': ['<p>page 2</p><a class="next">next</a>', '<p>page 3</p>'] }
+        }
+      });
+
+      const { pages } = await renderer.render('https://a.com/jobs', {
+        actions: [{ type: 'paginate', selector: '.next', maxPages: 5, waitForSelector: 'p' }]
+      });
+
+      expect(pages).toEqual([
+        '<p>page 1</p><a class="next">next</a>',
+        '<p>page 2</p><a class="next">next</a>',
+        '<p>page 3</p>'
+      ]);
+    });
+
+    it('should stop paginating at maxPages', async () => {
+      const renderer = new FakeRenderer({
+        'https://a.com/jobs': { html: '<a class="next">1</a>', click: { '.next': ['<a class="next">2</a>', '<a class="next">3</a>'] } }
+      });
+
+      const { pages } = await renderer.render('https://a.com/jobs', {
+        actions: [{ type: 'paginate', selector: '.next', maxPages: 2 }]
+      });
+
+      expect(pages).toHaveLength(2);
+    });
+
+    it('should fail when a selector never appears', async () => {
+      const renderer = new FakeRenderer({ 'https://a.com/jobs': '<div id="app"></div>' });
+
+      await expect(renderer.render('https://a.com/jobs', {
+        actions: [{ type: 'waitForSelector', selector: '.job', timeout: 100 }]
+      })).rejects.toThrow('Waiting for selector `.job` failed');
+    });
+
+    it('should throw axios-style errors for error statuses and unknown URLs', async () => {
+      const renderer = new FakeRenderer({ 'https://a.com/gone': { status: 410 } });
+
+      await expect(renderer.render('https://a.com/gone')).rejects.toMatchObject({ response: { status: 410 } });
+      await expect(renderer.render('https://a.com/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    });
+  });
+
+  describe('fixture renderers', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-fixtures-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should replay recorded pages, including error statuses', async () => {
+      const recorder = createFixtureRenderer(new FakeRenderer({
+        'https://a.com/jobs': { html: '<li>1</li>', headers: { 'content-type': 'text/html' } },
+        'https://a.com/gone': { status: 410 }
+      }), { mode: 'record', name: 'portal' }, dir);
+
+      await recorder.render('https://a.com/jobs');
+      await expect(recorder.render('https://a.com/gone')).rejects.toMatchObject({ response: { status: 410 } });
+      expect(recorder.recorded).toBe(2);
+
+      const replay = createFixtureRenderer(null, { mode: 'replay', name: 'portal' }, dir);
+
+      expect(replay).toBeInstanceOf(ReplayRenderer);
+      expect(await replay.render('https://a.com/jobs')).toMatchObject({
+        html: '<li>1</li>',
+        status: 200,
+        headers: { 'content-type': 'text/html' }
+      });
+      await expect(replay.render('https://a.com/gone')).rejects.toMatchObject({ response: { status: 410 } });
+    });
+
+    it('should answer 404 for pages that were never recorded', async () => {
+      const replay = createFixtureRenderer(null, { mode: 'replay', name: 'portal' }, dir);
+
+      await expect(replay.render('https://a.com/new')).rejects.toMatchObject({
+        code: 'FIXTURE_MISSING',
+        response: { status: 404 }
+      });
+      expect(replay.missing).toEqual(['https://a.com/new']);
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => createFixtureRenderer(null, { mode: 'live', name: 'portal' }, dir)).toThrow('Unknown fixtures mode: live');
+    });
+
+    it('should keep fixture sets inside the fixtures root', () => {
+      expect(() => createFixtureRenderer(null, { mode: 'replay', name: '../../tmp' })).toThrow('Invalid fixture set name');
+      expect(() => createFixtureRenderer(null, { mode: 'replay', dir })).toThrow('Invalid fixture set name');
+    });
+  });
+
+  describe('runActions()', () => {
+    it('should click and wait for the result', async () => {
+      const page = {
+        click: jest.fn(),
+        waitForSelector: jest.fn(),
+        wait: jest.fn()
+      };
+
+      const pages = await runActions(page, [
+        { type: 'click', selector: '.accept-cookies', waitForSelector: '.job', delay: 200 }
+      ]);
+
+      expect(pages).toBeNull();
+      expect(page.click).toHaveBeenCalledWith('.accept-cookies');
+      expect(page.waitForSelector).toHaveBeenCalledWith('.job', 10000);
+      expect(page.wait).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('PuppeteerRenderer', () => {
+    const buildPuppeteer = (status = 200) => {
+      const page = {
+        setUserAgent: jest.fn(),
+        setExtraHTTPHeaders: jest.fn(),
+        goto: jest.fn().mockResolvedValue({ status: () => status, headers: () => ({}) }),
+        waitForSelector: jest.fn(),
+        content: jest.fn().mockResolvedValue('<div class="job">rendered</div>'),
+        close: jest.fn().mockResolvedValue()
+      };
+      const browser = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn() };
+      const puppeteer = { launch: jest.fn().mockResolvedValue(browser), connect: jest.fn() };
+
+      return { puppeteer, browser, page };
+    };
+
+    it('should launch the browser once and render pages after running actions', async () => {
+      const { puppeteer, browser, page } = buildPuppeteer();
+      const renderer = new PuppeteerRenderer({ puppeteer, executablePath: '/usr/bin/chromium' });
+
+      const result = await renderer.render('https://a.com/jobs', {
+        userAgent: 'TestAgent',
+        timeout: 5000,
+        actions: [{ type: 'waitForSelector', selector: '.job' }]
+      });
+      await renderer.render('https://a.com/jobs?p=2');
+
+      expect(result.html).toBe('<div class="job">rendered</div>');
+      expect(puppeteer.launch).toHaveBeenCalledTimes(1);
+      expect(puppeteer.launch).toHaveBeenCalledWith(expect.objectContaining({ executablePath: '/usr/bin/chromium' }));
+      expect(page.setUserAgent).toHaveBeenCalledWith('TestAgent');
+      expect(page.goto).toHaveBeenCalledWith('https://a.com/jobs', { waitUntil: 'networkidle2', timeout: 5000 });
+      expect(page.waitForSelector).toHaveBeenCalledWith('.job', { timeout: 10000 });
+      expect(page.close).toHaveBeenCalledTimes(2);
+
+      await renderer.close();
+      expect(browser.close).toHaveBeenCalled();
+    });
+
+    it('should connect to a running browser when given an endpoint', async () => {
+      const { puppeteer, browser } = buildPuppeteer();
+      puppeteer.connect.mockResolvedValue({ ...browser, disconnect: jest.fn() });
+      const renderer = new PuppeteerRenderer({ puppeteer, browserWSEndpoint: 'ws://localhost:9222/devtools' });
+
+      await renderer.render('https://a.com/jobs');
+
+      expect(puppeteer.connect).toHaveBeenCalledWith({ browserWSEndpoint: 'ws://localhost:9222/devtools' });
+      expect(puppeteer.launch).not.toHaveBeenCalled();
+    });
+
+    it('should throw axios-style errors for error statuses and still close the page', async () => {
+      const { puppeteer, page } = buildPuppeteer(503);
+      const renderer = new PuppeteerRenderer({ puppeteer, executablePath: '/usr/bin/chromium' });
+
+      await expect(renderer.render('https://a.com/jobs')).rejects.toMatchObject({ response: { status: 503 } });
+      expect(page.close).toHaveBeenCalled();
+    });
+
+    it('should require a browser to launch or connect to', async () => {
+      const renderer = new PuppeteerRenderer({ puppeteer: {} });
+      // Ignore any browser configured in the environment
+      renderer.executablePath = undefined;
+      renderer.browserWSEndpoint = undefined;
+
+      await expect(renderer.render('https://a.com/jobs')).rejects.toThrow('PuppeteerRenderer needs executablePath');
+      await expect(renderer.render('https://a.com/jobs')).rejects.toMatchObject({
+        type: 'config',
+        retryable: false,
+        code: 'BROWSER_NOT_CONFIGURED'
+      });
+    });
+
+    it('should report a browser that fails to launch as a configuration error', async () => {
+      const { puppeteer } = buildPuppeteer();
+      puppeteer.launch.mockRejectedValue(new Error('Browser was not found at the configured executablePath (/opt/none)'));
+      const renderer = new PuppeteerRenderer({ puppeteer, executablePath: '/opt/none' });
+
+      await expect(renderer.render('https://a.com/jobs')).rejects.toMatchObject({
+        type: 'config',
+        retryable: false,
+        code: 'BROWSER_LAUNCH_FAILED',
+        message: expect.stringContaining('Could not launch browser at /opt/none')
+      });
+    });
+  });
+});
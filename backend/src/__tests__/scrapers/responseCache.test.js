@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { ResponseCache } = require('../../services/scrapers/responseCache');
+
+describe('ResponseCache', () => {
+  let dir;
+  let cache;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-test-'));
+    cache = new ResponseCache({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should store and read entries by URL', async () => {
+    await cache.set('https://portal.com/jobs?page=1', { body: '<html></html>', etag: '"abc"' });
+
+    const entry = await cache.get('https://portal.com/jobs?page=1');
+
+    expect(entry).toMatchObject({ url: 'https://portal.com/jobs?page=1', body: '<html></html>', etag: '"abc"' });
+    expect(entry.storedAt).toEqual(expect.any(Number));
+    expect(await cache.get('https://portal.com/jobs?page=2')).toBeNull();
+  });
+
+  it('should keep entries of different scopes apart', async () => {
+    await cache.set('https://portal.com/jobs', { body: 'a' }, 'Portal');
+
+    expect(await cache.get('https://portal.com/jobs', 'Portal')).toMatchObject({ body: 'a', scope: 'Portal' });
+    expect(await cache.get('https://portal.com/jobs', 'Selector Discovery')).toBeNull();
+    expect(await cache.get('https://portal.com/jobs')).toBeNull();
+  });
+
+  it('should mark saved jobs only on the body they were read from', async () => {
+    await cache.set('https://portal.com/jobs', { body: 'v2', etag: '"v2"' }, 'Portal');
+
+    expect(await cache.markSaved('https://portal.com/jobs', 'v1', 3, 'Portal')).toBeNull();
+    expect((await cache.get('https://portal.com/jobs', 'Portal')).savedJobs).toBeUndefined();
+
+    await cache.markSaved('https://portal.com/jobs', 'v2', 3, 'Portal');
+    expect(await cache.get('https://portal.com/jobs', 'Portal')).toMatchObject({ body: 'v2', etag: '"v2"', savedJobs: 3 });
+  });
+
+  it('should refresh storedAt on touch', async () => {
+    const stored = await cache.set('https://portal.com/jobs', { body: 'x', storedAt: 1 });
+
+    const touched = await cache.touch('https://portal.com/jobs', stored);
+
+    expect(touched.storedAt).toBeGreaterThan(1);
+    expect((await cache.get('https://portal.com/jobs')).storedAt).toBe(touched.storedAt);
+  });
+
+  it('should treat corrupt entries as misses', async () => {
+    await fs.writeFile(cache.fileFor('https://portal.com/jobs'), '{not json');
+
+    expect(await cache.get('https://portal.com/jobs')).toBeNull();
+  });
+
+  it('should delete and clear entries', async () => {
+    await cache.set('https://portal.com/a', { body: 'a' });
+    await cache.set('https://portal.com/b', { body: 'b' });
+
+    await cache.delete('https://portal.com/a');
+    expect(await cache.get('https://portal.com/a')).toBeNull();
+
+    await cache.clear();
+    expect(await cache.get('https://portal.com/b')).toBeNull();
+  });
+});
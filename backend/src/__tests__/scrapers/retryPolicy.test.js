@@ -0,0 +1,37 @@
+const { backoffDelay, getRetryDelay } = require('../../services/scrapers/retryPolicy');
+const { NotFoundError, ServerError, RateLimitedError } = require('../../services/scrapers/errors');
+
+describe('retryPolicy', () => {
+  describe('backoffDelay()', () => {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+
+    it('should grow exponentially with jitter', () => {
+      expect(backoffDelay(1, options, () => 0)).toBe(500);
+      expect(backoffDelay(1, options, () => 0.999)).toBe(1000);
+      expect(backoffDelay(2, options, () => 0)).toBe(1000);
+      expect(backoffDelay(3, options, () => 0)).toBe(2000);
+    });
+
+    it('should cap the delay', () => {
+      expect(backoffDelay(10, options, () => 0.999)).toBeLessThanOrEqual(5000);
+      expect(backoffDelay(10, options, () => 0)).toBe(2500);
+    });
+  });
+
+  describe('getRetryDelay()', () => {
+    it('should not retry permanent failures', () => {
+      expect(getRetryDelay(new NotFoundError('HTTP 404'), 1)).toBeNull();
+    });
+
+    it('should back off on retryable failures', () => {
+      expect(getRetryDelay(new ServerError('HTTP 500'), 2, { baseDelay: 100 }, () => 0)).toBe(100);
+    });
+
+    it('should honour Retry-After within the allowed maximum', () => {
+      const error = new RateLimitedError('HTTP 429', { retryAfterMs: 3000 });
+
+      expect(getRetryDelay(error, 1)).toBe(3000);
+      expect(getRetryDelay(error, 1, { maxRetryAfter: 1000 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const { parseRobotsTxt, selectGroup, findRule, RobotsPolicy } = require('../../services/scrapers/robotsPolicy');
+
+jest.mock('axios');
+
+const robotsTxt = `
+# Example
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+Crawl-delay: 1
+
+User-agent: BadBot
+User-agent: OtherBot
+Disallow: /
+
+User-agent: JobPersonalisePortalBot
+Disallow: /search?
+Crawl-delay: 3
+`;
+
+describe('robotsPolicy', () => {
+  describe('parseRobotsTxt()', () => {
+    it('should group rules under consecutive user agents', () => {
+      const groups = parseRobotsTxt(robotsTxt);
+
+      expect(groups).toHaveLength(3);
+      expect(groups[0]).toMatchObject({ agents: ['*'], crawlDelay: 1 });
+      expect(groups[0].rules).toHaveLength(3);
+      expect(groups[1].agents).toEqual(['badbot', 'otherbot']);
+      expect(groups[1].rules).toEqual([{ allow: false, path: '/' }]);
+    });
+
+    it('should ignore empty Disallow lines and rules before any user agent', () => {
+      const groups = parseRobotsTxt('Disallow: /orphan\nUser-agent: *\nDisallow:');
+
+      expect(groups).toEqual([{ agents: ['*'], rules: [], crawlDelay: null }]);
+    });
+  });
+
+  describe('selectGroup()', () => {
+    const groups = parseRobotsTxt(robotsTxt);
+
+    it('should prefer the most specific matching user agent', () => {
+      expect(selectGroup(groups, 'JobPersonalisePortalBot')).toMatchObject({
+        agent: 'jobpersonaliseportalbot',
+        crawlDelay: 3
+      });
+    });
+
+    it('should match the product token exactly and case-insensitively', () => {
+      const agentGroups = parseRobotsTxt('User-agent: Portal\nDisallow: /a\n\nUser-agent: JOBPERSONALISEPORTALBOT/2.1\nDisallow: /b');
+
+      expect(selectGroup(agentGroups, 'JobPersonalisePortalBot')).toMatchObject({
+        agent: 'jobpersonaliseportalbot',
+        rules: [{ allow: false, path: '/b' }]
+      });
+      expect(selectGroup(groups, 'JobPersonalisePortalBotBeta').agent).toBe('*');
+    });
+
+    it('should fall back to the wildcard group', () => {
+      expect(selectGroup(groups, 'GenericCrawler').agent).toBe('*');
+      expect(selectGroup([], 'GenericCrawler').rules).toEqual([]);
+    });
+  });
+
+  describe('findRule()', () => {
+    const { rules } = selectGroup(parseRobotsTxt(robotsTxt), 'GenericCrawler');
+
+    it('should let the longest match win', () => {
+      expect(findRule(rules, '/private/page')).toMatchObject({ allow: false });
+      expect(findRule(rules, '/private/public/page')).toMatchObject({ allow: true });
+      expect(findRule(rules, '/jobs')).toBeNull();
+    });
+
+    it('should support wildcards and end anchors', () => {
+      expect(findRule(rules, '/files/offer.pdf')).toMatchObject({ allow: false });
+      expect(findRule(rules, '/files/offer.pdf?download=1')).toBeNull();
+    });
+  });
+
+  describe('RobotsPolicy', () => {
+    let policy;
+
+    beforeEach(() => {
+      policy = new RobotsPolicy();
+      jest.clearAllMocks();
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should check URLs against the cached robots.txt', async () => {
+      axios.get.mockResolvedValue({ status: 200, data: robotsTxt });
+
+      const blocked = await policy.check('https://portal.com/search?q=node');
+      const allowed = await policy.check('https://portal.com/jobs/1');
+
+      expect(blocked).toMatchObject({ allowed: false, reason: 'Disallow: /search?', crawlDelay: 3 });
+      expect(allowed).toMatchObject({ allowed: true, robotsUrl: 'https://portal.com/robots.txt' });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get.mock.calls[0][0]).toBe('https://portal.com/robots.txt');
+    });
+
+    it('should allow everything when robots.txt is missing', async () => {
+      axios.get.mockResolvedValue({ status: 404, data: 'Not found' });
+
+      expect((await policy.check('https://portal.com/private')).allowed).toBe(true);
+    });
+
+    it('should parse only the first 500 KiB of an oversized robots.txt', async () => {
+      const oversized = `User-agent: *\nDisallow: /private\n#${'x'.repeat(600 * 1024)}\nDisallow: /\n`;
+      axios.get.mockResolvedValue({ status: 200, data: Readable.from([Buffer.from(oversized)]) });
+
+      expect((await policy.check('https://portal.com/private')).allowed).toBe(false);
+      expect((await policy.check('https://portal.com/jobs')).allowed).toBe(true);
+    });
+
+    it('should block the host when robots.txt is unreachable', async () => {
+      axios.get.mockRejectedValue(new Error('ECONNRESET'));
+
+      const decision = await policy.check('https://portal.com/jobs');
+
+      expect(decision.allowed).toBe(false);
+      expect(decision.reason).toContain('ECONNRESET');
+    });
+
+    it('should space requests to the same host by the Crawl-delay', async () => {
+      jest.useFakeTimers();
+
+      await policy.waitForCrawlDelay('https://portal.com/a', 2);
+      const second = policy.waitForCrawlDelay('https://portal.com/b', 2);
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(await second).toBe(2000);
+      expect(await policy.waitForCrawlDelay('https://other.com/a', 2)).toBe(0);
+
+      jest.useRealTimers();
+    });
+  });
+});
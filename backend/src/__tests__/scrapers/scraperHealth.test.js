@@ -0,0 +1,113 @@
+const { ScraperHealthMonitor, measureFillRates } = require('../../services/scrapers/scraperHealth');
+
+const job = (extra = {}) => ({
+  title: 'Developer',
+  company: 'Acme',
+  location: 'Santiago',
+  description: 'Build things',
+  postedAt: new Date('2024-03-10'),
+  applyLink: 'https://portal.com/jobs/1',
+  ...extra
+});
+
+const jobs = (count, extra) => Array.from({ length: count }, () => job(extra));
+
+describe('ScraperHealthMonitor', () => {
+  let monitor;
+
+  const recordHealthyRuns = (count = 3) => {
+    for (let i = 0; i < count; i++) {
+      monitor.record('portal', { id: `run-${i}`, status: 'completed', jobs: jobs(20), pages: 2 });
+    }
+  };
+
+  beforeEach(() => {
+    monitor = new ScraperHealthMonitor({ window: 5 });
+  });
+
+  describe('measureFillRates()', () => {
+    it('should count filled fields, ignoring invalid dates', () => {
+      const rates = measureFillRates([job(), job({ company: '', postedAt: new Date('nope') })]);
+
+      expect(rates).toMatchObject({ title: 1, company: 0.5, postedAt: 0.5 });
+      expect(measureFillRates([])).toEqual({});
+    });
+  });
+
+  it('should report unknown health before any run', () => {
+    expect(monitor.getHealth('portal')).toMatchObject({ status: 'unknown', baseline: null, lastRun: null, trend: [] });
+  });
+
+  it('should learn a baseline from healthy runs', () => {
+    recordHealthyRuns(2);
+    expect(monitor.getBaseline('portal')).toBeNull();
+
+    recordHealthyRuns(1);
+    expect(monitor.getBaseline('portal')).toEqual({
+      runs: 3,
+      jobsPerPage: 10,
+      fillRates: { title: 1, company: 1, location: 1, description: 1, postedAt: 1, applyLink: 1 }
+    });
+    expect(monitor.getHealth('portal').status).toBe('healthy');
+  });
+
+  it('should flag a successful run without jobs', () => {
+    const first = monitor.record('portal', { id: 'new', status: 'completed', jobs: [], pages: 1 });
+    expect(first.alerts).toEqual([expect.objectContaining({ type: 'no-jobs', severity: 'warning' })]);
+
+    recordHealthyRuns();
+    monitor.record('portal', { id: 'drifted', status: 'completed', jobs: [], pages: 1 });
+
+    expect(monitor.getHealth('portal')).toMatchObject({
+      status: 'failing',
+      alerts: [expect.objectContaining({ type: 'no-jobs', severity: 'critical' })]
+    });
+  });
+
+  it('should treat a run that skipped only unchanged content as neutral', () => {
+    recordHealthyRuns();
+
+    const skipped = monitor.record('portal', { id: 'unchanged', status: 'completed', jobs: [], pages: 0, skippedPages: 2 });
+    const sitemap = monitor.record('portal', { id: 'lastmod', status: 'completed', jobs: [], pages: 0, unchanged: 40 });
+
+    expect(skipped).toMatchObject({ neutral: true, skipped: 2, alerts: [] });
+    expect(sitemap).toMatchObject({ neutral: true, skipped: 40, alerts: [] });
+    expect(monitor.getHealth('portal').status).toBe('healthy');
+    expect(monitor.getBaseline('portal')).toMatchObject({ runs: 3, jobsPerPage: 10 });
+  });
+
+  it('should alert on sharp yield and fill-rate drops', () => {
+    recordHealthyRuns();
+
+    const entry = monitor.record('portal', { id: 'drift', status: 'completed', jobs: jobs(8, { location: '' }), pages: 2 });
+
+    expect(entry.alerts).toEqual([
+      expect.objectContaining({ type: 'yield-drop', message: '4 jobs per page, baseline 10' }),
+      expect.objectContaining({ type: 'fill-rate-drop', field: 'location', message: 'location filled in 0% of jobs, baseline 100%' })
+    ]);
+    expect(monitor.getHealth('portal').status).toBe('degraded');
+    // Unhealthy runs don't drag the baseline down
+    expect(monitor.getBaseline('portal').jobsPerPage).toBe(10);
+  });
+
+  it('should treat failed runs as failing and ignore cancelled ones', () => {
+    recordHealthyRuns();
+
+    monitor.record('portal', { id: 'cancelled', status: 'cancelled', jobs: jobs(1), pages: 1 });
+    expect(monitor.getHealth('portal').status).toBe('healthy');
+
+    monitor.record('portal', { id: 'failed', status: 'failed', error: 'HTTP 503' });
+    expect(monitor.getHealth('portal').alerts).toEqual([
+      { type: 'run-failed', severity: 'critical', message: 'Run failed: HTTP 503' }
+    ]);
+  });
+
+  it('should keep a bounded trend per scraper', () => {
+    recordHealthyRuns(7);
+
+    const { trend } = monitor.getHealth('portal');
+    expect(trend).toHaveLength(5);
+    expect(trend[4]).toMatchObject({ id: 'run-6', status: 'completed', jobs: 20, jobsPerPage: 10, alerts: 0 });
+    expect(monitor.getHealth('other').status).toBe('unknown');
+  });
+});
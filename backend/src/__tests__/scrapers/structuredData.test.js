@@ -0,0 +1,181 @@
+const cheerio = require('cheerio');
+const {
+  extractJsonLd,
+  extractMicrodata,
+  findJobPostings,
+  mapJobPosting,
+  parseSalary,
+  htmlToText
+} = require('../../services/scrapers/structuredData');
+
+const jsonLdPage = `
+  <html><head>
+    <script type="application/ld+json">
+      {
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "Organization", "name": "Ignored" },
+          {
+            "@type": "JobPosting",
+            "title": "Backend Developer",
+            "identifier": { "@type": "PropertyValue", "value": "BE-42" },
+            "hiringOrganization": { "@type": "Organization", "name": "Tech SA" },
+            "jobLocation": {
+              "@type": "Place",
+              "address": {
+                "@type": "PostalAddress",
+                "addressLocality": "Montevideo",
+                "addressCountry": "UY"
+              }
+            },
+            "description": "&lt;p&gt;Build &lt;b&gt;APIs&lt;/b&gt;&lt;/p&gt;",
+            "datePosted": "2024-03-01",
+            "validThrough": "2024-04-01T00:00:00Z",
+            "employmentType": ["FULL_TIME", "CONTRACTOR"],
+            "baseSalary": {
+              "@type": "MonetaryAmount",
+              "currency": "USD",
+              "value": { "@type": "QuantitativeValue", "minValue": 3000, "maxValue": 4500, "unitText": "MONTH" }
+            },
+            "url": "/jobs/be-42"
+          }
+        ]
+      }
+    </script>
+    <script type="application/ld+json">{ not valid json</script>
+  </head><body></body></html>
+`;
+
+const microdataPage = `
+  <div itemscope itemtype="https://schema.org/JobPosting">
+    <h1 itemprop="title">Analista QA</h1>
+    <div itemprop="hiringOrganization" itemscope itemtype="https://schema.org/Organization">
+      <span itemprop="name">Banco Azul</span>
+    </div>
+    <div itemprop="jobLocation" itemscope itemtype="https://schema.org/Place">
+      <div itemprop="address" itemscope itemtype="https://schema.org/PostalAddress">
+        <span itemprop="addressLocality">Santiago</span>
+        <span itemprop="addressRegion">RM</span>
+      </div>
+    </div>
+    <meta itemprop="datePosted" content="2024-02-10">
+    <meta itemprop="employmentType" content="PART_TIME">
+    <div itemprop="description"><p>Pruebas automatizadas</p></div>
+  </div>
+`;
+
+describe('structuredData', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('extractJsonLd()', () => {
+    it('should find JobPosting nodes inside @graph and skip invalid blocks', () => {
+      const postings = extractJsonLd(cheerio.load(jsonLdPage));
+
+      expect(postings).toHaveLength(1);
+      expect(postings[0].title).toBe('Backend Developer');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipping invalid JSON-LD block'));
+    });
+
+    it('should find postings nested in an ItemList', () => {
+      const $ = cheerio.load(`<script type="application/ld+json">${JSON.stringify({
+        '@type': 'ItemList',
+        itemListElement: [
+          { '@type': 'ListItem', item: { '@type': 'JobPosting', title: 'A' } },
+          { '@type': 'ListItem', item: { '@type': 'JobPosting', title: 'B' } }
+        ]
+      })}</script>`);
+
+      expect(extractJsonLd($).map(p => p.title)).toEqual(['A', 'B']);
+    });
+  });
+
+  describe('extractMicrodata()', () => {
+    it('should read nested itemscopes as objects', () => {
+      const [posting] = extractMicrodata(cheerio.load(microdataPage));
+
+      expect(posting['@type']).toBe('JobPosting');
+      expect(posting.title).toBe('Analista QA');
+      expect(posting.hiringOrganization).toEqual({ '@type': 'Organization', name: 'Banco Azul' });
+      expect(posting.jobLocation.address.addressLocality).toBe('Santiago');
+      expect(posting.datePosted).toBe('2024-02-10');
+    });
+  });
+
+  describe('mapJobPosting()', () => {
+    it('should map JSON-LD fields into job data', () => {
+      const [posting] = findJobPostings(cheerio.load(jsonLdPage));
+      const job = mapJobPosting(posting, 'https://careers.tech.com/listing');
+
+      expect(job).toEqual({
+        title: 'Backend Developer',
+        company: 'Tech SA',
+        location: 'Montevideo, UY',
+        description: 'Build APIs',
+        applyLink: 'https://careers.tech.com/jobs/be-42',
+        externalId: 'BE-42',
+        postedAt: new Date('2024-03-01'),
+        validThrough: new Date('2024-04-01T00:00:00Z'),
+        employmentType: 'FULL_TIME, CONTRACTOR',
+        salary: { min: 3000, max: 4500, currency: 'USD', unit: 'MONTH' },
+        tags: ['FULL_TIME', 'CONTRACTOR']
+      });
+    });
+
+    it('should map microdata fields into job data', () => {
+      const [posting] = findJobPostings(cheerio.load(microdataPage));
+      const job = mapJobPosting(posting, 'https://banco.cl/empleo/7');
+
+      expect(job).toMatchObject({
+        title: 'Analista QA',
+        company: 'Banco Azul',
+        location: 'Santiago, RM',
+        description: 'Pruebas automatizadas',
+        applyLink: 'https://banco.cl/empleo/7',
+        employmentType: 'PART_TIME'
+      });
+    });
+
+    it('should mark telecommute postings as remote', () => {
+      const job = mapJobPosting({
+        '@type': 'JobPosting',
+        title: 'Dev',
+        jobLocationType: 'TELECOMMUTE',
+        applicantLocationRequirements: { '@type': 'Country', name: 'Chile' }
+      });
+
+      expect(job.location).toBe('Remote');
+    });
+
+    it('should omit fields that are missing', () => {
+      const job = mapJobPosting({ '@type': 'JobPosting', title: 'Dev' }, 'https://x.com/1');
+
+      expect(job).toEqual({ title: 'Dev', applyLink: 'https://x.com/1' });
+    });
+  });
+
+  describe('parseSalary()', () => {
+    it('should handle exact values and plain numbers', () => {
+      expect(parseSalary({ currency: 'CLP', value: { value: '1.200.000', unitText: 'month' } }))
+        .toEqual({ min: 1200000, max: 1200000, currency: 'CLP', unit: 'MONTH' });
+      expect(parseSalary(50000)).toEqual({ min: 50000, max: 50000 });
+    });
+
+    it('should return null for missing salaries', () => {
+      expect(parseSalary(undefined)).toBeNull();
+      expect(parseSalary({ currency: 'USD' })).toBeNull();
+    });
+  });
+
+  describe('htmlToText()', () => {
+    it('should strip tags and collapse whitespace', () => {
+      expect(htmlToText('<p>Hello\n  <b>world</b></p>')).toBe('Hello world');
+      expect(htmlToText(null)).toBe('');
+    });
+  });
+});
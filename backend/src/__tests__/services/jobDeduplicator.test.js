@@ -0,0 +1,269 @@
+const Job = require('../../models/Job');
+const JobCluster = require('../../models/JobCluster');
+const {
+  normalizeCompany,
+  titleSimilarity,
+  locationSimilarity,
+  descriptionSimilarity,
+  isDuplicate,
+  clusterJobs,
+  pickCanonical,
+  deduplicateJobs,
+  getClusteredJobs
+} = require('../../services/jobDeduplicator');
+
+jest.mock('../../models/Job');
+jest.mock('../../models/JobCluster');
+
+const description = 'We are looking for a backend developer with strong Node.js experience to join ' +
+  'our platform team building APIs for millions of users across Latin America, working with MongoDB, ' +
+  'Express and cloud infrastructure on AWS every day.';
+
+const linkedInJob = {
+  _id: 'job-1',
+  source: 'LinkedIn Jobs',
+  title: 'Senior Backend Developer (Node.js)',
+  company: 'Tech Corp S.A.',
+  location: 'Montevideo',
+  applyLink: 'https://linkedin.com/jobs/view/1',
+  postedAt: new Date('2024-01-02')
+};
+
+const serpJob = {
+  _id: 'job-2',
+  source: 'via Indeed',
+  title: 'Sr. Backend Developer - Node.js',
+  company: 'TechCorp',
+  location: 'Montevideo, Uruguay',
+  description,
+  applyLink: 'https://indeed.com/job/2',
+  postedAt: new Date('2024-01-01')
+};
+
+const ceiJob = {
+  _id: 'job-3',
+  source: 'Oficina de Trabajo CEI',
+  title: 'Frontend Developer',
+  company: 'Tech Corp',
+  location: 'Montevideo',
+  applyLink: 'https://oficinaempleo.cl/3',
+  postedAt: new Date('2024-01-03')
+};
+
+describe('jobDeduplicator', () => {
+  let consoleLogSpy;
+
+  beforeEach(() => {
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    consoleLogSpy.mockRestore();
+  });
+
+  describe('similarity', () => {
+    test('should drop legal suffixes from company names', () => {
+      expect(normalizeCompany('Tech Corp S.A.')).toBe('techcorp');
+      expect(normalizeCompany('TechCorp Inc.')).toBe('techcorp');
+      expect(normalizeCompany('Globant S.R.L.')).toBe('globant');
+    });
+
+    test('should treat abbreviated and reordered titles as equal', () => {
+      expect(titleSimilarity('Sr. Backend Developer - Node.js', 'Senior Node.js Backend Developer (Remote)')).toBe(1);
+      expect(titleSimilarity('Backend Developer', 'Frontend Developer')).toBeLessThan(0.8);
+    });
+
+    test('should match contained locations and keep remote neutral', () => {
+      expect(locationSimilarity('Montevideo', 'Montevideo, Uruguay')).toBe(1);
+      expect(locationSimilarity('Remote', 'Santiago')).toBe(0.5);
+      expect(locationSimilarity('Lima', 'Santiago')).toBe(0);
+    });
+
+    test('should only compare descriptions that are long enough', () => {
+      expect(descriptionSimilarity(description, `${description} Apply now.`)).toBeGreaterThan(0.9);
+      expect(descriptionSimilarity('Short text', description)).toBeNull();
+    });
+  });
+
+  describe('isDuplicate()', () => {
+    test('should match the same vacancy listed by different sources', () => {
+      expect(isDuplicate(linkedInJob, serpJob)).toBe(true);
+    });
+
+    test('should not match different roles or locations', () => {
+      expect(isDuplicate(linkedInJob, ceiJob)).toBe(false);
+      expect(isDuplicate(linkedInJob, { ...serpJob, location: 'Lima' })).toBe(false);
+      expect(isDuplicate(linkedInJob, { ...serpJob, company: 'Other Company' })).toBe(false);
+    });
+
+    test('should accept a looser title when descriptions are near-identical', () => {
+      const listing = { ...ceiJob, title: 'Backend Developer Node', description: `${description} Apply now.` };
+
+      expect(isDuplicate(listing, serpJob)).toBe(true);
+      expect(isDuplicate({ ...listing, description: undefined }, serpJob)).toBe(false);
+    });
+  });
+
+  describe('clusterJobs()', () => {
+    test('should group duplicates and keep other listings alone', () => {
+      const clusters = clusterJobs([linkedInJob, serpJob, ceiJob]);
+
+      expect(clusters).toHaveLength(2);
+      expect(clusters[0].map(job => job._id)).toEqual(['job-1', 'job-2']);
+      expect(clusters[1].map(job => job._id)).toEqual(['job-3']);
+    });
+
+    test('should never merge two listings from the same source', () => {
+      const clusters = clusterJobs([linkedInJob, { ...linkedInJob, _id: 'job-4' }]);
+
+      expect(clusters).toHaveLength(2);
+    });
+  });
+
+  describe('pickCanonical()', () => {
+    test('should prefer the most complete listing', () => {
+      expect(pickCanonical([linkedInJob, serpJob])._id).toBe('job-2');
+    });
+
+    test('should fall back to the oldest listing', () => {
+      expect(pickCanonical([ceiJob, linkedInJob])._id).toBe('job-1');
+    });
+  });
+
+  describe('deduplicateJobs()', () => {
+    const mockFind = (jobs) => {
+      Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue(jobs) });
+    };
+
+    test('should create clusters and link their jobs', async () => {
+      mockFind([linkedInJob, serpJob, ceiJob]);
+      JobCluster.create.mockResolvedValue({ _id: 'cluster-1' });
+
+      const summary = await deduplicateJobs();
+
+      expect(summary).toEqual({ scanned: 3, clusters: 1, clusteredJobs: 2, removedClusters: 0 });
+      expect(JobCluster.create).toHaveBeenCalledWith(expect.objectContaining({
+        canonicalJob: 'job-2',
+        jobs: ['job-1', 'job-2'],
+        sources: ['LinkedIn Jobs', 'via Indeed'],
+        size: 2,
+        firstSeenAt: new Date('2024-01-01')
+      }));
+      expect(Job.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['job-1', 'job-2'] } },
+        { $set: { clusterId: 'cluster-1' } }
+      );
+    });
+
+    test('should reuse existing clusters and remove stale ones', async () => {
+      mockFind([
+        { ...linkedInJob, clusterId: 'cluster-1' },
+        serpJob,
+        { ...ceiJob, clusterId: 'cluster-2' }
+      ]);
+
+      const summary = await deduplicateJobs();
+
+      expect(JobCluster.create).not.toHaveBeenCalled();
+      expect(JobCluster.updateOne).toHaveBeenCalledWith(
+        { _id: 'cluster-1' },
+        { $set: expect.objectContaining({ size: 2 }) },
+        { upsert: true }
+      );
+      expect(Job.updateMany).toHaveBeenCalledWith({ _id: { $in: ['job-3'] } }, { $unset: { clusterId: '' } });
+      expect(JobCluster.deleteMany).toHaveBeenCalledWith({ _id: { $in: ['cluster-2'] } });
+      expect(summary.removedClusters).toBe(1);
+    });
+
+    test('should only re-cluster the blocks of jobs written since changedSince', async () => {
+      const changedSince = new Date('2024-01-05');
+      const lean = (jobs) => ({ lean: jest.fn().mockResolvedValue(jobs) });
+      Job.find
+        .mockReturnValueOnce(lean([{ _id: 'job-2', company: 'TechCorp', clusterId: 'cluster-1' }]))
+        .mockReturnValueOnce(lean([{ _id: 'job-1', company: 'Tech Corp S.A.' }]))
+        .mockReturnValueOnce(lean([linkedInJob, serpJob, ceiJob]));
+      Job.distinct.mockResolvedValue(['Tech Corp S.A.', 'TechCorp', 'Tech Corp', 'Acme Ltd']);
+      JobCluster.create.mockResolvedValue({ _id: 'cluster-1' });
+
+      const summary = await deduplicateJobs({ changedSince });
+
+      expect(Job.find.mock.calls[0][0]).toMatchObject({ updatedAt: { $gte: changedSince } });
+      expect(Job.find.mock.calls[1][0]).toMatchObject({ clusterId: { $in: ['cluster-1'] } });
+      expect(Job.find.mock.calls[2][0]).toMatchObject({ company: { $in: ['Tech Corp S.A.', 'TechCorp', 'Tech Corp'] } });
+      expect(summary).toEqual({ scanned: 3, clusters: 1, clusteredJobs: 2, removedClusters: 0 });
+    });
+
+    test('should skip clustering when no job was written since changedSince', async () => {
+      mockFind([]);
+
+      const summary = await deduplicateJobs({ changedSince: new Date() });
+
+      expect(summary).toEqual({ scanned: 0, clusters: 0, clusteredJobs: 0, removedClusters: 0 });
+      expect(Job.distinct).not.toHaveBeenCalled();
+      expect(Job.find).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getClusteredJobs()', () => {
+    const mockClusters = () => {
+      JobCluster.find.mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([{
+            _id: 'cluster-1',
+            canonicalJob: serpJob,
+            sources: ['LinkedIn Jobs', 'via Indeed'],
+            listings: [
+              { job: 'job-1', source: 'LinkedIn Jobs', applyLink: linkedInJob.applyLink },
+              { job: 'job-2', source: 'via Indeed', applyLink: serpJob.applyLink }
+            ],
+            size: 2
+          }])
+        })
+      });
+    };
+
+    test('should return one entry per cluster with every apply link', async () => {
+      Job.aggregate.mockResolvedValue([
+        { _id: 'cluster-1', job: { ...linkedInJob, clusterId: 'cluster-1' }, matched: ['job-1', 'job-2'] },
+        { _id: 'job-3', job: ceiJob, matched: ['job-3'] }
+      ]);
+      mockClusters();
+
+      const jobs = await getClusteredJobs({ title: { $regex: 'developer', $options: 'i' } });
+
+      expect(jobs).toHaveLength(2);
+      expect(jobs[0]).toMatchObject({
+        _id: 'job-2',
+        clusterId: 'cluster-1',
+        duplicates: 1,
+        applyLinks: [
+          { source: 'LinkedIn Jobs', applyLink: linkedInJob.applyLink },
+          { source: 'via Indeed', applyLink: serpJob.applyLink }
+        ]
+      });
+      expect(jobs[1]).toMatchObject({
+        _id: 'job-3',
+        duplicates: 0,
+        applyLinks: [{ source: ceiJob.source, applyLink: ceiJob.applyLink }]
+      });
+    });
+
+    test('should keep a listing that matches the filter when the canonical job does not', async () => {
+      Job.aggregate.mockResolvedValue([
+        { _id: 'cluster-1', job: { ...linkedInJob, clusterId: 'cluster-1' }, matched: ['job-1'] }
+      ]);
+      mockClusters();
+
+      const [job] = await getClusteredJobs({ source: 'LinkedIn Jobs' });
+
+      expect(job).toMatchObject({
+        _id: 'job-1',
+        source: 'LinkedIn Jobs',
+        clusterId: 'cluster-1',
+        sources: ['LinkedIn Jobs', 'via Indeed'],
+        duplicates: 1
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const Job = require('../../models/Job');
+const { hashJobContent, upsertJobs } = require('../../services/jobWriter');
+
+jest.mock('../../models/Job');
+
+const job = (externalId, extra = {}) => ({
+  title: 'Developer',
+  company: 'Acme',
+  location: 'Remote',
+  applyLink: `https://portal.com/${externalId}`,
+  externalId,
+  ...extra
+});
+
+describe('jobWriter', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Job.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([]) });
+    Job.bulkWrite.mockImplementation(async (operations) => ({
+      upsertedIds: Object.fromEntries(operations.map((operation, index) => [index, `id-${index}`]))
+    }));
+  });
+
+  describe('hashJobContent()', () => {
+    it('should ignore key order and volatile fields', () => {
+      const hash = hashJobContent(job('a'));
+
+      expect(hashJobContent({ externalId: 'a', ...job('a'), updatedAt: new Date() })).toBe(hash);
+      expect(hashJobContent(job('a', { title: 'Senior Developer' }))).not.toBe(hash);
+    });
+
+    it('should only ignore an inferred postedAt', () => {
+      const inferred = (postedAt) => hashJobContent(job('a', { postedAt, postedAtInferred: true }));
+      const parsed = (postedAt) => hashJobContent(job('a', { postedAt, postedAtInferred: false }));
+
+      expect(inferred(new Date('2024-03-15'))).toBe(inferred(new Date('2024-03-16')));
+      expect(parsed(new Date('2024-03-15'))).not.toBe(parsed(new Date('2024-03-16')));
+    });
+  });
+
+  describe('upsertJobs()', () => {
+    it('should skip a repeat of an unchanged job within the same batch', async () => {
+      const result = await upsertJobs([job('a'), job('a'), job('a', { title: 'Lead' })]);
+
+      expect(result).toMatchObject({ inserted: 2, unchanged: 1, failed: 0 });
+      expect(Job.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+    });
+
+    it('should only write an inferred postedAt on insert', async () => {
+      const postedAt = new Date('2024-03-15');
+      await upsertJobs([job('a', { postedAt, postedAtInferred: true }), job('b', { postedAt })]);
+
+      const [inferred, parsed] = Job.bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.update);
+      expect(inferred.$set).not.toHaveProperty('postedAt');
+      expect(inferred.$setOnInsert).toEqual({ postedAt });
+      expect(parsed.$set.postedAt).toBe(postedAt);
+    });
+
+    it('should count a batch that fails as a whole as failed and keep writing', async () => {
+      Job.bulkWrite
+        .mockRejectedValueOnce(new Error('connection closed'))
+        .mockResolvedValueOnce({ upsertedIds: { 0: 'id-0' } });
+
+      const result = await upsertJobs([job('a'), job('b'), job('c')], { batchSize: 2 });
+
+      expect(result).toMatchObject({ inserted: 1, failed: 2 });
+      expect(result.errors).toEqual([
+        { job: expect.objectContaining({ externalId: 'a' }), error: 'connection closed' },
+        { job: expect.objectContaining({ externalId: 'b' }), error: 'connection closed' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const ScraperDefinition = require('../../models/ScraperDefinition');
+const scraperService = require('../../services/scraperService');
+const { scraperRegistry } = require('../../services/scrapers');
+
+jest.mock('../../models/ScraperDefinition');
+
+const definition = {
+  source: 'Portal Empleos',
+  baseUrl: 'https://www.portal.com',
+  searchUrl: '/buscar?q={query}',
+  selectors: { card: '.job-card', title: 'h2' }
+};
+
+describe('scraperService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    for (const { id } of scraperRegistry.getDefinitions()) {
+      scraperRegistry.unregister(id);
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('scraper definitions', () => {
+    it('should store registered definitions and delete removed ones', async () => {
+      ScraperDefinition.updateOne.mockResolvedValue({});
+      ScraperDefinition.deleteOne.mockResolvedValue({});
+
+      await scraperService.registerScraperDefinition('portal-empleos', definition);
+
+      expect(ScraperDefinition.updateOne).toHaveBeenCalledWith(
+        { name: 'portal-empleos' },
+        expect.objectContaining({ $set: expect.objectContaining({ definition }) }),
+        { upsert: true }
+      );
+      expect(scraperRegistry.getDefinition('portal-empleos')).toBe(definition);
+
+      expect(await scraperService.removeScraperDefinition('portal-empleos')).toBe(true);
+      expect(ScraperDefinition.deleteOne).toHaveBeenCalledWith({ name: 'portal-empleos' });
+      expect(scraperRegistry.hasScraper('portal-empleos')).toBe(false);
+      expect(await scraperService.removeScraperDefinition('portal-empleos')).toBe(false);
+    });
+
+    it('should leave the registry unchanged when the definition cannot be stored', async () => {
+      ScraperDefinition.updateOne
+        .mockResolvedValueOnce({})
+        .mockRejectedValue(new Error('connection lost'));
+      await scraperService.registerScraperDefinition('portal-empleos', definition);
+
+      const changed = { ...definition, source: 'Portal Nuevo' };
+      await expect(scraperService.registerScraperDefinition('portal-empleos', changed)).rejects.toThrow('connection lost');
+      await expect(scraperService.registerScraperDefinition('otro-portal', definition)).rejects.toThrow('connection lost');
+
+      expect(scraperRegistry.getDefinition('portal-empleos')).toBe(definition);
+      expect(scraperRegistry.hasScraper('otro-portal')).toBe(false);
+    });
+
+    it('should register stored definitions at startup and skip ones that no longer apply', async () => {
+      ScraperDefinition.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([
+          { name: 'portal-empleos', definition },
+          { name: 'linkedin', definition },
+          { name: 'broken', definition: { source: 'Broken' } }
+        ])
+      });
+
+      expect(await scraperService.loadScraperDefinitions()).toEqual({ loaded: 1, failed: 2 });
+      expect(scraperService.getScraperDefinitions()).toEqual([{ id: 'portal-empleos', definition }]);
+      expect(scraperService.getAvailableScrapers()).toContain('portal-empleos');
+    });
+  });
+});
@@ -5,6 +5,31 @@ const scraperService = require('../services/scraperService');
  * Handles HTTP requests for scraping operations
  */
 
+// Scraper config a run may override. Everything else (fixtures, robots.txt overrides,
+// injected caches and limiters) stays with the server's own configuration.
+const RUN_CONFIG_KEYS = [
+  'boards', 'companies', 'accounts', 'feeds',
+  'baseUrl', 'sitemaps', 'include', 'exclude', 'selectors', 'company',
+  'pagination', 'stopConditions', 'detailSelectors', 'renderActions',
+  'timeout', 'maxRetries', 'locale', 'timezone', 'cache'
+];
+
+/**
+ * Check a per-run scraper config from a request body
+ * @param {*} config - options.config of the request
+ * @returns {string|null} Error message, or null when the config is acceptable
+ */
+const validateRunConfig = (config) => {
+  if (config === undefined) return null;
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return 'Invalid request: config must be an object';
+  }
+
+  const rejected = Object.keys(config).filter(key => !RUN_CONFIG_KEYS.includes(key));
+  return rejected.length > 0 ? `Invalid request: config does not accept ${rejected.join(', ')}` : null;
+};
+
 /**
  * Get all available scrapers
  * GET /api/scrapers
@@ -31,12 +56,13 @@ const getScrapers = async (req, res) => {
 /**
  * Run a specific scraper
  * POST /api/scrapers/:scraperName/run
- * Body: { query, location, maxPages, config }
+ * Body: { query, location, maxPages, maxJobs, postedAfter, enrich, cache: { ttl, bypass, skipUnchanged }, renderer, maxDurationMs, dryRun, config }
+ * config may only hold RUN_CONFIG_KEYS
  */
 const runScraper = async (req, res) => {
   try {
     const { scraperName } = req.params;
-    const options = req.body;
+    const options = req.body || {};
 
     // Validate scraper name
     const availableScrapers = scraperService.getAvailableScrapers();
@@ -48,6 +74,61 @@ const runScraper = async (req, res) => {
       });
     }
 
+    if (options.cache !== undefined) {
+      const { ttl } = options.cache || {};
+
+      if (typeof options.cache !== 'object' || (ttl !== undefined && !(Number.isFinite(ttl) && ttl >= 0))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request: cache must be an object and cache.ttl a non-negative number of seconds'
+        });
+      }
+    }
+
+    if (options.maxJobs !== undefined && !(Number.isInteger(options.maxJobs) && options.maxJobs > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: maxJobs must be a positive integer'
+      });
+    }
+
+    if (options.postedAfter !== undefined && isNaN(Date.parse(options.postedAfter))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: postedAfter must be a date'
+      });
+    }
+
+    if (options.renderer !== undefined && !['http', 'puppeteer'].includes(options.renderer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: renderer must be "http" or "puppeteer"'
+      });
+    }
+
+    if (options.maxDurationMs !== undefined && !(Number.isFinite(options.maxDurationMs) && options.maxDurationMs > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: maxDurationMs must be a positive number of milliseconds'
+      });
+    }
+
+    if (options.dryRun !== undefined && typeof options.dryRun !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: dryRun must be a boolean'
+      });
+    }
+
+    const configError = validateRunConfig(options.config);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        error: configError,
+        allowedConfig: RUN_CONFIG_KEYS
+      });
+    }
+
     console.log(`[ScraperController] Running scraper: ${scraperName}`, options);
 
     // Run scraper
@@ -85,6 +166,17 @@ const runMultipleScrapers = async (req, res) => {
       });
     }
 
+    for (const { name, options } of scrapers) {
+      const configError = validateRunConfig(options?.config);
+      if (configError) {
+        return res.status(400).json({
+          success: false,
+          error: `${configError} (scraper ${name})`,
+          allowedConfig: RUN_CONFIG_KEYS
+        });
+      }
+    }
+
     console.log(`[ScraperController] Running ${scrapers.length} scrapers ${parallel ? 'in parallel' : 'sequentially'}`);
 
     let results;
@@ -137,6 +229,72 @@ const getActiveScrapes = async (req, res) => {
   }
 };
 
+/**
+ * Get the health of a scraper
+ * GET /api/scrapers/:scraperName/health
+ */
+const getScraperHealth = async (req, res) => {
+  try {
+    const { scraperName } = req.params;
+
+    const availableScrapers = scraperService.getAvailableScrapers();
+    if (!availableScrapers.includes(scraperName)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scraper not found',
+        availableScrapers
+      });
+    }
+
+    res.json({
+      success: true,
+      health: scraperService.getScraperHealth(scraperName)
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error getting scraper health:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve scraper health',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a running scrape
+ * DELETE /api/scrapers/active/:id
+ * Body: { reason } (optional)
+ */
+const cancelScrape = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body || {};
+
+    const scrape = scraperService.cancelScrape(id, reason);
+    if (!scrape) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scrape not found',
+        message: `No active scrape with id ${id}`
+      });
+    }
+
+    // The run stops at its next request or delay and records itself as cancelled
+    res.status(202).json({
+      success: true,
+      scrape,
+      message: `Cancelling scrape ${id}`
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error cancelling scrape:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel scrape',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Get scrape history
  * GET /api/scrapers/history?limit=20
@@ -205,12 +363,343 @@ const clearHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get scraper definitions registered at runtime
+ * GET /api/scraper/definitions
+ */
+const getDefinitions = async (req, res) => {
+  try {
+    const definitions = scraperService.getScraperDefinitions();
+
+    res.json({
+      success: true,
+      count: definitions.length,
+      definitions
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error getting definitions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve scraper definitions',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Register a configurable scraper from a JSON definition
+ * POST /api/scraper/definitions
+ * Body: { name, definition: { source, baseUrl, searchUrl, selectors, pagination, postProcess } }
+ */
+const registerDefinition = async (req, res) => {
+  try {
+    const { name, definition } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: name must be a lowercase slug (letters, numbers, dashes)'
+      });
+    }
+
+    const errors = scraperService.validateScraperDefinition(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scraper definition',
+        errors
+      });
+    }
+
+    const existing = scraperService.getAvailableScrapers().includes(name);
+    const configurable = scraperService.getScraperDefinitions().some(d => d.id === name);
+
+    if (existing && !configurable) {
+      return res.status(409).json({
+        success: false,
+        error: `Scraper ${name} is built-in and cannot be replaced`
+      });
+    }
+
+    const scraper = await scraperService.registerScraperDefinition(name, definition);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      scraper
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error registering definition:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register scraper definition',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Remove a configurable scraper
+ * DELETE /api/scraper/definitions/:name
+ */
+const removeDefinition = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!(await scraperService.removeScraperDefinition(name))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scraper definition not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Scraper ${name} removed`
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error removing definition:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove scraper definition',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Propose job-card selectors for a listing page
+ * POST /api/scraper/discover
+ * Body: { url, maxCandidates, previewSize }
+ */
+const discoverSelectors = async (req, res) => {
+  try {
+    const { url, maxCandidates, previewSize } = req.body || {};
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: a valid http(s) url is required'
+      });
+    }
+
+    const result = await scraperService.discoverSelectors(parsedUrl.toString(), {
+      maxCandidates,
+      previewSize
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error discovering selectors:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Selector discovery failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Import jobs from schema.org JobPosting markup on any URL
+ * POST /api/scraper/import
+ * Body: { url, source, save }
+ */
+const importFromUrl = async (req, res) => {
+  try {
+    const { url, source, save } = req.body || {};
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: a valid http(s) url is required'
+      });
+    }
+
+    const result = await scraperService.importFromUrl(parsedUrl.toString(), { source, save });
+
+    if (result.jobs.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'No schema.org JobPosting found at this URL',
+        url: result.url
+      });
+    }
+
+    res.json({
+      success: true,
+      count: result.jobs.length,
+      ...result
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error importing URL:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Import failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Detect the ATS (Greenhouse, Lever, Workable, Ashby, SmartRecruiters) behind a careers URL
+ * POST /api/scraper/detect-ats
+ * Body: { url }
+ */
+const detectAts = async (req, res) => {
+  try {
+    const { url } = req.body || {};
+
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      parsedUrl = null;
+    }
+
+    if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: a valid http(s) url is required'
+      });
+    }
+
+    const result = await scraperService.detectAts(parsedUrl.toString());
+
+    if (!result.detected) {
+      return res.status(422).json({
+        success: false,
+        error: 'No supported ATS found at this URL',
+        url: result.url
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error detecting ATS:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'ATS detection failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Group duplicate listings across sources into clusters
+ * POST /api/scraper/deduplicate
+ * Body: { windowDays }
+ */
+const deduplicateJobs = async (req, res) => {
+  try {
+    const { windowDays } = req.body || {};
+
+    if (windowDays !== undefined && (!Number.isFinite(windowDays) || windowDays <= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: windowDays must be a positive number'
+      });
+    }
+
+    const summary = await scraperService.deduplicateJobs(windowDays ? { windowDays } : {});
+
+    if (!summary) {
+      return res.status(500).json({
+        success: false,
+        error: 'Deduplication failed'
+      });
+    }
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error deduplicating jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Deduplication failed',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Set the shared rate limit for a host
+ * PUT /api/scraper/rate-limits/:host
+ * Body: { requestsPerMinute, burst }
+ */
+const setRateLimit = async (req, res) => {
+  try {
+    const { host } = req.params;
+    const { requestsPerMinute, burst } = req.body || {};
+
+    if (requestsPerMinute === undefined && burst === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: requestsPerMinute or burst is required'
+      });
+    }
+
+    let limits;
+    try {
+      limits = scraperService.setRateLimit(host, { requestsPerMinute, burst });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid rate limit: ${error.message}`
+      });
+    }
+
+    res.json({
+      success: true,
+      host,
+      limits
+    });
+  } catch (error) {
+    console.error('[ScraperController] Error setting rate limit:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set rate limit',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getScrapers,
   runScraper,
   runMultipleScrapers,
   getActiveScrapes,
+  cancelScrape,
+  getScraperHealth,
   getScrapeHistory,
   getStatistics,
-  clearHistory
+  clearHistory,
+  getDefinitions,
+  registerDefinition,
+  removeDefinition,
+  discoverSelectors,
+  importFromUrl,
+  detectAts,
+  deduplicateJobs,
+  setRateLimit
 };
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const {
+  buildFingerprint,
+  buildExternalId,
+  isTimestampedExternalId
+} = require('../services/scrapers/fingerprint');
+
+/**
+ * Migration: collapse duplicate jobs created by timestamped external IDs
+ *
+ * Older scrapers appended Date.now() to generated externalIds, so every run
+ * inserted the same posting again. This migration:
+ *   1. computes the content fingerprint of every job
+ *   2. keeps one job per fingerprint (the most recent document) and deletes the rest,
+ *      preserving the earliest postedAt
+ *   3. replaces timestamped externalIds with the stable fingerprint-based ID
+ *
+ * Usage: npm run migrate:fingerprints [-- --dry-run]
+ */
+
+const BATCH_SIZE = 500;
+
+/**
+ * Pick the document to keep from a group of duplicates
+ * Prefers IDs taken from the source site over generated ones, then the newest document
+ * @param {Array} jobs - Duplicate job documents
+ * @returns {Object} Job to keep
+ */
+const pickSurvivor = (jobs) => {
+  return [...jobs].sort((a, b) => {
+    const legacyA = isTimestampedExternalId(a.externalId);
+    const legacyB = isTimestampedExternalId(b.externalId);
+
+    if (legacyA !== legacyB) return legacyA ? 1 : -1;
+    // ObjectIds start with their creation time, so the greater one is newer
+    return String(b._id).localeCompare(String(a._id));
+  })[0];
+};
+
+/**
+ * Run write operations in batches
+ * @param {Array} operations - bulkWrite operations
+ */
+const writeInBatches = async (operations) => {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    await Job.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+  }
+};
+
+/**
+ * Collapse duplicate jobs and backfill fingerprints
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Report changes without writing
+ * @returns {Promise<Object>} Summary { scanned, duplicateGroups, removed, updated }
+ */
+const collapseDuplicateJobs = async ({ dryRun = false } = {}) => {
+  const groups = new Map();
+  let scanned = 0;
+
+  const cursor = Job.find({}, 'externalId source company title location applyLink postedAt fingerprint')
+    .lean()
+    .cursor();
+
+  for await (const job of cursor) {
+    scanned++;
+    const fingerprint = buildFingerprint(job);
+
+    if (!groups.has(fingerprint)) {
+      groups.set(fingerprint, []);
+    }
+    groups.get(fingerprint).push(job);
+  }
+
+  const removals = [];
+  const updates = [];
+  let duplicateGroups = 0;
+
+  for (const [fingerprint, jobs] of groups.entries()) {
+    const survivor = pickSurvivor(jobs);
+    const duplicates = jobs.filter(job => job !== survivor);
+    const $set = {};
+
+    if (duplicates.length > 0) {
+      duplicateGroups++;
+      removals.push(...duplicates.map(job => job._id));
+
+      const postedDates = jobs.map(job => job.postedAt).filter(Boolean);
+      if (postedDates.length > 0) {
+        $set.postedAt = new Date(Math.min(...postedDates.map(date => new Date(date).getTime())));
+      }
+    }
+
+    if (survivor.fingerprint !== fingerprint) {
+      $set.fingerprint = fingerprint;
+    }
+
+    if (isTimestampedExternalId(survivor.externalId)) {
+      $set.externalId = buildExternalId(survivor);
+    }
+
+    if (Object.keys($set).length > 0) {
+      updates.push({ updateOne: { filter: { _id: survivor._id }, update: { $set } } });
+    }
+  }
+
+  const summary = {
+    scanned,
+    duplicateGroups,
+    removed: removals.length,
+    updated: updates.length,
+    dryRun
+  };
+
+  if (dryRun) {
+    console.log('[Migration] Dry run - no changes written', summary);
+    return summary;
+  }
+
+  // Delete first so rewritten externalIds can't collide with a duplicate
+  for (let i = 0; i < removals.length; i += BATCH_SIZE) {
+    await Job.deleteMany({ _id: { $in: removals.slice(i, i + BATCH_SIZE) } });
+  }
+
+  await writeInBatches(updates);
+
+  console.log('[Migration] Duplicate jobs collapsed', summary);
+  return summary;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const dryRun = process.argv.includes('--dry-run');
+
+  mongoose.connect(process.env.MONGO_URI)
+    .then(() => collapseDuplicateJobs({ dryRun }))
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+      console.error('[Migration] Failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { collapseDuplicateJobs };
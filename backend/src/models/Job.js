@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// A file linked from a listing; type is the MIME type and length the size in bytes
+const AttachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  type: { type: String },
+  length: Number
+}, { _id: false });
+
 const JobSchema = new mongoose.Schema({
   title: { type: String, required: true },
   company: { type: String, required: true },
@@ -10,12 +17,49 @@ const JobSchema = new mongoose.Schema({
   tags: [String], 
   
   externalId: { type: String, unique: true }, 
+
+  // Content hash of source, company, title, location and canonical URL
+  fingerprint: { type: String, index: true },
   
   source: { type: String, required: true },
   
   applyLink: { type: String, required: true },
   
-  postedAt: { type: Date, default: Date.now }
+  postedAt: { type: Date, default: Date.now },
+
+  // The portal showed no readable date: postedAt is when the listing was first seen
+  postedAtInferred: { type: Boolean, default: false },
+
+  // Structured fields (e.g. from schema.org JobPosting markup)
+  salary: {
+    min: Number,
+    max: Number,
+    currency: String,
+    unit: String
+  },
+
+  employmentType: String,
+
+  validThrough: Date,
+
+  // Last change to the listing on the source (e.g. an ATS updated_at)
+  sourceUpdatedAt: Date,
+
+  // Files linked from the listing (e.g. feed enclosures)
+  attachments: [AttachmentSchema],
+
+  // Detail-page enrichment
+  requirements: [String],
+
+  enrichedAt: Date,
+
+  // Hash of the scraped content; updatedAt only moves when it changes
+  contentHash: String,
+
+  updatedAt: Date,
+
+  // Cross-source duplicate cluster this listing belongs to
+  clusterId: { type: mongoose.Schema.Types.ObjectId, ref: 'JobCluster', index: true }
 });
 
 module.exports = mongoose.model('Job', JobSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Every source listing that belongs to a cluster
+const ListingSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+  source: String,
+  applyLink: String,
+  externalId: String
+}, { _id: false });
+
+// Group of near-identical postings for the same vacancy across sources
+const JobClusterSchema = new mongoose.Schema({
+  canonicalJob: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', required: true },
+
+  jobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job', index: true }],
+
+  listings: [ListingSchema],
+
+  sources: [String],
+
+  // Normalized keys of the canonical job, used to find candidate clusters
+  companyKey: { type: String, index: true },
+
+  titleKey: String,
+
+  size: { type: Number, default: 1 },
+
+  firstSeenAt: Date,
+
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('JobCluster', JobClusterSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// A configurable scraper registered at runtime (POST /api/scraper/definitions), loaded into
+// the scraper registry at startup so it survives restarts and deploys
+const ScraperDefinitionSchema = new mongoose.Schema({
+  // Registry name, e.g. "portal-empleos"
+  name: { type: String, required: true, unique: true },
+
+  // ConfigurableScraper definition (source, searchUrl, selectors, pagination, postProcess...)
+  definition: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  createdAt: { type: Date, default: Date.now },
+
+  updatedAt: { type: Date, default: Date.now }
+}, { minimize: false });
+
+module.exports = mongoose.model('ScraperDefinition', ScraperDefinitionSchema);
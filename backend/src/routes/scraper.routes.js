@@ -10,21 +10,47 @@ const scraperController = require('../controllers/scraperController');
 // Get all available scrapers
 router.get('/', scraperController.getScrapers);
 
+// Scraper definitions registered at runtime
+router.get('/definitions', scraperController.getDefinitions);
+router.post('/definitions', scraperController.registerDefinition);
+router.delete('/definitions/:name', scraperController.removeDefinition);
+
+// Propose selectors for a new listing page
+router.post('/discover', scraperController.discoverSelectors);
+
+// Import jobs from schema.org markup on a URL
+router.post('/import', scraperController.importFromUrl);
+
+// Detect the ATS behind a careers URL
+router.post('/detect-ats', scraperController.detectAts);
+
+// Group duplicate listings across sources
+router.post('/deduplicate', scraperController.deduplicateJobs);
+
 // Run a specific scraper
 router.post('/:scraperName/run', scraperController.runScraper);
 
+// Yield and fill-rate health of a scraper
+router.get('/:scraperName/health', scraperController.getScraperHealth);
+
 // Run multiple scrapers
 router.post('/run-multiple', scraperController.runMultipleScrapers);
 
 // Get active scrapes
 router.get('/active', scraperController.getActiveScrapes);
 
+// Cancel an active scrape
+router.delete('/active/:id', scraperController.cancelScrape);
+
 // Get scrape history
 router.get('/history', scraperController.getScrapeHistory);
 
 // Get statistics
 router.get('/stats', scraperController.getStatistics);
 
+// Set the shared per-host rate limit
+router.put('/rate-limits/:host', scraperController.setRateLimit);
+
 // Clear history
 router.delete('/history', scraperController.clearHistory);
 
@@ -3,7 +3,9 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const { fetchAndStoreJobs } = require('./services/jobFetcher');
+const { getClusteredJobs } = require('./services/jobDeduplicator');
 const Job = require('./models/Job');
+const scraperService = require('./services/scraperService');
 
 const app = express();
 app.use(cors());
@@ -11,15 +13,20 @@ app.use(express.json());
 
 // --- Database Connection ---
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => console.log('MongoDB Connected'))
+  .then(() => {
+    console.log('MongoDB Connected');
+    // Scrapers registered at runtime through the API
+    return scraperService.loadScraperDefinitions();
+  })
   .catch(err => console.error(err));
 
 // --- Routes ---
 
 // 1. GET /jobs - Retrieve jobs with filters
+// Duplicates across sources are collapsed into one entry with all apply links (?collapse=false to disable)
 app.get('/jobs', async (req, res) => {
   try {
-    const { skills, source } = req.query;
+    const { skills, source, collapse } = req.query;
     let filter = {};
 
     // Simple Regex filter for skills (e.g., ?skills=Node)
@@ -31,7 +38,12 @@ app.get('/jobs', async (req, res) => {
       filter.source = { $regex: source, $options: 'i' };
     }
 
-    const jobs = await Job.find(filter).sort({ postedAt: -1 }).limit(50);
+    if (collapse === 'false') {
+      const jobs = await Job.find(filter).sort({ postedAt: -1 }).limit(50);
+      return res.json(jobs);
+    }
+
+    const jobs = await getClusteredJobs(filter, { limit: 50 });
     res.json(jobs);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -42,8 +54,11 @@ app.get('/jobs', async (req, res) => {
 app.post('/sync', async (req, res) => {
   const { query } = req.body; // e.g. { "query": "Node JS Uruguay" }
   try {
+    const startTime = new Date();
     const count = await fetchAndStoreJobs(query || "developer");
-    res.json({ success: true, message: `Sync complete. Processed ${count} jobs.` });
+    // Logs and returns null on failure: the jobs are stored either way
+    const clusters = await scraperService.deduplicateJobs({ changedSince: startTime });
+    res.json({ success: true, message: `Sync complete. Processed ${count} jobs.`, clusters });
   } catch (err) {
     res.status(500).json({ error: "Failed to sync jobs" });
   }
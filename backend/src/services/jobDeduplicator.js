@@ -0,0 +1,524 @@
+const Job = require('../models/Job');
+const JobCluster = require('../models/JobCluster');
+const { normalizeText } = require('./scrapers/fingerprint');
+
+/**
+ * Cross-source duplicate detection
+ * The same vacancy is often stored once per source (SerpApi, LinkedIn, CEI...).
+ * Listings are grouped into JobCluster documents by fuzzy title/company/location
+ * matching and description similarity; each cluster keeps a canonical job and
+ * the apply link of every source listing.
+ */
+
+const DEFAULTS = {
+  threshold: 0.85,
+  minCompanySimilarity: 0.85,
+  minTitleSimilarity: 0.8,
+  // A near-identical description lets slightly different titles match
+  minTitleSimilarityWithDescription: 0.6,
+  strongDescriptionSimilarity: 0.6,
+  windowDays: 60
+};
+
+// Legal forms only: "Corp" or "Group" are often part of the name itself
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'llc', 'ltd', 'ltda', 'limited', 'sa', 'srl', 'spa', 'sas', 'sl',
+  'gmbh', 'ag', 'bv', 'plc', 'cv'
+]);
+
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior',
+  ssr: 'semi senior',
+  jr: 'junior',
+  dev: 'developer',
+  desarrollador: 'developer',
+  eng: 'engineer',
+  mgr: 'manager'
+};
+
+const TITLE_NOISE = new Set([
+  'remote', 'remoto', 'hybrid', 'hibrido', 'urgent', 'urgente', 'onsite', 'presencial',
+  'm', 'f', 'h', 'd', 'x', 'w'
+]);
+
+const REMOTE_LOCATIONS = new Set(['remote', 'remoto', 'anywhere', 'worldwide']);
+
+const DESCRIPTION_MIN_WORDS = 30;
+const SHINGLE_SIZE = 3;
+
+const JOB_FIELDS = 'title company location description source applyLink externalId postedAt salary employmentType requirements clusterId';
+
+/**
+ * Normalize a company name, dropping legal suffixes ("S.A.", "Inc.", ...)
+ * @param {string} company - Company name
+ * @returns {string} Company key without spaces
+ */
+const normalizeCompany = (company) => {
+  const tokens = normalizeText(company).split(' ').filter(Boolean);
+  const meaningful = tokens.filter((token, i) => i === 0 || !COMPANY_SUFFIXES.has(token));
+
+  // Single letters come from dotted suffixes like "S.A." or "S.R.L."
+  return meaningful.filter((token, i) => i === 0 || token.length > 1).join('');
+};
+
+/**
+ * Normalize a job title: expand abbreviations, drop work-mode noise, sort tokens
+ * @param {string} title - Job title
+ * @returns {Array<string>} Sorted title tokens
+ */
+const titleTokens = (title) => {
+  const tokens = normalizeText(title)
+    .split(' ')
+    .filter(Boolean)
+    .map(token => TITLE_ABBREVIATIONS[token] || token)
+    .join(' ')
+    .split(' ')
+    .filter(token => !TITLE_NOISE.has(token));
+
+  return [...new Set(tokens)].sort();
+};
+
+/**
+ * Sørensen–Dice coefficient over character bigrams
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Similarity between 0 and 1
+ */
+const diceCoefficient = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.substring(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.substring(i, i + 2);
+    const count = bigrams.get(bigram) || 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (a.length + b.length - 2);
+};
+
+/**
+ * Jaccard similarity of two collections
+ * @param {Iterable} a - First collection
+ * @param {Iterable} b - Second collection
+ * @returns {number} Similarity between 0 and 1
+ */
+const jaccard = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  setA.forEach(item => {
+    if (setB.has(item)) intersection++;
+  });
+
+  return intersection / (setA.size + setB.size - intersection);
+};
+
+/**
+ * Title similarity: average of token overlap and character similarity
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} Similarity between 0 and 1
+ */
+const titleSimilarity = (a, b) => {
+  const tokensA = titleTokens(a);
+  const tokensB = titleTokens(b);
+
+  return (jaccard(tokensA, tokensB) + diceCoefficient(tokensA.join(' '), tokensB.join(' '))) / 2;
+};
+
+/**
+ * Company similarity on suffix-free keys
+ * @param {string} a - First company
+ * @param {string} b - Second company
+ * @returns {number} Similarity between 0 and 1
+ */
+const companySimilarity = (a, b) => diceCoefficient(normalizeCompany(a), normalizeCompany(b));
+
+/**
+ * Location similarity
+ * Missing or remote locations are neutral (0.5); "Montevideo" matches
+ * "Montevideo, Uruguay" because one is contained in the other
+ * @param {string} a - First location
+ * @param {string} b - Second location
+ * @returns {number} Similarity between 0 and 1
+ */
+const locationSimilarity = (a, b) => {
+  const tokensA = normalizeText(a).split(' ').filter(Boolean);
+  const tokensB = normalizeText(b).split(' ').filter(Boolean);
+  const isRemote = tokens => tokens.length === 0 || tokens.every(token => REMOTE_LOCATIONS.has(token));
+
+  if (isRemote(tokensA) || isRemote(tokensB)) return 0.5;
+
+  const setB = new Set(tokensB);
+  const shared = tokensA.filter(token => setB.has(token)).length;
+  if (shared === 0) return 0;
+
+  return shared / Math.min(new Set(tokensA).size, setB.size);
+};
+
+/**
+ * Description similarity using word shingles
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number|null} Similarity, or null when either description is too short
+ */
+const descriptionSimilarity = (a, b) => {
+  const shingles = (text) => {
+    const words = normalizeText(text).split(' ').filter(Boolean);
+    if (words.length < DESCRIPTION_MIN_WORDS) return null;
+
+    const result = [];
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      result.push(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return result;
+  };
+
+  const shinglesA = shingles(a);
+  const shinglesB = shingles(b);
+  if (!shinglesA || !shinglesB) return null;
+
+  return jaccard(shinglesA, shinglesB);
+};
+
+/**
+ * Score how likely two listings describe the same vacancy
+ * @param {Object} a - First job
+ * @param {Object} b - Second job
+ * @returns {Object} { score, title, company, location, description }
+ */
+const scorePair = (a, b) => {
+  const title = titleSimilarity(a.title, b.title);
+  const company = companySimilarity(a.company, b.company);
+  const location = locationSimilarity(a.location, b.location);
+  const description = descriptionSimilarity(a.description, b.description);
+
+  let score = 0.5 * title + 0.3 * company + 0.2 * location;
+  if (description !== null) {
+    score = 0.8 * score + 0.2 * Math.max(description, title);
+  }
+
+  return { score, title, company, location, description };
+};
+
+/**
+ * Decide whether two listings are duplicates
+ * @param {Object} a - First job
+ * @param {Object} b - Second job
+ * @param {Object} options - Threshold overrides (see DEFAULTS)
+ * @returns {boolean} True if both listings describe the same vacancy
+ */
+const isDuplicate = (a, b, options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  const similarity = scorePair(a, b);
+
+  if (similarity.company < settings.minCompanySimilarity) return false;
+  if (similarity.location === 0) return false;
+
+  const strongDescription = similarity.description !== null &&
+    similarity.description >= settings.strongDescriptionSimilarity;
+  const minTitle = strongDescription
+    ? settings.minTitleSimilarityWithDescription
+    : settings.minTitleSimilarity;
+
+  if (similarity.title < minTitle) return false;
+
+  // A strong description match only relaxes the title check, not the overall score
+  return strongDescription || similarity.score >= settings.threshold;
+};
+
+/**
+ * Block a listing is compared within: the first letters of its company key
+ * @param {string} company - Company name
+ * @returns {string} Block key
+ */
+const blockKey = (company) => normalizeCompany(company).substring(0, 3);
+
+/**
+ * Group listings into clusters of duplicates
+ * Listings from the same source are never merged: within a source the externalId
+ * already identifies the posting, so two listings there are two vacancies.
+ * @param {Array} jobs - Jobs to cluster
+ * @param {Object} options - Threshold overrides (see DEFAULTS)
+ * @returns {Array<Array>} Clusters (single listings are returned as clusters of one)
+ */
+const clusterJobs = (jobs, options = {}) => {
+  const parent = jobs.map((job, i) => i);
+  const sources = jobs.map(job => new Set([job.source]));
+
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  // Only compare listings whose company keys start the same way
+  const blocks = new Map();
+  jobs.forEach((job, i) => {
+    const key = blockKey(job.company);
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(i);
+  });
+
+  for (const indexes of blocks.values()) {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const rootA = find(indexes[x]);
+        const rootB = find(indexes[y]);
+        if (rootA === rootB) continue;
+
+        const overlappingSource = [...sources[rootB]].some(source => sources[rootA].has(source));
+        if (overlappingSource) continue;
+
+        if (isDuplicate(jobs[indexes[x]], jobs[indexes[y]], options)) {
+          parent[rootB] = rootA;
+          sources[rootB].forEach(source => sources[rootA].add(source));
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  jobs.forEach((job, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(job);
+  });
+
+  return Array.from(clusters.values());
+};
+
+/**
+ * Pick the listing shown for a cluster: the most complete one, then the oldest
+ * @param {Array} jobs - Jobs in the cluster
+ * @returns {Object} Canonical job
+ */
+const pickCanonical = (jobs) => {
+  const completeness = (job) =>
+    Math.min((job.description || '').length / 500, 2) +
+    (job.salary && (job.salary.min || job.salary.max) ? 1 : 0) +
+    (job.employmentType ? 0.5 : 0) +
+    (job.requirements?.length ? 0.5 : 0);
+
+  return [...jobs].sort((a, b) => {
+    const difference = completeness(b) - completeness(a);
+    if (difference !== 0) return difference;
+    return new Date(a.postedAt || 0) - new Date(b.postedAt || 0);
+  })[0];
+};
+
+/**
+ * Build the JobCluster fields for a group of listings
+ * @param {Array} jobs - Jobs in the cluster
+ * @returns {Object} Cluster fields
+ */
+const buildCluster = (jobs) => {
+  const canonical = pickCanonical(jobs);
+  const postedDates = jobs.map(job => job.postedAt).filter(Boolean).map(date => new Date(date).getTime());
+
+  return {
+    canonicalJob: canonical._id,
+    jobs: jobs.map(job => job._id),
+    listings: jobs.map(job => ({
+      job: job._id,
+      source: job.source,
+      applyLink: job.applyLink,
+      externalId: job.externalId
+    })),
+    sources: [...new Set(jobs.map(job => job.source))],
+    companyKey: normalizeCompany(canonical.company),
+    titleKey: titleTokens(canonical.title).join(' '),
+    size: jobs.length,
+    firstSeenAt: postedDates.length > 0 ? new Date(Math.min(...postedDates)) : undefined,
+    updatedAt: new Date()
+  };
+};
+
+/**
+ * Load the jobs a clustering pass has to look at
+ * Listings are only compared within their block and clusters never span blocks, so jobs
+ * written since changedSince can only change the clusters of their own blocks (and of the
+ * blocks they were clustered in before a company change).
+ * @param {Date} since - Start of the window (postedAt)
+ * @param {Date} changedSince - Only re-cluster blocks with jobs written since (optional)
+ * @returns {Promise<Array>} Jobs in the window, or in the affected blocks
+ */
+const loadJobs = async (since, changedSince) => {
+  const inWindow = { postedAt: { $gte: since } };
+  if (!changedSince) return Job.find(inWindow, JOB_FIELDS).lean();
+
+  // updatedAt only moves when a listing was inserted or changed (see jobWriter)
+  const changed = await Job.find({ ...inWindow, updatedAt: { $gte: changedSince } }, 'company clusterId').lean();
+  if (changed.length === 0) return [];
+
+  const clusterIds = [...new Set(changed.map(job => job.clusterId && String(job.clusterId)).filter(Boolean))];
+  const members = clusterIds.length > 0
+    ? await Job.find({ ...inWindow, clusterId: { $in: clusterIds } }, 'company').lean()
+    : [];
+  const keys = new Set([...changed, ...members].map(job => blockKey(job.company)));
+
+  const companies = (await Job.distinct('company', inWindow)).filter(company => keys.has(blockKey(company)));
+  return Job.find({ ...inWindow, company: { $in: companies } }, JOB_FIELDS).lean();
+};
+
+/**
+ * Re-cluster recent jobs and store the result
+ * Existing cluster IDs are reused where possible so links to a cluster stay valid
+ * @param {Object} options - Options
+ * @param {number} options.windowDays - Only cluster jobs posted within this many days
+ * @param {Date} options.changedSince - Only re-cluster the blocks of jobs written since then,
+ *   e.g. the start of a scrape; without it every job in the window is re-clustered
+ * @returns {Promise<Object>} Summary { scanned, clusters, clusteredJobs, removedClusters }
+ */
+const deduplicateJobs = async (options = {}) => {
+  const { windowDays = DEFAULTS.windowDays, changedSince = null, ...matchOptions } = options;
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+  const jobs = await loadJobs(since, changedSince);
+
+  const previousClusterIds = new Set(jobs.map(job => job.clusterId && String(job.clusterId)).filter(Boolean));
+  const keptClusterIds = new Set();
+  const unclustered = [];
+  let clusters = 0;
+  let clusteredJobs = 0;
+
+  for (const group of clusterJobs(jobs, matchOptions)) {
+    if (group.length < 2) {
+      if (group[0].clusterId) unclustered.push(group[0]._id);
+      continue;
+    }
+
+    // Reuse the cluster most of the group already belongs to
+    const counts = new Map();
+    group.forEach(job => {
+      const id = job.clusterId && String(job.clusterId);
+      if (id && !keptClusterIds.has(id)) counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    const reusedId = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+    const fields = buildCluster(group);
+
+    let clusterId;
+    if (reusedId) {
+      await JobCluster.updateOne({ _id: reusedId }, { $set: fields }, { upsert: true });
+      clusterId = reusedId;
+    } else {
+      clusterId = (await JobCluster.create(fields))._id;
+    }
+
+    keptClusterIds.add(String(clusterId));
+    await Job.updateMany({ _id: { $in: fields.jobs } }, { $set: { clusterId } });
+
+    clusters++;
+    clusteredJobs += group.length;
+  }
+
+  if (unclustered.length > 0) {
+    await Job.updateMany({ _id: { $in: unclustered } }, { $unset: { clusterId: '' } });
+  }
+
+  const staleClusterIds = [...previousClusterIds].filter(id => !keptClusterIds.has(id));
+  if (staleClusterIds.length > 0) {
+    await JobCluster.deleteMany({ _id: { $in: staleClusterIds } });
+    // Older listings outside the window may still point at a removed cluster
+    await Job.updateMany({ clusterId: { $in: staleClusterIds } }, { $unset: { clusterId: '' } });
+  }
+
+  const summary = {
+    scanned: jobs.length,
+    clusters,
+    clusteredJobs,
+    removedClusters: staleClusterIds.length
+  };
+
+  console.log(`[Deduplicator] ${summary.clusteredJobs} of ${summary.scanned} jobs grouped into ${summary.clusters} clusters`);
+
+  return summary;
+};
+
+/**
+ * Query jobs collapsed to one entry per cluster
+ * Each entry is the canonical job plus the apply links of every source listing. When the
+ * canonical job doesn't match the filter, the newest listing that does stands in for it.
+ * @param {Object} filter - Mongo filter on Job fields
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Promise<Array>} Jobs with applyLinks, sources and duplicates
+ */
+const getClusteredJobs = async (filter = {}, { limit = 50 } = {}) => {
+  const groups = await Job.aggregate([
+    { $match: filter },
+    { $sort: { postedAt: -1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$clusterId', '$_id'] },
+        job: { $first: '$$ROOT' },
+        matched: { $push: '$_id' },
+        postedAt: { $max: '$postedAt' }
+      }
+    },
+    { $sort: { postedAt: -1 } },
+    { $limit: limit }
+  ]);
+
+  const clusterIds = groups.map(group => group.job.clusterId).filter(Boolean);
+  const clusters = clusterIds.length > 0
+    ? await JobCluster.find({ _id: { $in: clusterIds } }).populate('canonicalJob').lean()
+    : [];
+  const clustersById = new Map(clusters.map(cluster => [String(cluster._id), cluster]));
+
+  return groups.map(({ job, matched = [] }) => {
+    const cluster = job.clusterId && clustersById.get(String(job.clusterId));
+
+    if (!cluster) {
+      return {
+        ...job,
+        sources: [job.source],
+        applyLinks: [{ source: job.source, applyLink: job.applyLink }],
+        duplicates: 0
+      };
+    }
+
+    const canonical = cluster.canonicalJob;
+    const canonicalMatches = canonical && matched.some(id => String(id) === String(canonical._id));
+
+    return {
+      ...(canonicalMatches ? canonical : job),
+      clusterId: cluster._id,
+      sources: cluster.sources,
+      applyLinks: cluster.listings.map(({ source, applyLink }) => ({ source, applyLink })),
+      duplicates: cluster.size - 1
+    };
+  });
+};
+
+module.exports = {
+  normalizeCompany,
+  titleTokens,
+  diceCoefficient,
+  titleSimilarity,
+  companySimilarity,
+  locationSimilarity,
+  descriptionSimilarity,
+  scorePair,
+  isDuplicate,
+  clusterJobs,
+  pickCanonical,
+  deduplicateJobs,
+  getClusteredJobs
+};
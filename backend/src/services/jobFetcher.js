@@ -1,5 +1,5 @@
 const axios = require('axios');
-const Job = require('../models/Job');
+const { upsertJobs } = require('./jobWriter');
 
 const API_KEY = process.env.SERP_API_KEY; // Put this in your .env file
 
@@ -34,22 +34,15 @@ const fetchAndStoreJobs = async (query = "software developer node js") => {
     const rawJobs = response.data.jobs_results || [];
     console.log(`[Fetcher] Found ${rawJobs.length} jobs.`);
 
-    // 2. Process and Upsert (Update if exists, Insert if new)
-    let newCount = 0;
-    for (const job of rawJobs) {
-      const normalized = normalizeJob(job);
-      
-      // 'upsert: true' prevents duplicates based on the unique externalId
-      const result = await Job.updateOne(
-        { externalId: normalized.externalId }, 
-        { $set: normalized }, 
-        { upsert: true }
-      );
-      
-      if (result.upsertedCount > 0) newCount++;
+    // 2. Process and Upsert in batches (update if changed, insert if new)
+    // Upserting on the unique externalId prevents duplicates
+    const { inserted, updated, unchanged, failed, errors } = await upsertJobs(rawJobs.map(normalizeJob));
+
+    for (const { job, error } of errors) {
+      console.error(`[Fetcher] Error saving job ${job.externalId}: ${error}`);
     }
 
-    console.log(`[Fetcher] Database updated. ${newCount} new jobs added.`);
+    console.log(`[Fetcher] Database updated. ${inserted} new jobs added, ${updated} updated, ${unchanged} unchanged, ${failed} failed.`);
     return rawJobs.length;
 
   } catch (error) {
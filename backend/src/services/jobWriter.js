@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+/**
+ * Batched job upserts
+ * Jobs are written with one bulkWrite per batch instead of one updateOne per job. Each job
+ * carries a hash of its content: jobs whose stored hash matches are left untouched, so
+ * updatedAt only moves when a listing actually changed.
+ */
+
+const DEFAULT_BATCH_SIZE = parseInt(process.env.JOB_WRITE_BATCH_SIZE, 10) || 500;
+
+// Not part of a job's content
+const VOLATILE_FIELDS = new Set(['updatedAt', 'contentHash']);
+
+/**
+ * Hash the content of a job, ignoring volatile fields and key order
+ * An inferred postedAt is "now" on every run, so it is left out; a real one is content.
+ * @param {Object} job - Job document fields
+ * @returns {string} SHA-1 hex digest
+ */
+const hashJobContent = (job) => {
+  const content = Object.keys(job)
+    .filter(key => !VOLATILE_FIELDS.has(key) && job[key] !== undefined)
+    .filter(key => key !== 'postedAt' || !job.postedAtInferred)
+    .sort()
+    .map(key => [key, job[key]]);
+
+  return crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex');
+};
+
+/**
+ * Build the upsert for a job
+ * An inferred postedAt is only written on insert, so a listing without a date keeps the
+ * time it was first seen.
+ * @param {Object} job - Job document fields
+ * @param {string} contentHash - Hash of the job's content
+ * @param {Date} now - Timestamp for updatedAt
+ * @returns {Object} Update document
+ */
+const buildUpdate = (job, contentHash, now) => {
+  if (!job.postedAtInferred) {
+    return { $set: { ...job, contentHash, updatedAt: now } };
+  }
+
+  const { postedAt, ...fields } = job;
+  return { $set: { ...fields, contentHash, updatedAt: now }, $setOnInsert: { postedAt } };
+};
+
+/**
+ * Upsert one batch of jobs
+ * @param {Array} jobs - Jobs with an externalId
+ * @param {Date} now - Timestamp for updatedAt
+ * @returns {Promise<Object>} { inserted, updated, unchanged, failed, errors }
+ */
+const writeBatch = async (jobs, now) => {
+  const counts = { inserted: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+
+  const stored = await Job.find(
+    { externalId: { $in: jobs.map(job => job.externalId) } },
+    'externalId contentHash'
+  ).lean();
+  const storedHashes = new Map(stored.map(job => [job.externalId, job.contentHash]));
+
+  const operations = [];
+  const written = [];
+
+  for (const job of jobs) {
+    const contentHash = hashJobContent(job);
+
+    if (storedHashes.get(job.externalId) === contentHash) {
+      counts.unchanged++;
+      continue;
+    }
+
+    // A repeat later in the same batch compares against this version
+    storedHashes.set(job.externalId, contentHash);
+    written.push(job);
+    operations.push({
+      updateOne: {
+        filter: { externalId: job.externalId },
+        update: buildUpdate(job, contentHash, now),
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length === 0) return counts;
+
+  let result;
+  let writeErrors = [];
+
+  try {
+    // Unordered: one bad document doesn't stop the rest of the batch
+    result = await Job.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+
+    result = error.result || {};
+    writeErrors = [].concat(error.writeErrors);
+  }
+
+  const upserted = new Set(Object.keys(result?.upsertedIds || {}).map(Number));
+  const failed = new Map(writeErrors.map(writeError => [writeError.index, writeError.errmsg || writeError.message]));
+
+  written.forEach((job, index) => {
+    if (failed.has(index)) {
+      counts.failed++;
+      counts.errors.push({ job, error: failed.get(index) });
+    } else if (upserted.has(index)) {
+      counts.inserted++;
+    } else {
+      counts.updated++;
+    }
+  });
+
+  return counts;
+};
+
+/**
+ * Upsert jobs by externalId in batches
+ * A batch that fails as a whole (e.g. lost connection) counts all its jobs as failed and
+ * the remaining batches are still written.
+ * @param {Array} jobs - Cleaned, valid jobs
+ * @param {Object} options - Write options
+ * @param {number} options.batchSize - Jobs per bulkWrite (default: JOB_WRITE_BATCH_SIZE or 500)
+ * @returns {Promise<Object>} { inserted, updated, unchanged, failed, errors } - errors are { job, error }
+ */
+const upsertJobs = async (jobs, { batchSize = DEFAULT_BATCH_SIZE } = {}) => {
+  const totals = { inserted: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+  const size = Math.max(1, Math.floor(batchSize) || DEFAULT_BATCH_SIZE);
+  const now = new Date();
+
+  for (let start = 0; start < jobs.length; start += size) {
+    const batch = jobs.slice(start, start + size);
+
+    try {
+      const counts = await writeBatch(batch, now);
+
+      totals.inserted += counts.inserted;
+      totals.updated += counts.updated;
+      totals.unchanged += counts.unchanged;
+      totals.failed += counts.failed;
+      totals.errors.push(...counts.errors);
+    } catch (error) {
+      totals.failed += batch.length;
+      totals.errors.push(...batch.map(job => ({ job, error: error.message })));
+    }
+  }
+
+  return totals;
+};
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  hashJobContent,
+  upsertJobs
+};
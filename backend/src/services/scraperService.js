@@ -1,4 +1,19 @@
-const { getScraper, getAvailableScrapers, getScrapersInfo } = require('./scrapers');
+const {
+  getScraper,
+  getAvailableScrapers,
+  getScrapersInfo,
+  scraperRegistry,
+  ConfigurableScraper,
+  SelectorDiscovery,
+  detectAts,
+  detectAtsInPage,
+  JobPortalScraper,
+  hostRateLimiter,
+  scraperHealth
+} = require('./scrapers');
+const { summarizeErrors, CancelledError } = require('./scrapers/errors');
+const { deduplicateJobs } = require('./jobDeduplicator');
+const ScraperDefinition = require('../models/ScraperDefinition');
 
 /**
  * Scraper Service
@@ -14,6 +29,11 @@ class ScraperService {
    * Run a scraper by name
    * @param {string} scraperName - Name of the scraper to run
    * @param {Object} options - Scraping options
+   * @param {boolean|Object} options.enrich - Follow applyLinks for full details, e.g. { concurrency, maxAgeHours }
+   * @param {number} options.maxDurationMs - Cancel the run after this long (default: SCRAPER_MAX_DURATION_MS, 0 = no limit)
+   * @param {AbortSignal} options.signal - Caller's signal; aborting it cancels the run
+   * @param {boolean} options.dryRun - Fetch and extract, but only report what would be inserted,
+   *   updated or rejected; nothing is written to the database
    * @returns {Promise<Object>} Scraping results
    */
   async runScraper(scraperName, options = {}) {
@@ -27,19 +47,58 @@ class ScraperService {
       throw new Error(`Unknown scraper: ${scraperName}. Available: ${availableScrapers.join(', ')}`);
     }
 
+    // Aborting the controller cancels in-flight requests and delays of the run
+    const controller = new AbortController();
+    const cancel = (message, code) => {
+      if (!controller.signal.aborted) controller.abort(new CancelledError(message, { code }));
+    };
+
+    const maxDurationMs = options.maxDurationMs ?? (parseInt(process.env.SCRAPER_MAX_DURATION_MS, 10) || 0);
+    const timer = maxDurationMs > 0
+      ? setTimeout(() => cancel(`Scrape exceeded ${maxDurationMs}ms`, 'RUN_TIMEOUT'), maxDurationMs)
+      : null;
+
+    const onCallerAbort = () => cancel('Cancelled by caller', 'CANCELLED');
+    if (options.signal) {
+      if (options.signal.aborted) onCallerAbort();
+      else options.signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+
     // Mark as active
+    const startTime = new Date();
     this.activeScrapes.set(scrapeId, {
       scraperName,
-      startTime: new Date(),
-      status: 'running'
+      startTime,
+      status: 'running',
+      controller
     });
 
+    let scraper = null;
+
     try {
-      // Get scraper instance
-      const scraper = getScraper(scraperName, options.config);
+      // Per-run cache settings ({ ttl, bypass, skipUnchanged, enabled }) override the scraper config
+      let config = options.cache
+        ? { ...options.config, cache: { ...options.config?.cache, ...options.cache } }
+        : options.config;
+
+      // Per-run renderer ('http' or 'puppeteer') overrides the scraper's default
+      if (options.renderer) {
+        config = { ...config, renderer: options.renderer };
+      }
 
-      // Run scraper
-      const result = await scraper.scrape(options);
+      // Get scraper instance
+      scraper = getScraper(scraperName, config);
+
+      // Run scraper, publishing per-page progress on the active scrape
+      const result = await scraper.scrape({
+        ...options,
+        signal: controller.signal,
+        onProgress: (progress) => {
+          const active = this.activeScrapes.get(scrapeId);
+          if (active) active.progress = progress;
+          if (typeof options.onProgress === 'function') options.onProgress(progress);
+        }
+      });
 
       // Update status
       this.activeScrapes.delete(scrapeId);
@@ -52,10 +111,59 @@ class ScraperService {
         endTime: new Date(),
         duration: Date.now() - (this.activeScrapes.get(scrapeId)?.startTime?.getTime() || Date.now()),
         success: result.success,
+        status: result.cancelled ? 'cancelled' : (result.success ? 'completed' : 'failed'),
         stats: result.stats,
-        errorCount: result.errors?.length || 0
+        errorCount: result.errors?.length || 0,
+        errorTypes: summarizeErrors(result.errors)
       };
 
+      if (options.dryRun) {
+        historyEntry.dryRun = true;
+      }
+
+      if (result.cancelled) {
+        historyEntry.cancelReason = controller.signal.reason?.code === 'RUN_TIMEOUT' ? 'timeout' : 'cancelled';
+      }
+
+      // Compare yield and field fill rates to the scraper's baseline; previews don't count as runs
+      if (!options.dryRun) {
+        const health = scraperHealth.record(scraperName, {
+          id: scrapeId,
+          status: historyEntry.status,
+          jobs: result.jobs,
+          pages: scraper.progress?.pages || 0,
+          skippedPages: scraper.cacheStats?.skippedPages || 0,
+          unchanged: scraper.sitemapStats?.unchanged || 0
+        });
+        historyEntry.health = { jobsPerPage: health.jobsPerPage, fillRates: health.fillRates, alerts: health.alerts };
+
+        for (const alert of health.alerts) {
+          console.warn(`[ScraperService] Health alert for ${scraperName} (${alert.severity}): ${alert.message}`);
+        }
+      }
+
+      if (scraper.enrichmentStats) {
+        historyEntry.enrichment = scraper.enrichmentStats;
+      }
+
+      if (scraper.paginationStats) {
+        historyEntry.pagination = scraper.paginationStats;
+      }
+
+      if (scraper.robotsStats) {
+        historyEntry.robots = scraper.robotsStats;
+      }
+
+      if (scraper.cacheStats) {
+        historyEntry.cache = scraper.cacheStats;
+      }
+
+      // Jobs saved before a cancellation are kept, so they are deduplicated too. Only the
+      // blocks of jobs this run wrote are re-clustered
+      if ((result.success || result.cancelled) && !options.dryRun && options.deduplicate !== false) {
+        historyEntry.deduplication = await this.deduplicateJobs({ changedSince: startTime });
+      }
+
       this.scrapeHistory.push(historyEntry);
 
       // Keep only last 100 entries
@@ -63,7 +171,7 @@ class ScraperService {
         this.scrapeHistory.shift();
       }
 
-      console.log(`[ScraperService] Scrape ${scrapeId} completed. Success: ${result.success}`);
+      console.log(`[ScraperService] Scrape ${scrapeId} ${historyEntry.status}. Success: ${result.success}`);
 
       return {
         scrapeId,
@@ -75,6 +183,9 @@ class ScraperService {
       console.error(`[ScraperService] Scrape ${scrapeId} failed: ${error.message}`);
 
       this.activeScrapes.delete(scrapeId);
+      if (!options.dryRun) {
+        scraperHealth.record(scraperName, { id: scrapeId, status: 'failed', error: error.message });
+      }
 
       // Add failed scrape to history
       this.scrapeHistory.push({
@@ -84,10 +195,20 @@ class ScraperService {
         endTime: new Date(),
         duration: 0,
         success: false,
-        error: error.message
+        status: 'failed',
+        error: error.message,
+        errorType: error.type || 'unknown'
       });
 
       throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onCallerAbort);
+
+      // Release the headless browser of browser-rendered scrapers
+      if (scraper && typeof scraper.close === 'function') {
+        await scraper.close();
+      }
     }
   }
 
@@ -98,16 +219,21 @@ class ScraperService {
    */
   async runMultipleScrapers(scraperConfigs) {
     console.log(`[ScraperService] Running ${scraperConfigs.length} scrapers in parallel`);
+    const startTime = new Date();
 
+    // Deduplicate once after every scraper finished instead of once per scraper
     const promises = scraperConfigs.map(({ name, options }) =>
-      this.runScraper(name, options).catch(error => ({
+      this.runScraper(name, { ...options, deduplicate: false }).catch(error => ({
         scraperName: name,
         success: false,
         error: error.message
       }))
     );
 
-    return Promise.all(promises);
+    const results = await Promise.all(promises);
+    if (this.hasRealRuns(scraperConfigs)) await this.deduplicateJobs({ changedSince: startTime });
+
+    return results;
   }
 
   /**
@@ -117,12 +243,13 @@ class ScraperService {
    */
   async runMultipleScrapersSequential(scraperConfigs) {
     console.log(`[ScraperService] Running ${scraperConfigs.length} scrapers sequentially`);
+    const startTime = new Date();
 
     const results = [];
 
     for (const { name, options } of scraperConfigs) {
       try {
-        const result = await this.runScraper(name, options);
+        const result = await this.runScraper(name, { ...options, deduplicate: false });
         results.push(result);
       } catch (error) {
         results.push({
@@ -133,9 +260,20 @@ class ScraperService {
       }
     }
 
+    if (this.hasRealRuns(scraperConfigs)) await this.deduplicateJobs({ changedSince: startTime });
+
     return results;
   }
 
+  /**
+   * Whether any of the scrapers writes to the database (dry runs only read it)
+   * @param {Array} scraperConfigs - Array of {name, options} objects
+   * @returns {boolean} True unless every run is a dry run
+   */
+  hasRealRuns(scraperConfigs) {
+    return scraperConfigs.some(({ options }) => !options?.dryRun);
+  }
+
   /**
    * Get all available scrapers
    * @returns {Array} Array of scraper names
@@ -152,18 +290,217 @@ class ScraperService {
     return getScrapersInfo();
   }
 
+  /**
+   * Register a scraper from a declarative definition and store it, so it is loaded again
+   * after a restart (see loadScraperDefinitions())
+   * @param {string} name - Scraper identifier
+   * @param {Object} definition - ConfigurableScraper definition
+   * @returns {Promise<Object>} Registered scraper info
+   * @throws {Error} When the definition is invalid or cannot be stored; the registry is left unchanged
+   */
+  async registerScraperDefinition(name, definition) {
+    const previous = scraperRegistry.getDefinition(name);
+    scraperRegistry.registerDefinition(name, definition);
+
+    try {
+      await ScraperDefinition.updateOne(
+        { name },
+        { $set: { definition, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (previous) {
+        scraperRegistry.registerDefinition(name, previous);
+      } else {
+        scraperRegistry.unregister(name);
+      }
+      throw error;
+    }
+
+    console.log(`[ScraperService] Registered configurable scraper: ${name}`);
+
+    return { id: name, definition };
+  }
+
+  /**
+   * Remove a scraper that was registered from a definition, and its stored copy
+   * @param {string} name - Scraper identifier
+   * @returns {Promise<boolean>} True if removed
+   */
+  async removeScraperDefinition(name) {
+    if (!scraperRegistry.isDefinition(name)) {
+      return false;
+    }
+
+    await ScraperDefinition.deleteOne({ name });
+    scraperRegistry.unregister(name);
+    return true;
+  }
+
+  /**
+   * Register every stored definition - call once the database is connected
+   * A definition that no longer validates (or now clashes with a built-in scraper) is
+   * skipped with a warning instead of failing the startup.
+   * @returns {Promise<Object>} { loaded, failed } counts
+   */
+  async loadScraperDefinitions() {
+    const stored = await ScraperDefinition.find({}, 'name definition').lean();
+    const counts = { loaded: 0, failed: 0 };
+
+    for (const { name, definition } of stored) {
+      try {
+        scraperRegistry.registerDefinition(name, definition);
+        counts.loaded++;
+      } catch (error) {
+        counts.failed++;
+        console.warn(`[ScraperService] Skipped stored scraper definition ${name}: ${error.message}`);
+      }
+    }
+
+    console.log(`[ScraperService] Loaded ${counts.loaded} stored scraper definition(s)`);
+    return counts;
+  }
+
+  /**
+   * Get all scraper definitions registered at runtime
+   * @returns {Array} Array of { id, definition } objects
+   */
+  getScraperDefinitions() {
+    return scraperRegistry.getDefinitions();
+  }
+
+  /**
+   * Validate a scraper definition without registering it
+   * @param {Object} definition - ConfigurableScraper definition
+   * @returns {Array} Validation error messages
+   */
+  validateScraperDefinition(definition) {
+    return ConfigurableScraper.validateDefinition(definition);
+  }
+
+  /**
+   * Propose job-card selectors for an arbitrary listing page
+   * @param {string} url - Listing page URL
+   * @param {Object} options - SelectorDiscovery configuration
+   * @returns {Promise<Object>} Ranked candidates and a draft definition
+   */
+  async discoverSelectors(url, options = {}) {
+    const discovery = new SelectorDiscovery(options);
+    return discovery.discover(url);
+  }
+
+  /**
+   * Import the schema.org JobPosting data found on any URL
+   * @param {string} url - Page URL
+   * @param {Object} options - Import options
+   * @param {string} options.source - Source name (defaults to the hostname)
+   * @param {boolean} options.save - Save imported jobs (default: true)
+   * @returns {Promise<Object>} Imported jobs and save stats
+   */
+  async importFromUrl(url, options = {}) {
+    const { origin, hostname } = new URL(url);
+    const { save = true, source = hostname.replace(/^www\./, ''), config = {} } = options;
+
+    const scraper = new JobPortalScraper({ ...config, baseUrl: origin, source });
+    const jobs = await scraper.importFromUrl(url);
+    const stats = save && jobs.length > 0 ? await scraper.saveJobs(jobs) : null;
+
+    console.log(`[ScraperService] Imported ${jobs.length} jobs from ${url}`);
+
+    return {
+      url,
+      jobs,
+      stats,
+      errors: scraper.errors
+    };
+  }
+
+  /**
+   * Detect the ATS hosting a careers URL
+   * ATS URLs are recognized directly; other pages are fetched and searched for embedded
+   * boards (links, iframes, widget scripts).
+   * @param {string} url - Careers page URL
+   * @param {Object} options - Detection options
+   * @param {Object} options.config - Scraper config for fetching the page
+   * @returns {Promise<Object>} { url, detected, via, candidates } - detected is null when no
+   *   supported ATS was found; via is 'url' or 'page'
+   */
+  async detectAts(url, options = {}) {
+    const direct = detectAts(url);
+    if (direct) {
+      return { url, detected: direct, via: 'url', candidates: [direct] };
+    }
+
+    const { origin, hostname } = new URL(url);
+    const scraper = new JobPortalScraper({ ...options.config, baseUrl: origin, source: hostname.replace(/^www\./, '') });
+    const candidates = detectAtsInPage(await scraper.fetchPage(url));
+
+    console.log(`[ScraperService] ATS detection for ${url}: ${candidates.map(c => `${c.scraper}:${c.id}`).join(', ') || 'none'}`);
+
+    return { url, detected: candidates[0] || null, via: 'page', candidates };
+  }
+
+  /**
+   * Group duplicate listings across sources into clusters
+   * Failures are logged and reported as null so they never fail a scrape
+   * @param {Object} options - Deduplication options (windowDays, changedSince, thresholds)
+   * @returns {Promise<Object|null>} Deduplication summary
+   */
+  async deduplicateJobs(options = {}) {
+    try {
+      return await deduplicateJobs(options);
+    } catch (error) {
+      console.error(`[ScraperService] Deduplication failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Set the shared rate limit for a host
+   * @param {string} host - Hostname
+   * @param {Object} limits - { requestsPerMinute, burst }
+   * @returns {Object} Effective limits
+   */
+  setRateLimit(host, limits) {
+    const effective = hostRateLimiter.configure(host, limits);
+    console.log(`[ScraperService] Rate limit for ${host}: ${effective.requestsPerMinute}/min, burst ${effective.burst}`);
+    return effective;
+  }
+
   /**
    * Get active scrapes
    * @returns {Array} Array of active scrape info
    */
   getActiveScrapes() {
-    return Array.from(this.activeScrapes.entries()).map(([id, info]) => ({
+    return Array.from(this.activeScrapes.entries()).map(([id, { controller, ...info }]) => ({
       id,
       ...info,
       duration: Date.now() - info.startTime.getTime()
     }));
   }
 
+  /**
+   * Cancel a running scrape
+   * In-flight requests and delays are aborted; jobs already saved are kept and the run
+   * is recorded in history with status 'cancelled'.
+   * @param {string} scrapeId - Active scrape ID
+   * @param {string} reason - Cancellation message
+   * @returns {Object|null} { id, scraperName, status }, or null when no such scrape is running
+   */
+  cancelScrape(scrapeId, reason = 'Cancelled by request') {
+    const active = this.activeScrapes.get(scrapeId);
+    if (!active) return null;
+
+    console.log(`[ScraperService] Cancelling scrape ${scrapeId}: ${reason}`);
+
+    active.status = 'cancelling';
+    if (!active.controller.signal.aborted) {
+      active.controller.abort(new CancelledError(reason, { code: 'CANCELLED' }));
+    }
+
+    return { id: scrapeId, scraperName: active.scraperName, status: active.status };
+  }
+
   /**
    * Get scrape history
    * @param {number} limit - Number of recent scrapes to return
@@ -198,6 +535,17 @@ class ScraperService {
       ? this.scrapeHistory.reduce((sum, entry) => sum + (entry.duration || 0), 0) / total
       : 0;
 
+    // Error counts by type tell a dead site (blocked, not-found) from a flaky one (timeout, network)
+    const errorTypes = {};
+    for (const entry of this.scrapeHistory) {
+      for (const [type, count] of Object.entries(entry.errorTypes || {})) {
+        errorTypes[type] = (errorTypes[type] || 0) + count;
+      }
+      if (entry.errorType) {
+        errorTypes[entry.errorType] = (errorTypes[entry.errorType] || 0) + 1;
+      }
+    }
+
     return {
       totalScrapes: total,
       successfulScrapes: successful,
@@ -206,10 +554,21 @@ class ScraperService {
       totalJobsScraped,
       totalJobsSaved,
       averageDuration: Math.round(averageDuration),
-      activeScrapes: this.activeScrapes.size
+      errorTypes,
+      activeScrapes: this.activeScrapes.size,
+      rateLimits: hostRateLimiter.getStats()
     };
   }
 
+  /**
+   * Get the health of a scraper: yield and fill-rate baseline, alerts and recent trend
+   * @param {string} scraperName - Scraper name
+   * @returns {Object} Health report (see ScraperHealthMonitor.getHealth())
+   */
+  getScraperHealth(scraperName) {
+    return scraperHealth.getHealth(scraperName);
+  }
+
   /**
    * Generate a unique scrape ID
    * @param {string} scraperName - Name of scraper
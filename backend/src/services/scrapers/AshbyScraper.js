@@ -0,0 +1,122 @@
+const CareerBoardScraper = require('./CareerBoardScraper');
+const { htmlToText } = require('./structuredData');
+
+// Ashby employment types as shown on job boards
+const EMPLOYMENT_TYPES = {
+  FullTime: 'Full-time',
+  PartTime: 'Part-time',
+  Intern: 'Internship',
+  Contract: 'Contract',
+  Temporary: 'Temporary'
+};
+
+const WORKPLACE_TYPES = {
+  Remote: 'Remote',
+  Hybrid: 'Hybrid',
+  OnSite: 'On-site'
+};
+
+// Compensation intervals as schema.org unitText values
+const SALARY_UNITS = {
+  '1 YEAR': 'YEAR',
+  '1 MONTH': 'MONTH',
+  '1 WEEK': 'WEEK',
+  '1 DAY': 'DAY',
+  '1 HOUR': 'HOUR'
+};
+
+/**
+ * Scraper for company job boards hosted on Ashby
+ * Reads the public Job Posting API: one request per board returns every listed job with
+ * its description, team, workplace type, locations and (when published) compensation.
+ *
+ * Boards are identified by their name (the "acme" in jobs.ashbyhq.com/acme) and can be set
+ * in config, per run, or with ASHBY_BOARDS (comma-separated):
+ *   getScraper('ashby', { boards: ['acme', { board: 'globex', company: 'Globex Corp' }] })
+ *   scraper.scrape({ boards: 'acme,globex', query: 'engineer' })
+ *
+ * The API doesn't return the company name, so it defaults to the board name.
+ */
+class AshbyScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://api.ashbyhq.com',
+      source: 'Ashby',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'boards', idKey: 'board', label: 'board', envVar: 'ASHBY_BOARDS' });
+  }
+
+  /**
+   * URL of a board's jobs, with compensation
+   * @param {Object} board - { board, company }
+   * @returns {string} API URL
+   */
+  boardUrl(board) {
+    return new URL(`/posting-api/job-board/${encodeURIComponent(board.board)}?includeCompensation=true`, this.baseUrl).toString();
+  }
+
+  /**
+   * Fetch a board's listed jobs
+   * @param {Object} board - { board, company }
+   * @returns {Promise<Object>} { postings }
+   */
+  async fetchBoard(board) {
+    const data = await this.fetchJson(this.boardUrl(board));
+    return { postings: (data?.jobs || []).filter(posting => posting.isListed !== false) };
+  }
+
+  /**
+   * Map a Job Posting API job to Job fields
+   * @param {Object} posting - Job from GET /posting-api/job-board/:board
+   * @param {Object} board - { board, company }
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, { company }) {
+    const locations = [posting.location, ...(posting.secondaryLocations || []).map(secondary => secondary.location)]
+      .filter(Boolean);
+    const workplace = WORKPLACE_TYPES[posting.workplaceType] || (posting.isRemote ? 'Remote' : null);
+    const employmentType = EMPLOYMENT_TYPES[posting.employmentType] || posting.employmentType;
+
+    const job = {
+      title: posting.title,
+      company,
+      location: [...new Set(locations)].join('; ') || workplace || '',
+      description: posting.descriptionPlain ? posting.descriptionPlain.trim() : htmlToText(posting.descriptionHtml),
+      applyLink: posting.jobUrl || posting.applyUrl,
+      // Job IDs are unique across Ashby
+      externalId: `ashby-${posting.id}`,
+      tags: [...new Set([posting.team, posting.department, employmentType, workplace].filter(Boolean))],
+      ...this.parsePostedAt(posting.publishedAt),
+      source: this.source
+    };
+
+    if (employmentType) job.employmentType = employmentType;
+
+    const salary = this.mapSalary(posting.compensation);
+    if (salary) job.salary = salary;
+
+    return job;
+  }
+
+  /**
+   * Map a job's salary component
+   * @param {Object} compensation - Compensation with summaryComponents
+   * @returns {Object|null} { min, max, currency, unit }
+   */
+  mapSalary(compensation) {
+    const component = (compensation?.summaryComponents || [])
+      .find(entry => entry.compensationType === 'Salary' && (entry.minValue != null || entry.maxValue != null));
+    if (!component) return null;
+
+    const salary = { min: component.minValue ?? component.maxValue, max: component.maxValue ?? component.minValue };
+    if (component.currencyCode) salary.currency = component.currencyCode;
+    if (SALARY_UNITS[component.interval]) salary.unit = SALARY_UNITS[component.interval];
+
+    return salary;
+  }
+}
+
+module.exports = AshbyScraper;
@@ -0,0 +1,182 @@
+const JobPortalScraper = require('./JobPortalScraper');
+const { CancelledError } = require('./errors');
+
+/**
+ * Base class for company career boards hosted on an ATS (Greenhouse, Lever, Workable, ...)
+ * ATS boards expose a public JSON API per company, so each board is read as one listing
+ * page. Subclasses describe how boards are identified and implement:
+ *   - boardUrl(board): URL of the board's postings
+ *   - fetchBoard(board): { postings, company } - company is optional
+ *   - mapPosting(posting, board): Job fields
+ *
+ * Board settings passed by subclasses:
+ *   - option: config/scrape option holding the board list (e.g. 'boards', 'companies')
+ *   - idKey: key of the identifier in each board object (e.g. 'token', 'slug')
+ *   - label: word used in logs and error records (e.g. 'board', 'company')
+ *   - envVar: environment variable with a comma-separated default list
+ *
+ * None of these APIs has a search, so query and location are matched against the
+ * mapped jobs (see matchesSearch()). FeedScraper reads RSS/Atom feeds the same way.
+ */
+class CareerBoardScraper extends JobPortalScraper {
+  /**
+   * @param {Object} config - Scraper configuration
+   * @param {Object} boardSettings - { option, idKey, label, envVar }
+   */
+  constructor(config = {}, boardSettings = {}) {
+    super(config);
+
+    this.boardSettings = boardSettings;
+    this[boardSettings.option] = config[boardSettings.option] || process.env[boardSettings.envVar] || [];
+  }
+
+  /**
+   * Main scraping method for career boards
+   * @param {Object} options - Search options
+   * @param {Array|string} options[boardSettings.option] - Boards for this run (default: config)
+   * @param {string} options.query - Words that must appear in the title or tags
+   * @param {string} options.location - Text that must appear in the location or tags
+   * @returns {Promise<Object>} Scraping results
+   */
+  async scrape(options = {}) {
+    return this.scrapeAll(options);
+  }
+
+  /**
+   * Normalize a board list
+   * @param {Array|string} boards - Identifiers, objects or a comma-separated string
+   * @param {string} idKey - Key of the identifier (e.g. 'token')
+   * @returns {Array<Object>} { [idKey], company, ... } - company is null when not given
+   */
+  static parseBoardList(boards, idKey) {
+    const list = typeof boards === 'string' ? boards.split(',') : [].concat(boards || []);
+
+    return list
+      .map(board => (typeof board === 'string' ? { [idKey]: board.trim() } : { ...board }))
+      .filter(board => board[idKey])
+      .map(board => ({ ...board, company: board.company || null }));
+  }
+
+  /**
+   * Boards to read in a run
+   * @param {Object} options - Scrape options
+   * @returns {Array<Object>} Normalized boards
+   */
+  getBoards(options = {}) {
+    const { option, idKey } = this.boardSettings;
+    return CareerBoardScraper.parseBoardList(options[option] || this[option], idKey);
+  }
+
+  /**
+   * URL of a board's postings
+   * @param {Object} board - Normalized board
+   * @returns {string} API URL
+   */
+  boardUrl(board) {
+    throw new Error('boardUrl() must be implemented by child class');
+  }
+
+  /**
+   * Fetch a board's postings
+   * @param {Object} board - Normalized board
+   * @returns {Promise<Object>} { postings, company } - company overrides the configured name
+   */
+  async fetchBoard(board) {
+    throw new Error('fetchBoard() must be implemented by child class');
+  }
+
+  /**
+   * Map a posting to Job fields
+   * @param {Object} posting - Posting from the ATS API
+   * @param {Object} board - Board with its resolved company name
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, board) {
+    throw new Error('mapPosting() must be implemented by child class');
+  }
+
+  /**
+   * Read each board's postings as one listing page
+   * A board that fails is recorded and skipped; the run only fails when every board does.
+   * @param {Object} options - Scrape options (boards, query, location, maxJobs, postedAfter)
+   * @yields {Object} { url, pageIndex, jobs }
+   */
+  async *listingPages(options = {}) {
+    const { option, idKey, label, envVar } = this.boardSettings;
+    const boards = this.getBoards(options);
+
+    if (boards.length === 0) {
+      throw new Error(`[${this.source}] No ${option} configured. Pass ${option}: ['${idKey}'] in config or options, or set ${envVar}`);
+    }
+
+    const maxJobs = options.maxJobs ?? this.stopConditions.maxJobs;
+    const postedAfter = options.postedAfter ?? this.stopConditions.postedAfter;
+    const cutoff = postedAfter ? new Date(postedAfter) : null;
+    const name = label.charAt(0).toUpperCase() + label.slice(1);
+    let collected = 0;
+    let lastError = null;
+    let succeeded = 0;
+
+    for (const [pageIndex, board] of boards.entries()) {
+      if (collected >= maxJobs) break;
+
+      if (pageIndex > 0) {
+        await this.delay(this.delayBetweenRequests);
+      }
+
+      const id = board[idKey];
+      const url = this.boardUrl(board);
+      let result;
+
+      try {
+        result = await this.fetchBoard(board);
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+
+        console.error(`[${this.source}] ${name} ${id} failed: ${error.message}`);
+        this.recordError(error, { url, [label]: id });
+        lastError = error;
+        continue;
+      }
+
+      succeeded++;
+
+      const resolved = { ...board, company: result.company || board.company || id };
+      const postings = Array.isArray(result.postings) ? result.postings : [];
+      const jobs = postings
+        .map(posting => this.mapPosting(posting, resolved))
+        .filter(job => this.matchesSearch(job, options))
+        .filter(job => !cutoff || job.postedAt >= cutoff)
+        .slice(0, Math.max(0, maxJobs - collected));
+
+      console.log(`[${this.source}] ${name} ${id}: ${jobs.length} of ${postings.length} postings match`);
+      collected += jobs.length;
+
+      if (jobs.length > 0) {
+        yield { url, pageIndex, jobs };
+      }
+    }
+
+    // Already recorded above; rethrowing marks the run as failed
+    if (succeeded === 0 && lastError) throw lastError;
+  }
+
+  /**
+   * Check a job against the run's query and location
+   * @param {Object} job - Mapped job
+   * @param {Object} options - { query, location }
+   * @returns {boolean} Whether the job matches
+   */
+  matchesSearch(job, { query = '', location = '' } = {}) {
+    const normalize = text => (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const titleText = normalize([job.title, ...(job.tags || [])].join(' '));
+    const locationText = normalize([job.location, ...(job.tags || [])].join(' '));
+
+    const words = normalize(query).split(/\s+/).filter(Boolean);
+    if (!words.every(word => titleText.includes(word))) return false;
+
+    return !location || locationText.includes(normalize(location).trim());
+  }
+}
+
+module.exports = CareerBoardScraper;
@@ -0,0 +1,521 @@
+const JobPortalScraper = require('./JobPortalScraper');
+const { ParseError } = require('./errors');
+const { validateActions } = require('./renderers');
+const { isValidTimezone } = require('./dateParser');
+
+const FIELD_SELECTORS = ['title', 'company', 'location', 'link', 'date', 'tags', 'description'];
+const PAGINATION_TYPES = ['page', 'offset', 'next', 'click', 'none'];
+const DETAIL_SELECTORS = ['description', 'requirements', 'employmentType', 'salary'];
+// The fake renderer is for tests and is injected through config, not definitions
+const RENDERER_TYPES = ['http', 'puppeteer'];
+const POST_PROCESS_STEPS = ['replace', 'match', 'prefix', 'suffix', 'default', 'split'];
+
+/**
+ * Generic scraper driven by a declarative JSON definition
+ * Lets new portals be added at runtime without writing a JobPortalScraper subclass
+ *
+ * Example definition:
+ * {
+ *   "source": "Portal Empleos",
+ *   "baseUrl": "https://www.portal.com",
+ *   "searchUrl": "/buscar?q={query}&l={location}&p={page}",
+ *   "selectors": {
+ *     "card": ".job-card",
+ *     "title": "h2",
+ *     "company": ".company",
+ *     "location": ".location",
+ *     "link": "a.title@href",
+ *     "date": "time@datetime",
+ *     "tags": ".tag"
+ *   },
+ *   "pagination": { "type": "page", "start": 1, "step": 1 },
+ *   "idPattern": "/empleo/(\\d+)",
+ *   "timezone": "America/Montevideo",
+ *   "locale": "es-UY",
+ *   "detailSelectors": { "description": ".detalle", "requirements": ".requisitos li" },
+ *   "postProcess": {
+ *     "company": [{ "replace": "^Empresa:\\s*", "with": "" }, { "default": "Confidencial" }]
+ *   }
+ * }
+ *
+ * Selectors accept an optional "@attribute" suffix to read an attribute
+ * instead of the element text.
+ *
+ * Pagination types: "page" and "offset" fill {page}/{offset} (or pagination.param),
+ * "next" follows the page's next link ({ "type": "next", "selector": "a.siguiente" }),
+ * "click" clicks through pages in a browser, "none" scrapes a single page.
+ *
+ * Portals that render listings client-side can use a browser renderer:
+ * {
+ *   "renderer": "puppeteer",
+ *   "renderActions": [{ "type": "waitForSelector", "selector": ".job-card" }],
+ *   "pagination": { "type": "click", "selector": "button.next", "maxPages": 5, "waitForSelector": ".job-card" }
+ * }
+ */
+class ConfigurableScraper extends JobPortalScraper {
+  constructor(config = {}) {
+    const definition = config.definition || {};
+    const { type: paginationType, selector: nextSelector } = definition.pagination || {};
+
+    super({
+      baseUrl: definition.baseUrl,
+      source: definition.source,
+      timeout: definition.timeout,
+      maxRetries: definition.maxRetries,
+      delayBetweenRequests: definition.delayBetweenRequests,
+      userAgent: definition.userAgent,
+      detailSelectors: definition.detailSelectors,
+      robotsOverride: definition.robotsOverride,
+      rateLimit: definition.rateLimit,
+      renderer: definition.renderer,
+      renderActions: definition.renderActions,
+      timezone: definition.timezone,
+      locale: definition.locale,
+      // Page and offset URLs are built from pageIndex in buildSearchUrl()
+      pagination: paginationType === 'next' ? { type: 'next', selector: nextSelector } : 'page',
+      ...config
+    });
+
+    this.definition = definition;
+    this.searchUrl = definition.searchUrl || '';
+    this.selectors = definition.selectors || {};
+    this.pagination = { type: 'page', start: 1, step: 1, ...definition.pagination };
+    this.postProcess = definition.postProcess || {};
+    this.idPattern = definition.idPattern ? new RegExp(definition.idPattern) : null;
+  }
+
+  /**
+   * Validate a scraper definition
+   * @param {Object} definition - Scraper definition
+   * @returns {Array} List of validation error messages (empty if valid)
+   */
+  static validateDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return ['Definition must be an object'];
+    }
+
+    if (!definition.source || typeof definition.source !== 'string') {
+      errors.push('source is required');
+    }
+
+    if (!definition.searchUrl || typeof definition.searchUrl !== 'string') {
+      errors.push('searchUrl is required');
+    } else {
+      try {
+        new URL(definition.searchUrl, definition.baseUrl || undefined);
+      } catch (error) {
+        errors.push('searchUrl must be an absolute URL or relative to baseUrl');
+      }
+    }
+
+    const selectors = definition.selectors;
+    if (!selectors || typeof selectors !== 'object') {
+      errors.push('selectors is required');
+    } else {
+      for (const field of ['card', 'title']) {
+        if (!selectors[field]) {
+          errors.push(`selectors.${field} is required`);
+        }
+      }
+
+      for (const [field, selector] of Object.entries(selectors)) {
+        if (field !== 'card' && !FIELD_SELECTORS.includes(field)) {
+          errors.push(`selectors.${field} is not a supported field`);
+        } else if (typeof selector !== 'string') {
+          errors.push(`selectors.${field} must be a string`);
+        }
+      }
+    }
+
+    if (definition.pagination) {
+      const { type = 'page', param } = definition.pagination;
+
+      if (!PAGINATION_TYPES.includes(type)) {
+        errors.push(`pagination.type must be one of: ${PAGINATION_TYPES.join(', ')}`);
+      }
+
+      if (param !== undefined && typeof param !== 'string') {
+        errors.push('pagination.param must be a string');
+      }
+
+      if (type === 'next' && definition.pagination.selector !== undefined && typeof definition.pagination.selector !== 'string') {
+        errors.push('pagination.selector must be a string');
+      }
+
+      if (type === 'click') {
+        if (typeof definition.pagination.selector !== 'string') {
+          errors.push('pagination.selector is required for click pagination');
+        }
+
+        if ((definition.renderer || 'http') === 'http') {
+          errors.push('click pagination requires a browser renderer (e.g. "puppeteer")');
+        }
+      }
+    }
+
+    if (definition.renderer !== undefined && !RENDERER_TYPES.includes(definition.renderer)) {
+      errors.push(`renderer must be one of: ${RENDERER_TYPES.join(', ')}`);
+    }
+
+    if (definition.renderActions?.length && (definition.renderer || 'http') === 'http') {
+      errors.push('renderActions require a browser renderer (e.g. "puppeteer")');
+    }
+
+    errors.push(...validateActions(definition.renderActions).map(message => `renderActions: ${message}`));
+
+    if (definition.timezone !== undefined && (typeof definition.timezone !== 'string' || !isValidTimezone(definition.timezone))) {
+      errors.push('timezone must be an IANA timezone (e.g. "America/Santiago")');
+    }
+
+    if (definition.locale !== undefined && typeof definition.locale !== 'string') {
+      errors.push('locale must be a string');
+    }
+
+    for (const [field, selector] of Object.entries(definition.detailSelectors || {})) {
+      if (!DETAIL_SELECTORS.includes(field)) {
+        errors.push(`detailSelectors.${field} is not a supported field`);
+      } else if (typeof selector !== 'string') {
+        errors.push(`detailSelectors.${field} must be a string`);
+      }
+    }
+
+    if (definition.robotsOverride) {
+      const { reason, allowPaths, crawlDelay } = definition.robotsOverride;
+
+      if (typeof reason !== 'string' || !reason.trim()) {
+        errors.push('robotsOverride.reason is required');
+      }
+
+      if (allowPaths !== undefined && (!Array.isArray(allowPaths) || allowPaths.some(path => typeof path !== 'string'))) {
+        errors.push('robotsOverride.allowPaths must be an array of path prefixes');
+      }
+
+      if (crawlDelay !== undefined && (typeof crawlDelay !== 'number' || crawlDelay < 0)) {
+        errors.push('robotsOverride.crawlDelay must be a non-negative number');
+      }
+    }
+
+    if (definition.rateLimit) {
+      const { requestsPerMinute, burst } = definition.rateLimit;
+
+      if (requestsPerMinute !== undefined && !(typeof requestsPerMinute === 'number' && requestsPerMinute > 0)) {
+        errors.push('rateLimit.requestsPerMinute must be a positive number');
+      }
+
+      if (burst !== undefined && !(Number.isInteger(burst) && burst > 0)) {
+        errors.push('rateLimit.burst must be a positive integer');
+      }
+    }
+
+    if (definition.idPattern) {
+      try {
+        new RegExp(definition.idPattern);
+      } catch (error) {
+        errors.push(`idPattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+
+    for (const [field, steps] of Object.entries(definition.postProcess || {})) {
+      if (!Array.isArray(steps)) {
+        errors.push(`postProcess.${field} must be an array of steps`);
+        continue;
+      }
+
+      steps.forEach((step, index) => {
+        const operation = Object.keys(step || {}).find(key => POST_PROCESS_STEPS.includes(key));
+
+        if (!operation) {
+          errors.push(`postProcess.${field}[${index}] has no supported operation`);
+          return;
+        }
+
+        // Only tags are lists; a split on any other field would do nothing
+        if (operation === 'split' && field !== 'tags') {
+          errors.push(`postProcess.${field}[${index}] split is only supported for tags`);
+        }
+
+        if (operation === 'replace' || operation === 'match') {
+          try {
+            new RegExp(step[operation], step.flags);
+          } catch (error) {
+            errors.push(`postProcess.${field}[${index}] has an invalid pattern: ${error.message}`);
+          }
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Scrape job listings as described by the definition
+   * Pages are saved as they are read (use scrapeStream() to consume them incrementally)
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search query
+   * @param {string} options.location - Location filter
+   * @param {number} options.maxPages - Maximum pages to scrape
+   * @param {number} options.maxJobs - Stop once this many jobs are collected
+   * @param {Date|string} options.postedAfter - Skip jobs posted before this date
+   * @param {boolean|Object} options.enrich - Fetch detail pages (see enrichJobs options)
+   * @returns {Promise<Object>} Scraping results
+   */
+  async scrape(options = {}) {
+    return this.scrapeAll(options);
+  }
+
+  /**
+   * Listing pages as described by the definition
+   * Click pagination renders every page in one browser session; other types are walked
+   * with the pagination strategy
+   * @param {Object} options - Scrape options
+   * @yields {Object} { url, pageIndex, jobs }
+   */
+  async *listingPages(options = {}) {
+    const maxPages = this.pagination.type === 'none'
+      ? 1
+      : options.maxPages || this.pagination.maxPages || 1;
+
+    if (this.pagination.type !== 'click') {
+      yield* super.listingPages({ ...options, maxPages });
+      return;
+    }
+
+    const { query = '', location = '' } = options;
+    const { selector, waitForSelector, delay } = this.pagination;
+    const url = this.buildSearchUrl({ query, location, pageIndex: 0 });
+    const pages = await this.fetchAndParsePages(url, [
+      ...this.renderActions,
+      { type: 'paginate', selector, maxPages, waitForSelector, delay }
+    ]);
+
+    for (const [pageIndex, $] of pages.entries()) {
+      console.log(`[${this.source}] Extracting page ${pageIndex + 1}/${pages.length}`);
+      yield { url, pageIndex, jobs: await this.extractJobsFromPage($, { url, pageIndex }) };
+    }
+  }
+
+  /**
+   * Build the search URL from the definition template
+   * Supported placeholders: {query}, {location}, {page}, {offset}
+   * @param {Object} params - Search parameters
+   * @returns {string} Complete search URL
+   */
+  buildSearchUrl(params) {
+    const { query = '', location = '', pageIndex = 0 } = params;
+    const { type, start = 1, step = 1, param } = this.pagination;
+
+    const page = start + pageIndex * step;
+    const offset = pageIndex * step;
+    const values = { query, location, page, offset };
+
+    const expanded = this.searchUrl.replace(/\{(query|location|page|offset)\}/g, (match, key) =>
+      encodeURIComponent(values[key])
+    );
+
+    const url = new URL(expanded, this.baseUrl || undefined);
+
+    // Without a placeholder, pagination can still be driven by a query parameter
+    if (param && (type === 'page' || type === 'offset')) {
+      url.searchParams.set(param, type === 'offset' ? offset : page);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Extract job listings from a page using the card selector
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} page - Page being walked ({ url, ... }); relative links resolve against its URL
+   * @returns {Promise<Array>} Array of job objects
+   */
+  async extractJobsFromPage($, page = {}) {
+    const pageUrl = page.url || this.baseUrl;
+    const jobs = [];
+    const cards = $(this.selectors.card);
+
+    if (cards.length === 0) {
+      console.warn(`[${this.source}] No job cards matched "${this.selectors.card}". Selectors may need adjustment.`);
+    }
+
+    cards.each((index, element) => {
+      try {
+        const job = this.extractJobData($, element, pageUrl);
+
+        if (job && job.title) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        console.error(`[${this.source}] Error extracting job at index ${index}: ${error.message}`);
+        this.recordError(new ParseError(error.message, { cause: error }), { index });
+      }
+    });
+
+    return this.mergeStructuredJobs(jobs, this.extractStructuredJobs($, pageUrl));
+  }
+
+  /**
+   * Extract data from a single job card
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} element - Job card element
+   * @param {string} pageUrl - URL of the listing page (default: baseUrl)
+   * @returns {Object} Job data
+   */
+  extractJobData($, element, pageUrl = this.baseUrl) {
+    const title = this.extractField($, element, 'title');
+    const company = this.extractField($, element, 'company');
+    const location = this.extractField($, element, 'location');
+    const description = this.extractField($, element, 'description');
+    const dateText = this.extractField($, element, 'date');
+
+    let applyLink = this.extractField($, element, 'link');
+
+    if (applyLink && !applyLink.startsWith('http')) {
+      applyLink = new URL(applyLink, pageUrl).toString();
+    }
+
+    return {
+      title,
+      company,
+      location,
+      description,
+      applyLink: applyLink || pageUrl,
+      externalId: this.createExternalId(title, company, applyLink, location),
+      tags: this.extractTags($, element),
+      ...this.parsePostedAt(dateText),
+      source: this.source
+    };
+  }
+
+  /**
+   * Extract a single field using its configured selector and post-processing
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} element - Job card element
+   * @param {string} field - Field name
+   * @returns {string} Extracted value
+   */
+  extractField($, element, field) {
+    const selector = this.selectors[field];
+    let value = '';
+
+    if (selector) {
+      const { css, attribute } = this.parseSelector(selector);
+
+      if (attribute) {
+        value = css
+          ? this.extractAttribute($, css, attribute, element)
+          : $(element).attr(attribute) || '';
+      } else {
+        value = $(element).find(css).first().text().trim();
+      }
+    }
+
+    return this.applyPostProcess(field, value);
+  }
+
+  /**
+   * Extract tags from every element matching the tags selector
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} element - Job card element
+   * @returns {Array} Array of tags
+   */
+  extractTags($, element) {
+    if (!this.selectors.tags) return [];
+
+    const { css, attribute } = this.parseSelector(this.selectors.tags);
+    const tags = [];
+
+    $(element).find(css).each((i, el) => {
+      const tag = attribute ? $(el).attr(attribute) : $(el).text().trim();
+      if (tag) tags.push(tag);
+    });
+
+    const steps = this.postProcess.tags || [];
+    const splitStep = steps.find(step => step.split !== undefined);
+
+    return tags
+      .flatMap(tag => (splitStep ? tag.split(splitStep.split) : [tag]))
+      .map(tag => this.applyPostProcess('tags', tag.trim()))
+      .filter(Boolean);
+  }
+
+  /**
+   * Split a "css@attribute" selector into its parts
+   * @param {string} selector - Selector string
+   * @returns {Object} { css, attribute }
+   */
+  parseSelector(selector) {
+    const atIndex = selector.lastIndexOf('@');
+
+    if (atIndex === -1) {
+      return { css: selector.trim(), attribute: null };
+    }
+
+    return {
+      css: selector.substring(0, atIndex).trim(),
+      attribute: selector.substring(atIndex + 1).trim()
+    };
+  }
+
+  /**
+   * Run the configured post-processing steps for a field
+   * @param {string} field - Field name
+   * @param {string} value - Raw value
+   * @returns {string} Processed value
+   */
+  applyPostProcess(field, value) {
+    const steps = this.postProcess[field] || [];
+    let result = value || '';
+
+    for (const step of steps) {
+      if (step.replace !== undefined) {
+        result = result.replace(new RegExp(step.replace, step.flags ?? 'g'), step.with || '');
+      } else if (step.match !== undefined) {
+        const match = result.match(new RegExp(step.match, step.flags));
+        result = match ? (match[step.group ?? 1] ?? match[0]) : '';
+      } else if (step.prefix !== undefined && result) {
+        result = `${step.prefix}${result}`;
+      } else if (step.suffix !== undefined && result) {
+        result = `${result}${step.suffix}`;
+      } else if (step.default !== undefined && !result) {
+        result = step.default;
+      }
+    }
+
+    return result.trim();
+  }
+
+  /**
+   * Create an external ID, preferring the ID captured by idPattern
+   * @param {string} title - Job title
+   * @param {string} company - Company name
+   * @param {string} url - Job URL
+   * @param {string} location - Job location
+   * @returns {string} External ID
+   */
+  createExternalId(title, company, url, location = '') {
+    const match = this.idPattern && url?.match(this.idPattern);
+
+    if (match) {
+      return `${this.source.toLowerCase().replace(/\s+/g, '-')}-${match[1] || match[0]}`;
+    }
+
+    return this.generateExternalId({ title, company, location, applyLink: url });
+  }
+
+  /**
+   * Create a scraper class bound to a definition so it can be registered
+   * @param {Object} definition - Scraper definition
+   * @returns {Function} Scraper class constructor
+   */
+  static fromDefinition(definition) {
+    return class extends ConfigurableScraper {
+      constructor(config = {}) {
+        super({ ...config, definition });
+      }
+    };
+  }
+}
+
+module.exports = ConfigurableScraper;
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const CareerBoardScraper = require('./CareerBoardScraper');
+const { ParseError } = require('./errors');
+const { htmlToText } = require('./structuredData');
+const { slugify } = require('./fingerprint');
+
+// Item elements holding job fields, by local name (job:company, company, ...)
+const ITEM_FIELDS = {
+  company: ['company', 'companyname', 'hiringorganization'],
+  location: ['location', 'joblocation'],
+  employmentType: ['jobtype', 'employmenttype']
+};
+
+/**
+ * Local name of an XML element ('content:encoded' -> 'encoded')
+ * @param {Object} element - Cheerio element
+ * @returns {string} Lower-cased local name
+ */
+const localName = element => element.name.split(':').pop().toLowerCase();
+
+/**
+ * Scraper for RSS 2.0 and Atom job feeds
+ * Any feed URL can be read - job boards, ATS exports or saved searches. Each feed is read
+ * as one listing page; a feed that fails is recorded and skipped.
+ *
+ * Feeds are set in config, per run, or with JOB_FEEDS (comma-separated):
+ *   getScraper('feed', { feeds: ['https://example.com/jobs.rss', { url: 'https://acme.com/careers.atom', company: 'Acme' }] })
+ *   scraper.scrape({ feeds: 'https://example.com/jobs.rss', query: 'engineer' })
+ *
+ * Feed entries can also set a default `location` for items that don't carry one. The
+ * company comes from the item (job:company and similar elements), then the feed entry,
+ * then the item's author, then the feed title.
+ */
+class FeedScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://example.com',
+      source: 'Feed',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'feeds', idKey: 'url', label: 'feed', envVar: 'JOB_FEEDS' });
+  }
+
+  /**
+   * URL of a feed
+   * @param {Object} feed - { url, company, location }
+   * @returns {string} Feed URL
+   */
+  boardUrl(feed) {
+    return feed.url;
+  }
+
+  /**
+   * Fetch and parse a feed
+   * @param {Object} feed - { url, company, location }
+   * @returns {Promise<Object>} { postings } - items with the feed's defaults applied
+   */
+  async fetchBoard(feed) {
+    const { title, items } = this.parseFeed(await this.fetchPage(feed.url), feed.url);
+
+    return {
+      postings: items.map(item => ({
+        ...item,
+        company: item.company || feed.company || item.author || title,
+        location: item.location || feed.location || ''
+      }))
+    };
+  }
+
+  /**
+   * Parse an RSS 2.0 or Atom document
+   * @param {string} xml - Feed document
+   * @param {string} url - Feed URL (resolves relative links)
+   * @returns {Object} { format, title, items }
+   * @throws {ParseError} When the document is neither RSS nor Atom
+   */
+  parseFeed(xml, url) {
+    const $ = cheerio.load(typeof xml === 'string' ? xml : '', { xml: true });
+    const root = $.root().children().filter((index, element) => element.type === 'tag').first();
+    const format = root.length ? localName(root[0]) : null;
+
+    if (format === 'rss' || format === 'rdf') {
+      return {
+        format: 'rss',
+        title: this.childText(root.find('channel').first(), 'title'),
+        items: root.find('item').map((index, element) => this.readRssItem($, $(element), url)).get()
+      };
+    }
+
+    if (format === 'feed') {
+      return {
+        format: 'atom',
+        title: this.childText(root, 'title'),
+        items: root.children().filter((index, element) => localName(element) === 'entry')
+          .map((index, element) => this.readAtomEntry($(element), url)).get()
+      };
+    }
+
+    throw new ParseError(`Not an RSS or Atom feed (root element: ${format || 'none'})`, { url });
+  }
+
+  /**
+   * Read an RSS <item>
+   * @param {Function} $ - Cheerio root
+   * @param {Object} item - <item> element
+   * @param {string} url - Feed URL
+   * @returns {Object} Feed item
+   */
+  readRssItem($, item, url) {
+    const link = this.childText(item, 'link');
+    const description = this.childText(item, 'description');
+    const content = this.childText(item, 'encoded');
+
+    return {
+      title: this.childText(item, 'title'),
+      link: this.resolveUrl(link, url),
+      guid: this.childText(item, 'guid') || link,
+      // content:encoded holds the full text when present; description is often a summary
+      description: htmlToText(content.length > description.length ? content : description),
+      published: this.childText(item, 'pubdate') || this.childText(item, 'date'),
+      updated: null,
+      categories: this.children(item, 'category').map((index, element) => $(element).text().trim()).get(),
+      author: this.childText(item, 'creator') || this.childText(item, 'author'),
+      enclosures: this.children(item, 'enclosure')
+        .map((index, element) => this.readEnclosure(element.attribs.url, element.attribs, url)).get(),
+      ...this.readJobFields(item)
+    };
+  }
+
+  /**
+   * Read an Atom <entry>
+   * @param {Object} entry - <entry> element
+   * @param {string} url - Feed URL
+   * @returns {Object} Feed item
+   */
+  readAtomEntry(entry, url) {
+    const links = this.children(entry, 'link').map((index, element) => element.attribs).get();
+    const alternate = links.find(link => !link.rel || link.rel === 'alternate') || links[0];
+    const content = this.readAtomText(this.children(entry, 'content').first());
+    const summary = this.readAtomText(this.children(entry, 'summary').first());
+    const link = this.resolveUrl(alternate?.href, url);
+
+    return {
+      title: htmlToText(this.readAtomText(this.children(entry, 'title').first())),
+      link,
+      guid: this.childText(entry, 'id') || link,
+      description: htmlToText(content.length > summary.length ? content : summary),
+      published: this.childText(entry, 'published') || this.childText(entry, 'updated'),
+      updated: this.childText(entry, 'updated') || null,
+      categories: this.children(entry, 'category')
+        .map((index, element) => element.attribs.label || element.attribs.term).get().filter(Boolean),
+      author: this.childText(this.children(entry, 'author').first(), 'name'),
+      enclosures: links.filter(entryLink => entryLink.rel === 'enclosure')
+        .map(entryLink => this.readEnclosure(entryLink.href, entryLink, url)),
+      ...this.readJobFields(entry)
+    };
+  }
+
+  /**
+   * Read an Atom text construct as HTML
+   * @param {Object} element - <title>, <summary> or <content> element
+   * @returns {string} HTML (escaped html is decoded, xhtml keeps its markup)
+   */
+  readAtomText(element) {
+    if (!element.length) return '';
+    if (element.attr('type') === 'xhtml') return element.html() || '';
+
+    return element.text().trim();
+  }
+
+  /**
+   * Read job fields some feeds add to their items (job:company, location, ...)
+   * @param {Object} item - <item> or <entry> element
+   * @returns {Object} { company, location, employmentType } - only the fields present
+   */
+  readJobFields(item) {
+    const fields = {};
+
+    for (const [field, names] of Object.entries(ITEM_FIELDS)) {
+      const value = item.children().filter((index, element) => names.includes(localName(element))).first().text().trim();
+      if (value) fields[field] = value;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Read an enclosure (RSS <enclosure> or Atom <link rel="enclosure">)
+   * @param {string} href - Enclosure URL
+   * @param {Object} attributes - type and length attributes
+   * @param {string} url - Feed URL
+   * @returns {Object} { url, type, length } - type and length only when given
+   */
+  readEnclosure(href, attributes, url) {
+    const enclosure = { url: this.resolveUrl(href, url) };
+    const length = parseInt(attributes.length, 10);
+
+    if (attributes.type) enclosure.type = attributes.type;
+    if (length > 0) enclosure.length = length;
+
+    return enclosure;
+  }
+
+  /**
+   * Map a feed item to Job fields
+   * @param {Object} item - Item from parseFeed() with the feed's defaults applied
+   * @param {Object} feed - { url, company, location }
+   * @returns {Object} Job data
+   */
+  mapPosting(item, feed) {
+    const posted = item.published ? new Date(item.published) : null;
+    const job = {
+      title: item.title,
+      company: item.company,
+      location: item.location,
+      description: item.description,
+      applyLink: item.link,
+      externalId: this.buildItemId(feed.url, item.guid || item.link || item.title),
+      tags: [...new Set(item.categories)],
+      // RSS (RFC 822) and Atom (RFC 3339) dates are machine-readable; others go through the parser
+      ...(posted && !isNaN(posted) ? { postedAt: posted, postedAtInferred: false } : this.parsePostedAt(item.published)),
+      source: this.source
+    };
+
+    if (item.employmentType) job.employmentType = item.employmentType;
+    if (item.updated && !isNaN(new Date(item.updated))) job.sourceUpdatedAt = new Date(item.updated);
+    if (item.enclosures.length > 0) job.attachments = item.enclosures;
+
+    return job;
+  }
+
+  /**
+   * Build a stable external ID from the feed host and the item's guid
+   * @param {string} feedUrl - Feed URL
+   * @param {string} guid - Item guid, id or link
+   * @returns {string} External ID (feed-<host>-<hash>)
+   */
+  buildItemId(feedUrl, guid) {
+    const host = slugify(new URL(feedUrl).hostname.replace(/^www\./, ''), 40);
+    const hash = crypto.createHash('sha1').update(`${feedUrl}|${guid}`).digest('hex').substring(0, 16);
+
+    return `feed-${host}-${hash}`;
+  }
+
+  /**
+   * Child elements with a local name
+   * @param {Object} parent - Parent element
+   * @param {string} name - Local name (lower case)
+   * @returns {Object} Cheerio selection
+   */
+  children(parent, name) {
+    return parent.children().filter((index, element) => localName(element) === name);
+  }
+
+  /**
+   * Text of the first child element with a local name
+   * @param {Object} parent - Parent element
+   * @param {string} name - Local name (lower case)
+   * @returns {string} Trimmed text, or '' when missing
+   */
+  childText(parent, name) {
+    return this.children(parent, name).first().text().trim();
+  }
+
+  /**
+   * Resolve a link against the feed URL
+   * @param {string} href - Link
+   * @param {string} base - Feed URL
+   * @returns {string} Absolute URL, or '' for missing or invalid links
+   */
+  resolveUrl(href, base) {
+    if (!href) return '';
+
+    try {
+      return new URL(href.trim(), base).toString();
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+module.exports = FeedScraper;
@@ -0,0 +1,116 @@
+const CareerBoardScraper = require('./CareerBoardScraper');
+const { CancelledError } = require('./errors');
+const { htmlToText } = require('./structuredData');
+
+/**
+ * Scraper for company career boards hosted on Greenhouse
+ * Reads the public Job Board API instead of HTML: one request per board returns every
+ * open job with its full description, departments and offices.
+ *
+ * Boards are identified by their token (the "acme" in boards.greenhouse.io/acme) and can
+ * be set in config, per run, or with GREENHOUSE_BOARDS (comma-separated):
+ *   getScraper('greenhouse', { boards: ['acme', { token: 'globex', company: 'Globex Corp' }] })
+ *   scraper.scrape({ boards: 'acme,globex', query: 'engineer', location: 'remote' })
+ *
+ * The API has no search, so query and location are matched against each job's title,
+ * departments, location and offices.
+ */
+class GreenhouseScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://boards-api.greenhouse.io',
+      source: 'Greenhouse',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'boards', idKey: 'token', label: 'board', envVar: 'GREENHOUSE_BOARDS' });
+  }
+
+  /**
+   * Normalize a board list
+   * @param {Array|string} boards - Tokens, { token, company } objects or a comma-separated string
+   * @returns {Array<Object>} { token, company } - company is null when it should be looked up
+   */
+  static parseBoards(boards) {
+    return CareerBoardScraper.parseBoardList(boards, 'token');
+  }
+
+  /**
+   * Build a Job Board API URL
+   * @param {string} token - Board token
+   * @param {string} path - Path below the board (e.g. '/jobs')
+   * @returns {string} API URL
+   */
+  buildBoardUrl(token, path = '') {
+    return new URL(`/v1/boards/${encodeURIComponent(token)}${path}`, this.baseUrl).toString();
+  }
+
+  /**
+   * URL of a board's jobs, with their content
+   * @param {Object} board - { token, company }
+   * @returns {string} API URL
+   */
+  boardUrl(board) {
+    return this.buildBoardUrl(board.token, '/jobs?content=true');
+  }
+
+  /**
+   * Fetch a board's jobs and, without a configured company, the board's name
+   * @param {Object} board - { token, company }
+   * @returns {Promise<Object>} { postings, company }
+   */
+  async fetchBoard(board) {
+    const data = await this.fetchJson(this.boardUrl(board));
+    const company = board.company || await this.getBoardName(board.token);
+
+    return { postings: data?.jobs || [], company };
+  }
+
+  /**
+   * Look up a board's company name
+   * @param {string} token - Board token
+   * @returns {Promise<string|null>} Board name, or null when it can't be read
+   */
+  async getBoardName(token) {
+    try {
+      const board = await this.fetchJson(this.buildBoardUrl(token));
+      return board?.name || null;
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+
+      console.warn(`[${this.source}] Could not read the name of board ${token}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Map a Job Board API job to Job fields
+   * @param {Object} posting - Job from GET /v1/boards/:token/jobs?content=true
+   * @param {Object} board - { token, company }
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, { token, company }) {
+    const departments = (posting.departments || []).map(department => department.name).filter(Boolean);
+    const offices = (posting.offices || []).map(office => office.name).filter(Boolean);
+
+    const job = {
+      title: posting.title,
+      company,
+      location: posting.location?.name || offices.join(', '),
+      // content is escaped HTML
+      description: htmlToText(posting.content),
+      applyLink: posting.absolute_url || this.buildBoardUrl(token, `/jobs/${posting.id}`),
+      externalId: `greenhouse-${token}-${posting.id}`,
+      tags: [...new Set([...departments, ...offices])],
+      ...this.parsePostedAt(posting.first_published || posting.updated_at),
+      source: this.source
+    };
+
+    if (posting.updated_at) job.sourceUpdatedAt = new Date(posting.updated_at);
+
+    return job;
+  }
+}
+
+module.exports = GreenhouseScraper;
@@ -1,6 +1,25 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Job = require('../../models/Job');
+const { upsertJobs } = require('../jobWriter');
+const { findJobPostings, mapJobPosting, htmlToText } = require('./structuredData');
+const { buildExternalId, buildFingerprint } = require('./fingerprint');
+const { robotsPolicy, DEFAULT_USER_AGENT } = require('./robotsPolicy');
+const { hostRateLimiter } = require('./hostRateLimiter');
+const { BlockedError, ParseError, CancelledError, classifyError, summarizeErrors } = require('./errors');
+const { abortReason, throwIfAborted, sleep } = require('./abort');
+const { getRetryDelay } = require('./retryPolicy');
+const { responseCache } = require('./responseCache');
+const { createRenderer, createFixtureRenderer, validateActions } = require('./renderers');
+const { createPagination } = require('./pagination');
+const { parseDate, isValidTimezone } = require('./dateParser');
+
+// Generic detail-page selectors, overridable per scraper with config.detailSelectors
+const DEFAULT_DETAIL_SELECTORS = {
+  description: '[itemprop="description"], .job-description, #job-description, .description, .descripcion',
+  requirements: '.requirements li, #requirements li, .requisitos li',
+  employmentType: '[itemprop="employmentType"], .employment-type, .job-type, .jornada',
+  salary: '[itemprop="baseSalary"], .salary, .salario, .sueldo'
+};
 
 /**
  * Base class for all job portal scrapers
@@ -13,10 +32,97 @@ class JobPortalScraper {
     this.timeout = config.timeout || 10000;
     this.maxRetries = config.maxRetries || 3;
     this.delayBetweenRequests = config.delayBetweenRequests || 1000;
+    // Exponential backoff starts at retryBaseDelay and is capped at maxRetryDelay
+    this.retryBaseDelay = config.retryBaseDelay || this.delayBetweenRequests;
+    this.maxRetryDelay = config.maxRetryDelay || 30000;
+    this.maxRetryAfter = config.maxRetryAfter || 120000;
     this.userAgent = config.userAgent || 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+    this.enrichConcurrency = config.enrichConcurrency || 2;
+    // Jobs per bulkWrite in saveJobs() (default: JOB_WRITE_BATCH_SIZE or 500)
+    this.writeBatchSize = config.writeBatchSize;
+    this.detailSelectors = { ...DEFAULT_DETAIL_SELECTORS, ...config.detailSelectors };
+
+    // Posted dates without a time are read in the portal's timezone; the locale settles
+    // whether "03/04/2024" is day-first (anything but en-US)
+    this.timezone = config.timezone || 'UTC';
+    this.locale = config.locale || null;
+
+    if (!isValidTimezone(this.timezone)) {
+      throw new Error(`[${this.source}] Invalid timezone: ${this.timezone}`);
+    }
+
+    // robots.txt compliance: token matched against User-agent lines, shared rule cache
+    this.robotsUserAgent = config.robotsUserAgent || DEFAULT_USER_AGENT;
+    this.robotsPolicy = config.robotsPolicy || robotsPolicy;
+    this.robotsOverride = config.robotsOverride || null;
+
+    // Requests go through a process-wide per-host token bucket
+    this.rateLimiter = config.rateLimiter || hostRateLimiter;
+    if (config.rateLimit && this.baseUrl) {
+      this.rateLimiter.configure(this.baseUrl, config.rateLimit);
+    }
+
+    if (this.robotsOverride) {
+      if (!this.robotsOverride.reason) {
+        throw new Error(`[${this.source}] robotsOverride requires a reason`);
+      }
+      console.warn(`[${this.source}] robots.txt override in effect: ${JSON.stringify(this.robotsOverride)}`);
+    }
+
+    // HTTP cache: ttl (seconds) serves entries without a request, otherwise entries are
+    // revalidated with If-None-Match/If-Modified-Since; bypass ignores stored entries.
+    // skipUnchanged skips listing pages whose jobs a previous run saved from the same body.
+    this.responseCache = config.responseCache || responseCache;
+    this.cacheOptions = { enabled: true, ttl: 0, bypass: false, skipUnchanged: true, ...config.cache };
+
+    // Renderer turns URLs into HTML: 'http' (default), 'puppeteer' for client-side rendered
+    // portals, or any object with render()/close(). renderActions run on listing pages.
+    this.renderer = createRenderer(config.renderer || 'http');
+
+    // Fixtures ({ mode: 'replay', name }) serve a recorded set offline; recording writes
+    // files, so only `npm run fixtures:record` does it (recordFixtures.js)
+    if (config.fixtures) {
+      if (config.fixtures.mode !== 'replay') {
+        throw new Error(`[${this.source}] fixtures only replay recorded sets; record them with npm run fixtures:record`);
+      }
+
+      this.renderer = createFixtureRenderer(this.renderer, config.fixtures);
+    }
+
+    this.renderActions = config.renderActions || [];
+
+    const actionErrors = validateActions(this.renderActions);
+    if (actionErrors.length > 0) {
+      throw new Error(`[${this.source}] Invalid renderActions: ${actionErrors.join('; ')}`);
+    }
+
+    if (this.renderActions.length > 0 && !this.renderer.supportsActions) {
+      throw new Error(`[${this.source}] The ${this.renderer.name} renderer does not support renderActions`);
+    }
+
+    // How listing pages are walked (see pagination.js) and when to stop walking them.
+    // Per-run scrape options (maxPages, maxJobs, postedAfter) override stopConditions.
+    this.paginationStrategy = createPagination(config.pagination || 'page');
+    this.stopConditions = {
+      maxPages: 1,
+      maxJobs: Infinity,
+      postedAfter: null,
+      stopWhenNoNewJobs: true,
+      ...config.stopConditions
+    };
+
+    // Aborting this signal cancels in-flight requests and waits (set per run by scrapeStream())
+    this.signal = config.signal || null;
 
     this.jobs = [];
     this.errors = [];
+    this.recordedErrors = new WeakSet();
+    this.enrichmentStats = null;
+    this.paginationStats = null;
+    this.progress = null;
+    this.robotsStats = { checked: 0, blocked: 0, overridden: 0 };
+    this.cacheStats = { hits: 0, notModified: 0, misses: 0, stored: 0, skippedPages: 0 };
+    this.encodingStats = {};
   }
 
   /**
@@ -28,41 +134,620 @@ class JobPortalScraper {
     throw new Error('scrape() method must be implemented by child class');
   }
 
+  /**
+   * Run a scrape as a stream: each listing page's jobs are enriched (options.enrich), saved
+   * and yielded as soon as the page is read, so a failure on page 9 keeps pages 1-8 and
+   * memory does not grow with the result size. Jobs are not collected in this.jobs.
+   * @param {Object} options - Scrape options (query, location, maxPages, maxJobs, postedAfter, enrich)
+   * @param {Function} options.onProgress - Called with the running totals after each page
+   * @param {boolean} options.save - Persist each page (default: true)
+   * @param {boolean} options.dryRun - Preview each page with previewJobs() instead of saving it;
+   *   the database is only read and the response cache is not used
+   * @param {AbortSignal} options.signal - Cancels the run; jobs of the page being processed
+   *   are still saved, then the stream throws a CancelledError
+   * @yields {Object} { url, pageIndex, jobs, stats, progress } - stats is the page's saveJobs() result;
+   *   dry runs also yield the page's preview
+   * @throws {Error} The error that stopped the scrape, after recording it
+   */
+  async *scrapeStream(options = {}) {
+    const { query = '', location = '', save = true, dryRun = false } = options;
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+
+    console.log(`[${this.source}] Starting scrape with query: "${query}", location: "${location}"`);
+    this.reset();
+    this.signal = options.signal || this.signal;
+    this.progress = { pages: 0, jobs: 0, saved: 0, duplicates: 0, failed: 0 };
+    // externalIds previewed on earlier pages: repeats would update the job inserted before
+    const previewed = new Set();
+    // A preview leaves no cache entries behind for the real run to mistake for its own
+    const cacheOptions = this.cacheOptions;
+    if (dryRun) this.cacheOptions = { ...cacheOptions, enabled: false };
+    // A page saved by a run without enrichment still holds jobs this run has to enrich
+    else if (options.enrich) this.cacheOptions = { ...cacheOptions, skipUnchanged: false };
+
+    try {
+      for await (const page of this.listingPages(options)) {
+        // Optionally follow each applyLink for full descriptions
+        if (options.enrich) {
+          const enrichment = this.enrichmentStats;
+          const stats = await this.enrichJobs(page.jobs, options.enrich);
+
+          if (enrichment) {
+            this.enrichmentStats = {
+              enriched: enrichment.enriched + stats.enriched,
+              skipped: enrichment.skipped + stats.skipped,
+              failed: enrichment.failed + stats.failed
+            };
+          }
+        }
+
+        let stats = null;
+        let preview = null;
+
+        if (dryRun) {
+          preview = await this.previewJobs(page.jobs, previewed);
+          stats = {
+            saved: preview.insert.length,
+            duplicates: preview.update.length,
+            failed: preview.rejected.length,
+            total: page.jobs.length
+          };
+        } else if (save) {
+          stats = await this.saveJobs(page.jobs);
+
+          // Only a page whose jobs were all saved can be skipped while it stays unchanged
+          if (page.cachedPage && stats.failed === 0) {
+            await this.markPageSaved(page.cachedPage);
+          }
+        }
+
+        this.progress.pages++;
+        this.progress.jobs += page.jobs.length;
+        this.progress.saved += stats?.saved || 0;
+        this.progress.duplicates += stats?.duplicates || 0;
+        this.progress.failed += stats?.failed || 0;
+
+        const progress = { ...this.progress };
+        if (onProgress) onProgress(progress);
+
+        const result = { url: page.url, pageIndex: page.pageIndex, jobs: page.jobs, stats, progress };
+        if (preview) result.preview = preview;
+
+        yield result;
+      }
+
+      // Cancelled while finishing the last page: report the run as cancelled
+      throwIfAborted(this.signal);
+
+      console.log(`[${this.source}] Scraping complete. Found ${this.progress.jobs} jobs`);
+    } catch (error) {
+      this.recordError(error);
+      throw error;
+    } finally {
+      this.cacheOptions = cacheOptions;
+    }
+  }
+
+  /**
+   * Run scrapeStream() to completion and return the classic scrape() result
+   * @param {Object} options - Scrape options (see scrapeStream())
+   * @returns {Promise<Object>} { success, jobs, stats, errors } - stats sums every page saved,
+   *   including pages saved before a failure, and counts pages per detected charset
+   *   (encodings); cancelled runs also carry cancelled: true, and
+   *   dry runs carry dryRun: true and preview ({ insert, update, rejected } over every page)
+   */
+  async scrapeAll(options = {}) {
+    const jobs = [];
+    const stats = { saved: 0, duplicates: 0, failed: 0, total: 0 };
+    const preview = { insert: [], update: [], rejected: [] };
+    let success = true;
+    let cancelled = false;
+
+    try {
+      for await (const page of this.scrapeStream(options)) {
+        jobs.push(...page.jobs);
+        stats.saved += page.stats?.saved || 0;
+        stats.duplicates += page.stats?.duplicates || 0;
+        stats.failed += page.stats?.failed || 0;
+        stats.total += page.jobs.length;
+
+        if (page.preview) {
+          preview.insert.push(...page.preview.insert);
+          preview.update.push(...page.preview.update);
+          preview.rejected.push(...page.preview.rejected);
+        }
+      }
+    } catch (error) {
+      success = false;
+      cancelled = error instanceof CancelledError;
+
+      if (cancelled) {
+        console.warn(`[${this.source}] Scraping cancelled: ${error.message}. Kept ${jobs.length} jobs`);
+      } else {
+        console.error(`[${this.source}] Scraping failed: ${error.message}`);
+      }
+    }
+
+    this.jobs = jobs;
+    stats.encodings = { ...this.encodingStats };
+
+    const result = {
+      success,
+      jobs,
+      stats,
+      errors: this.errors
+    };
+
+    if (cancelled) result.cancelled = true;
+
+    if (options.dryRun) {
+      result.dryRun = true;
+      result.preview = preview;
+    }
+
+    return result;
+  }
+
+  /**
+   * Listing pages of a scrape - override for listings that are not walked page by page
+   * @param {Object} options - Scrape options
+   * @yields {Object} { url, pageIndex, jobs }
+   */
+  async *listingPages(options = {}) {
+    const { query = '', location = '' } = options;
+    yield* this.walkPages({ query, location }, options);
+  }
+
+  /**
+   * Walk listing pages with the pagination strategy and collect their jobs into this.jobs
+   * @param {Object} params - Search params passed to buildSearchUrl() (query, location...)
+   * @param {Object} options - Stop condition overrides ({ maxPages, maxJobs, postedAfter })
+   * @returns {Promise<Object>} { pages, jobs, stopReason }
+   */
+  async scrapePages(params = {}, options = {}) {
+    for await (const page of this.walkPages(params, options)) {
+      this.jobs.push(...page.jobs);
+    }
+
+    return this.paginationStats;
+  }
+
+  /**
+   * Walk listing pages with the pagination strategy, yielding the new jobs of each page
+   * Stops when the strategy runs out of pages, a page has no jobs, or a stop condition is met:
+   *   maxPages          - pages requested
+   *   maxJobs           - jobs collected
+   *   postedAfter       - jobs posted before this date are dropped; a page with only older
+   *                       jobs ends the walk (listings are assumed newest first)
+   *   stopWhenNoNewJobs - a page repeating jobs already seen ends the walk
+   * Subclasses provide buildSearchUrl(params) and extractJobsFromPage($, page).
+   * @param {Object} params - Search params passed to buildSearchUrl() (query, location...)
+   * @param {Object} options - Stop condition overrides ({ maxPages, maxJobs, postedAfter })
+   * @yields {Object} { url, pageIndex, jobs, cachedPage } - pages whose jobs a previous run saved
+   *   are skipped while unchanged; cachedPage ({ url, body, jobCount }) is set when every job of
+   *   the page is yielded, for markPageSaved() once they are saved
+   */
+  async *walkPages(params = {}, options = {}) {
+    const strategy = this.paginationStrategy;
+    const stop = { ...this.stopConditions };
+
+    for (const key of ['maxPages', 'maxJobs', 'postedAfter', 'stopWhenNoNewJobs']) {
+      if (options[key] !== undefined && options[key] !== null) stop[key] = options[key];
+    }
+
+    const cutoff = stop.postedAfter ? new Date(stop.postedAfter) : null;
+    const seen = new Set(this.jobs.map(job => job.externalId || job.applyLink));
+    const visited = new Set();
+
+    let request = strategy.first(params);
+    let pageIndex = 0;
+    let collected = 0;
+    let stopReason = 'last-page';
+
+    this.paginationStats = { pages: 0, jobs: 0, stopReason: null };
+
+    while (request) {
+      if (pageIndex >= stop.maxPages) {
+        stopReason = 'max-pages';
+        break;
+      }
+
+      const url = request.url || this.buildSearchUrl({ ...params, ...request, pageIndex });
+
+      if (visited.has(url)) {
+        stopReason = 'repeated-page';
+        break;
+      }
+      visited.add(url);
+
+      if (pageIndex > 0) {
+        // Delay between page requests to be respectful
+        await this.delay(this.delayBetweenRequests);
+      }
+
+      console.log(`[${this.source}] Scraping page ${pageIndex + 1}/${stop.maxPages}`);
+
+      const { body, savedJobs } = await this.fetchResponse(url, { actions: this.renderActions });
+      const page = { url, params: request, pageIndex, body, ...this.parsePage(body, url), jobs: [] };
+      pageIndex++;
+      this.paginationStats.pages = pageIndex;
+
+      if (savedJobs !== undefined && this.cacheOptions.skipUnchanged) {
+        // A previous run saved this page's jobs and it hasn't changed; offsets still advance
+        // by the jobs it holds
+        this.cacheStats.skippedPages++;
+        console.log(`[${this.source}] Unchanged since its jobs were saved, skipping: ${url}`);
+        page.jobCount = savedJobs;
+        request = strategy.next(page);
+        continue;
+      }
+
+      page.jobs = await this.extractJobsFromPage(page.$, page);
+      page.jobCount = page.jobs.length;
+
+      if (page.jobs.length === 0) {
+        console.log(`[${this.source}] No more jobs found on page ${pageIndex}`);
+        stopReason = 'empty-page';
+        break;
+      }
+
+      const newJobs = page.jobs.filter(job => !seen.has(job.externalId || job.applyLink));
+      newJobs.forEach(job => seen.add(job.externalId || job.applyLink));
+
+      if (newJobs.length === 0 && stop.stopWhenNoNewJobs) {
+        console.log(`[${this.source}] Page ${pageIndex} has no new jobs`);
+        stopReason = 'no-new-jobs';
+        break;
+      }
+
+      const recentJobs = cutoff
+        ? newJobs.filter(job => !job.postedAt || new Date(job.postedAt) >= cutoff)
+        : newJobs;
+      const pageJobs = recentJobs.slice(0, Math.max(0, stop.maxJobs - collected));
+
+      collected += pageJobs.length;
+      this.paginationStats.jobs = collected;
+
+      if (pageJobs.length > 0) {
+        const result = { url, pageIndex: page.pageIndex, jobs: pageJobs };
+        if (pageJobs.length === page.jobs.length) {
+          result.cachedPage = { url, body, jobCount: page.jobs.length };
+        }
+
+        yield result;
+      }
+
+      if (collected >= stop.maxJobs) {
+        stopReason = 'max-jobs';
+        break;
+      }
+
+      if (cutoff && recentJobs.length === 0) {
+        console.log(`[${this.source}] Page ${pageIndex} only has jobs posted before ${cutoff.toISOString()}`);
+        stopReason = 'posted-before-cutoff';
+        break;
+      }
+
+      request = strategy.next(page);
+    }
+
+    this.paginationStats.stopReason = stopReason;
+    console.log(`[${this.source}] Pagination stopped after ${pageIndex} page(s): ${stopReason}`);
+  }
+
+  /**
+   * Parse a listing response with the pagination strategy
+   * @param {*} body - Response body
+   * @param {string} url - Page URL
+   * @returns {Object} { $, data }
+   * @throws {ParseError} When the body cannot be parsed
+   */
+  parsePage(body, url) {
+    try {
+      return this.paginationStrategy.parse(body);
+    } catch (error) {
+      throw new ParseError(`Failed to parse page: ${error.message}`, { url, cause: error });
+    }
+  }
+
+  /**
+   * Build the URL of a listing page - implemented by scrapers that use scrapePages()
+   * @param {Object} params - Search params plus pagination params (page, offset, cursor, pageIndex)
+   * @returns {string} Page URL
+   */
+  buildSearchUrl(params) {
+    throw new Error('buildSearchUrl() must be implemented by child class to use scrapePages()');
+  }
+
+  /**
+   * Extract the jobs of a listing page - implemented by scrapers that use scrapePages()
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} page - Page being walked ({ url, params, pageIndex, data })
+   * @returns {Promise<Array>} Job objects
+   */
+  async extractJobsFromPage($, page) {
+    throw new Error('extractJobsFromPage() must be implemented by child class to use scrapePages()');
+  }
+
   /**
    * Fetch HTML content from a URL
    * @param {string} url - URL to fetch
    * @returns {Promise<string>} HTML content
+   * @throws {ScraperError} Typed error (blocked, not-found, timeout, network, ...)
    */
   async fetchPage(url) {
+    const { body } = await this.fetchResponse(url);
+    return body;
+  }
+
+  /**
+   * Fetch and parse a JSON API response (same checks, cache and retries as fetchPage())
+   * @param {string} url - URL to fetch
+   * @returns {Promise<*>} Parsed response
+   * @throws {ParseError} When the response is not JSON
+   */
+  async fetchJson(url) {
+    const body = await this.fetchPage(url);
+    if (body && typeof body === 'object') return body;
+
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      throw new ParseError(`Invalid JSON response: ${error.message}`, { url, cause: error });
+    }
+  }
+
+  /**
+   * Fetch a URL through the response cache, robots.txt checks, the host rate limiter and retries
+   * Network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff
+   * (or the server's Retry-After); other 4xx responses fail immediately.
+   * The cache is only used by renderers that support conditional requests (plain HTTP)
+   * and never for pages rendered with actions. Fresh cache hits skip robots.txt and Crawl-delay.
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Fetch options
+   * @param {Array} options.actions - Page actions for the renderer (default: none)
+   * @returns {Promise<Object>} { body, fromCache, unchanged, savedJobs, pages } - unchanged is true
+   *   for fresh cache hits and 304 responses; savedJobs is only set on unchanged pages a run
+   *   marked as saved (markPageSaved()); pages only when a paginate action collected pages
+   * @throws {ScraperError} Typed error (blocked, not-found, timeout, network, ...)
+   */
+  async fetchResponse(url, options = {}) {
+    const { actions = [] } = options;
+
+    const { enabled, ttl, bypass } = this.cacheOptions;
+    const cacheable = enabled && this.renderer.supportsConditionalRequests && actions.length === 0;
+    const cached = cacheable && !bypass ? await this.responseCache.get(url, this.source) : null;
+
+    if (cached && ttl > 0 && Date.now() - cached.storedAt < ttl * 1000) {
+      this.cacheStats.hits++;
+      console.log(`[${this.source}] Cache hit: ${url}`);
+      return this.cachedResponse(cached);
+    }
+
+    // Only requests that reach the site go through robots.txt and Crawl-delay; replayed
+    // fixtures never do
+    if (!this.renderer.offline) {
+      await this.checkRobots(url);
+    }
+
+    const conditionalHeaders = {};
+    if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+    const response = await this.withRetries(url, () => this.renderer.render(url, {
+      userAgent: this.userAgent,
+      timeout: this.timeout,
+      headers: conditionalHeaders,
+      allowNotModified: Boolean(cached),
+      actions,
+      signal: this.signal
+    }));
+
+    if (response.status === 304 && cached) {
+      this.cacheStats.notModified++;
+      console.log(`[${this.source}] Not modified: ${url}`);
+      await this.storeInCache(url, cached, true);
+      return this.cachedResponse(cached);
+    }
+
+    // Pages fetched per charset, e.g. { 'utf-8': 3, 'windows-1252': 1 }
+    if (response.encoding) {
+      this.encodingStats[response.encoding] = (this.encodingStats[response.encoding] || 0) + 1;
+    }
+
+    if (cacheable) {
+      this.cacheStats.misses++;
+      await this.storeInCache(url, {
+        body: response.html,
+        etag: response.headers?.etag,
+        lastModified: response.headers?.['last-modified']
+      });
+    }
+
+    const result = { body: response.html, fromCache: false, unchanged: false };
+    if (response.pages) result.pages = response.pages;
+
+    return result;
+  }
+
+  /**
+   * Response served from a cache entry
+   * @param {Object} cached - Cache entry
+   * @returns {Object} { body, fromCache, unchanged, savedJobs } - savedJobs only when marked
+   */
+  cachedResponse(cached) {
+    const response = { body: cached.body, fromCache: true, unchanged: true };
+    if (Number.isInteger(cached.savedJobs)) response.savedJobs = cached.savedJobs;
+
+    return response;
+  }
+
+  /**
+   * Run a request through the host rate limiter, retrying transient failures
+   * @param {string} url - URL being requested
+   * @param {Function} request - Performs one attempt and resolves with its result
+   * @returns {Promise<*>} Result of the first successful attempt
+   * @throws {ScraperError} Classified error of the last attempt, with attempts set
+   */
+  async withRetries(url, request) {
     let lastError;
+    let attempt = 0;
+
+    while (attempt < this.maxRetries) {
+      attempt++;
+      throwIfAborted(this.signal);
 
-    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        console.log(`[${this.source}] Fetching: ${url} (attempt ${attempt}/${this.maxRetries})`);
+        const waited = this.renderer.offline ? 0 : await this.rateLimiter.acquire(url, { signal: this.signal });
+        if (waited > 0) {
+          console.log(`[${this.source}] Rate limited: waited ${waited}ms for ${new URL(url).hostname}`);
+        }
 
-        const response = await axios.get(url, {
-          timeout: this.timeout,
-          headers: {
-            'User-Agent': this.userAgent,
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive',
-          }
-        });
+        console.log(`[${this.source}] Fetching: ${url} (attempt ${attempt}/${this.maxRetries})`);
 
-        return response.data;
+        return await request();
       } catch (error) {
-        lastError = error;
-        console.error(`[${this.source}] Attempt ${attempt} failed: ${error.message}`);
+        // A cancelled run is never retried
+        if (this.signal?.aborted) throw abortReason(this.signal);
+
+        lastError = classifyError(error, url);
+        console.error(`[${this.source}] Attempt ${attempt} failed (${lastError.type}): ${lastError.message}`);
+
+        if (attempt >= this.maxRetries) break;
 
-        if (attempt < this.maxRetries) {
-          await this.delay(this.delayBetweenRequests * attempt);
+        const retryDelay = getRetryDelay(lastError, attempt, {
+          baseDelay: this.retryBaseDelay,
+          maxDelay: this.maxRetryDelay,
+          maxRetryAfter: this.maxRetryAfter
+        });
+
+        if (retryDelay === null) {
+          if (lastError.retryable) {
+            console.warn(`[${this.source}] Retry-After of ${lastError.retryAfterMs}ms exceeds ${this.maxRetryAfter}ms; giving up`);
+          }
+          break;
         }
+
+        await this.delay(retryDelay);
+      }
+    }
+
+    lastError.attempts = attempt;
+    lastError.message = `Failed to fetch ${url} after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${lastError.message}`;
+    throw lastError;
+  }
+
+  /**
+   * Store a response in the cache when it can be reused
+   * Only HTML with validators (or any HTML when a TTL is set) is worth keeping
+   * Cache write failures are logged and never fail the fetch
+   * @param {string} url - Page URL
+   * @param {Object} entry - { body, etag, lastModified }
+   * @param {boolean} revalidated - Entry was confirmed by a 304
+   */
+  async storeInCache(url, entry, revalidated = false) {
+    if (!this.cacheOptions.enabled || typeof entry.body !== 'string') return;
+    if (!revalidated && !entry.etag && !entry.lastModified && !(this.cacheOptions.ttl > 0)) return;
+
+    try {
+      if (revalidated) {
+        await this.responseCache.touch(url, entry, this.source);
+      } else {
+        await this.responseCache.set(url, { body: entry.body, etag: entry.etag, lastModified: entry.lastModified }, this.source);
+        this.cacheStats.stored++;
+      }
+    } catch (error) {
+      console.warn(`[${this.source}] Could not cache ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record that every job of a cached listing page was saved, so later runs can skip the
+   * page while it stays unchanged
+   * Marking failures are logged and never fail the run
+   * @param {Object} cachedPage - { url, body, jobCount } from walkPages()
+   */
+  async markPageSaved({ url, body, jobCount }) {
+    if (!this.cacheOptions.enabled || !this.renderer.supportsConditionalRequests || typeof body !== 'string') return;
+
+    try {
+      await this.responseCache.markSaved(url, body, jobCount, this.source);
+    } catch (error) {
+      console.warn(`[${this.source}] Could not mark ${url} as saved: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an error in this.errors with its type so results show why a scrape failed
+   * @param {Error} error - Error (ScraperError or any other)
+   * @param {Object} context - Extra fields (url, stage, index...)
+   * @returns {Object|null} Recorded entry (null if the error was already recorded)
+   */
+  recordError(error, context = {}) {
+    // An error recorded where it happened (e.g. robots.txt) is not recorded again by callers
+    if (this.recordedErrors.has(error)) return null;
+    this.recordedErrors.add(error);
+
+    const entry = {
+      ...context,
+      type: error.type || 'unknown',
+      error: error.message
+    };
+
+    if (error.url && !entry.url) entry.url = error.url;
+    if (error.status) entry.status = error.status;
+    if (!error.type) entry.stack = error.stack;
+
+    this.errors.push(entry);
+    return entry;
+  }
+
+  /**
+   * Enforce robots.txt before a request: refuse disallowed URLs and honour Crawl-delay
+   * config.robotsOverride can relax the policy for one scraper; it must carry a reason
+   * and every use is logged:
+   *   { ignore: true, reason }           - skip robots.txt entirely
+   *   { allowPaths: ['/jobs'], reason }  - allow these path prefixes despite Disallow
+   *   { crawlDelay: 2, reason }          - replace the site's Crawl-delay (seconds)
+   * @param {string} url - URL about to be fetched
+   * @returns {Promise<Object|null>} robots.txt decision (null when ignored)
+   * @throws {BlockedError} With code ROBOTS_DISALLOWED when the URL is blocked
+   */
+  async checkRobots(url) {
+    const override = this.robotsOverride || {};
+
+    if (override.ignore) {
+      this.robotsStats.overridden++;
+      console.warn(`[${this.source}] Ignoring robots.txt for ${url} (override: ${override.reason})`);
+      return null;
+    }
+
+    this.robotsStats.checked++;
+    const decision = await this.robotsPolicy.check(url, this.robotsUserAgent, this.userAgent);
+
+    if (!decision.allowed) {
+      const { pathname } = new URL(url);
+      const allowedByOverride = (override.allowPaths || []).some(prefix => pathname.startsWith(prefix));
+
+      if (!allowedByOverride) {
+        const message = `Blocked by robots.txt (${decision.reason}) for user-agent ${this.robotsUserAgent}`;
+        const error = new BlockedError(`${message}: ${url}`, { url, code: 'ROBOTS_DISALLOWED' });
+
+        this.robotsStats.blocked++;
+        this.recordError(error, { url, stage: 'robots', robotsUrl: decision.robotsUrl });
+        console.warn(`[${this.source}] ${message}: ${url}`);
+
+        throw error;
       }
+
+      this.robotsStats.overridden++;
+      console.warn(`[${this.source}] Fetching ${url} despite robots.txt (${decision.reason}); override: ${override.reason}`);
     }
 
-    throw new Error(`Failed to fetch ${url} after ${this.maxRetries} attempts: ${lastError.message}`);
+    const crawlDelay = override.crawlDelay !== undefined ? override.crawlDelay : decision.crawlDelay;
+    await this.robotsPolicy.waitForCrawlDelay(url, crawlDelay, this.signal);
+
+    return decision;
   }
 
   /**
@@ -71,7 +756,11 @@ class JobPortalScraper {
    * @returns {Object} Cheerio instance
    */
   parseHTML(html) {
-    return cheerio.load(html);
+    try {
+      return cheerio.load(html);
+    } catch (error) {
+      throw new ParseError(`Failed to parse HTML: ${error.message}`, { cause: error });
+    }
   }
 
   /**
@@ -81,7 +770,309 @@ class JobPortalScraper {
    */
   async fetchAndParse(url) {
     const html = await this.fetchPage(url);
-    return this.parseHTML(html);
+
+    try {
+      return this.parseHTML(html);
+    } catch (error) {
+      error.url = error.url || url;
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and parse a listing page unless its jobs were saved and it is unchanged since
+   * Parsing a page whose jobs are already stored is wasted work (disable with
+   * cache.skipUnchanged: false). Pages are marked as saved with markPageSaved().
+   * @param {string} url - URL to fetch
+   * @returns {Promise<Object|null>} Cheerio instance, or null for a skipped page
+   */
+  async fetchAndParseIfChanged(url) {
+    const { body, savedJobs } = await this.fetchResponse(url, { actions: this.renderActions });
+
+    if (savedJobs !== undefined && this.cacheOptions.skipUnchanged) {
+      this.cacheStats.skippedPages++;
+      console.log(`[${this.source}] Unchanged since its jobs were saved, skipping: ${url}`);
+      return null;
+    }
+
+    try {
+      return this.parseHTML(body);
+    } catch (error) {
+      error.url = error.url || url;
+      throw error;
+    }
+  }
+
+  /**
+   * Render a listing page and parse every page collected by click-to-paginate
+   * Without a paginate action this is the single rendered page
+   * @param {string} url - URL to render
+   * @param {Array} actions - Page actions (default: renderActions)
+   * @returns {Promise<Array>} Cheerio instances, one per page
+   */
+  async fetchAndParsePages(url, actions = this.renderActions) {
+    const { body, pages } = await this.fetchResponse(url, { actions });
+
+    try {
+      return (pages || [body]).map(html => this.parseHTML(html));
+    } catch (error) {
+      error.url = error.url || url;
+      throw error;
+    }
+  }
+
+  /**
+   * Extract schema.org JobPosting data (JSON-LD and microdata) from a page
+   * @param {Object} $ - Cheerio instance
+   * @param {string} pageUrl - URL of the page (used to resolve relative links)
+   * @returns {Array} Partial job objects with only the fields found
+   */
+  extractStructuredJobs($, pageUrl = this.baseUrl) {
+    return findJobPostings($).map(posting => {
+      const job = mapJobPosting(posting, pageUrl);
+
+      if (job.externalId) {
+        job.externalId = `${this.source.toLowerCase().replace(/\s+/g, '-')}-${job.externalId}`;
+      }
+
+      // A datePosted replaces a date the card text only let us infer
+      if (job.postedAt) job.postedAtInferred = false;
+
+      return { ...job, source: this.source };
+    });
+  }
+
+  /**
+   * Merge selector-extracted jobs with structured data found on the same page
+   * Structured fields take precedence; selector values fill the gaps
+   * @param {Array} jobs - Jobs extracted with CSS selectors
+   * @param {Array} structuredJobs - Jobs from extractStructuredJobs()
+   * @returns {Array} Merged jobs
+   */
+  mergeStructuredJobs(jobs, structuredJobs) {
+    if (!structuredJobs || structuredJobs.length === 0) return jobs;
+
+    const unmatched = new Set(structuredJobs);
+    const normalize = text => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+    const merged = jobs.map(job => {
+      const match = structuredJobs.find(structured =>
+        unmatched.has(structured) && (
+          (structured.applyLink && structured.applyLink === job.applyLink) ||
+          (structured.title && normalize(structured.title) === normalize(job.title))
+        )
+      );
+
+      if (!match) return job;
+
+      unmatched.delete(match);
+
+      return {
+        ...job,
+        ...match,
+        tags: [...new Set([...(job.tags || []), ...(match.tags || [])])]
+      };
+    });
+
+    for (const structured of unmatched) {
+      if (structured.title) merged.push(structured);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Import the jobs described by schema.org markup on any URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Array>} Imported jobs
+   */
+  async importFromUrl(url) {
+    const $ = await this.fetchAndParse(url);
+    const jobs = this.extractStructuredJobs($, url);
+
+    if (jobs.length === 0) {
+      console.warn(`[${this.source}] No schema.org JobPosting found at ${url}`);
+      this.recordError(new ParseError('No schema.org JobPosting found', { url }), { url });
+    }
+
+    this.jobs.push(...jobs);
+    return jobs;
+  }
+
+  /**
+   * Follow each job's applyLink and fill in details missing from summary cards
+   * Jobs enriched within maxAgeHours keep their stored details instead of being fetched again
+   * @param {Array} jobs - Jobs to enrich (defaults to this.jobs)
+   * @param {Object} options - Enrichment options
+   * @param {number} options.concurrency - Parallel detail requests (default: enrichConcurrency)
+   * @param {number} options.maxAgeHours - Skip jobs enriched more recently than this (default: 24)
+   * @param {boolean} options.force - Enrich every job regardless of age
+   * @returns {Promise<Object>} Enrichment stats { enriched, skipped, failed }
+   */
+  async enrichJobs(jobs = null, options = {}) {
+    const jobsToEnrich = jobs || this.jobs;
+    const { concurrency = this.enrichConcurrency, maxAgeHours = 24, force = false } =
+      typeof options === 'object' ? options : {};
+
+    const stats = { enriched: 0, skipped: 0, failed: 0 };
+    const recent = force ? new Map() : await this.findRecentlyEnriched(jobsToEnrich, maxAgeHours);
+
+    const queue = jobsToEnrich.filter(job => {
+      const stored = recent.get(job.externalId);
+
+      if (stored) {
+        // Carry stored details over so the upsert doesn't replace them with card data
+        Object.assign(job, stored);
+        stats.skipped++;
+        return false;
+      }
+
+      if (!job.applyLink || job.applyLink === this.baseUrl) {
+        stats.skipped++;
+        return false;
+      }
+
+      return true;
+    });
+
+    console.log(`[${this.source}] Enriching ${queue.length} jobs (${stats.skipped} skipped)`);
+
+    // On cancellation the remaining jobs keep their card data and are still saved
+    const stopOnCancel = () => {
+      stats.skipped += queue.length;
+      queue.length = 0;
+    };
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const job = queue.shift();
+
+        try {
+          const $ = await this.fetchAndParse(job.applyLink);
+          Object.assign(job, this.extractJobDetails($, job), { enrichedAt: new Date() });
+          stats.enriched++;
+        } catch (error) {
+          if (error instanceof CancelledError) {
+            stats.skipped++;
+            stopOnCancel();
+            return;
+          }
+
+          if (error.code === 'ROBOTS_DISALLOWED') {
+            // Already recorded by checkRobots(); keep the card data
+            stats.skipped++;
+          } else {
+            console.error(`[${this.source}] Failed to enrich ${job.applyLink}: ${error.message}`);
+            this.recordError(error, { url: job.applyLink, stage: 'enrich' });
+            stats.failed++;
+          }
+        }
+
+        if (queue.length > 0) {
+          await this.delay(this.delayBetweenRequests).catch(stopOnCancel);
+        }
+      }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, queue.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    this.enrichmentStats = stats;
+    console.log(`[${this.source}] Enrichment: ${stats.enriched} enriched, ${stats.skipped} skipped, ${stats.failed} failed`);
+
+    return stats;
+  }
+
+  /**
+   * Load stored details of jobs enriched within the last maxAgeHours
+   * @param {Array} jobs - Jobs about to be enriched
+   * @param {number} maxAgeHours - Maximum age of a previous enrichment
+   * @returns {Promise<Map>} externalId -> stored details
+   */
+  async findRecentlyEnriched(jobs, maxAgeHours) {
+    const externalIds = jobs.map(job => job.externalId).filter(Boolean);
+    if (externalIds.length === 0) return new Map();
+
+    try {
+      const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+      const stored = await Job.find(
+        { externalId: { $in: externalIds }, enrichedAt: { $gte: cutoff } },
+        'externalId description requirements employmentType salary validThrough enrichedAt'
+      ).lean();
+
+      return new Map(stored.map(({ _id, externalId, ...details }) => [externalId, details]));
+    } catch (error) {
+      console.warn(`[${this.source}] Could not check previous enrichment: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Extract full details from a job detail page
+   * Structured data is used first, then detailSelectors
+   * @param {Object} $ - Cheerio instance of the detail page
+   * @param {Object} job - Job being enriched
+   * @returns {Object} Details found (description, requirements, employmentType, salary, ...)
+   */
+  extractJobDetails($, job) {
+    const [structured = {}] = this.extractStructuredJobs($, job.applyLink);
+    const details = {};
+
+    for (const field of ['description', 'employmentType', 'salary', 'validThrough', 'postedAt']) {
+      if (structured[field]) details[field] = structured[field];
+    }
+    if (details.postedAt) details.postedAtInferred = false;
+
+    const selectors = this.detailSelectors;
+
+    if (!details.description && selectors.description) {
+      const description = htmlToText($(selectors.description).first().html());
+      if (description) details.description = description;
+    }
+
+    if (selectors.requirements) {
+      const requirements = $(selectors.requirements)
+        .map((i, el) => this.cleanText($(el).text()))
+        .get()
+        .filter(Boolean);
+
+      if (requirements.length > 0) details.requirements = requirements;
+    }
+
+    if (!details.employmentType && selectors.employmentType) {
+      const employmentType = this.extractText($, selectors.employmentType);
+      if (employmentType) details.employmentType = employmentType;
+    }
+
+    if (!details.salary && selectors.salary) {
+      const salary = this.parseSalaryText(this.extractText($, selectors.salary));
+      if (salary) details.salary = salary;
+    }
+
+    return details;
+  }
+
+  /**
+   * Parse a free-text salary such as "$50.000 - $70.000 USD/mes"
+   * @param {string} text - Salary text
+   * @returns {Object|null} { min, max, currency } or null
+   */
+  parseSalaryText(text) {
+    if (!text) return null;
+
+    const amounts = (text.match(/\d[\d.,]*/g) || [])
+      .map(raw => Number(raw.replace(/[.,](?=\d{3}(\D|$))/g, '').replace(',', '.')))
+      .filter(Number.isFinite);
+
+    if (amounts.length === 0) return null;
+
+    const salary = { min: Math.min(...amounts), max: Math.max(...amounts) };
+    const currency = text.match(/\b(USD|EUR|CLP|UYU|ARS|MXN|BRL|COP|PEN)\b/i)?.[1]
+      || (text.includes('€') ? 'EUR' : null);
+
+    if (currency) salary.currency = currency.toUpperCase();
+
+    return salary;
   }
 
   /**
@@ -90,7 +1081,7 @@ class JobPortalScraper {
    * @returns {Object} Cleaned job data
    */
   cleanJobData(job) {
-    return {
+    const cleaned = {
       title: this.cleanText(job.title),
       company: this.cleanText(job.company),
       location: this.cleanText(job.location),
@@ -98,9 +1089,34 @@ class JobPortalScraper {
       source: this.source,
       applyLink: job.applyLink?.trim() || '',
       externalId: job.externalId || this.generateExternalId(job),
+      fingerprint: this.generateFingerprint(job),
       tags: Array.isArray(job.tags) ? job.tags.filter(Boolean) : [],
-      postedAt: job.postedAt || new Date()
+      postedAt: job.postedAt || new Date(),
+      // Undated listings get the scrape time; the flag tells them apart
+      postedAtInferred: Boolean(job.postedAtInferred || !job.postedAt)
     };
+
+    // Optional structured fields are only set when known so upserts don't erase them
+    if (job.salary) cleaned.salary = job.salary;
+    if (job.employmentType) cleaned.employmentType = this.cleanText(job.employmentType);
+    if (job.validThrough) cleaned.validThrough = job.validThrough;
+    if (job.sourceUpdatedAt) cleaned.sourceUpdatedAt = job.sourceUpdatedAt;
+    if (Array.isArray(job.attachments) && job.attachments.length > 0) cleaned.attachments = job.attachments;
+    if (Array.isArray(job.requirements)) cleaned.requirements = job.requirements.map(r => this.cleanText(r)).filter(Boolean);
+    if (job.enrichedAt) cleaned.enrichedAt = job.enrichedAt;
+
+    return cleaned;
+  }
+
+  /**
+   * Parse a listing's posted date in the portal's locale and timezone
+   * @param {string} dateText - Date text ("hace 3 días", "12/03/2024", "2 weeks ago")
+   * @returns {Object} { postedAt, postedAtInferred } - job fields; unreadable text gives
+   *   the current time with postedAtInferred set
+   */
+  parsePostedAt(dateText) {
+    const { date, inferred } = parseDate(dateText, { locale: this.locale, timezone: this.timezone });
+    return { postedAt: date, postedAtInferred: inferred };
   }
 
   /**
@@ -117,17 +1133,34 @@ class JobPortalScraper {
   }
 
   /**
-   * Generate a unique external ID for a job
+   * Generate a stable external ID for a job
+   * Built from normalized source, company, title, location and canonical URL,
+   * so the same posting gets the same ID on every run
    * @param {Object} job - Job data
    * @returns {string} External ID
    */
   generateExternalId(job) {
-    const source = this.source.toLowerCase().replace(/\s+/g, '-');
-    const titleSlug = job.title?.toLowerCase().replace(/\s+/g, '-').substring(0, 50) || 'unknown';
-    const companySlug = job.company?.toLowerCase().replace(/\s+/g, '-').substring(0, 30) || 'unknown';
-    const timestamp = Date.now();
+    return buildExternalId({ ...job, source: this.source });
+  }
 
-    return `${source}-${companySlug}-${titleSlug}-${timestamp}`;
+  /**
+   * Generate the content fingerprint of a job
+   * @param {Object} job - Job data
+   * @returns {string} Fingerprint (SHA-1 hex)
+   */
+  generateFingerprint(job) {
+    return buildFingerprint({ ...job, source: this.source });
+  }
+
+  /**
+   * Reasons a job would be rejected by validateJobData()
+   * @param {Object} job - Job data to validate
+   * @returns {Array<string>} Reasons, e.g. ['missing company'] (empty when valid)
+   */
+  getValidationErrors(job) {
+    const required = ['title', 'company', 'location', 'applyLink', 'source'];
+
+    return required.filter(field => !job[field]).map(field => `missing ${field}`);
   }
 
   /**
@@ -136,64 +1169,120 @@ class JobPortalScraper {
    * @returns {boolean} True if valid
    */
   validateJobData(job) {
-    const required = ['title', 'company', 'location', 'applyLink', 'source'];
-    const missing = required.filter(field => !job[field]);
+    const reasons = this.getValidationErrors(job);
 
-    if (missing.length > 0) {
-      console.warn(`[${this.source}] Invalid job data - missing fields: ${missing.join(', ')}`);
+    if (reasons.length > 0) {
+      console.warn(`[${this.source}] Invalid job data - ${reasons.join(', ')}`);
       return false;
     }
 
     return true;
   }
 
+  /**
+   * Dry-run counterpart of saveJobs(): report what would be inserted, updated or rejected
+   * Jobs go through the same cleaning and validation; existing externalIds are looked up
+   * but nothing is written.
+   * @param {Array} jobs - Array of job objects
+   * @param {Set} seen - externalIds previewed earlier in the run (updated in place)
+   * @returns {Promise<Object>} { insert, update, rejected } - rejected entries are { job, reasons }
+   */
+  async previewJobs(jobs = null, seen = new Set()) {
+    const preview = { insert: [], update: [], rejected: [] };
+    const valid = [];
+
+    for (const job of jobs || this.jobs) {
+      const cleanedJob = this.cleanJobData(job);
+      const reasons = this.getValidationErrors(cleanedJob);
+
+      if (reasons.length > 0) {
+        preview.rejected.push({ job: cleanedJob, reasons });
+      } else {
+        valid.push(cleanedJob);
+      }
+    }
+
+    const stored = await this.findStoredExternalIds(valid.map(job => job.externalId));
+
+    for (const job of valid) {
+      if (stored.has(job.externalId) || seen.has(job.externalId)) {
+        preview.update.push(job);
+      } else {
+        preview.insert.push(job);
+      }
+      seen.add(job.externalId);
+    }
+
+    console.log(`[${this.source}] Dry run: ${preview.insert.length} to insert, ${preview.update.length} to update, ${preview.rejected.length} rejected`);
+
+    return preview;
+  }
+
+  /**
+   * Find which externalIds are already stored
+   * @param {Array<string>} externalIds - IDs to look up
+   * @returns {Promise<Set>} Stored externalIds
+   */
+  async findStoredExternalIds(externalIds) {
+    if (externalIds.length === 0) return new Set();
+
+    const stored = await Job.find({ externalId: { $in: externalIds } }, 'externalId').lean();
+    return new Set(stored.map(job => job.externalId));
+  }
+
   /**
    * Save jobs to database
+   * Valid jobs are upserted in batches of writeBatchSize; jobs whose content did not change
+   * are not written at all.
    * @param {Array} jobs - Array of job objects
-   * @returns {Promise<Object>} Save results
+   * @returns {Promise<Object>} { saved, duplicates, failed, total, inserted, updated, unchanged } -
+   *   saved counts inserted jobs and duplicates the updated and unchanged ones
    */
   async saveJobs(jobs = null) {
     const jobsToSave = jobs || this.jobs;
 
     if (jobsToSave.length === 0) {
       console.log(`[${this.source}] No jobs to save`);
-      return { saved: 0, failed: 0, duplicates: 0 };
+      return { saved: 0, duplicates: 0, failed: 0, total: 0, inserted: 0, updated: 0, unchanged: 0 };
     }
 
-    let saved = 0;
-    let failed = 0;
-    let duplicates = 0;
+    const valid = [];
+    let invalid = 0;
 
     for (const job of jobsToSave) {
       try {
         const cleanedJob = this.cleanJobData(job);
 
-        if (!this.validateJobData(cleanedJob)) {
-          failed++;
-          continue;
-        }
-
-        const result = await Job.updateOne(
-          { externalId: cleanedJob.externalId },
-          { $set: cleanedJob },
-          { upsert: true }
-        );
-
-        if (result.upsertedCount > 0) {
-          saved++;
-        } else if (result.matchedCount > 0) {
-          duplicates++;
+        if (this.validateJobData(cleanedJob)) {
+          valid.push(cleanedJob);
+        } else {
+          invalid++;
         }
       } catch (error) {
         console.error(`[${this.source}] Error saving job: ${error.message}`);
-        failed++;
+        invalid++;
         this.errors.push({ job, error: error.message });
       }
     }
 
-    console.log(`[${this.source}] Results: ${saved} saved, ${duplicates} duplicates, ${failed} failed`);
+    const { inserted, updated, unchanged, failed, errors } = await upsertJobs(valid, { batchSize: this.writeBatchSize });
+
+    for (const { job, error } of errors) {
+      console.error(`[${this.source}] Error saving job: ${error}`);
+      this.errors.push({ job, error });
+    }
+
+    console.log(`[${this.source}] Results: ${inserted} saved, ${updated} updated, ${unchanged} unchanged, ${failed + invalid} failed`);
 
-    return { saved, duplicates, failed, total: jobsToSave.length };
+    return {
+      saved: inserted,
+      duplicates: updated + unchanged,
+      failed: failed + invalid,
+      total: jobsToSave.length,
+      inserted,
+      updated,
+      unchanged
+    };
   }
 
   /**
@@ -233,9 +1322,11 @@ class JobPortalScraper {
    * Delay execution for a specified time
    * @param {number} ms - Milliseconds to delay
    * @returns {Promise<void>}
+   * @throws {CancelledError} When the run's signal aborts
    */
   delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    // Cancelling the run interrupts the wait; replayed fixtures need no politeness delays
+    return sleep(this.renderer.offline ? 0 : ms, this.signal);
   }
 
   /**
@@ -247,16 +1338,41 @@ class JobPortalScraper {
       source: this.source,
       totalJobs: this.jobs.length,
       totalErrors: this.errors.length,
-      errors: this.errors
+      errors: this.errors,
+      errorTypes: summarizeErrors(this.errors),
+      enrichment: this.enrichmentStats,
+      pagination: this.paginationStats,
+      progress: this.progress,
+      robots: this.robotsStats,
+      cache: this.cacheStats,
+      encodings: this.encodingStats
     };
   }
 
+  /**
+   * Release renderer resources (e.g. the headless browser)
+   */
+  async close() {
+    try {
+      await this.renderer.close();
+    } catch (error) {
+      console.warn(`[${this.source}] Failed to close ${this.renderer.name} renderer: ${error.message}`);
+    }
+  }
+
   /**
    * Reset scraper state
    */
   reset() {
     this.jobs = [];
     this.errors = [];
+    this.recordedErrors = new WeakSet();
+    this.enrichmentStats = null;
+    this.paginationStats = null;
+    this.progress = null;
+    this.robotsStats = { checked: 0, blocked: 0, overridden: 0 };
+    this.cacheStats = { hits: 0, notModified: 0, misses: 0, stored: 0, skippedPages: 0 };
+    this.encodingStats = {};
   }
 }
 
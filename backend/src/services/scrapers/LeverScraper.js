@@ -0,0 +1,158 @@
+const CareerBoardScraper = require('./CareerBoardScraper');
+const { htmlToText } = require('./structuredData');
+
+// Lever salary intervals as schema.org unitText values
+const SALARY_UNITS = {
+  'per-year-salary': 'YEAR',
+  'per-month-salary': 'MONTH',
+  'per-week-salary': 'WEEK',
+  'per-day-wage': 'DAY',
+  'per-hour-wage': 'HOUR',
+  'one-time': 'ONE_TIME'
+};
+
+const WORKPLACE_TYPES = {
+  remote: 'Remote',
+  hybrid: 'Hybrid',
+  'on-site': 'On-site'
+};
+
+// Description lists holding the requirements ("Requirements", "What you'll bring", "Requisitos")
+const REQUIREMENTS_LIST = /requirement|qualification|requisito|what you.?ll (need|bring)|what we.?re looking for|about you/i;
+
+/**
+ * Scraper for company job sites hosted on Lever
+ * Reads the public Postings API: one request per company returns every published posting
+ * with its commitment, team, workplace type, locations and description lists.
+ *
+ * Companies are identified by their slug (the "acme" in jobs.lever.co/acme) and can be
+ * set in config, per run, or with LEVER_COMPANIES (comma-separated):
+ *   getScraper('lever', { companies: ['acme', { slug: 'globex', company: 'Globex Corp' }] })
+ *   scraper.scrape({ companies: 'acme,globex', query: 'engineer' })
+ *
+ * Sites on Lever's EU instance need baseUrl: 'https://api.eu.lever.co'. The API has no
+ * search, so query and location are matched against each posting's title, team,
+ * department and locations.
+ */
+class LeverScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://api.lever.co',
+      source: 'Lever',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'companies', idKey: 'slug', label: 'company', envVar: 'LEVER_COMPANIES' });
+  }
+
+  /**
+   * Normalize a company list
+   * @param {Array|string} companies - Slugs, { slug, company } objects or a comma-separated string
+   * @returns {Array<Object>} { slug, company } - company defaults to the slug
+   */
+  static parseCompanies(companies) {
+    return CareerBoardScraper.parseBoardList(companies, 'slug')
+      .map(entry => ({ ...entry, company: entry.company || entry.slug }));
+  }
+
+  /**
+   * Build the Postings API URL of a company
+   * @param {string} slug - Company slug
+   * @returns {string} API URL
+   */
+  buildPostingsUrl(slug) {
+    return new URL(`/v0/postings/${encodeURIComponent(slug)}?mode=json`, this.baseUrl).toString();
+  }
+
+  /**
+   * URL of a company's postings
+   * @param {Object} company - { slug, company }
+   * @returns {string} API URL
+   */
+  boardUrl(company) {
+    return this.buildPostingsUrl(company.slug);
+  }
+
+  /**
+   * Fetch a company's postings
+   * @param {Object} company - { slug, company }
+   * @returns {Promise<Object>} { postings }
+   */
+  async fetchBoard(company) {
+    return { postings: await this.fetchJson(this.boardUrl(company)) };
+  }
+
+  /**
+   * Map a Postings API posting to Job fields
+   * @param {Object} posting - Posting from GET /v0/postings/:slug?mode=json
+   * @param {Object} board - { slug, company }
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, { company }) {
+    const categories = posting.categories || {};
+    const locations = categories.allLocations?.length ? categories.allLocations : [categories.location].filter(Boolean);
+    const workplace = WORKPLACE_TYPES[posting.workplaceType];
+    const lists = (posting.lists || []).map(list => ({
+      title: htmlToText(list.text),
+      items: this.listItems(list.content)
+    }));
+
+    const description = [
+      htmlToText(posting.description),
+      ...lists.map(list => `${list.title}: ${list.items.join('; ')}`),
+      htmlToText(posting.additional)
+    ].filter(Boolean).join(' ');
+
+    const job = {
+      title: posting.text,
+      company,
+      location: locations.join(', '),
+      description,
+      applyLink: posting.hostedUrl || posting.applyUrl,
+      // Posting IDs are unique across Lever
+      externalId: `lever-${posting.id}`,
+      tags: [...new Set([categories.team, categories.department, categories.commitment, workplace].filter(Boolean))],
+      ...this.parsePostedAt(posting.createdAt ? new Date(posting.createdAt) : null),
+      source: this.source
+    };
+
+    if (categories.commitment) job.employmentType = categories.commitment;
+
+    const requirements = lists.find(list => REQUIREMENTS_LIST.test(list.title));
+    if (requirements) job.requirements = requirements.items;
+
+    const salary = this.mapSalary(posting.salaryRange);
+    if (salary) job.salary = salary;
+
+    return job;
+  }
+
+  /**
+   * Read the items of a description list
+   * @param {string} html - List content (<li> elements)
+   * @returns {Array<string>} Item texts
+   */
+  listItems(html) {
+    if (!html) return [];
+
+    return html.split(/<\/li>/i).map(item => htmlToText(item)).filter(Boolean);
+  }
+
+  /**
+   * Map a posting's salary range
+   * @param {Object} range - { min, max, currency, interval }
+   * @returns {Object|null} { min, max, currency, unit }
+   */
+  mapSalary(range) {
+    if (!range || (range.min == null && range.max == null)) return null;
+
+    const salary = { min: range.min ?? range.max, max: range.max ?? range.min };
+    if (range.currency) salary.currency = range.currency;
+    if (SALARY_UNITS[range.interval]) salary.unit = SALARY_UNITS[range.interval];
+
+    return salary;
+  }
+}
+
+module.exports = LeverScraper;
@@ -1,4 +1,5 @@
 const JobPortalScraper = require('./JobPortalScraper');
+const { ParseError } = require('./errors');
 
 /**
  * Scraper for LinkedIn Jobs (public listings)
@@ -15,7 +16,15 @@ class LinkedInJobsScraper extends JobPortalScraper {
       timeout: config.timeout || 20000,
       maxRetries: config.maxRetries || 2,
       delayBetweenRequests: config.delayBetweenRequests || 3000,
-      ...config
+      enrichConcurrency: config.enrichConcurrency || 1,
+      // LinkedIn uses 25 jobs per page
+      pagination: { type: 'offset', step: 25, key: 'start' },
+      locale: 'en-US',
+      ...config,
+      detailSelectors: {
+        description: '.show-more-less-html__markup, .description__text',
+        ...config.detailSelectors
+      }
     });
 
     this.searchEndpoint = '/jobs/search';
@@ -23,57 +32,16 @@ class LinkedInJobsScraper extends JobPortalScraper {
 
   /**
    * Scrape LinkedIn job listings
+   * Pages are saved as they are read (use scrapeStream() to consume them incrementally)
    * @param {Object} options - Search options
+   * @param {number} options.maxPages - Maximum pages to scrape
+   * @param {number} options.maxJobs - Stop once this many jobs are collected
+   * @param {Date|string} options.postedAfter - Skip jobs posted before this date
+   * @param {boolean|Object} options.enrich - Fetch detail pages (see enrichJobs options)
    * @returns {Promise<Object>} Scraping results
    */
   async scrape(options = {}) {
-    const { query = '', location = '', maxPages = 1 } = options;
-
-    console.log(`[${this.source}] Starting scrape with query: "${query}", location: "${location}"`);
-    this.reset();
-
-    try {
-      for (let page = 0; page < maxPages; page++) {
-        const start = page * 25; // LinkedIn uses 25 jobs per page
-        const url = this.buildSearchUrl({ query, location, start });
-
-        console.log(`[${this.source}] Scraping page ${page + 1}/${maxPages}`);
-
-        const $ = await this.fetchAndParse(url);
-        const pageJobs = await this.extractJobsFromPage($);
-
-        if (pageJobs.length === 0) {
-          console.log(`[${this.source}] No more jobs found`);
-          break;
-        }
-
-        this.jobs.push(...pageJobs);
-
-        if (page < maxPages - 1) {
-          await this.delay(this.delayBetweenRequests);
-        }
-      }
-
-      const results = await this.saveJobs();
-
-      return {
-        success: true,
-        jobs: this.jobs,
-        stats: results,
-        errors: this.errors
-      };
-
-    } catch (error) {
-      console.error(`[${this.source}] Scraping failed: ${error.message}`);
-      this.errors.push({ error: error.message, stack: error.stack });
-
-      return {
-        success: false,
-        jobs: this.jobs,
-        stats: { saved: 0, duplicates: 0, failed: 0, total: 0 },
-        errors: this.errors
-      };
-    }
+    return this.scrapeAll(options);
   }
 
   /**
@@ -130,6 +98,7 @@ class LinkedInJobsScraper extends JobPortalScraper {
         }
       } catch (error) {
         console.error(`[${this.source}] Error extracting job ${index}: ${error.message}`);
+        this.recordError(new ParseError(error.message, { cause: error }), { index });
       }
     });
 
@@ -158,8 +127,9 @@ class LinkedInJobsScraper extends JobPortalScraper {
     const jobIdMatch = applyLink?.match(/\/jobs\/view\/(\d+)/);
     const jobId = jobIdMatch ? jobIdMatch[1] : null;
 
-    // Get metadata
+    // Get metadata ("2 days ago"); the time element carries the exact date when present
     const metadata = this.extractText($, '.job-search-card__listed-time', element);
+    const listedAt = this.extractAttribute($, 'time', 'datetime', element);
 
     return {
       title,
@@ -167,13 +137,35 @@ class LinkedInJobsScraper extends JobPortalScraper {
       location,
       description: `Posted ${metadata}`, // LinkedIn doesn't show full description in search
       applyLink: applyLink || this.baseUrl,
-      externalId: jobId ? `linkedin-${jobId}` : this.generateExternalId({ title, company }),
+      externalId: jobId ? `linkedin-${jobId}` : this.generateExternalId({ title, company, location, applyLink }),
       tags: this.extractTags($, element),
-      postedAt: this.parsePostedDate(metadata),
+      ...this.parsePostedAt(listedAt || metadata),
       source: this.source
     };
   }
 
+  /**
+   * Extract details from a LinkedIn job view page
+   * Adds the "Employment type" job criteria on top of the base extraction
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} job - Job being enriched
+   * @returns {Object} Job details
+   */
+  extractJobDetails($, job) {
+    const details = super.extractJobDetails($, job);
+
+    $('.description__job-criteria-item').each((i, el) => {
+      const label = this.extractText($, '.description__job-criteria-subheader', el);
+      const value = this.extractText($, '.description__job-criteria-text', el);
+
+      if (/employment type/i.test(label) && value) {
+        details.employmentType = value;
+      }
+    });
+
+    return details;
+  }
+
   /**
    * Extract tags from LinkedIn job card
    * @param {Object} $ - Cheerio instance
@@ -192,47 +184,6 @@ class LinkedInJobsScraper extends JobPortalScraper {
 
     return tags;
   }
-
-  /**
-   * Parse LinkedIn posted date format
-   * @param {string} dateText - Date text (e.g., "2 days ago", "1 week ago")
-   * @returns {Date} Parsed date
-   */
-  parsePostedDate(dateText) {
-    if (!dateText) return new Date();
-
-    const now = new Date();
-
-    // Parse "X hours ago"
-    const hoursMatch = dateText.match(/(\d+)\s*hour/i);
-    if (hoursMatch) {
-      now.setHours(now.getHours() - parseInt(hoursMatch[1]));
-      return now;
-    }
-
-    // Parse "X days ago"
-    const daysMatch = dateText.match(/(\d+)\s*day/i);
-    if (daysMatch) {
-      now.setDate(now.getDate() - parseInt(daysMatch[1]));
-      return now;
-    }
-
-    // Parse "X weeks ago"
-    const weeksMatch = dateText.match(/(\d+)\s*week/i);
-    if (weeksMatch) {
-      now.setDate(now.getDate() - parseInt(weeksMatch[1]) * 7);
-      return now;
-    }
-
-    // Parse "X months ago"
-    const monthsMatch = dateText.match(/(\d+)\s*month/i);
-    if (monthsMatch) {
-      now.setMonth(now.getMonth() - parseInt(monthsMatch[1]));
-      return now;
-    }
-
-    return now;
-  }
 }
 
 module.exports = LinkedInJobsScraper;
@@ -1,4 +1,7 @@
 const JobPortalScraper = require('./JobPortalScraper');
+const { ParseError } = require('./errors');
+
+const POSTED_DATE_SELECTOR = '.posted-date, .date, time, .publish-date';
 
 /**
  * Scraper for Oficina de Trabajo CEI
@@ -12,6 +15,9 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
       timeout: config.timeout || 15000,
       maxRetries: config.maxRetries || 3,
       delayBetweenRequests: config.delayBetweenRequests || 2000,
+      pagination: { type: 'page', start: 1 },
+      timezone: 'America/Santiago',
+      locale: 'es-CL',
       ...config
     });
 
@@ -22,63 +28,18 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
 
   /**
    * Main scraping method for Oficina de Trabajo CEI
+   * Pages are saved as they are read (use scrapeStream() to consume them incrementally)
    * @param {Object} options - Search options
    * @param {string} options.query - Search query (job title, keywords)
    * @param {string} options.location - Location filter
    * @param {number} options.maxPages - Maximum pages to scrape
+   * @param {number} options.maxJobs - Stop once this many jobs are collected
+   * @param {Date|string} options.postedAfter - Skip jobs posted before this date
+   * @param {boolean|Object} options.enrich - Fetch detail pages (see enrichJobs options)
    * @returns {Promise<Array>} Array of scraped jobs
    */
   async scrape(options = {}) {
-    const { query = '', location = '', maxPages = 1 } = options;
-
-    console.log(`[${this.source}] Starting scrape with query: "${query}", location: "${location}"`);
-    this.reset();
-
-    try {
-      for (let page = 1; page <= maxPages; page++) {
-        console.log(`[${this.source}] Scraping page ${page}/${maxPages}`);
-
-        const url = this.buildSearchUrl({ query, location, page });
-        const $ = await this.fetchAndParse(url);
-
-        const pageJobs = await this.extractJobsFromPage($);
-
-        if (pageJobs.length === 0) {
-          console.log(`[${this.source}] No more jobs found on page ${page}`);
-          break;
-        }
-
-        this.jobs.push(...pageJobs);
-
-        // Delay between page requests to be respectful
-        if (page < maxPages) {
-          await this.delay(this.delayBetweenRequests);
-        }
-      }
-
-      console.log(`[${this.source}] Scraping complete. Found ${this.jobs.length} jobs`);
-
-      // Save jobs to database
-      const results = await this.saveJobs();
-
-      return {
-        success: true,
-        jobs: this.jobs,
-        stats: results,
-        errors: this.errors
-      };
-
-    } catch (error) {
-      console.error(`[${this.source}] Scraping failed: ${error.message}`);
-      this.errors.push({ error: error.message, stack: error.stack });
-
-      return {
-        success: false,
-        jobs: this.jobs,
-        stats: { saved: 0, duplicates: 0, failed: 0, total: 0 },
-        errors: this.errors
-      };
-    }
+    return this.scrapeAll(options);
   }
 
   /**
@@ -135,11 +96,12 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
         }
       } catch (error) {
         console.error(`[${this.source}] Error extracting job at index ${index}: ${error.message}`);
-        this.errors.push({ index, error: error.message });
+        this.recordError(new ParseError(error.message, { cause: error }), { index });
       }
     });
 
-    return jobs;
+    // Prefer schema.org JobPosting data when the page embeds it
+    return this.mergeStructuredJobs(jobs, this.extractStructuredJobs($));
   }
 
   /**
@@ -166,10 +128,10 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
 
     // Extract additional information
     const tags = this.extractTags($, element);
-    const postedDate = this.extractPostedDate($, element);
+    const posted = this.parsePostedAt(this.extractText($, POSTED_DATE_SELECTOR, element));
 
     // Create unique external ID
-    const externalId = this.createExternalId(title, company, applyLink);
+    const externalId = this.createExternalId(title, company, applyLink, location);
 
     return {
       title,
@@ -179,7 +141,7 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
       applyLink: applyLink || this.baseUrl,
       externalId,
       tags,
-      postedAt: postedDate,
+      ...posted,
       source: this.source
     };
   }
@@ -214,32 +176,10 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
    * Extract posted date from job element
    * @param {Object} $ - Cheerio instance
    * @param {Object} element - Job element
-   * @returns {Date} Posted date
+   * @returns {Date} Posted date ("hace 3 días", "12/03/2024"), or now when missing
    */
   extractPostedDate($, element) {
-    const dateText = this.extractText($, '.posted-date, .date, time, .publish-date', element);
-
-    if (!dateText) {
-      return new Date();
-    }
-
-    // Try to parse relative dates (e.g., "2 days ago", "hace 3 días")
-    const daysAgoMatch = dateText.match(/(\d+)\s*(day|día|days|días)\s*ago|hace/i);
-    if (daysAgoMatch) {
-      const daysAgo = parseInt(daysAgoMatch[1]);
-      const date = new Date();
-      date.setDate(date.getDate() - daysAgo);
-      return date;
-    }
-
-    // Try to parse standard date formats
-    const parsedDate = new Date(dateText);
-    if (!isNaN(parsedDate.getTime())) {
-      return parsedDate;
-    }
-
-    // Default to current date
-    return new Date();
+    return this.parsePostedAt(this.extractText($, POSTED_DATE_SELECTOR, element)).postedAt;
   }
 
   /**
@@ -247,9 +187,10 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
    * @param {string} title - Job title
    * @param {string} company - Company name
    * @param {string} url - Job URL
+   * @param {string} location - Job location
    * @returns {string} External ID
    */
-  createExternalId(title, company, url) {
+  createExternalId(title, company, url, location = '') {
     // Try to extract ID from URL
     const urlMatch = url?.match(/\/job\/(\d+)|\/id\/(\d+)|id=(\d+)/);
     if (urlMatch) {
@@ -257,8 +198,8 @@ class OficinaDeTrabajoCeiScraper extends JobPortalScraper {
       return `${this.source.toLowerCase().replace(/\s+/g, '-')}-${id}`;
     }
 
-    // Fallback to generating from title and company
-    return this.generateExternalId({ title, company });
+    // Fallback to a content fingerprint
+    return this.generateExternalId({ title, company, location, applyLink: url });
   }
 
   /**
@@ -0,0 +1,417 @@
+const JobPortalScraper = require('./JobPortalScraper');
+const ConfigurableScraper = require('./ConfigurableScraper');
+
+// Hints found in class names of the elements holding each field
+const FIELD_HINTS = {
+  title: /title|titulo|cargo|puesto|position|vacante|role|job-?name|heading/i,
+  company: /company|compan|empresa|employer|empleador|organi[sz]ation|hiring|brand/i,
+  location: /location|locat|ubicaci|lugar|city|ciudad|place|region|address|localidad|direcci/i
+};
+
+const LOCATION_TEXT = /\b(remote|remoto|hybrid|h[ií]brido|presencial|on-?site)\b|^[^,]{2,40},\s*\S/i;
+const SKIPPED_TAGS = new Set(['option', 'br', 'hr', 'img', 'input', 'meta', 'link', 'path', 'source', 'i', 'b', 'strong', 'em', 'button']);
+const VALID_CLASS = /^[a-zA-Z_-][\w-]*$/;
+
+/**
+ * Selector Discovery
+ * Looks for repeating DOM structures that look like job cards on an arbitrary
+ * listing page and proposes ranked selectors for title, company, location and
+ * apply link, with a preview of the rows they would extract.
+ *
+ * The best candidate is returned as a draft ConfigurableScraper definition.
+ */
+class SelectorDiscovery {
+  constructor(config = {}) {
+    this.minRepeats = config.minRepeats || 3;
+    this.maxCandidates = config.maxCandidates || 5;
+    this.previewSize = config.previewSize || 5;
+    this.sampleSize = config.sampleSize || 20;
+
+    this.scraper = config.scraper || new JobPortalScraper({
+      source: 'Selector Discovery',
+      timeout: config.timeout,
+      userAgent: config.userAgent
+    });
+  }
+
+  /**
+   * Load a listing page and propose job-card selectors
+   * @param {string} url - Listing page URL
+   * @returns {Promise<Object>} { url, candidates, definition }
+   */
+  async discover(url) {
+    console.log(`[SelectorDiscovery] Analysing ${url}`);
+
+    const $ = await this.scraper.fetchAndParse(url);
+    const candidates = this.analyze($, url);
+
+    console.log(`[SelectorDiscovery] Found ${candidates.length} candidate card selectors`);
+
+    return {
+      url,
+      candidates,
+      definition: candidates[0]?.definition || null
+    };
+  }
+
+  /**
+   * Analyse a parsed page and rank candidate card selectors
+   * @param {Object} $ - Cheerio instance
+   * @param {string} url - Page URL (used to resolve links)
+   * @returns {Array} Ranked candidates
+   */
+  analyze($, url) {
+    $('script, style, noscript, svg, template').remove();
+
+    return this.findRepeatingGroups($)
+      .map(cardSelector => this.evaluateCardSelector($, cardSelector, url))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxCandidates);
+  }
+
+  /**
+   * Find selectors for sibling elements repeated at least minRepeats times
+   * @param {Object} $ - Cheerio instance
+   * @returns {Array} Unique card selectors
+   */
+  findRepeatingGroups($) {
+    const selectors = new Set();
+
+    $('body, body *').each((i, parent) => {
+      const buckets = new Map();
+
+      $(parent).children().each((j, child) => {
+        if (SKIPPED_TAGS.has(child.tagName)) return;
+
+        const selector = this.buildCardSelector($, child);
+        if (!selector) return;
+
+        buckets.set(selector, (buckets.get(selector) || 0) + 1);
+      });
+
+      for (const [selector, count] of buckets.entries()) {
+        if (count >= this.minRepeats) {
+          selectors.add(selector);
+        }
+      }
+    });
+
+    return Array.from(selectors);
+  }
+
+  /**
+   * Build a selector describing an element and its repeated siblings
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} element - DOM element
+   * @returns {string|null} CSS selector
+   */
+  buildCardSelector($, element) {
+    const own = this.describeElement(element);
+
+    if (own !== element.tagName) {
+      return own;
+    }
+
+    // Class-less siblings are anchored to the closest ancestor with a class or id
+    const path = [element.tagName];
+    let ancestor = element.parent;
+
+    for (let depth = 0; depth < 3 && ancestor && ancestor.type === 'tag'; depth++) {
+      const ancestorSelector = this.describeElement(ancestor, true);
+
+      if (ancestorSelector !== ancestor.tagName || ancestor.tagName === 'body') {
+        return [ancestorSelector, ...path].join(' > ');
+      }
+
+      path.unshift(ancestor.tagName);
+      ancestor = ancestor.parent;
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe an element as tag plus its valid classes (or id)
+   * @param {Object} element - DOM element
+   * @param {boolean} allowId - Use the id when available
+   * @returns {string} CSS selector
+   */
+  describeElement(element, allowId = false) {
+    const id = element.attribs?.id;
+
+    if (allowId && id && VALID_CLASS.test(id)) {
+      return `${element.tagName}#${id}`;
+    }
+
+    const classes = this.getClasses(element).sort();
+    return `${element.tagName}${classes.map(c => `.${c}`).join('')}`;
+  }
+
+  /**
+   * Get the CSS-safe classes of an element
+   * @param {Object} element - DOM element
+   * @returns {Array} Class names
+   */
+  getClasses(element) {
+    return (element.attribs?.class || '')
+      .split(/\s+/)
+      .filter(c => c && VALID_CLASS.test(c));
+  }
+
+  /**
+   * Score a card selector and pick the best field selectors within it
+   * @param {Object} $ - Cheerio instance
+   * @param {string} cardSelector - Card selector
+   * @param {string} url - Page URL
+   * @returns {Object|null} Candidate or null if it does not look like job cards
+   */
+  evaluateCardSelector($, cardSelector, url) {
+    const cards = $(cardSelector).toArray();
+
+    if (cards.length < this.minRepeats) return null;
+    if ($(cards[0]).closest('nav, header, footer').length > 0) return null;
+
+    const sample = cards.slice(0, this.sampleSize);
+    const linkCoverage = sample.filter(card =>
+      $(card).is('a[href]') || $(card).find('a[href]').length > 0
+    ).length / sample.length;
+
+    const averageText = sample.reduce((sum, card) => sum + this.textOf($, card).length, 0) / sample.length;
+
+    if (linkCoverage < 0.6 || averageText < 15) return null;
+
+    const fieldStats = this.collectFieldStats($, sample);
+    const ranked = {
+      title: this.rankField(fieldStats, 'title'),
+      company: [],
+      location: []
+    };
+
+    const titleSelector = ranked.title[0]?.selector;
+    const used = new Set([titleSelector]);
+
+    for (const field of ['company', 'location']) {
+      ranked[field] = this.rankField(fieldStats, field).filter(c => !used.has(c.selector));
+      if (ranked[field][0]) used.add(ranked[field][0].selector);
+    }
+
+    ranked.link = this.rankLinks($, sample, titleSelector);
+
+    if (!titleSelector && !ranked.link[0]) return null;
+
+    const selectors = { card: cardSelector };
+    for (const field of ['title', 'company', 'location', 'link']) {
+      if (ranked[field][0]) selectors[field] = ranked[field][0].selector;
+    }
+
+    // Fall back to the link text when no title-like element exists
+    if (!selectors.title) {
+      selectors.title = this.parseLinkSelector(selectors.link) || 'a';
+    }
+
+    const titleScore = ranked.title[0]?.score || 0.3;
+    const score =
+      Math.min(cards.length / 10, 1) * 0.25 +
+      linkCoverage * 0.25 +
+      titleScore * 0.3 +
+      (selectors.company ? 0.1 : 0) +
+      (selectors.location ? 0.1 : 0);
+
+    const definition = this.buildDefinition(selectors, url);
+
+    return {
+      score: Number(score.toFixed(3)),
+      count: cards.length,
+      selectors,
+      alternatives: {
+        title: ranked.title.slice(0, 3),
+        company: ranked.company.slice(0, 3),
+        location: ranked.location.slice(0, 3),
+        link: ranked.link.slice(0, 3)
+      },
+      preview: this.buildPreview($, cards, definition),
+      definition
+    };
+  }
+
+  /**
+   * Gather coverage, distinctness and length statistics for descendant selectors
+   * @param {Object} $ - Cheerio instance
+   * @param {Array} cards - Sample card elements
+   * @returns {Array} Per-selector statistics
+   */
+  collectFieldStats($, cards) {
+    const selectors = new Set();
+
+    for (const card of cards) {
+      $(card).find('*').each((i, el) => {
+        if (SKIPPED_TAGS.has(el.tagName)) return;
+
+        selectors.add(el.tagName);
+        for (const cls of this.getClasses(el)) {
+          selectors.add(`${el.tagName}.${cls}`);
+        }
+      });
+    }
+
+    const stats = [];
+
+    for (const selector of selectors) {
+      const values = cards.map(card => this.textOf($, $(card).find(selector).first()));
+      const filled = values.filter(Boolean);
+
+      if (filled.length === 0) continue;
+
+      stats.push({
+        selector,
+        tag: selector.split('.')[0],
+        coverage: filled.length / cards.length,
+        distinct: new Set(filled).size / filled.length,
+        averageLength: filled.reduce((sum, v) => sum + v.length, 0) / filled.length,
+        locationLike: filled.filter(v => LOCATION_TEXT.test(v)).length / filled.length
+      });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Rank descendant selectors for a text field
+   * @param {Array} stats - Per-selector statistics
+   * @param {string} field - title, company or location
+   * @returns {Array} Ranked { selector, score } entries
+   */
+  rankField(stats, field) {
+    const minimum = field === 'title' ? 0.45 : 0.55;
+
+    return stats
+      .filter(s => s.coverage >= 0.5 && s.averageLength >= 2 && s.averageLength <= 150)
+      .map(s => {
+        const hinted = FIELD_HINTS[field].test(s.selector);
+        let score = s.coverage * 0.4;
+
+        if (field === 'title') {
+          score += s.distinct * 0.3;
+          if (hinted) score += 0.3;
+          else if (/^h[1-4]$/.test(s.tag)) score += 0.25;
+          else if (s.tag === 'a') score += 0.1;
+          if (s.averageLength < 5) score *= 0.5;
+        } else {
+          if (hinted) score += 0.4;
+          if (s.averageLength <= 60) score += 0.1;
+          if (field === 'location') score += s.locationLike * 0.2;
+          if (field === 'company' && s.locationLike > 0.5) score *= 0.6;
+        }
+
+        return { selector: s.selector, score: Number(score.toFixed(3)) };
+      })
+      .filter(c => c.score >= minimum)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Rank anchor selectors for the apply link
+   * @param {Object} $ - Cheerio instance
+   * @param {Array} cards - Sample card elements
+   * @param {string} titleSelector - Selected title selector
+   * @returns {Array} Ranked { selector, score } entries using "@href" syntax
+   */
+  rankLinks($, cards, titleSelector) {
+    if (cards.every(card => $(card).is('a[href]'))) {
+      return [{ selector: '@href', score: 1 }];
+    }
+
+    const selectors = new Set();
+    for (const card of cards) {
+      $(card).find('a[href]').each((i, el) => {
+        selectors.add('a');
+        for (const cls of this.getClasses(el)) {
+          selectors.add(`a.${cls}`);
+        }
+      });
+    }
+
+    const ranked = [];
+
+    for (const selector of selectors) {
+      const anchors = cards.map(card => $(card).find(`${selector}[href]`).first());
+      const hrefs = anchors.map(a => a.attr('href')).filter(h => h && !h.startsWith('#') && !h.startsWith('javascript:'));
+
+      if (hrefs.length === 0) continue;
+
+      const coverage = hrefs.length / cards.length;
+      const distinct = new Set(hrefs).size / hrefs.length;
+      const wrapsTitle = titleSelector
+        ? anchors.filter(a => a.length && (a.is(titleSelector) || a.find(titleSelector).length > 0 || a.closest(titleSelector).length > 0)).length / cards.length
+        : 0;
+
+      const score = coverage * 0.4 + distinct * 0.3 + wrapsTitle * 0.3;
+      ranked.push({ selector: `${selector}@href`, score: Number(score.toFixed(3)) });
+    }
+
+    // Prefer the more specific selector when scores tie
+    return ranked.sort((a, b) => b.score - a.score || b.selector.length - a.selector.length);
+  }
+
+  /**
+   * Build a draft ConfigurableScraper definition for a candidate
+   * @param {Object} selectors - Proposed selectors
+   * @param {string} url - Listing page URL
+   * @returns {Object} Scraper definition
+   */
+  buildDefinition(selectors, url) {
+    const parsed = url ? new URL(url) : null;
+
+    return {
+      source: parsed ? parsed.hostname.replace(/^www\./, '') : 'Discovered Portal',
+      baseUrl: parsed ? parsed.origin : '',
+      searchUrl: url || '',
+      selectors,
+      pagination: { type: 'none' }
+    };
+  }
+
+  /**
+   * Extract preview rows with the proposed selectors
+   * @param {Object} $ - Cheerio instance
+   * @param {Array} cards - Card elements
+   * @param {Object} definition - Draft definition
+   * @returns {Array} Preview rows
+   */
+  buildPreview($, cards, definition) {
+    const scraper = new ConfigurableScraper({ definition });
+
+    return cards.slice(0, this.previewSize).map(card => {
+      const job = scraper.extractJobData($, card);
+      return {
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        applyLink: job.applyLink
+      };
+    });
+  }
+
+  /**
+   * Get the CSS part of an "a@href" link selector
+   * @param {string} linkSelector - Link selector
+   * @returns {string|null} CSS selector
+   */
+  parseLinkSelector(linkSelector) {
+    if (!linkSelector || linkSelector.startsWith('@')) return null;
+    return linkSelector.split('@')[0];
+  }
+
+  /**
+   * Normalised text of a node
+   * @param {Object} $ - Cheerio instance
+   * @param {Object} node - Element or Cheerio selection
+   * @returns {string} Text
+   */
+  textOf($, node) {
+    return $(node).text().replace(/\s+/g, ' ').trim();
+  }
+}
+
+module.exports = SelectorDiscovery;
@@ -0,0 +1,405 @@
+const cheerio = require('cheerio');
+const JobPortalScraper = require('./JobPortalScraper');
+const Job = require('../../models/Job');
+const { CancelledError, ParseError } = require('./errors');
+
+// Postings under a careers section of the site (/jobs/123-analyst, /empleos/ingeniero); the
+// section's own index page (/jobs/) doesn't match
+const DEFAULT_INCLUDE = ['/(careers?|jobs?|positions?|openings?|vacancies|empleos?|trabajos?|vacantes?|ofertas?|vagas?)/[^/?#]+'];
+
+// Detail-page fields for pages without schema.org JobPosting data ("css@attribute" reads an attribute)
+const DEFAULT_PAGE_SELECTORS = {
+  title: 'h1',
+  company: '[itemprop="hiringOrganization"], .company, .job-company',
+  location: '[itemprop="jobLocation"], .location, .job-location',
+  date: 'time@datetime'
+};
+
+/**
+ * Local name of an XML element ('image:loc' -> 'loc')
+ * @param {Object} element - Cheerio element
+ * @returns {string} Lower-cased local name
+ */
+const localName = element => element.name.split(':').pop().toLowerCase();
+
+/**
+ * Crawler for career sites that list their postings in sitemap.xml
+ * Reads the sitemaps (following nested sitemap indexes), keeps the URLs whose path matches
+ * `include` and not `exclude`, and extracts each posting from its detail page: schema.org
+ * JobPosting data first, then `selectors` and `detailSelectors`.
+ *
+ * A URL whose <lastmod> is not newer than the stored job's sourceUpdatedAt is not fetched
+ * again (pass force: true in the run options to fetch everything).
+ *
+ *   getScraper('sitemap', {
+ *     baseUrl: 'https://careers.acme.com',
+ *     company: 'Acme',
+ *     include: ['/jobs/\\d+'],
+ *     selectors: { location: '.job-header .city' }
+ *   })
+ *
+ * Sitemaps have no search, so query and location are not used; maxJobs and postedAfter
+ * (compared with <lastmod>) limit the crawl.
+ */
+class SitemapScraper extends JobPortalScraper {
+  constructor(config = {}) {
+    const hostname = config.baseUrl ? new URL(config.baseUrl).hostname : '';
+
+    super({
+      source: hostname.replace(/^www\./, '') || 'Sitemap',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    });
+
+    this.sitemaps = config.sitemaps || ['/sitemap.xml'];
+    this.include = this.toPatterns(config.include ?? DEFAULT_INCLUDE);
+    this.exclude = this.toPatterns(config.exclude || []);
+    this.pageSelectors = { ...DEFAULT_PAGE_SELECTORS, ...config.selectors };
+    this.company = config.company || null;
+    this.maxSitemapDepth = config.maxSitemapDepth ?? 3;
+    // Detail pages per yielded (and saved) batch
+    this.batchSize = config.batchSize || 10;
+    this.sitemapStats = null;
+  }
+
+  /**
+   * Main scraping method for sitemap crawls
+   * @param {Object} options - Crawl options
+   * @param {Array<string>} options.sitemaps - Sitemap URLs for this run (default: config.sitemaps)
+   * @param {boolean} options.force - Fetch postings even when their lastmod is unchanged
+   * @returns {Promise<Object>} Scraping results
+   */
+  async scrape(options = {}) {
+    return this.scrapeAll(options);
+  }
+
+  /**
+   * Compile path patterns
+   * @param {Array|string|RegExp} patterns - Regular expressions (strings are case-insensitive)
+   * @returns {Array<RegExp>} Patterns
+   * @throws {Error} For an invalid pattern
+   */
+  toPatterns(patterns) {
+    return [].concat(patterns).filter(Boolean).map(pattern => {
+      if (pattern instanceof RegExp) return pattern;
+
+      try {
+        return new RegExp(pattern, 'i');
+      } catch (error) {
+        throw new Error(`[${this.source}] Invalid URL pattern "${pattern}": ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Check a URL's path against the include and exclude patterns
+   * @param {string} url - Posting URL
+   * @returns {boolean} Whether the URL is a posting to crawl
+   */
+  matchesPath(url) {
+    let path;
+    try {
+      const parsed = new URL(url);
+      path = `${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+      return false;
+    }
+
+    return (this.include.length === 0 || this.include.some(pattern => pattern.test(path))) &&
+      !this.exclude.some(pattern => pattern.test(path));
+  }
+
+  /**
+   * Resolve a configured sitemap against baseUrl
+   * @param {string} url - Sitemap URL or path ('/sitemap.xml')
+   * @returns {string} Absolute URL
+   * @throws {Error} For a path without a baseUrl to resolve it against
+   */
+  resolveSitemapUrl(url) {
+    try {
+      return new URL(url, this.baseUrl || undefined).toString();
+    } catch (error) {
+      throw new Error(`[${this.source}] Invalid sitemap URL "${url}": pass absolute sitemaps or set baseUrl`);
+    }
+  }
+
+  /**
+   * Parse a sitemap or sitemap index
+   * @param {string} xml - Sitemap document
+   * @param {string} url - Sitemap URL
+   * @returns {Object} { type, entries } - type is 'index' or 'urlset'; entries are { url, lastmod }
+   * @throws {ParseError} When the document is not a sitemap
+   */
+  parseSitemap(xml, url) {
+    const $ = cheerio.load(typeof xml === 'string' ? xml : '', { xml: true });
+    const root = $.root().children().filter((index, element) => element.type === 'tag').first();
+    const rootName = root.length ? localName(root[0]) : null;
+    const childName = { sitemapindex: 'sitemap', urlset: 'url' }[rootName];
+
+    if (!childName) {
+      throw new ParseError(`Not a sitemap (root element: ${rootName || 'none'})`, { url });
+    }
+
+    const entries = root.children().filter((index, element) => localName(element) === childName).map((index, element) => {
+      const fields = {};
+      $(element).children().each((i, child) => {
+        fields[localName(child)] = $(child).text().trim();
+      });
+
+      const lastmod = fields.lastmod ? new Date(fields.lastmod) : null;
+      return { url: fields.loc ? new URL(fields.loc, url).toString() : null, lastmod: lastmod && !isNaN(lastmod) ? lastmod : null };
+    }).get().filter(entry => entry.url);
+
+    return { type: rootName === 'sitemapindex' ? 'index' : 'urlset', entries };
+  }
+
+  /**
+   * Read sitemaps and the sitemaps nested in their indexes
+   * A sitemap that fails is recorded and skipped; the crawl only fails when none can be read.
+   * @param {Array<string>} sitemaps - Sitemap URLs (relative to baseUrl)
+   * @returns {Promise<Array>} Page entries { url, lastmod }, without duplicates
+   */
+  async readSitemaps(sitemaps) {
+    const queue = [].concat(sitemaps).filter(Boolean).map(url => ({ url: this.resolveSitemapUrl(url), depth: 0 }));
+    const visited = new Set();
+    const entries = new Map();
+    let lastError = null;
+    let succeeded = 0;
+
+    while (queue.length > 0) {
+      const { url, depth } = queue.shift();
+      if (visited.has(url)) continue;
+      visited.add(url);
+
+      if (visited.size > 1) {
+        await this.delay(this.delayBetweenRequests);
+      }
+
+      let sitemap;
+      try {
+        sitemap = this.parseSitemap(await this.fetchPage(url), url);
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+
+        console.error(`[${this.source}] Sitemap ${url} failed: ${error.message}`);
+        this.recordError(error, { url, stage: 'sitemap' });
+        lastError = error;
+        continue;
+      }
+
+      succeeded++;
+      this.sitemapStats.sitemaps++;
+
+      if (sitemap.type === 'index') {
+        if (depth >= this.maxSitemapDepth) {
+          console.warn(`[${this.source}] Sitemap index ${url} is nested too deep (max ${this.maxSitemapDepth}), not following it`);
+          continue;
+        }
+        queue.push(...sitemap.entries.map(entry => ({ url: entry.url, depth: depth + 1 })));
+        continue;
+      }
+
+      for (const entry of sitemap.entries) {
+        if (!entries.has(entry.url)) entries.set(entry.url, entry);
+      }
+    }
+
+    // Already recorded above; rethrowing marks the run as failed
+    if (succeeded === 0 && lastError) throw lastError;
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Look up when stored postings last changed on the site
+   * @param {Array<string>} urls - Posting URLs
+   * @returns {Promise<Map>} URL -> stored sourceUpdatedAt
+   */
+  async findStoredUpdates(urls) {
+    if (urls.length === 0) return new Map();
+
+    try {
+      const stored = await Job.find(
+        { source: this.source, applyLink: { $in: urls }, sourceUpdatedAt: { $ne: null } },
+        'applyLink sourceUpdatedAt'
+      ).lean();
+
+      return new Map(stored.map(job => [job.applyLink, new Date(job.sourceUpdatedAt)]));
+    } catch (error) {
+      console.warn(`[${this.source}] Could not check stored postings: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Crawl the matching sitemap URLs, newest first, in batches of detail pages
+   * @param {Object} options - Crawl options (sitemaps, force, maxJobs, postedAfter)
+   * @yields {Object} { url, pageIndex, jobs } - url is the batch's first posting
+   */
+  async *listingPages(options = {}) {
+    this.sitemapStats = { sitemaps: 0, urls: 0, matched: 0, unchanged: 0, outdated: 0, fetched: 0, notJobs: 0 };
+
+    const maxJobs = options.maxJobs ?? this.stopConditions.maxJobs;
+    const postedAfter = options.postedAfter ?? this.stopConditions.postedAfter;
+    const cutoff = postedAfter ? new Date(postedAfter) : null;
+    const stats = this.sitemapStats;
+
+    const entries = await this.readSitemaps(options.sitemaps || this.sitemaps);
+    const matched = entries.filter(entry => this.matchesPath(entry.url));
+    const stored = options.force ? new Map() : await this.findStoredUpdates(matched.map(entry => entry.url));
+
+    stats.urls = entries.length;
+    stats.matched = matched.length;
+
+    const queue = matched
+      .filter(entry => {
+        // A posting last changed before the cutoff can't have been posted after it
+        if (cutoff && entry.lastmod && entry.lastmod < cutoff) {
+          stats.outdated++;
+          return false;
+        }
+
+        const storedUpdate = stored.get(entry.url);
+        if (entry.lastmod && storedUpdate && entry.lastmod <= storedUpdate) {
+          stats.unchanged++;
+          return false;
+        }
+
+        return true;
+      })
+      // Newest first, so maxJobs keeps the latest postings; undated URLs go last
+      .sort((a, b) => (b.lastmod?.getTime() ?? 0) - (a.lastmod?.getTime() ?? 0));
+
+    console.log(`[${this.source}] ${matched.length} of ${entries.length} sitemap URLs match, ${queue.length} to fetch (${stats.unchanged} unchanged)`);
+
+    let collected = 0;
+
+    for (let start = 0, pageIndex = 0; start < queue.length && collected < maxJobs; start += this.batchSize, pageIndex++) {
+      const jobs = [];
+
+      for (const entry of queue.slice(start, start + this.batchSize)) {
+        if (collected + jobs.length >= maxJobs) break;
+
+        await this.delay(this.delayBetweenRequests);
+        const job = await this.fetchPosting(entry);
+        if (job && (!cutoff || !job.postedAt || job.postedAt >= cutoff)) jobs.push(job);
+      }
+
+      collected += jobs.length;
+
+      if (jobs.length > 0) {
+        yield { url: jobs[0].applyLink, pageIndex, jobs };
+      }
+    }
+  }
+
+  /**
+   * Fetch and extract one posting
+   * Failures are recorded and give null, so one broken page doesn't stop the crawl.
+   * @param {Object} entry - Sitemap entry { url, lastmod }
+   * @returns {Promise<Object|null>} Job, or null when the page failed or is not a posting
+   */
+  async fetchPosting(entry) {
+    let $;
+    try {
+      $ = await this.fetchAndParse(entry.url);
+    } catch (error) {
+      if (error instanceof CancelledError) throw error;
+
+      // Disallowed pages are already recorded by checkRobots()
+      if (error.code !== 'ROBOTS_DISALLOWED') {
+        console.error(`[${this.source}] Failed to fetch ${entry.url}: ${error.message}`);
+        this.recordError(error, { url: entry.url, stage: 'detail' });
+      }
+      return null;
+    }
+
+    this.sitemapStats.fetched++;
+
+    const job = this.extractPosting($, entry);
+    if (!job) {
+      this.sitemapStats.notJobs++;
+      console.log(`[${this.source}] No posting found at ${entry.url}`);
+    }
+
+    return job;
+  }
+
+  /**
+   * Extract a posting from its detail page
+   * @param {Object} $ - Cheerio instance of the page
+   * @param {Object} entry - Sitemap entry { url, lastmod }
+   * @returns {Object|null} Job data, or null when the page has no title (not a posting)
+   */
+  extractPosting($, entry) {
+    const [structured = {}] = this.extractStructuredJobs($, entry.url);
+    const hasStructuredData = Boolean(structured.title);
+    const selectors = this.pageSelectors;
+
+    const title = structured.title || this.readField($, selectors.title);
+    // Without JobPosting data, only pages matching the title selector count as postings
+    if (!title) return null;
+
+    const job = {
+      title,
+      company: structured.company || this.readField($, selectors.company) || this.company ||
+        this.readField($, 'meta[property="og:site_name"]@content'),
+      location: structured.location || this.readField($, selectors.location),
+      // The sitemap URL identifies the posting between runs (see findStoredUpdates())
+      applyLink: entry.url,
+      tags: structured.tags || [],
+      ...this.extractJobDetails($, { applyLink: entry.url }),
+      source: this.source
+    };
+
+    if (hasStructuredData && structured.externalId) job.externalId = structured.externalId;
+
+    if (!job.postedAt) {
+      Object.assign(job, this.parsePostedAt(this.readField($, selectors.date)));
+    }
+
+    if (entry.lastmod) job.sourceUpdatedAt = entry.lastmod;
+
+    return job;
+  }
+
+  /**
+   * Read a "css@attribute" selector from a page
+   * @param {Object} $ - Cheerio instance
+   * @param {string} selector - CSS selector with an optional "@attribute" suffix
+   * @returns {string} Value of the first match, or ''
+   */
+  readField($, selector) {
+    if (!selector) return '';
+
+    const atIndex = selector.lastIndexOf('@');
+    const css = atIndex === -1 ? selector.trim() : selector.substring(0, atIndex).trim();
+
+    try {
+      const element = $(css).first();
+      return this.cleanText(atIndex === -1 ? element.text() : element.attr(selector.substring(atIndex + 1).trim()));
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Get scraping statistics, including the sitemap crawl
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return { ...super.getStats(), sitemap: this.sitemapStats };
+  }
+
+  /**
+   * Reset scraper state
+   */
+  reset() {
+    super.reset();
+    this.sitemapStats = null;
+  }
+}
+
+module.exports = SitemapScraper;
@@ -0,0 +1,110 @@
+const CareerBoardScraper = require('./CareerBoardScraper');
+
+// Postings per API request (the API maximum)
+const PAGE_SIZE = 100;
+
+// Safety limit on postings pages read per company
+const MAX_PAGES = 20;
+
+/**
+ * Scraper for company career sites hosted on SmartRecruiters
+ * Reads the public Posting API, which lists postings 100 at a time with their company,
+ * location, department, function and type of employment.
+ *
+ * Companies are identified by their identifier (the "Acme" in careers.smartrecruiters.com/Acme)
+ * and can be set in config, per run, or with SMARTRECRUITERS_COMPANIES (comma-separated):
+ *   getScraper('smartrecruiters', { companies: ['Acme', { identifier: 'Globex', company: 'Globex Corp' }] })
+ *   scraper.scrape({ companies: 'Acme,Globex', query: 'engineer' })
+ *
+ * Listings carry no description: pass `enrich` in the run options to read it from each
+ * posting's job page, which publishes schema.org JobPosting data.
+ */
+class SmartRecruitersScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://api.smartrecruiters.com',
+      source: 'SmartRecruiters',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'companies', idKey: 'identifier', label: 'company', envVar: 'SMARTRECRUITERS_COMPANIES' });
+
+    this.jobsSiteUrl = config.jobsSiteUrl || 'https://jobs.smartrecruiters.com';
+  }
+
+  /**
+   * URL of a page of a company's postings
+   * @param {Object} board - { identifier, company }
+   * @param {number} offset - Postings to skip (default: 0)
+   * @returns {string} API URL
+   */
+  boardUrl(board, offset = 0) {
+    const url = new URL(`/v1/companies/${encodeURIComponent(board.identifier)}/postings`, this.baseUrl);
+    url.searchParams.set('limit', PAGE_SIZE);
+    url.searchParams.set('offset', offset);
+    return url.toString();
+  }
+
+  /**
+   * Fetch every page of a company's postings
+   * @param {Object} board - { identifier, company }
+   * @returns {Promise<Object>} { postings, company } - company is the name on the postings
+   */
+  async fetchBoard(board) {
+    const postings = [];
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      if (page > 0) {
+        await this.delay(this.delayBetweenRequests);
+      }
+
+      const data = await this.fetchJson(this.boardUrl(board, postings.length));
+      const content = data?.content || [];
+      postings.push(...content);
+
+      if (content.length === 0 || postings.length >= (data?.totalFound ?? 0)) break;
+    }
+
+    return { postings, company: board.company || postings[0]?.company?.name };
+  }
+
+  /**
+   * Map a Posting API posting to Job fields
+   * @param {Object} posting - Posting from GET /v1/companies/:identifier/postings
+   * @param {Object} board - { identifier, company }
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, { identifier, company }) {
+    const location = posting.location || {};
+    const workplace = location.remote ? 'Remote' : location.hybrid ? 'Hybrid' : null;
+    const place = location.fullLocation ||
+      [location.city, location.region, location.country?.toUpperCase()].filter(Boolean).join(', ');
+    const employmentType = posting.typeOfEmployment?.label;
+
+    const job = {
+      title: posting.name,
+      company,
+      location: place || workplace || '',
+      description: '',
+      applyLink: new URL(`/${encodeURIComponent(identifier)}/${posting.id}`, this.jobsSiteUrl).toString(),
+      // Posting IDs are unique across SmartRecruiters
+      externalId: `smartrecruiters-${posting.id}`,
+      tags: [...new Set([
+        posting.department?.label,
+        posting.function?.label,
+        employmentType,
+        posting.experienceLevel?.label,
+        workplace
+      ].filter(Boolean))],
+      ...this.parsePostedAt(posting.releasedDate),
+      source: this.source
+    };
+
+    if (employmentType) job.employmentType = employmentType;
+
+    return job;
+  }
+}
+
+module.exports = SmartRecruitersScraper;
@@ -0,0 +1,77 @@
+const CareerBoardScraper = require('./CareerBoardScraper');
+const { htmlToText } = require('./structuredData');
+
+/**
+ * Scraper for company career pages hosted on Workable
+ * Reads the public jobs widget API: one request per account returns the company name and
+ * every published job with its description, department and locations.
+ *
+ * Accounts are identified by their subdomain (the "acme" in apply.workable.com/acme) and
+ * can be set in config, per run, or with WORKABLE_ACCOUNTS (comma-separated):
+ *   getScraper('workable', { accounts: ['acme', { account: 'globex', company: 'Globex Corp' }] })
+ *   scraper.scrape({ accounts: 'acme,globex', query: 'engineer' })
+ */
+class WorkableScraper extends CareerBoardScraper {
+  constructor(config = {}) {
+    super({
+      baseUrl: config.baseUrl || 'https://apply.workable.com',
+      source: 'Workable',
+      timeout: config.timeout || 20000,
+      maxRetries: config.maxRetries || 3,
+      delayBetweenRequests: config.delayBetweenRequests || 1000,
+      ...config
+    }, { option: 'accounts', idKey: 'account', label: 'account', envVar: 'WORKABLE_ACCOUNTS' });
+  }
+
+  /**
+   * URL of an account's jobs widget, with descriptions
+   * @param {Object} board - { account, company }
+   * @returns {string} API URL
+   */
+  boardUrl(board) {
+    return new URL(`/api/v1/widget/accounts/${encodeURIComponent(board.account)}?details=true`, this.baseUrl).toString();
+  }
+
+  /**
+   * Fetch an account's jobs and company name
+   * @param {Object} board - { account, company }
+   * @returns {Promise<Object>} { postings, company }
+   */
+  async fetchBoard(board) {
+    const data = await this.fetchJson(this.boardUrl(board));
+    return { postings: data?.jobs || [], company: board.company || data?.name };
+  }
+
+  /**
+   * Map a widget job to Job fields
+   * @param {Object} posting - Job from GET /api/v1/widget/accounts/:account?details=true
+   * @param {Object} board - { account, company }
+   * @returns {Object} Job data
+   */
+  mapPosting(posting, { company }) {
+    const locations = (posting.locations?.length ? posting.locations : [posting])
+      .filter(location => !location.hidden)
+      .map(location => [location.city, location.country].filter(Boolean).join(', '))
+      .filter(Boolean);
+    const remote = posting.telecommuting ? 'Remote' : null;
+
+    const job = {
+      title: posting.title,
+      company,
+      location: [...new Set(locations)].join('; ') || remote || '',
+      description: htmlToText(posting.description),
+      applyLink: posting.url || posting.shortlink || posting.application_url,
+      // Shortcodes are unique across Workable
+      externalId: `workable-${posting.shortcode}`,
+      tags: [...new Set([posting.department, posting.function, posting.employment_type, remote].filter(Boolean))],
+      ...this.parsePostedAt(posting.published_on || posting.created_at),
+      source: this.source
+    };
+
+    if (posting.employment_type) job.employmentType = posting.employment_type;
+
+    return job;
+  }
+}
+
+module.exports = WorkableScraper;
@@ -0,0 +1,64 @@
+const { CancelledError } = require('./errors');
+
+/**
+ * AbortSignal helpers for cancellable scrapes
+ * A run's signal reaches every request and wait, so cancelling it (or hitting its wall-clock
+ * limit) stops the scraper at the next await instead of after the current page.
+ */
+
+/**
+ * Error to throw for an aborted signal
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {CancelledError} The signal's reason when it is one, otherwise a generic one
+ */
+const abortReason = (signal) => {
+  if (signal.reason instanceof CancelledError) return signal.reason;
+
+  const message = signal.reason?.message || (typeof signal.reason === 'string' ? signal.reason : 'Scrape cancelled');
+  return new CancelledError(message, { code: 'CANCELLED', cause: signal.reason });
+};
+
+/**
+ * Throw if the signal is aborted
+ * @param {AbortSignal} signal - Signal (optional)
+ * @throws {CancelledError}
+ */
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortReason(signal);
+};
+
+/**
+ * Wait, or stop waiting as soon as the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal (optional)
+ * @returns {Promise<void>}
+ * @throws {CancelledError} When the signal aborts
+ */
+const sleep = (ms, signal = null) => {
+  if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(abortReason(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortReason(signal));
+    };
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+module.exports = {
+  abortReason,
+  throwIfAborted,
+  sleep
+};
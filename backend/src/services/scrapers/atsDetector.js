@@ -0,0 +1,181 @@
+/**
+ * ATS detection for careers URLs
+ * Recognizes career boards hosted on Greenhouse, Lever, Workable, Ashby and SmartRecruiters
+ * and returns the registered scraper and config that read them:
+ *   detectAts('https://jobs.lever.co/acme/123')
+ *   // { ats: 'Lever', scraper: 'lever', id: 'acme', config: { companies: ['acme'] } }
+ *
+ * Company sites that embed their board (acme.com/careers) are detected from the page
+ * itself with detectAtsInPage().
+ */
+
+/**
+ * Decode a path segment, keeping it as-is when its percent-encoding is malformed
+ * @param {string} segment - Raw segment
+ * @returns {string} Decoded segment
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+/**
+ * Path segments of a URL
+ * @param {URL} url - Parsed URL
+ * @returns {Array<string>} Decoded, non-empty segments
+ */
+const segments = (url) => url.pathname.split('/').filter(Boolean).map(decodeSegment);
+
+/**
+ * Segment following a given one ('/v1/boards/acme/jobs', 'boards' -> 'acme')
+ * @param {URL} url - Parsed URL
+ * @param {string} name - Preceding segment
+ * @returns {string|null} Segment
+ */
+const segmentAfter = (url, name) => {
+  const parts = segments(url);
+  const index = parts.indexOf(name);
+  return index >= 0 ? parts[index + 1] || null : null;
+};
+
+// Each ATS returns { id, config } for its URLs; config adds scraper settings (e.g. EU hosts)
+const ATS = [
+  {
+    ats: 'Greenhouse',
+    scraper: 'greenhouse',
+    option: 'boards',
+    domain: 'greenhouse.io',
+    match: (url) => {
+      const eu = url.hostname.includes('.eu.');
+      const config = eu ? { baseUrl: 'https://boards-api.eu.greenhouse.io' } : {};
+
+      if (/^boards-api(\.eu)?\.greenhouse\.io$/.test(url.hostname)) {
+        return { id: segmentAfter(url, 'boards'), config };
+      }
+      if (/^(boards|job-boards)(\.eu)?\.greenhouse\.io$/.test(url.hostname)) {
+        // Embedded boards: /embed/job_board?for=acme
+        const [first] = segments(url);
+        return { id: url.searchParams.get('for') || (first === 'embed' ? null : first), config };
+      }
+      return null;
+    }
+  },
+  {
+    ats: 'Lever',
+    scraper: 'lever',
+    option: 'companies',
+    domain: 'lever.co',
+    match: (url) => {
+      const eu = url.hostname.includes('.eu.');
+      const config = eu ? { baseUrl: 'https://api.eu.lever.co' } : {};
+
+      if (/^api(\.eu)?\.lever\.co$/.test(url.hostname)) return { id: segmentAfter(url, 'postings'), config };
+      if (/^jobs(\.eu)?\.lever\.co$/.test(url.hostname)) return { id: segments(url)[0], config };
+      return null;
+    }
+  },
+  {
+    ats: 'Workable',
+    scraper: 'workable',
+    option: 'accounts',
+    domain: 'workable.com',
+    match: (url) => {
+      if (url.hostname === 'apply.workable.com') {
+        const [first] = segments(url);
+        // /j/<shortcode> links don't name the account
+        if (first === 'j') return null;
+        return { id: first === 'api' ? segmentAfter(url, 'accounts') : first };
+      }
+
+      const subdomain = url.hostname.match(/^([\w-]+)\.workable\.com$/)?.[1];
+      return subdomain && !['www', 'apply', 'jobs', 'help', 'resources'].includes(subdomain)
+        ? { id: subdomain }
+        : null;
+    }
+  },
+  {
+    ats: 'Ashby',
+    scraper: 'ashby',
+    option: 'boards',
+    domain: 'ashbyhq.com',
+    match: (url) => {
+      if (url.hostname === 'api.ashbyhq.com') return { id: segmentAfter(url, 'job-board') };
+      if (url.hostname === 'jobs.ashbyhq.com') return { id: segments(url)[0] };
+      return null;
+    }
+  },
+  {
+    ats: 'SmartRecruiters',
+    scraper: 'smartrecruiters',
+    option: 'companies',
+    domain: 'smartrecruiters.com',
+    match: (url) => {
+      if (url.hostname === 'api.smartrecruiters.com') return { id: segmentAfter(url, 'companies') };
+      if (['careers.smartrecruiters.com', 'jobs.smartrecruiters.com'].includes(url.hostname)) {
+        return { id: segments(url)[0] };
+      }
+      return null;
+    }
+  }
+];
+
+// ATS URLs in page markup, scripts and iframes (absolute or protocol-relative)
+const EMBEDDED_URL_PATTERN = new RegExp(
+  `(?:https?:)?//[\\w.-]+\\.(?:${ATS.map(({ domain }) => domain.replace(/\./g, '\\.')).join('|')})(?:[/?][^\\s"'<>\\\\)]*)?`,
+  'gi'
+);
+
+/**
+ * Detect the ATS a careers URL belongs to
+ * @param {string} url - Careers page, job or API URL
+ * @returns {Object|null} { ats, scraper, id, config } - config can be passed to getScraper()
+ */
+const detectAts = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+
+  for (const { ats, scraper, option, domain, match } of ATS) {
+    if (hostname !== domain && !hostname.endsWith(`.${domain}`)) continue;
+
+    const found = match(parsed);
+    if (!found?.id) return null;
+
+    return { ats, scraper, id: found.id, config: { [option]: [found.id], ...found.config } };
+  }
+
+  return null;
+};
+
+/**
+ * Detect ATS boards embedded in a careers page (links, iframes, widget scripts)
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} Detections in order of appearance, one per board
+ */
+const detectAtsInPage = (html) => {
+  const detections = new Map();
+
+  for (const [match] of String(html || '').matchAll(EMBEDDED_URL_PATTERN)) {
+    const url = match.startsWith('//') ? `https:${match}` : match;
+    const detection = detectAts(url.replace(/&amp;/g, '&'));
+
+    if (detection && !detections.has(`${detection.scraper}:${detection.id}`)) {
+      detections.set(`${detection.scraper}:${detection.id}`, detection);
+    }
+  }
+
+  return [...detections.values()];
+};
+
+module.exports = {
+  detectAts,
+  detectAtsInPage
+};
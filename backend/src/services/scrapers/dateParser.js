@@ -0,0 +1,325 @@
+/**
+ * Locale-aware posted-date parsing
+ * Portals show dates as relative phrases ("hace 2 semanas", "ontem", "30+ days ago") or
+ * absolute dates ("12/03/2024", "12 de marzo", "March 12, 2024"). Spanish, Portuguese and
+ * English are recognised regardless of locale; the locale only decides whether an
+ * ambiguous numeric date is day-first. Dates without a time are midnight in the portal's
+ * timezone. Text that can't be read falls back to "now", flagged as inferred.
+ */
+
+const MONTHS = {
+  // English
+  january: 0, jan: 0, february: 1, feb: 1, march: 2, mar: 2, april: 3, apr: 3, may: 4,
+  june: 5, jun: 5, july: 6, jul: 6, august: 7, aug: 7, september: 8, sept: 8, sep: 8,
+  october: 9, oct: 9, november: 10, nov: 10, december: 11, dec: 11,
+  // Spanish
+  enero: 0, ene: 0, febrero: 1, marzo: 2, abril: 3, abr: 3, mayo: 4, junio: 5, julio: 6,
+  agosto: 7, ago: 7, septiembre: 8, setiembre: 8, set: 8, octubre: 9, noviembre: 10,
+  diciembre: 11, dic: 11,
+  // Portuguese (accents are stripped before matching: março -> marco)
+  janeiro: 0, fevereiro: 1, fev: 1, marco: 2, maio: 4, mai: 4, junho: 5, julho: 6,
+  setembro: 8, outubro: 9, out: 9, novembro: 10, dezembro: 11, dez: 11
+};
+
+const UNITS = {
+  second: 'second', seconds: 'second', sec: 'second', secs: 'second', segundo: 'second', segundos: 'second',
+  minute: 'minute', minutes: 'minute', min: 'minute', mins: 'minute', minuto: 'minute', minutos: 'minute',
+  hour: 'hour', hours: 'hour', hr: 'hour', hrs: 'hour', h: 'hour', hora: 'hour', horas: 'hour',
+  day: 'day', days: 'day', d: 'day', dia: 'day', dias: 'day',
+  week: 'week', weeks: 'week', wk: 'week', wks: 'week', w: 'week', semana: 'week', semanas: 'week',
+  month: 'month', months: 'month', mo: 'month', mos: 'month', mes: 'month', meses: 'month',
+  year: 'year', years: 'year', yr: 'year', yrs: 'year', y: 'year', ano: 'year', anos: 'year'
+};
+
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000
+};
+
+const AMOUNT_WORDS = {
+  a: 1, an: 1, one: 1, un: 1, una: 1, uno: 1, um: 1, uma: 1,
+  two: 2, dos: 2, dois: 2, duas: 2, three: 3, tres: 3
+};
+
+// Days before today, checked longest phrase first
+const DAY_WORDS = [
+  [/\b(day before yesterday|anteayer|antes de ayer|anteontem|antes de ontem)\b/, 2],
+  [/\b(yesterday|ayer|ontem)\b/, 1],
+  [/\b(just now|right now|moments? ago|a moment ago|now|today|hoy|ahora|recien|hace (un )?momento|hace instantes|agora|hoje|ha pouco)\b/, 0]
+];
+
+const alternation = (words) => Object.keys(words).sort((a, b) => b.length - a.length).join('|');
+
+const MONTH = `(${alternation(MONTHS)})\\.?`;
+const UNIT = `(${alternation(UNITS)})\\.?`;
+const AMOUNT = `(\\d+|${alternation(AMOUNT_WORDS)})\\+?`;
+
+const ISO_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(z|[+-]\d{2}:?\d{2})?)?/;
+const NUMERIC_PATTERN = /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/;
+const DAY_MONTH_PATTERN = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|º)?(?:\\s+de)?\\s+${MONTH}(?:,?\\s+(?:del?\\s+)?(\\d{4}))?(?!\\w)`);
+const MONTH_DAY_PATTERN = new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`);
+// "hace 2 semanas", "há mais de 30 dias"
+const AGO_PREFIX_PATTERN = new RegExp(`\\b(?:hace|ha)\\s+(?:mas de\\s+|mais de\\s+)?${AMOUNT}\\s*${UNIT}(?!\\w)`);
+// "30+ days ago", "3 dias atras", "2d ago"
+const AGO_SUFFIX_PATTERN = new RegExp(`\\b${AMOUNT}\\s*${UNIT}\\s+(?:ago|atras)\\b`);
+// Bare "3d", "5 hours"
+const BARE_PATTERN = new RegExp(`^${AMOUNT}\\s*${UNIT}$`);
+
+const formatters = new Map();
+
+/**
+ * Check that a timezone is a valid IANA name
+ * @param {string} timezone - Timezone (e.g. 'America/Santiago')
+ * @returns {boolean} Whether Intl knows the timezone
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Calendar fields of an instant in a timezone
+ * @param {number} instant - Milliseconds since epoch
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second } - month is 0-based
+ */
+const zonedParts = (instant, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(instant))) {
+    parts[type] = Number(value);
+  }
+
+  return { ...parts, month: parts.month - 1 };
+};
+
+/**
+ * Instant of a wall-clock time in a timezone
+ * @param {Object} fields - { year, month, day, hour, minute, second } - month is 0-based
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Date
+ */
+const zonedDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone) => {
+  const wallClock = Date.UTC(year, month, day, hour, minute, second);
+  const offsetAt = (instant) => {
+    const parts = zonedParts(instant, timezone);
+    return Date.UTC(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+  };
+
+  // Second pass settles wall-clock times next to a DST change
+  const firstGuess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(firstGuess));
+};
+
+/**
+ * Check that a day exists in its month
+ * @returns {boolean} Whether the date is valid
+ */
+const isValidDay = (year, month, day) => {
+  if (month < 0 || month > 11 || day < 1) return false;
+  return new Date(Date.UTC(year, month, day)).getUTCDate() === day;
+};
+
+/**
+ * Build a date without a time, inferring a missing year
+ * A date without a year is the most recent one that isn't in the future.
+ * @returns {Date|null} Midnight in the timezone, or null for an impossible date
+ */
+const calendarDate = (year, month, day, { now, timezone }) => {
+  let fullYear = year;
+
+  if (fullYear === undefined) {
+    const today = zonedParts(now.getTime(), timezone);
+    fullYear = today.year;
+    if (month > today.month || (month === today.month && day > today.day)) fullYear--;
+  } else if (fullYear < 100) {
+    fullYear += 2000;
+  }
+
+  if (!isValidDay(fullYear, month, day)) return null;
+  return zonedDate({ year: fullYear, month, day }, timezone);
+};
+
+/**
+ * Parse an ISO 8601 date, with or without a time and offset
+ * @returns {Date|null} Date
+ */
+const parseIso = (match, options) => {
+  const [, year, month, day, hour, minute, second = '0', offset] = match;
+
+  if (hour === undefined) {
+    return calendarDate(Number(year), Number(month) - 1, Number(day), options);
+  }
+
+  const fields = {
+    year: Number(year),
+    month: Number(month) - 1,
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  };
+
+  if (!isValidDay(fields.year, fields.month, fields.day)) return null;
+  if (!offset) return zonedDate(fields, options.timezone);
+
+  const wallClock = Date.UTC(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second);
+  if (offset === 'z') return new Date(wallClock);
+
+  const [, sign, offsetHours, offsetMinutes] = offset.match(/([+-])(\d{2}):?(\d{2})/);
+  const offsetMs = (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+  return new Date(wallClock - (sign === '+' ? offsetMs : -offsetMs));
+};
+
+/**
+ * Parse a numeric dd/mm/yyyy (or mm/dd/yyyy) date
+ * Day-first unless the locale is en-US, or the numbers only fit one way.
+ * @returns {Date|null} Date
+ */
+const parseNumeric = ([, first, second, year], options) => {
+  const a = Number(first);
+  const b = Number(second);
+  const monthFirst = b > 12 || (a <= 12 && /^en-us$/i.test(options.locale || ''));
+
+  const [day, month] = monthFirst ? [b, a] : [a, b];
+  return calendarDate(Number(year), month - 1, day, options);
+};
+
+/**
+ * Parse an absolute date
+ * @param {string} text - Normalized text
+ * @param {Object} options - { now, locale, timezone }
+ * @returns {Date|null} Date
+ */
+const parseAbsolute = (text, options) => {
+  let match = text.match(ISO_PATTERN);
+  if (match) return parseIso(match, options);
+
+  match = text.match(NUMERIC_PATTERN);
+  if (match) return parseNumeric(match, options);
+
+  match = text.match(DAY_MONTH_PATTERN);
+  if (match) {
+    const [, day, month, year] = match;
+    return calendarDate(year && Number(year), MONTHS[month], Number(day), options);
+  }
+
+  match = text.match(MONTH_DAY_PATTERN);
+  if (match) {
+    const [, month, day, year] = match;
+    return calendarDate(year && Number(year), MONTHS[month], Number(day), options);
+  }
+
+  return null;
+};
+
+/**
+ * Go back an amount of time from now
+ * @param {Date} now - Reference time
+ * @param {number} amount - Amount
+ * @param {string} unit - second, minute, hour, day, week, month or year
+ * @returns {Date} Date
+ */
+const subtract = (now, amount, unit) => {
+  const date = new Date(now.getTime());
+
+  if (unit === 'month') {
+    date.setUTCMonth(date.getUTCMonth() - amount);
+  } else if (unit === 'year') {
+    date.setUTCFullYear(date.getUTCFullYear() - amount);
+  } else {
+    date.setTime(date.getTime() - amount * UNIT_MS[unit]);
+  }
+
+  return date;
+};
+
+/**
+ * Parse a relative date ("hace 3 días", "2 weeks ago", "ontem")
+ * @param {string} text - Normalized text
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Date
+ */
+const parseRelative = (text, now) => {
+  const match = text.match(AGO_PREFIX_PATTERN) || text.match(AGO_SUFFIX_PATTERN) || text.match(BARE_PATTERN);
+
+  if (match) {
+    const [, amount, unit] = match;
+    return subtract(now, AMOUNT_WORDS[amount] || Number(amount), UNITS[unit]);
+  }
+
+  for (const [pattern, days] of DAY_WORDS) {
+    if (pattern.test(text)) return subtract(now, days, 'day');
+  }
+
+  return null;
+};
+
+/**
+ * Lowercase, strip accents and collapse whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalize = (text) => String(text)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Parse a posted date
+ * @param {string} text - Date text as shown by the portal
+ * @param {Object} options - Parse options
+ * @param {Date} options.now - Reference time for relative phrases (default: now)
+ * @param {string} options.locale - Portal locale, e.g. 'es-CL' or 'en-US' (optional)
+ * @param {string} options.timezone - IANA timezone for dates without an offset (default: 'UTC')
+ * @returns {Object} { date, inferred } - inferred is true when the text couldn't be read
+ *   and date is "now"
+ */
+const parseDate = (text, { now = new Date(), locale = null, timezone = 'UTC' } = {}) => {
+  if (text instanceof Date && !isNaN(text.getTime())) {
+    return { date: text, inferred: false };
+  }
+
+  const normalized = typeof text === 'string' ? normalize(text) : '';
+
+  if (normalized) {
+    const options = { now, locale, timezone };
+    const date = parseAbsolute(normalized, options) || parseRelative(normalized, now);
+
+    if (date) return { date, inferred: false };
+
+    // Other formats Date understands (e.g. RFC 2822), as long as they carry a year
+    if (/\d{4}/.test(normalized)) {
+      const parsed = new Date(text);
+      if (!isNaN(parsed.getTime())) return { date: parsed, inferred: false };
+    }
+  }
+
+  return { date: new Date(now.getTime()), inferred: true };
+};
+
+module.exports = {
+  parseDate,
+  isValidTimezone
+};
@@ -0,0 +1,139 @@
+/**
+ * Character-encoding detection for fetched pages
+ * Some portals still serve ISO-8859-1 or Windows-1252. Pages are fetched as raw bytes and
+ * decoded here, following the browser's order: byte order mark, Content-Type charset,
+ * then <meta charset> (or the <?xml encoding?> declaration of feeds). Pages that declare
+ * nothing are UTF-8, unless the bytes aren't valid UTF-8, in which case they are read as
+ * Windows-1252.
+ */
+
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' }
+];
+
+// Windows-1252 characters for bytes 0x80-0x9F (undefined bytes keep their code point).
+// Some Node versions decode windows-1252 as plain ISO-8859-1, which maps these bytes to
+// control characters.
+const WINDOWS_1252_HIGH = [
+  0x20ac, 0x81, 0x201a, 0x192, 0x201e, 0x2026, 0x2020, 0x2021, 0x2c6, 0x2030, 0x160, 0x2039, 0x152, 0x8d, 0x17d, 0x8f,
+  0x90, 0x2018, 0x2019, 0x201c, 0x201d, 0x2022, 0x2013, 0x2014, 0x2dc, 0x2122, 0x161, 0x203a, 0x153, 0x9d, 0x17e, 0x178
+];
+
+// <meta charset> must appear early in the document
+const META_SCAN_BYTES = 4096;
+
+const CHARSET_PATTERN = /charset\s*=\s*["']?\s*([\w.:-]+)/i;
+const META_PATTERN = /<meta\s[^>]*charset\s*=\s*["']?\s*([\w.:-]+)/i;
+const XML_DECLARATION_PATTERN = /^\s*<\?xml\s[^>]*encoding\s*=\s*["']([\w.:-]+)["']/i;
+
+/**
+ * Canonical name of a charset label
+ * Labels follow the WHATWG Encoding Standard, so "latin1" and "iso-8859-1" are both
+ * decoded as windows-1252, like browsers do.
+ * @param {string} label - Charset label (e.g. 'ISO-8859-1', 'utf8')
+ * @returns {string|null} Encoding name, or null for an unknown label
+ */
+const normalizeEncoding = (label) => {
+  if (!label) return null;
+
+  try {
+    return new TextDecoder(label.trim()).encoding;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Find the encoding declared by a byte order mark
+ * @param {Buffer} buffer - Response body
+ * @returns {string|null} Encoding
+ */
+const encodingFromBom = (buffer) => {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  return bom ? bom.encoding : null;
+};
+
+/**
+ * Find the encoding declared by <meta charset>, <meta http-equiv="Content-Type"> or an
+ * XML declaration (<?xml version="1.0" encoding="ISO-8859-1"?>)
+ * @param {Buffer} buffer - Response body
+ * @returns {string|null} Encoding
+ */
+const encodingFromMeta = (buffer) => {
+  // Charset declarations are ASCII, readable whatever the page's encoding
+  const head = buffer.subarray(0, META_SCAN_BYTES).toString('latin1');
+  const match = head.match(XML_DECLARATION_PATTERN) || head.match(META_PATTERN);
+  return match ? normalizeEncoding(match[1]) : null;
+};
+
+/**
+ * Check that bytes are valid UTF-8
+ * @param {Buffer} buffer - Response body
+ * @returns {boolean} Whether the body decodes as UTF-8 without errors
+ */
+const isValidUtf8 = (buffer) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Decode bytes in a detected encoding
+ * @param {Buffer} buffer - Response body
+ * @param {string} encoding - Encoding name from detectEncoding()
+ * @returns {string} Decoded text (without a BOM)
+ */
+const decode = (buffer, encoding) => {
+  if (encoding !== 'windows-1252') return new TextDecoder(encoding).decode(buffer);
+
+  return buffer.toString('latin1')
+    .replace(/[\x80-\x9f]/g, char => String.fromCharCode(WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80]));
+};
+
+/**
+ * Detect the encoding of a response body
+ * @param {Buffer} buffer - Response body
+ * @param {string} contentType - Content-Type header (optional)
+ * @returns {Object} { encoding, source } - source is 'bom', 'header', 'meta' or 'sniffed'
+ */
+const detectEncoding = (buffer, contentType = '') => {
+  const fromBom = encodingFromBom(buffer);
+  if (fromBom) return { encoding: fromBom, source: 'bom' };
+
+  const headerMatch = String(contentType || '').match(CHARSET_PATTERN);
+  const fromHeader = headerMatch && normalizeEncoding(headerMatch[1]);
+  if (fromHeader) return { encoding: fromHeader, source: 'header' };
+
+  const fromMeta = encodingFromMeta(buffer);
+  if (fromMeta) return { encoding: fromMeta, source: 'meta' };
+
+  return { encoding: isValidUtf8(buffer) ? 'utf-8' : 'windows-1252', source: 'sniffed' };
+};
+
+/**
+ * Decode a response body to a string
+ * Strings are returned as they are (already decoded, e.g. by a mocked client).
+ * @param {Buffer|ArrayBuffer|string} body - Response body
+ * @param {string} contentType - Content-Type header (optional)
+ * @returns {Object} { html, encoding, source } - encoding and source are unset for strings
+ */
+const decodeBody = (body, contentType = '') => {
+  if (typeof body === 'string') return { html: body };
+  if (body === undefined || body === null) return { html: '' };
+
+  const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const { encoding, source } = detectEncoding(buffer, contentType);
+
+  return { html: decode(buffer, encoding), encoding, source };
+};
+
+module.exports = {
+  normalizeEncoding,
+  detectEncoding,
+  decodeBody
+};
@@ -0,0 +1,206 @@
+/**
+ * Typed scraper errors
+ * Every fetch failure is classified so callers can tell a dead or blocking site
+ * (blocked, not-found) from a flaky one (timeout, network, server-error, rate-limited).
+ */
+
+/**
+ * Base class for scraper errors
+ */
+class ScraperError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.url - URL being fetched
+   * @param {number} details.status - HTTP status code
+   * @param {string} details.code - Machine-readable code (e.g. ROBOTS_DISALLOWED, ECONNRESET)
+   * @param {number} details.retryAfterMs - Delay requested by the server
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.type = 'unknown';
+    this.retryable = false;
+    this.url = details.url;
+    this.status = details.status;
+    this.code = details.code;
+    this.retryAfterMs = details.retryAfterMs;
+    this.cause = details.cause;
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+// Access refused: 401/403/451 or robots.txt
+class BlockedError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'blocked';
+  }
+}
+
+// 404/410: the page is gone
+class NotFoundError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'not-found';
+  }
+}
+
+// Request or server timeout (408)
+class TimeoutError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'timeout';
+    this.retryable = true;
+  }
+}
+
+// Connection reset, refused, DNS failures...
+class NetworkError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'network';
+    this.retryable = true;
+  }
+}
+
+// 429 Too Many Requests
+class RateLimitedError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'rate-limited';
+    this.retryable = true;
+  }
+}
+
+// 5xx
+class ServerError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'server-error';
+    this.retryable = true;
+  }
+}
+
+// Any other 4xx
+class HttpError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'http-error';
+  }
+}
+
+// The page was fetched but could not be parsed
+class ParseError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'parse-failure';
+  }
+}
+
+// The run was cancelled (by request or by its wall-clock limit); code tells which
+class CancelledError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'cancelled';
+  }
+}
+
+// The scraper itself is misconfigured (e.g. no usable browser); retrying cannot help
+class ConfigurationError extends ScraperError {
+  constructor(message, details) {
+    super(message, details);
+    this.type = 'config';
+  }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|undefined} Delay in milliseconds
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? undefined : Math.max(0, date - now);
+};
+
+/**
+ * Convert any fetch failure into a typed ScraperError
+ * @param {Error} error - Error thrown by axios (or anything else)
+ * @param {string} url - URL being fetched
+ * @returns {ScraperError} Classified error
+ */
+const classifyError = (error, url) => {
+  if (error instanceof ScraperError) return error;
+
+  if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+    return new CancelledError(error.message, { url, code: error.code, cause: error });
+  }
+
+  const status = error.response?.status;
+  const details = { url, status, code: error.code, cause: error };
+
+  if (status) {
+    const statusText = error.response.statusText ? ` ${error.response.statusText}` : '';
+    const message = `HTTP ${status}${statusText}`;
+    const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+
+    if ([401, 403, 451].includes(status)) return new BlockedError(message, details);
+    if ([404, 410].includes(status)) return new NotFoundError(message, details);
+    if (status === 408) return new TimeoutError(message, details);
+    if (status === 429) return new RateLimitedError(message, { ...details, retryAfterMs });
+    if (status >= 500) return new ServerError(message, { ...details, retryAfterMs });
+    return new HttpError(message, details);
+  }
+
+  if (TIMEOUT_CODES.includes(error.code) || /timeout/i.test(error.message)) {
+    return new TimeoutError(error.message, details);
+  }
+
+  // No response at all: the request never completed
+  return new NetworkError(error.message, details);
+};
+
+/**
+ * Count recorded errors by type
+ * @param {Array} errors - Scraper error entries ({ type })
+ * @returns {Object} Counts keyed by type
+ */
+const summarizeErrors = (errors = []) => {
+  return errors.reduce((counts, entry) => {
+    const type = entry.type || 'unknown';
+    counts[type] = (counts[type] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+module.exports = {
+  ScraperError,
+  BlockedError,
+  NotFoundError,
+  TimeoutError,
+  NetworkError,
+  RateLimitedError,
+  ServerError,
+  HttpError,
+  ParseError,
+  CancelledError,
+  ConfigurationError,
+  parseRetryAfter,
+  classifyError,
+  summarizeErrors
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+
+/**
+ * Content-based job fingerprints
+ * Builds deterministic IDs from normalized source, company, title, location and
+ * canonical URL so the same posting maps to the same externalId on every run
+ */
+
+// Query parameters that only track the visit and never identify the posting
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(gclid|fbclid|msclkid|dclid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi|_ga)$/i,
+  /^(ref|refid|referer|referrer|source|src|trk|trkinfo|trackingid|tracking_id|position|pagenum|originalsubdomain|si|campaign|from)$/i
+];
+
+/**
+ * Normalize text for comparison: lowercase, no accents, no punctuation
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+const normalizeText = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Turn text into a URL-safe slug
+ * @param {string} text - Text to slugify
+ * @param {number} maxLength - Maximum slug length
+ * @returns {string} Slug
+ */
+const slugify = (text, maxLength = 50) =>
+  normalizeText(text).replace(/\s+/g, '-').substring(0, maxLength).replace(/-+$/, '');
+
+/**
+ * Canonicalize a URL: https, lowercase host, no fragment, no tracking
+ * parameters, sorted query string and no trailing slash
+ * @param {string} url - URL to canonicalize
+ * @returns {string} Canonical URL (or the trimmed input if it is not a URL)
+ */
+const canonicalizeUrl = (url) => {
+  if (!url) return '';
+
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (error) {
+    return String(url).trim();
+  }
+
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  parsed.hash = '';
+
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  parsed.search = new URLSearchParams(params).toString();
+
+  const pathname = parsed.pathname.replace(/\/+$/, '');
+  parsed.pathname = pathname || '/';
+
+  return parsed.toString().replace(/\/(\?|$)/, '$1');
+};
+
+/**
+ * Build a deterministic fingerprint for a job
+ * @param {Object} job - Job data (source, company, title, location, applyLink)
+ * @returns {string} SHA-1 hex digest
+ */
+const buildFingerprint = (job) => {
+  const parts = [
+    normalizeText(job.source),
+    normalizeText(job.company),
+    normalizeText(job.title),
+    normalizeText(job.location),
+    canonicalizeUrl(job.applyLink)
+  ];
+
+  return crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Build a readable, stable external ID: source-company-title-<hash>
+ * @param {Object} job - Job data including source
+ * @returns {string} External ID
+ */
+const buildExternalId = (job) => {
+  const source = slugify(job.source, 40) || 'unknown';
+  const company = slugify(job.company, 30) || 'unknown';
+  const title = slugify(job.title, 50) || 'unknown';
+
+  return `${source}-${company}-${title}-${buildFingerprint(job).substring(0, 12)}`;
+};
+
+/**
+ * Check whether an external ID was generated with the old Date.now() suffix
+ * @param {string} externalId - External ID
+ * @returns {boolean} True for legacy timestamped IDs
+ */
+const isTimestampedExternalId = (externalId) => /-\d{13}$/.test(externalId || '');
+
+module.exports = {
+  normalizeText,
+  slugify,
+  canonicalizeUrl,
+  buildFingerprint,
+  buildExternalId,
+  isTimestampedExternalId
+};
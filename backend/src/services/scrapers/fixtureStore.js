@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Recorded page fixtures
+ * Each recorded response (URL, status, headers, body) is one JSON file, named after the
+ * URL so diffs stay readable; manifest.json holds the options the recording ran with.
+ * RecordingRenderer writes them and ReplayRenderer serves them offline.
+ */
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', '__tests__', 'fixtures', 'scrapers');
+
+/**
+ * Directory of a named fixture set
+ * Names are a single path segment, so a fixture set can never point outside the root.
+ * @param {string} name - Fixture set name, usually the scraper name
+ * @param {string} root - Fixtures root (default: fixtures/scrapers)
+ * @returns {string} Directory path
+ */
+const fixtureDir = (name, root = FIXTURES_DIR) => {
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new Error(`Invalid fixture set name: ${name}`);
+  }
+
+  return path.join(root, name);
+};
+
+class FixtureStore {
+  /**
+   * @param {Object} config - Store options
+   * @param {string} config.dir - Fixture directory (one per scraper)
+   */
+  constructor(config = {}) {
+    if (!config.dir) {
+      throw new Error('FixtureStore requires a dir');
+    }
+
+    this.dir = config.dir;
+  }
+
+  /**
+   * Path of the fixture file for a URL
+   * @param {string} url - Page URL
+   * @returns {string} File path, e.g. www.portal.com-buscar-empleo-3f2a9c1b.json
+   */
+  fileFor(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+    const slug = url
+      .replace(/^https?:\/\//, '')
+      .replace(/[^a-zA-Z0-9.]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 80);
+
+    return path.join(this.dir, `${slug}-${hash}.json`);
+  }
+
+  /**
+   * Read the recorded response for a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} { url, status, headers, html, pages, recordedAt } or null
+   */
+  async get(url) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(url), 'utf8'));
+      return entry.url === url ? entry : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Record a response
+   * @param {string} url - Page URL
+   * @param {Object} response - { status, headers, html, pages }
+   * @returns {Promise<Object>} Stored entry
+   */
+  async set(url, response) {
+    const entry = {
+      url,
+      status: response.status || 200,
+      headers: response.headers || {},
+      html: typeof response.html === 'string' ? response.html : '',
+      recordedAt: new Date().toISOString()
+    };
+    if (response.pages) entry.pages = response.pages;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.fileFor(url), `${JSON.stringify(entry, null, 2)}\n`);
+
+    return entry;
+  }
+
+  /**
+   * Read the recording manifest
+   * @returns {Promise<Object|null>} { scraper, options, recordedAt } or null
+   */
+  async readManifest() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Write the recording manifest
+   * @param {Object} manifest - { scraper, options, recordedAt }
+   */
+  async writeManifest(manifest) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(path.join(this.dir, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+  }
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  FixtureStore,
+  fixtureDir
+};
@@ -0,0 +1,217 @@
+/**
+ * Process-wide per-host rate limiting
+ * Every scraper instance shares one token bucket per hostname, so parallel runs
+ * (runMultipleScrapers, concurrent API calls) can't exceed a host's budget.
+ * Waiting requests are served in FIFO order.
+ */
+
+const { abortReason } = require('./abort');
+
+const DEFAULT_LIMITS = {
+  requestsPerMinute: parseInt(process.env.SCRAPER_RATE_LIMIT_RPM, 10) || 30,
+  burst: parseInt(process.env.SCRAPER_RATE_LIMIT_BURST, 10) || 5
+};
+
+/**
+ * Validate and merge rate limits
+ * @param {Object} base - Current limits
+ * @param {Object} limits - New limits { requestsPerMinute, burst }
+ * @returns {Object} Merged limits
+ */
+const mergeLimits = (base, limits = {}) => {
+  const merged = { ...base };
+
+  if (limits.requestsPerMinute !== undefined) {
+    if (!(limits.requestsPerMinute > 0)) {
+      throw new Error('requestsPerMinute must be a positive number');
+    }
+    merged.requestsPerMinute = limits.requestsPerMinute;
+  }
+
+  if (limits.burst !== undefined) {
+    if (!Number.isInteger(limits.burst) || limits.burst < 1) {
+      throw new Error('burst must be a positive integer');
+    }
+    merged.burst = limits.burst;
+  }
+
+  return merged;
+};
+
+class HostRateLimiter {
+  constructor(defaults = {}) {
+    this.defaults = mergeLimits(DEFAULT_LIMITS, defaults);
+    this.buckets = new Map();
+  }
+
+  /**
+   * Get (or create) the bucket for a host
+   * @param {string} host - Hostname
+   * @returns {Object} Bucket
+   */
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, {
+        limits: { ...this.defaults },
+        tokens: this.defaults.burst,
+        lastRefill: Date.now(),
+        queue: [],
+        timer: null,
+        stats: { granted: 0, throttled: 0, totalWaitMs: 0, maxWaitMs: 0 }
+      });
+    }
+
+    return this.buckets.get(host);
+  }
+
+  /**
+   * Set limits for one host (unset values keep their current setting)
+   * @param {string} host - Hostname or URL
+   * @param {Object} limits - { requestsPerMinute, burst }
+   * @returns {Object} Effective limits
+   */
+  configure(host, limits = {}) {
+    const bucket = this.getBucket(HostRateLimiter.hostOf(host));
+
+    this.refill(bucket);
+    bucket.limits = mergeLimits(bucket.limits, limits);
+    bucket.tokens = Math.min(bucket.tokens, bucket.limits.burst);
+
+    return { ...bucket.limits };
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   * @param {Object} bucket - Bucket
+   */
+  refill(bucket) {
+    const now = Date.now();
+    const earned = ((now - bucket.lastRefill) * bucket.limits.requestsPerMinute) / 60000;
+
+    bucket.tokens = Math.min(bucket.limits.burst, bucket.tokens + earned);
+    bucket.lastRefill = now;
+  }
+
+  /**
+   * Hand tokens to queued requests and schedule the next attempt if some must wait
+   * @param {Object} bucket - Bucket
+   */
+  drain(bucket) {
+    this.refill(bucket);
+
+    while (bucket.queue.length > 0 && bucket.tokens >= 1) {
+      const { resolve, enqueuedAt } = bucket.queue.shift();
+      const waited = Date.now() - enqueuedAt;
+
+      bucket.tokens -= 1;
+      bucket.stats.granted++;
+      bucket.stats.totalWaitMs += waited;
+      bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waited);
+      if (waited > 0) bucket.stats.throttled++;
+
+      resolve(waited);
+    }
+
+    if (bucket.queue.length > 0 && !bucket.timer) {
+      const wait = Math.ceil(((1 - bucket.tokens) * 60000) / bucket.limits.requestsPerMinute);
+
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.drain(bucket);
+      }, Math.max(wait, 1));
+    }
+  }
+
+  /**
+   * Wait for a request slot on the URL's host
+   * @param {string} url - URL about to be requested
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Leave the queue when aborted
+   * @returns {Promise<number>} Milliseconds spent waiting
+   * @throws {CancelledError} When the signal aborts while queued
+   */
+  acquire(url, { signal = null } = {}) {
+    const bucket = this.getBucket(HostRateLimiter.hostOf(url));
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortReason(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        bucket.queue = bucket.queue.filter(waiter => waiter !== entry);
+        reject(abortReason(signal));
+      };
+
+      const entry = {
+        resolve: (waited) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(waited);
+        },
+        enqueuedAt: Date.now()
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      bucket.queue.push(entry);
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Current limits, tokens, queue depth and wait times per host
+   * @returns {Object} { defaults, hosts }
+   */
+  getStats() {
+    const hosts = {};
+
+    for (const [host, bucket] of this.buckets.entries()) {
+      this.refill(bucket);
+
+      hosts[host] = {
+        ...bucket.limits,
+        availableTokens: Math.floor(bucket.tokens * 100) / 100,
+        queueDepth: bucket.queue.length,
+        ...bucket.stats,
+        averageWaitMs: bucket.stats.granted > 0
+          ? Math.round(bucket.stats.totalWaitMs / bucket.stats.granted)
+          : 0
+      };
+    }
+
+    return { defaults: { ...this.defaults }, hosts };
+  }
+
+  /**
+   * Drop all buckets; queued requests are released immediately
+   */
+  reset() {
+    for (const bucket of this.buckets.values()) {
+      clearTimeout(bucket.timer);
+      bucket.queue.forEach(({ resolve }) => resolve(0));
+    }
+
+    this.buckets.clear();
+  }
+
+  /**
+   * Extract the hostname used as bucket key
+   * @param {string} hostOrUrl - Hostname or URL
+   * @returns {string} Lowercase hostname
+   */
+  static hostOf(hostOrUrl) {
+    try {
+      return new URL(hostOrUrl).hostname.toLowerCase();
+    } catch (error) {
+      return String(hostOrUrl).toLowerCase();
+    }
+  }
+}
+
+// Shared by every scraper instance in the process
+const hostRateLimiter = new HostRateLimiter();
+
+module.exports = {
+  HostRateLimiter,
+  hostRateLimiter
+};
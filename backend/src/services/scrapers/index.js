@@ -6,19 +6,68 @@
 const JobPortalScraper = require('./JobPortalScraper');
 const OficinaDeTrabajoCeiScraper = require('./OficinaDeTrabajoCeiScraper');
 const LinkedInJobsScraper = require('./LinkedInJobsScraper');
+const CareerBoardScraper = require('./CareerBoardScraper');
+const GreenhouseScraper = require('./GreenhouseScraper');
+const LeverScraper = require('./LeverScraper');
+const WorkableScraper = require('./WorkableScraper');
+const AshbyScraper = require('./AshbyScraper');
+const SmartRecruitersScraper = require('./SmartRecruitersScraper');
+const FeedScraper = require('./FeedScraper');
+const SitemapScraper = require('./SitemapScraper');
+const ConfigurableScraper = require('./ConfigurableScraper');
+const SelectorDiscovery = require('./SelectorDiscovery');
+const { detectAts, detectAtsInPage } = require('./atsDetector');
 const scraperRegistry = require('./scraperRegistry');
+const { hostRateLimiter } = require('./hostRateLimiter');
+const { scraperHealth } = require('./scraperHealth');
+const { HttpRenderer, PuppeteerRenderer, FakeRenderer, createRenderer } = require('./renderers');
+const pagination = require('./pagination');
 
 module.exports = {
-  // Base class
+  // Base classes
   JobPortalScraper,
+  CareerBoardScraper,
 
   // Concrete scrapers
   OficinaDeTrabajoCeiScraper,
   LinkedInJobsScraper,
+  GreenhouseScraper,
+  LeverScraper,
+  WorkableScraper,
+  AshbyScraper,
+  SmartRecruitersScraper,
+  FeedScraper,
+  SitemapScraper,
+  ConfigurableScraper,
+
+  // Tools
+  SelectorDiscovery,
+  detectAts,
+  detectAtsInPage,
 
   // Registry
   scraperRegistry,
 
+  // Process-wide request limits
+  hostRateLimiter,
+
+  // Yield and fill-rate tracking per scraper
+  scraperHealth,
+
+  // Page renderers
+  HttpRenderer,
+  PuppeteerRenderer,
+  FakeRenderer,
+  createRenderer,
+
+  // Pagination strategies
+  PageNumberPagination: pagination.PageNumberPagination,
+  OffsetPagination: pagination.OffsetPagination,
+  NextLinkPagination: pagination.NextLinkPagination,
+  CursorPagination: pagination.CursorPagination,
+  LoadMorePagination: pagination.LoadMorePagination,
+  createPagination: pagination.createPagination,
+
   // Helper functions
   getScraper: (name, config) => scraperRegistry.getScraper(name, config),
   getAvailableScrapers: () => scraperRegistry.getAvailableScrapers(),
@@ -0,0 +1,297 @@
+const cheerio = require('cheerio');
+
+/**
+ * Pagination strategies
+ * A strategy decides which page to request next; JobPortalScraper.scrapePages() fetches
+ * the pages, extracts jobs and applies the stop conditions. Strategies return request
+ * params, either merged into buildSearchUrl() params ({ page: 2 }, { start: 25 },
+ * { cursor: 'abc' }) or a ready URL ({ url }), and null when there is nothing left.
+ *
+ * Each strategy implements:
+ *   first()          - params of the first page
+ *   next(page)       - params of the page after `page` ({ url, params, $, data, jobs, jobCount }),
+ *                      or null; jobCount is set for pages skipped as unchanged (jobs is empty)
+ *   parse(body)      - { $, data } for a response body: data for JSON, $ for HTML
+ */
+
+/**
+ * Read a dotted path ("meta.next_cursor") from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+/**
+ * Parse a JSON response body
+ * Renderers return decoded text, so JSON APIs arrive as strings; an HTML page never starts
+ * with { or [. Objects (e.g. from FakeRenderer) are used as-is.
+ * @param {*} body - Response body
+ * @returns {Object|null} Parsed object or null
+ */
+const parseJson = (body) => {
+  if (body && typeof body === 'object') return body;
+  if (typeof body !== 'string' || !/^\s*[{[]/.test(body)) return null;
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Base strategy: HTML pages
+ */
+class PaginationStrategy {
+  constructor() {
+    this.type = 'none';
+  }
+
+  /**
+   * Params of the first page
+   * @returns {Object} Request params
+   */
+  first() {
+    return {};
+  }
+
+  /**
+   * Params of the next page
+   * @returns {Object|null} Request params, or null when there are no more pages
+   */
+  next() {
+    return null;
+  }
+
+  /**
+   * Parse a response body
+   * @param {*} body - Response body
+   * @returns {Object} { $, data } - data is the parsed JSON body when there is one
+   */
+  parse(body) {
+    const data = parseJson(body);
+    if (data) return { $: cheerio.load(''), data };
+
+    return { $: cheerio.load(typeof body === 'string' ? body : ''), data: null };
+  }
+}
+
+/**
+ * Numbered pages: ?page=1, ?page=2, ...
+ */
+class PageNumberPagination extends PaginationStrategy {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.start - First page number (default: 1)
+   * @param {number} options.step - Increment between pages (default: 1)
+   * @param {string} options.key - buildSearchUrl() param name (default: 'page')
+   */
+  constructor({ start = 1, step = 1, key = 'page' } = {}) {
+    super();
+    this.type = 'page';
+    this.start = start;
+    this.step = step;
+    this.key = key;
+  }
+
+  first() {
+    return { [this.key]: this.start };
+  }
+
+  next(page) {
+    return { [this.key]: page.params[this.key] + this.step };
+  }
+}
+
+/**
+ * Result offsets: ?start=0, ?start=25, ...
+ * Without a step, the offset advances by the number of jobs found on the previous page
+ */
+class OffsetPagination extends PaginationStrategy {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.start - First offset (default: 0)
+   * @param {number} options.step - Page size (default: jobs on the previous page)
+   * @param {string} options.key - buildSearchUrl() param name (default: 'offset')
+   */
+  constructor({ start = 0, step = null, key = 'offset' } = {}) {
+    super();
+    this.type = 'offset';
+    this.start = start;
+    this.step = step;
+    this.key = key;
+  }
+
+  first() {
+    return { [this.key]: this.start };
+  }
+
+  next(page) {
+    const step = this.step || (page.jobCount ?? page.jobs.length);
+    return step > 0 ? { [this.key]: page.params[this.key] + step } : null;
+  }
+}
+
+/**
+ * Follow the page's "next" link
+ */
+class NextLinkPagination extends PaginationStrategy {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.selector - Next-link selector (default: rel="next" links)
+   * @param {string} options.attribute - Attribute holding the URL (default: 'href')
+   */
+  constructor({ selector = 'a[rel~="next"], link[rel~="next"]', attribute = 'href' } = {}) {
+    super();
+    this.type = 'next';
+    this.selector = selector;
+    this.attribute = attribute;
+  }
+
+  next(page) {
+    const href = page.$(this.selector).first().attr(this.attribute);
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+
+    try {
+      return { url: new URL(href, page.url).toString() };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Cursor/token pagination: each page carries the token of the next one
+ * The token is read with extract(page), from a JSON path, or from an element
+ */
+class CursorPagination extends PaginationStrategy {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.key - buildSearchUrl() param name (default: 'cursor')
+   * @param {string} options.path - Dotted path of the token in a JSON body
+   * @param {string} options.selector - Element holding the token
+   * @param {string} options.attribute - Attribute holding the token (default: element text)
+   * @param {Function} options.extract - Custom reader: (page) => token
+   */
+  constructor({ key = 'cursor', path = null, selector = null, attribute = null, extract = null } = {}) {
+    super();
+    this.type = 'cursor';
+    this.key = key;
+    this.path = path;
+    this.selector = selector;
+    this.attribute = attribute;
+    this.extract = extract;
+
+    if (!path && !selector && !extract) {
+      throw new Error('CursorPagination needs a path, selector or extract function');
+    }
+  }
+
+  /**
+   * Read the next token from a page
+   * @param {Object} page - Page ({ $, data })
+   * @returns {string|null} Token
+   */
+  readToken(page) {
+    if (this.extract) return this.extract(page);
+    if (this.path) return page.data ? getPath(page.data, this.path) : null;
+
+    const element = page.$(this.selector).first();
+    return this.attribute ? element.attr(this.attribute) : element.text().trim();
+  }
+
+  next(page) {
+    const token = this.readToken(page);
+
+    // A repeated token would request the same page forever
+    if (!token || token === page.params[this.key]) return null;
+
+    return { [this.key]: token };
+  }
+}
+
+/**
+ * "Load more" APIs returning JSON with an HTML fragment and a has-more flag, e.g.
+ * { "html": "<li>...</li>", "hasMore": true }
+ */
+class LoadMorePagination extends PaginationStrategy {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.start - First offset (default: 0)
+   * @param {number} options.step - Items per request (default: jobs on the previous response)
+   * @param {string} options.key - buildSearchUrl() param name (default: 'offset')
+   * @param {string} options.htmlPath - Path of the HTML fragment (default: 'html')
+   * @param {string} options.hasMorePath - Path of the has-more flag (default: 'hasMore')
+   */
+  constructor({ start = 0, step = null, key = 'offset', htmlPath = 'html', hasMorePath = 'hasMore' } = {}) {
+    super();
+    this.type = 'loadMore';
+    this.start = start;
+    this.step = step;
+    this.key = key;
+    this.htmlPath = htmlPath;
+    this.hasMorePath = hasMorePath;
+  }
+
+  first() {
+    return { [this.key]: this.start };
+  }
+
+  parse(body) {
+    const data = parseJson(body);
+
+    // Some endpoints answer with the bare fragment
+    if (!data) return { $: cheerio.load(typeof body === 'string' ? body : ''), data: null };
+
+    const html = getPath(data, this.htmlPath);
+    return { $: cheerio.load(typeof html === 'string' ? html : ''), data };
+  }
+
+  next(page) {
+    if (page.data && getPath(page.data, this.hasMorePath) === false) return null;
+
+    const step = this.step || (page.jobCount ?? page.jobs.length);
+    return step > 0 ? { [this.key]: page.params[this.key] + step } : null;
+  }
+}
+
+const STRATEGIES = {
+  none: PaginationStrategy,
+  page: PageNumberPagination,
+  offset: OffsetPagination,
+  next: NextLinkPagination,
+  cursor: CursorPagination,
+  loadMore: LoadMorePagination
+};
+
+/**
+ * Create a strategy from a { type, ...options } spec, a type name or an instance
+ * @param {string|Object} spec - Strategy spec (default: 'page')
+ * @returns {PaginationStrategy} Strategy instance
+ */
+const createPagination = (spec = 'page') => {
+  if (spec instanceof PaginationStrategy) return spec;
+
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const Strategy = STRATEGIES[type];
+
+  if (!Strategy) {
+    throw new Error(`Unknown pagination type: ${type}. Available: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+
+  return new Strategy(options);
+};
+
+module.exports = {
+  STRATEGIES,
+  PaginationStrategy,
+  PageNumberPagination,
+  OffsetPagination,
+  NextLinkPagination,
+  CursorPagination,
+  LoadMorePagination,
+  createPagination
+};
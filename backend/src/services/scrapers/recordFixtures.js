@@ -0,0 +1,104 @@
+const { getScraper } = require('./scraperRegistry');
+const { FixtureStore, fixtureDir } = require('./fixtureStore');
+const { createFixtureRenderer } = require('./renderers');
+
+/**
+ * Record fixtures for a registered scraper
+ * Runs the scraper against the live site with a RecordingRenderer and writes every page
+ * it fetched, plus a manifest with the run options, to fixtures/scrapers/<name>/.
+ * Jobs are not saved. Replay them in tests with the scraperFixtures helper.
+ *
+ * Usage: npm run fixtures:record -- <scraper> [--query q] [--location l] [--max-pages n]
+ *   List options take comma-separated values (--boards acme,globex) or JSON for entries with
+ *   more fields (--companies '[{"slug":"acme","company":"Acme"}]').
+ */
+
+// Options that hold a list of boards, companies or URLs
+const LIST_OPTIONS = new Set(['boards', 'companies', 'accounts', 'feeds', 'sitemaps']);
+
+const NUMBER_OPTIONS = new Set(['maxPages', 'maxJobs']);
+
+/**
+ * Record a scraper run
+ * @param {string} scraperName - Registered scraper name
+ * @param {Object} options - Scrape options (query, location, maxPages, ...)
+ * @param {Object} config - Scraper config overrides
+ * @returns {Promise<Object>} { dir, recorded, jobs }
+ */
+const recordFixtures = async (scraperName, options = {}, config = {}) => {
+  const dir = fixtureDir(scraperName);
+  const scraper = getScraper(scraperName, config);
+  scraper.renderer = createFixtureRenderer(scraper.renderer, { mode: 'record', name: scraperName });
+
+  try {
+    const result = await scraper.scrapeAll({ ...options, save: false });
+
+    if (!result.success) {
+      throw new Error(`Recording failed: ${result.errors.map(error => error.error).join('; ')}`);
+    }
+
+    await new FixtureStore({ dir }).writeManifest({
+      scraper: scraperName,
+      options,
+      recordedAt: new Date().toISOString()
+    });
+
+    console.log(`[Fixtures] Recorded ${scraper.renderer.recorded} pages and ${result.jobs.length} jobs to ${dir}`);
+
+    return { dir, recorded: scraper.renderer.recorded, jobs: result.jobs.length };
+  } finally {
+    await scraper.close();
+  }
+};
+
+/**
+ * Parse an argument value
+ * @param {string} key - Option name
+ * @param {string} value - Raw value
+ * @returns {*} JSON arrays and objects, numbers, booleans, lists or the string itself
+ */
+const parseValue = (key, value) => {
+  if (/^\s*[[{]/.test(value)) return JSON.parse(value);
+  if (NUMBER_OPTIONS.has(key)) return parseInt(value, 10);
+  if (LIST_OPTIONS.has(key)) return value.split(',').map(item => item.trim()).filter(Boolean);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+
+/**
+ * Parse "--max-pages 2"-style arguments
+ * @param {Array<string>} args - Command line arguments after the scraper name
+ * @returns {Object} Scrape options
+ */
+const parseArgs = (args) => {
+  const options = {};
+
+  for (let i = 0; i < args.length; i += 2) {
+    const key = args[i].replace(/^--/, '').replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    options[key] = parseValue(key, args[i + 1]);
+  }
+
+  return options;
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [scraperName, ...args] = process.argv.slice(2);
+
+  if (!scraperName) {
+    console.error('Usage: npm run fixtures:record -- <scraper> [--query q] [--location l] [--max-pages n]');
+    process.exit(1);
+  }
+
+  recordFixtures(scraperName, { maxPages: 1, ...parseArgs(args) })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`[Fixtures] ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  recordFixtures,
+  parseArgs
+};
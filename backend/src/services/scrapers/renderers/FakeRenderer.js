@@ -0,0 +1,110 @@
+const cheerio = require('cheerio');
+const { runActions } = require('./actions');
+const { sleep, throwIfAborted } = require('../abort');
+
+/**
+ * Scripted renderer for tests: behaves like a browser without launching one
+ * Each URL maps to an HTML string or a route describing how the page changes:
+ *   {
+ *     html: '<ul>...</ul>',              - initial content
+ *     status: 200, headers: {},          - response (status >= 400 throws like a browser renderer)
+ *     delay: 5000,                       - response time in ms (honours options.signal)
+ *     scroll: ['<ul>...more</ul>'],      - content after each scroll-to-bottom
+ *     click: { '.next': ['<page 2>'] }   - content after each click on a selector
+ *   }
+ * Selectors are matched with cheerio against the current content, and every call is
+ * recorded in this.calls.
+ */
+class FakeRenderer {
+  constructor(routes = {}) {
+    this.name = 'fake';
+    this.supportsConditionalRequests = false;
+    this.supportsActions = true;
+    this.routes = routes;
+    this.calls = [];
+    this.closed = false;
+  }
+
+  /**
+   * Build a page adapter over a route's scripted states
+   * @param {Object} route - Route definition
+   * @returns {Object} Page adapter
+   */
+  createAdapter(route) {
+    let html = route.html || '';
+    let scrolls = 0;
+    const clicks = {};
+    const matches = selector => cheerio.load(html)(selector).length > 0;
+
+    return {
+      waitForSelector: async (selector, timeout) => {
+        this.calls.push({ type: 'waitForSelector', selector });
+        if (!matches(selector)) {
+          const error = new Error(`Waiting for selector \`${selector}\` failed: timeout ${timeout}ms exceeded`);
+          error.name = 'TimeoutError';
+          throw error;
+        }
+      },
+      exists: async (selector) => matches(selector),
+      click: async (selector) => {
+        this.calls.push({ type: 'click', selector });
+        if (!matches(selector)) throw new Error(`No element found for selector: ${selector}`);
+
+        const states = route.click?.[selector] || [];
+        clicks[selector] = (clicks[selector] || 0) + 1;
+        if (clicks[selector] <= states.length) html = states[clicks[selector] - 1];
+      },
+      scrollToBottom: async () => {
+        this.calls.push({ type: 'scroll' });
+        const states = route.scroll || [];
+        if (scrolls < states.length) html = states[scrolls++];
+        return html.length;
+      },
+      wait: async () => {},
+      content: async () => html
+    };
+  }
+
+  /**
+   * Render a scripted page
+   * @param {string} url - URL to render
+   * @param {Object} options - Render options ({ actions, signal } are used, the rest is recorded)
+   * @returns {Promise<Object>} { html, status, headers, pages }
+   */
+  async render(url, options = {}) {
+    this.calls.push({ type: 'render', url, options });
+
+    const definition = this.routes[url];
+    if (definition === undefined) {
+      const error = new Error(`Request failed with status code 404`);
+      error.response = { status: 404, headers: {} };
+      throw error;
+    }
+
+    const route = typeof definition === 'string' ? { html: definition } : definition;
+    const status = route.status || 200;
+
+    throwIfAborted(options.signal);
+    if (route.delay) await sleep(route.delay, options.signal);
+
+    if (status >= 400) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers: route.headers || {} };
+      throw error;
+    }
+
+    const page = this.createAdapter(route);
+    const pages = await runActions(page, options.actions || []);
+
+    return { html: await page.content(), status, headers: route.headers || {}, pages };
+  }
+
+  /**
+   * Mark the renderer as closed
+   */
+  async close() {
+    this.closed = true;
+  }
+}
+
+module.exports = FakeRenderer;
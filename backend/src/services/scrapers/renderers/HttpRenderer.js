@@ -0,0 +1,66 @@
+const axios = require('axios');
+const { decodeBody } = require('../encoding');
+
+/**
+ * Plain HTTP renderer: returns the HTML the server sends, without running scripts
+ * Supports conditional requests, so responses can be cached and revalidated.
+ * Bodies are fetched as bytes and decoded from the page's charset (see encoding.js).
+ */
+class HttpRenderer {
+  constructor(config = {}) {
+    this.name = 'http';
+    this.supportsConditionalRequests = true;
+    this.supportsActions = false;
+    this.headers = config.headers || {};
+  }
+
+  /**
+   * Fetch a page
+   * @param {string} url - URL to fetch
+   * @param {Object} options - Request options
+   * @param {string} options.userAgent - User-Agent header
+   * @param {number} options.timeout - Timeout in ms
+   * @param {Object} options.headers - Extra headers (e.g. If-None-Match)
+   * @param {boolean} options.allowNotModified - Treat 304 as a successful response
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} { html, status, headers, encoding } - encoding is the charset
+   *   the body was decoded from
+   */
+  async render(url, options = {}) {
+    const { userAgent, timeout, headers = {}, allowNotModified = false, signal } = options;
+
+    const response = await axios.get(url, {
+      timeout,
+      signal,
+      // Decoded in decodeBody() instead of axios's default UTF-8
+      responseType: 'arraybuffer',
+      headers: {
+        'User-Agent': userAgent,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Encoding': 'gzip, deflate',
+        'Connection': 'keep-alive',
+        ...this.headers,
+        ...headers
+      },
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && allowNotModified)
+    });
+
+    const responseHeaders = response.headers || {};
+    const { html, encoding } = decodeBody(response.data, responseHeaders['content-type']);
+
+    return {
+      html,
+      status: response.status,
+      headers: responseHeaders,
+      encoding
+    };
+  }
+
+  /**
+   * Nothing to release for plain HTTP
+   */
+  async close() {}
+}
+
+module.exports = HttpRenderer;
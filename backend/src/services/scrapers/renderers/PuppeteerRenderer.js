@@ -0,0 +1,156 @@
+const { runActions } = require('./actions');
+const { throwIfAborted } = require('../abort');
+const { ConfigurationError } = require('../errors');
+
+/**
+ * Headless browser renderer built on puppeteer-core
+ * Runs the page's JavaScript before returning the HTML, for portals that render
+ * listings client-side. puppeteer-core ships without a browser: set executablePath
+ * (or PUPPETEER_EXECUTABLE_PATH) to a local Chrome/Chromium, or browserWSEndpoint
+ * to connect to a running one.
+ */
+class PuppeteerRenderer {
+  constructor(config = {}) {
+    this.name = 'puppeteer';
+    this.supportsConditionalRequests = false;
+    this.supportsActions = true;
+    this.executablePath = config.executablePath || process.env.PUPPETEER_EXECUTABLE_PATH;
+    this.browserWSEndpoint = config.browserWSEndpoint || process.env.PUPPETEER_BROWSER_WS_ENDPOINT;
+    this.launchArgs = config.args || ['--no-sandbox', '--disable-dev-shm-usage'];
+    this.waitUntil = config.waitUntil || 'networkidle2';
+    // Injectable for tests; loaded lazily so plain HTTP scrapers never require it
+    this.puppeteer = config.puppeteer || null;
+    this.browser = null;
+    this.browserPromise = null;
+  }
+
+  /**
+   * Launch or connect to the browser once and reuse it for every page
+   * @returns {Promise<Object>} Browser
+   */
+  async getBrowser() {
+    if (this.browser) return this.browser;
+
+    if (!this.browserPromise) {
+      const puppeteer = this.puppeteer || require('puppeteer-core');
+
+      if (this.browserWSEndpoint) {
+        this.browserPromise = puppeteer.connect({ browserWSEndpoint: this.browserWSEndpoint });
+      } else if (this.executablePath) {
+        // A browser that will not start (missing or wrong executable) will not start on a retry either
+        this.browserPromise = Promise.resolve()
+          .then(() => puppeteer.launch({
+            executablePath: this.executablePath,
+            headless: true,
+            args: this.launchArgs
+          }))
+          .catch(error => {
+            throw new ConfigurationError(`Could not launch browser at ${this.executablePath}: ${error.message}`, {
+              code: 'BROWSER_LAUNCH_FAILED',
+              cause: error
+            });
+          });
+      } else {
+        throw new ConfigurationError('PuppeteerRenderer needs executablePath, PUPPETEER_EXECUTABLE_PATH or browserWSEndpoint', {
+          code: 'BROWSER_NOT_CONFIGURED'
+        });
+      }
+
+      this.browserPromise = this.browserPromise.catch(error => {
+        this.browserPromise = null;
+        throw error;
+      });
+    }
+
+    this.browser = await this.browserPromise;
+    return this.browser;
+  }
+
+  /**
+   * Wrap a puppeteer page in the adapter used by runActions()
+   * @param {Object} page - Puppeteer page
+   * @returns {Object} Page adapter
+   */
+  createAdapter(page) {
+    return {
+      waitForSelector: (selector, timeout) => page.waitForSelector(selector, { timeout }),
+      exists: async (selector) => (await page.$(selector)) !== null,
+      click: (selector) => page.click(selector),
+      scrollToBottom: () => page.evaluate(() => {
+        window.scrollTo(0, document.body.scrollHeight);
+        return document.body.scrollHeight;
+      }),
+      wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+      content: () => page.content()
+    };
+  }
+
+  /**
+   * Load a page in the browser, run actions and return the rendered HTML
+   * @param {string} url - URL to load
+   * @param {Object} options - Render options
+   * @param {string} options.userAgent - User-Agent to present
+   * @param {number} options.timeout - Navigation timeout in ms
+   * @param {Object} options.headers - Extra request headers
+   * @param {Array} options.actions - Page actions (see actions.js)
+   * @param {AbortSignal} options.signal - Closes the page, aborting navigation and actions
+   * @returns {Promise<Object>} { html, status, headers, pages } - pages is set by a paginate action
+   * @throws {Error} With response.status (axios-style) when the page answers 4xx/5xx
+   */
+  async render(url, options = {}) {
+    const { userAgent, timeout, headers = {}, actions = [], signal } = options;
+    throwIfAborted(signal);
+
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    // Closing the page rejects whatever it is waiting for
+    const onAbort = () => page.close().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      if (userAgent) await page.setUserAgent(userAgent);
+      if (Object.keys(headers).length > 0) await page.setExtraHTTPHeaders(headers);
+
+      const response = await page.goto(url, { waitUntil: this.waitUntil, timeout });
+      const status = response ? response.status() : 200;
+      const responseHeaders = response ? response.headers() : {};
+
+      if (status >= 400) {
+        // Same shape as an axios error so classifyError() types it
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, headers: responseHeaders };
+        throw error;
+      }
+
+      const pages = await runActions(this.createAdapter(page), actions);
+      const html = await page.content();
+
+      return { html, status, headers: responseHeaders, pages };
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Close (or disconnect from) the browser
+   */
+  async close() {
+    const browser = this.browser;
+    this.browser = null;
+    this.browserPromise = null;
+
+    if (!browser) return;
+
+    if (this.browserWSEndpoint) {
+      await browser.disconnect();
+    } else {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = PuppeteerRenderer;
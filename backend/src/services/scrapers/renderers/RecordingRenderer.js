@@ -0,0 +1,51 @@
+/**
+ * Renderer that records every response it renders
+ * Wraps another renderer and writes each page (including error statuses) to a
+ * FixtureStore, so the run can be replayed offline with ReplayRenderer.
+ */
+class RecordingRenderer {
+  /**
+   * @param {Object} renderer - Renderer doing the real fetching
+   * @param {FixtureStore} store - Where responses are recorded
+   */
+  constructor(renderer, store) {
+    this.name = `recording(${renderer.name})`;
+    // Conditional requests would record empty 304 bodies
+    this.supportsConditionalRequests = false;
+    this.supportsActions = renderer.supportsActions;
+    this.renderer = renderer;
+    this.store = store;
+    this.recorded = 0;
+  }
+
+  /**
+   * Render through the wrapped renderer and record the response
+   * @param {string} url - URL to render
+   * @param {Object} options - Render options (passed through)
+   * @returns {Promise<Object>} { html, status, headers, pages }
+   */
+  async render(url, options = {}) {
+    try {
+      const response = await this.renderer.render(url, options);
+      await this.store.set(url, response);
+      this.recorded++;
+      return response;
+    } catch (error) {
+      // Error pages are part of the recording: replay must fail the same way
+      if (error.response) {
+        await this.store.set(url, { status: error.response.status, headers: error.response.headers });
+        this.recorded++;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close the wrapped renderer
+   */
+  async close() {
+    await this.renderer.close();
+  }
+}
+
+module.exports = RecordingRenderer;
@@ -0,0 +1,57 @@
+const { throwIfAborted } = require('../abort');
+
+/**
+ * Renderer that serves recorded fixtures instead of the network
+ * Pages missing from the recording answer 404, like a page that disappeared.
+ * Replays are offline: JobPortalScraper skips robots.txt and the host rate limiter.
+ */
+class ReplayRenderer {
+  /**
+   * @param {FixtureStore} store - Recorded responses
+   */
+  constructor(store) {
+    this.name = 'replay';
+    this.supportsConditionalRequests = false;
+    // Actions already ran while recording; their pages are part of the fixture
+    this.supportsActions = true;
+    this.offline = true;
+    this.store = store;
+    this.missing = [];
+  }
+
+  /**
+   * Serve the recorded response for a URL
+   * @param {string} url - URL to render
+   * @param {Object} options - Render options (only signal is used)
+   * @returns {Promise<Object>} { html, status, headers, pages }
+   * @throws {Error} With response.status (axios-style) for recorded error pages and missing fixtures
+   */
+  async render(url, options = {}) {
+    throwIfAborted(options.signal);
+
+    const entry = await this.store.get(url);
+
+    if (!entry) {
+      this.missing.push(url);
+      const error = new Error(`No fixture recorded for ${url}`);
+      error.code = 'FIXTURE_MISSING';
+      error.response = { status: 404, headers: {} };
+      throw error;
+    }
+
+    if (entry.status >= 400) {
+      const error = new Error(`Request failed with status code ${entry.status}`);
+      error.response = { status: entry.status, headers: entry.headers };
+      throw error;
+    }
+
+    return { html: entry.html, status: entry.status, headers: entry.headers, pages: entry.pages };
+  }
+
+  /**
+   * Nothing to release
+   */
+  async close() {}
+}
+
+module.exports = ReplayRenderer;
@@ -0,0 +1,129 @@
+/**
+ * Page actions for browser renderers
+ * Actions run against a small page adapter so the same logic drives a real browser
+ * (PuppeteerRenderer) and the scripted FakeRenderer used in tests.
+ *
+ * Adapter interface:
+ *   waitForSelector(selector, timeout) - resolve when the selector matches, throw on timeout
+ *   exists(selector)                   - whether the selector currently matches
+ *   click(selector)                    - click the first match
+ *   scrollToBottom()                   - scroll down, resolve with the new document height
+ *   wait(ms)                           - pause
+ *   content()                          - current HTML
+ *
+ * Supported actions:
+ *   { type: 'waitForSelector', selector, timeout }
+ *   { type: 'scroll', times: 3, delay: 500 }                      - scroll-to-load
+ *   { type: 'click', selector, waitForSelector, delay }
+ *   { type: 'paginate', selector, maxPages: 5, waitForSelector, delay } - click-to-paginate,
+ *     capturing the HTML of every page
+ */
+
+const ACTION_TYPES = ['waitForSelector', 'scroll', 'click', 'paginate'];
+
+const DEFAULT_WAIT_TIMEOUT = 10000;
+
+/**
+ * Validate a list of actions
+ * @param {Array} actions - Actions
+ * @returns {Array} Validation error messages (empty if valid)
+ */
+const validateActions = (actions) => {
+  if (actions === undefined) return [];
+  if (!Array.isArray(actions)) return ['actions must be an array'];
+
+  const errors = [];
+
+  actions.forEach((action, index) => {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      errors.push(`actions[${index}].type must be one of: ${ACTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    if (action.type !== 'scroll' && typeof action.selector !== 'string') {
+      errors.push(`actions[${index}].selector is required`);
+    }
+  });
+
+  if (actions.filter(action => action?.type === 'paginate').length > 1) {
+    errors.push('only one paginate action is allowed');
+  }
+
+  return errors;
+};
+
+/**
+ * Wait for the page to settle after a click
+ * @param {Object} page - Page adapter
+ * @param {Object} action - Action with optional waitForSelector/delay/timeout
+ */
+const settle = async (page, action) => {
+  if (action.waitForSelector) {
+    await page.waitForSelector(action.waitForSelector, action.timeout || DEFAULT_WAIT_TIMEOUT);
+  }
+
+  if (action.delay) {
+    await page.wait(action.delay);
+  }
+};
+
+/**
+ * Run actions in order
+ * @param {Object} page - Page adapter
+ * @param {Array} actions - Actions
+ * @returns {Promise<Array|null>} HTML of each page when a paginate action ran, otherwise null
+ */
+const runActions = async (page, actions = []) => {
+  let pages = null;
+
+  for (const action of actions) {
+    switch (action.type) {
+      case 'waitForSelector':
+        await page.waitForSelector(action.selector, action.timeout || DEFAULT_WAIT_TIMEOUT);
+        break;
+
+      case 'scroll': {
+        const { times = 3, delay = 500 } = action;
+        let height = null;
+
+        for (let i = 0; i < times; i++) {
+          const newHeight = await page.scrollToBottom();
+          await page.wait(delay);
+
+          // Nothing more loaded
+          if (newHeight === height) break;
+          height = newHeight;
+        }
+        break;
+      }
+
+      case 'click':
+        await page.click(action.selector);
+        await settle(page, action);
+        break;
+
+      case 'paginate': {
+        const { selector, maxPages = 5 } = action;
+        pages = [await page.content()];
+
+        while (pages.length < maxPages && await page.exists(selector)) {
+          await page.click(selector);
+          await settle(page, action);
+          pages.push(await page.content());
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unsupported page action: ${action.type}`);
+    }
+  }
+
+  return pages;
+};
+
+module.exports = {
+  ACTION_TYPES,
+  validateActions,
+  runActions
+};
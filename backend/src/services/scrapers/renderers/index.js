@@ -0,0 +1,71 @@
+const HttpRenderer = require('./HttpRenderer');
+const PuppeteerRenderer = require('./PuppeteerRenderer');
+const FakeRenderer = require('./FakeRenderer');
+const RecordingRenderer = require('./RecordingRenderer');
+const ReplayRenderer = require('./ReplayRenderer');
+const { FIXTURES_DIR, FixtureStore, fixtureDir } = require('../fixtureStore');
+const { ACTION_TYPES, validateActions, runActions } = require('./actions');
+
+/**
+ * Page renderers
+ * A renderer turns a URL into HTML: 'http' fetches it as-is, 'puppeteer' loads it in a
+ * headless browser so client-side rendered listings are present, 'fake' replays scripted
+ * pages in tests. Every renderer implements render(url, options) and close().
+ */
+
+const RENDERERS = {
+  http: HttpRenderer,
+  puppeteer: PuppeteerRenderer,
+  fake: FakeRenderer
+};
+
+/**
+ * Create a renderer from a name, a { type, ...options } object or an existing instance
+ * @param {string|Object} spec - Renderer spec (default: 'http')
+ * @returns {Object} Renderer instance
+ */
+const createRenderer = (spec = 'http') => {
+  if (spec && typeof spec.render === 'function') return spec;
+
+  const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+  const Renderer = RENDERERS[type];
+
+  if (!Renderer) {
+    throw new Error(`Unknown renderer: ${type}. Available: ${Object.keys(RENDERERS).join(', ')}`);
+  }
+
+  return type === 'fake' ? new Renderer(options.routes) : new Renderer(options);
+};
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+/**
+ * Wrap a renderer to record its responses or replace it with recorded ones
+ * @param {Object} renderer - Renderer that would fetch the pages
+ * @param {Object} fixtures - { mode: 'record' | 'replay', name } - name of the set under root
+ * @param {string} root - Fixtures root (default: fixtures/scrapers)
+ * @returns {Object} RecordingRenderer or ReplayRenderer
+ */
+const createFixtureRenderer = (renderer, { mode, name } = {}, root = FIXTURES_DIR) => {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixtures mode: ${mode}. Available: ${FIXTURE_MODES.join(', ')}`);
+  }
+
+  const store = new FixtureStore({ dir: fixtureDir(name, root) });
+  return mode === 'record' ? new RecordingRenderer(renderer, store) : new ReplayRenderer(store);
+};
+
+module.exports = {
+  RENDERERS,
+  FIXTURE_MODES,
+  ACTION_TYPES,
+  HttpRenderer,
+  PuppeteerRenderer,
+  FakeRenderer,
+  RecordingRenderer,
+  ReplayRenderer,
+  createRenderer,
+  createFixtureRenderer,
+  validateActions,
+  runActions
+};
@@ -0,0 +1,121 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Disk cache for fetched pages
+ * Stores the body and validators (ETag, Last-Modified) of each URL so later runs
+ * can send conditional requests and reuse the body on 304 Not Modified.
+ *
+ * Entries are kept per scope (the scraper's source), so fetches by one scraper, selector
+ * discovery or imports never touch another scraper's entries. An entry carries savedJobs
+ * once a run has saved every job of that exact body (see markSaved()).
+ */
+
+const DEFAULT_CACHE_DIR = process.env.SCRAPER_CACHE_DIR ||
+  path.join(os.tmpdir(), 'jobpersonaliseportal-scraper-cache');
+
+class ResponseCache {
+  constructor(config = {}) {
+    this.dir = config.dir || DEFAULT_CACHE_DIR;
+  }
+
+  /**
+   * Path of the cache file for a URL
+   * @param {string} url - Page URL
+   * @param {string} scope - Entry owner, e.g. the scraper's source (default: none)
+   * @returns {string} File path
+   */
+  fileFor(url, scope = '') {
+    const key = crypto.createHash('sha1').update(scope ? `${scope}\n${url}` : url).digest('hex');
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Read the cached entry for a URL
+   * @param {string} url - Page URL
+   * @param {string} scope - Entry owner (default: none)
+   * @returns {Promise<Object|null>} { url, scope, body, etag, lastModified, storedAt, savedJobs } or null
+   */
+  async get(url, scope = '') {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.fileFor(url, scope), 'utf8'));
+      return entry.url === url && (entry.scope || '') === scope ? entry : null;
+    } catch (error) {
+      // Missing or corrupt entries are treated as cache misses
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} url - Page URL
+   * @param {Object} entry - { body, etag, lastModified }
+   * @param {string} scope - Entry owner (default: none)
+   * @returns {Promise<Object>} Stored entry
+   */
+  async set(url, entry, scope = '') {
+    const stored = { ...entry, url, scope, storedAt: entry.storedAt || Date.now() };
+    const file = this.fileFor(url, scope);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so concurrent readers never see half a file
+    await fs.writeFile(tmpFile, JSON.stringify(stored));
+    await fs.rename(tmpFile, file);
+
+    return stored;
+  }
+
+  /**
+   * Mark a cached entry as fresh again (after a 304)
+   * @param {string} url - Page URL
+   * @param {Object} entry - Existing entry
+   * @param {string} scope - Entry owner (default: none)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async touch(url, entry, scope = '') {
+    return this.set(url, { ...entry, storedAt: Date.now() }, scope);
+  }
+
+  /**
+   * Record that the jobs of a cached page were saved
+   * Nothing is marked when the entry no longer holds the body the jobs were read from.
+   * @param {string} url - Page URL
+   * @param {string} body - Body the saved jobs were extracted from
+   * @param {number} jobCount - Jobs found on the page
+   * @param {string} scope - Entry owner (default: none)
+   * @returns {Promise<Object|null>} Updated entry, or null when nothing was marked
+   */
+  async markSaved(url, body, jobCount, scope = '') {
+    const entry = await this.get(url, scope);
+    if (!entry || entry.body !== body) return null;
+
+    return this.set(url, { ...entry, savedJobs: jobCount }, scope);
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} url - Page URL
+   * @param {string} scope - Entry owner (default: none)
+   */
+  async delete(url, scope = '') {
+    await fs.rm(this.fileFor(url, scope), { force: true });
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+// Shared by all scrapers unless a scraper is given its own cache
+const responseCache = new ResponseCache();
+
+module.exports = {
+  ResponseCache,
+  responseCache
+};
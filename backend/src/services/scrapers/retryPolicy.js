@@ -0,0 +1,52 @@
+/**
+ * Retry policy for page fetches
+ * Only retryable errors (network, timeout, 408/429/5xx) are retried, with exponential
+ * backoff plus jitter, or exactly the delay a server asks for in Retry-After.
+ */
+
+const DEFAULT_RETRY_OPTIONS = {
+  baseDelay: 1000,
+  maxDelay: 30000,
+  // Give up instead of waiting when a server asks for a longer pause than this
+  maxRetryAfter: 120000
+};
+
+/**
+ * Exponential backoff with "equal jitter": half the delay is fixed, half random
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @param {Function} random - Random number source (0 <= n < 1)
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt, options = {}, random = Math.random) => {
+  const { baseDelay, maxDelay } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+/**
+ * Decide how long to wait before retrying a failed fetch
+ * @param {ScraperError} error - Classified error
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} options - { baseDelay, maxDelay, maxRetryAfter }
+ * @param {Function} random - Random number source
+ * @returns {number|null} Delay in milliseconds, or null when the error must not be retried
+ */
+const getRetryDelay = (error, attempt, options = {}, random = Math.random) => {
+  if (!error.retryable) return null;
+
+  const settings = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  if (error.retryAfterMs !== undefined) {
+    return error.retryAfterMs > settings.maxRetryAfter ? null : error.retryAfterMs;
+  }
+
+  return backoffDelay(attempt, settings, random);
+};
+
+module.exports = {
+  DEFAULT_RETRY_OPTIONS,
+  backoffDelay,
+  getRetryDelay
+};
@@ -0,0 +1,354 @@
+const axios = require('axios');
+const { sleep } = require('./abort');
+
+/**
+ * robots.txt compliance
+ * Fetches and caches each host's robots.txt (RFC 9309), answers whether a URL may be
+ * fetched by our user agent and spaces requests to a host by its Crawl-delay.
+ */
+
+// Product token matched against User-agent lines in robots.txt
+const DEFAULT_USER_AGENT = 'JobPersonalisePortalBot';
+
+// RFC 9309 recommends caching robots.txt for no more than 24 hours
+const CACHE_TTL = 24 * 60 * 60 * 1000;
+
+// Unreachable robots.txt blocks the host; retry sooner than a normal refresh
+const ERROR_TTL = 10 * 60 * 1000;
+
+// RFC 9309: crawlers parse at least the first 500 KiB; anything after it is ignored
+const MAX_ROBOTS_SIZE = 500 * 1024;
+
+/**
+ * Product token of a User-agent value ("JobBot/1.2 (+https://example.com)" -> "jobbot")
+ * @param {string} value - User-agent line value or our user agent
+ * @returns {string} Lower-cased product token
+ */
+const toProductToken = (value) => String(value || '').trim().split(/[\s/]/)[0].toLowerCase();
+
+/**
+ * Parse robots.txt into user-agent groups
+ * Consecutive User-agent lines share the rules that follow them
+ * @param {string} text - robots.txt content
+ * @returns {Array} Groups { agents, rules: [{ allow, path }], crawlDelay }
+ */
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) {
+        current.crawlDelay = seconds;
+      }
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Pick the rules that apply to a user agent
+ * Groups naming our product token (compared case-insensitively, RFC 9309) win; "*" is the
+ * fallback. Groups repeated for the same agent are combined.
+ * @param {Array} groups - Parsed groups
+ * @param {string} userAgent - Our product token
+ * @returns {Object} { agent, rules, crawlDelay }
+ */
+const selectGroup = (groups, userAgent) => {
+  const token = toProductToken(userAgent);
+  let agent = token;
+  let matched = groups.filter(group => group.agents.some(name => name !== '*' && toProductToken(name) === token));
+
+  if (matched.length === 0) {
+    agent = '*';
+    matched = groups.filter(group => group.agents.includes('*'));
+  }
+
+  if (matched.length === 0) {
+    return { agent: null, rules: [], crawlDelay: null };
+  }
+
+  const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    agent,
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+/**
+ * Read a robots.txt response body up to MAX_ROBOTS_SIZE
+ * Larger files are truncated rather than rejected, so an oversized robots.txt doesn't
+ * block the host
+ * @param {Object|string} data - Response stream (or text)
+ * @returns {Promise<string>} robots.txt text
+ */
+const readRobotsBody = async (data) => {
+  if (typeof data === 'string') return data.substring(0, MAX_ROBOTS_SIZE);
+  if (!data || typeof data[Symbol.asyncIterator] !== 'function') return '';
+
+  const chunks = [];
+  let size = 0;
+
+  // Leaving the loop early destroys the stream, so the rest is never downloaded
+  for await (const chunk of data) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    chunks.push(buffer.subarray(0, MAX_ROBOTS_SIZE - size));
+    size += buffer.length;
+    if (size >= MAX_ROBOTS_SIZE) break;
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Convert a robots.txt path pattern to a RegExp (supports "*" and "$")
+ * @param {string} pattern - Path pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+const patternToRegExp = (pattern) => {
+  const endsWithAnchor = pattern.endsWith('$');
+  const body = (endsWithAnchor ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${endsWithAnchor ? '$' : ''}`);
+};
+
+/**
+ * Find the rule deciding a path: the longest matching pattern wins, Allow wins ties
+ * @param {Array} rules - Rules of the selected group
+ * @param {string} path - Path and query of the URL
+ * @returns {Object|null} Matching rule or null when nothing matches
+ */
+const findRule = (rules, path) => {
+  let match = null;
+
+  for (const rule of rules) {
+    if (!patternToRegExp(rule.path).test(path)) continue;
+
+    const longer = !match || rule.path.length > match.path.length;
+    const allowTie = match && rule.path.length === match.path.length && rule.allow && !match.allow;
+
+    if (longer || allowTie) {
+      match = rule;
+    }
+  }
+
+  return match;
+};
+
+/**
+ * Normalize percent-encoding so "/caf%C3%A9" and "/café" compare equal
+ * @param {string} path - URL path
+ * @returns {string} Decoded path (or the input when it can't be decoded)
+ */
+const decodePath = (path) => {
+  try {
+    return decodeURI(path);
+  } catch (error) {
+    return path;
+  }
+};
+
+/**
+ * Cache of robots.txt rules per origin plus Crawl-delay bookkeeping
+ */
+class RobotsPolicy {
+  constructor(config = {}) {
+    this.timeout = config.timeout || 5000;
+    this.cacheTtl = config.cacheTtl || CACHE_TTL;
+    this.errorTtl = config.errorTtl || ERROR_TTL;
+
+    this.cache = new Map();
+    this.nextRequestAt = new Map();
+  }
+
+  /**
+   * Fetch and parse robots.txt for an origin
+   * 4xx means no restrictions; 5xx or network errors block the whole host (RFC 9309)
+   * @param {string} origin - URL origin
+   * @param {string} userAgent - User-Agent header to send
+   * @returns {Promise<Object>} Cache entry { status, groups, fetchedAt, expiresAt, error }
+   */
+  async fetchRobots(origin, userAgent) {
+    const url = `${origin}/robots.txt`;
+    const fetchedAt = Date.now();
+
+    try {
+      const response = await axios.get(url, {
+        timeout: this.timeout,
+        responseType: 'stream',
+        headers: { 'User-Agent': userAgent },
+        validateStatus: () => true
+      });
+      const status = response?.status || 200;
+
+      if (status >= 400) {
+        response.data?.destroy?.();
+      }
+
+      if (status >= 500) {
+        return { status: 'unreachable', groups: [], fetchedAt, expiresAt: fetchedAt + this.errorTtl, error: `HTTP ${status}` };
+      }
+
+      if (status >= 400) {
+        return { status: 'missing', groups: [], fetchedAt, expiresAt: fetchedAt + this.cacheTtl };
+      }
+
+      const body = await readRobotsBody(response.data);
+      return { status: 'ok', groups: parseRobotsTxt(body), fetchedAt, expiresAt: fetchedAt + this.cacheTtl };
+    } catch (error) {
+      return { status: 'unreachable', groups: [], fetchedAt, expiresAt: fetchedAt + this.errorTtl, error: error.message };
+    }
+  }
+
+  /**
+   * Get cached robots.txt rules for a URL's origin, fetching them when missing or expired
+   * Concurrent callers for the same origin share one request
+   * @param {string} url - Any URL on the host
+   * @param {string} userAgent - User-Agent header to send
+   * @returns {Promise<Object>} Cache entry
+   */
+  async getRobots(url, userAgent) {
+    const { origin } = new URL(url);
+    const cached = this.cache.get(origin);
+
+    if (cached && (cached.pending || cached.expiresAt > Date.now())) {
+      return cached.pending || cached;
+    }
+
+    const pending = this.fetchRobots(origin, userAgent).then(entry => {
+      this.cache.set(origin, entry);
+      if (entry.status === 'unreachable') {
+        console.warn(`[RobotsPolicy] robots.txt for ${origin} unreachable (${entry.error}); blocking host`);
+      }
+      return entry;
+    });
+
+    this.cache.set(origin, { pending });
+    return pending;
+  }
+
+  /**
+   * Decide whether a URL may be fetched
+   * @param {string} url - URL to fetch
+   * @param {string} productToken - Product token matched against User-agent lines
+   * @param {string} userAgent - User-Agent header used to fetch robots.txt
+   * @returns {Promise<Object>} { allowed, reason, rule, agent, crawlDelay, robotsUrl }
+   */
+  async check(url, productToken = DEFAULT_USER_AGENT, userAgent = productToken) {
+    const parsed = new URL(url);
+    const robotsUrl = `${parsed.origin}/robots.txt`;
+
+    // robots.txt itself is always fetchable
+    if (parsed.pathname === '/robots.txt') {
+      return { allowed: true, reason: 'robots.txt', rule: null, agent: null, crawlDelay: null, robotsUrl };
+    }
+
+    const robots = await this.getRobots(url, userAgent);
+
+    if (robots.status === 'unreachable') {
+      return {
+        allowed: false,
+        reason: `robots.txt unreachable (${robots.error})`,
+        rule: null,
+        agent: null,
+        crawlDelay: null,
+        robotsUrl
+      };
+    }
+
+    const group = selectGroup(robots.groups, productToken);
+    const rule = findRule(group.rules, decodePath(parsed.pathname + parsed.search));
+    const allowed = !rule || rule.allow;
+
+    return {
+      allowed,
+      reason: rule ? `${rule.allow ? 'Allow' : 'Disallow'}: ${rule.path}` : 'no matching rule',
+      rule,
+      agent: group.agent,
+      crawlDelay: group.crawlDelay,
+      robotsUrl
+    };
+  }
+
+  /**
+   * Wait until the host's Crawl-delay has passed since our previous request
+   * The slot is reserved before waiting so concurrent callers queue up
+   * @param {string} url - URL about to be fetched
+   * @param {number} crawlDelay - Delay in seconds (nothing to wait for when falsy)
+   * @param {AbortSignal} signal - Stop waiting when aborted (optional)
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async waitForCrawlDelay(url, crawlDelay, signal = null) {
+    if (!crawlDelay) return 0;
+
+    const { host } = new URL(url);
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextRequestAt.get(host) || 0);
+
+    this.nextRequestAt.set(host, startAt + crawlDelay * 1000);
+
+    const wait = startAt - now;
+    if (wait > 0) {
+      await sleep(wait, signal);
+    }
+
+    return wait;
+  }
+
+  /**
+   * Forget cached robots.txt rules and Crawl-delay state
+   * @param {string} origin - Only clear this origin (optional)
+   */
+  clear(origin = null) {
+    if (origin) {
+      this.cache.delete(origin);
+      this.nextRequestAt.delete(new URL(origin).host);
+      return;
+    }
+
+    this.cache.clear();
+    this.nextRequestAt.clear();
+  }
+}
+
+// Shared across scrapers so every host's robots.txt is fetched once per process
+const robotsPolicy = new RobotsPolicy();
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  parseRobotsTxt,
+  selectGroup,
+  findRule,
+  RobotsPolicy,
+  robotsPolicy
+};
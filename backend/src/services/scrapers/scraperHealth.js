@@ -0,0 +1,240 @@
+/**
+ * Scraper health monitoring
+ * When a portal changes its markup, scrapers keep "succeeding" with fewer jobs or emptier
+ * fields. Each run's yield (jobs per listing page) and field fill rates are compared to a
+ * baseline learned from the scraper's recent healthy runs, and sharp drops raise alerts.
+ */
+
+const DEFAULT_OPTIONS = {
+  window: 20,
+  minRuns: 3,
+  // Alert when jobs per page falls below half the baseline
+  yieldDrop: 0.5,
+  // Alert when a field's fill rate falls 30 points below the baseline
+  fillRateDrop: 0.3
+};
+
+const TRACKED_FIELDS = ['title', 'company', 'location', 'description', 'postedAt', 'applyLink'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Share of jobs with each tracked field filled in
+ * @param {Array} jobs - Extracted jobs
+ * @returns {Object} field -> rate between 0 and 1 (empty when there are no jobs)
+ */
+const measureFillRates = (jobs = []) => {
+  if (jobs.length === 0) return {};
+
+  const rates = {};
+  for (const field of TRACKED_FIELDS) {
+    const filled = jobs.filter(job => {
+      const value = job[field];
+      return value instanceof Date ? !isNaN(value.getTime()) : Boolean(value);
+    }).length;
+    rates[field] = round(filled / jobs.length);
+  }
+
+  return rates;
+};
+
+class ScraperHealthMonitor {
+  /**
+   * @param {Object} options - Thresholds (see DEFAULT_OPTIONS)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.runs = new Map();
+  }
+
+  /**
+   * Expected yield and fill rates, from the scraper's recent healthy runs
+   * Neutral runs (nothing new to read) say nothing about yield, so they are left out.
+   * @param {string} scraperName - Scraper name
+   * @returns {Object|null} { runs, jobsPerPage, fillRates }, or null before minRuns healthy runs
+   */
+  getBaseline(scraperName) {
+    const healthy = (this.runs.get(scraperName) || [])
+      .filter(run => run.status === 'completed' && !run.neutral && run.alerts.length === 0 && run.pages > 0);
+
+    if (healthy.length < this.options.minRuns) return null;
+
+    const fillRates = {};
+    for (const field of TRACKED_FIELDS) {
+      const rates = healthy.map(run => run.fillRates[field]).filter(rate => rate !== undefined);
+      if (rates.length > 0) fillRates[field] = round(median(rates));
+    }
+
+    return {
+      runs: healthy.length,
+      jobsPerPage: round(median(healthy.map(run => run.jobsPerPage))),
+      fillRates
+    };
+  }
+
+  /**
+   * Compare a run to the baseline
+   * @param {Object} run - Measured run
+   * @param {Object|null} baseline - Baseline before this run
+   * @returns {Array<Object>} Alerts { type, severity, message, field }
+   */
+  detectAlerts(run, baseline) {
+    if (run.status === 'failed') {
+      return [{ type: 'run-failed', severity: 'critical', message: `Run failed: ${run.error}` }];
+    }
+
+    // A cancelled run's yield says nothing about the markup
+    if (run.status !== 'completed') return [];
+
+    // Every page or posting was skipped as unchanged since a previous run saved it
+    if (run.neutral) return [];
+
+    if (run.jobs === 0) {
+      return [{
+        type: 'no-jobs',
+        severity: baseline?.jobsPerPage > 0 ? 'critical' : 'warning',
+        message: baseline
+          ? `No jobs extracted (baseline ${baseline.jobsPerPage} per page); selectors may have drifted`
+          : 'No jobs extracted; selectors may need adjustment'
+      }];
+    }
+
+    if (!baseline) return [];
+
+    const alerts = [];
+    const minYield = baseline.jobsPerPage * (1 - this.options.yieldDrop);
+
+    if (run.jobsPerPage < minYield) {
+      alerts.push({
+        type: 'yield-drop',
+        severity: 'warning',
+        message: `${run.jobsPerPage} jobs per page, baseline ${baseline.jobsPerPage}`
+      });
+    }
+
+    for (const [field, expected] of Object.entries(baseline.fillRates)) {
+      const actual = run.fillRates[field] ?? 0;
+
+      if (expected - actual > this.options.fillRateDrop) {
+        alerts.push({
+          type: 'fill-rate-drop',
+          severity: 'warning',
+          field,
+          message: `${field} filled in ${Math.round(actual * 100)}% of jobs, baseline ${Math.round(expected * 100)}%`
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Record a run and check it against the baseline
+   * @param {string} scraperName - Scraper name
+   * @param {Object} run - Run outcome
+   * @param {string} run.id - Scrape ID
+   * @param {string} run.status - 'completed', 'failed' or 'cancelled'
+   * @param {Array} run.jobs - Extracted jobs
+   * @param {number} run.pages - Listing pages read
+   * @param {string} run.error - Error message of a failed run
+   * @param {number} run.skippedPages - Listing pages skipped as unchanged since their jobs were saved
+   * @param {number} run.unchanged - Sitemap postings skipped as unchanged by lastmod
+   * @returns {Object} Recorded entry { id, time, status, jobs, pages, jobsPerPage, fillRates, alerts } -
+   *   a completed run without jobs that skipped unchanged content is neutral: no alerts, and
+   *   kept out of the baseline
+   */
+  record(scraperName, { id, status, jobs = [], pages = 0, error = null, skippedPages = 0, unchanged = 0 }) {
+    const baseline = this.getBaseline(scraperName);
+    const entry = {
+      id,
+      time: new Date(),
+      status,
+      jobs: jobs.length,
+      pages,
+      jobsPerPage: pages > 0 ? round(jobs.length / pages) : 0,
+      fillRates: measureFillRates(jobs)
+    };
+    if (error) entry.error = error;
+    if (status === 'completed' && jobs.length === 0 && skippedPages + unchanged > 0) {
+      entry.neutral = true;
+      entry.skipped = skippedPages + unchanged;
+    }
+
+    entry.alerts = this.detectAlerts(entry, baseline);
+
+    const runs = this.runs.get(scraperName) || [];
+    runs.push(entry);
+    if (runs.length > this.options.window) runs.shift();
+    this.runs.set(scraperName, runs);
+
+    return entry;
+  }
+
+  /**
+   * Health of a scraper: status from its latest run, baseline and recent trend
+   * @param {string} scraperName - Scraper name
+   * @returns {Object} { scraper, status, baseline, lastRun, alerts, trend }
+   *   status is 'unknown' (no runs), 'healthy', 'degraded' (warnings) or 'failing' (critical alerts)
+   */
+  getHealth(scraperName) {
+    const runs = this.runs.get(scraperName) || [];
+    const lastRun = runs[runs.length - 1] || null;
+    let status = 'unknown';
+
+    if (lastRun) {
+      if (lastRun.alerts.some(alert => alert.severity === 'critical')) status = 'failing';
+      else if (lastRun.alerts.length > 0) status = 'degraded';
+      else status = 'healthy';
+    }
+
+    return {
+      scraper: scraperName,
+      status,
+      baseline: this.getBaseline(scraperName),
+      lastRun,
+      alerts: lastRun ? lastRun.alerts : [],
+      trend: runs.map(({ id, time, status: runStatus, jobs, jobsPerPage, fillRates, alerts }) => ({
+        id,
+        time,
+        status: runStatus,
+        jobs,
+        jobsPerPage,
+        fillRates,
+        alerts: alerts.length
+      }))
+    };
+  }
+
+  /**
+   * Forget recorded runs (all scrapers, or one) - e.g. after a portal redesign is handled
+   * @param {string} scraperName - Scraper to reset (optional)
+   */
+  reset(scraperName = null) {
+    if (scraperName) {
+      this.runs.delete(scraperName);
+    } else {
+      this.runs.clear();
+    }
+  }
+}
+
+// Shared by every scrape in the process
+const scraperHealth = new ScraperHealthMonitor();
+
+module.exports = {
+  TRACKED_FIELDS,
+  ScraperHealthMonitor,
+  scraperHealth,
+  measureFillRates
+};
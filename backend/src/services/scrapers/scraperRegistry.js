@@ -1,5 +1,13 @@
 const OficinaDeTrabajoCeiScraper = require('./OficinaDeTrabajoCeiScraper');
 const LinkedInJobsScraper = require('./LinkedInJobsScraper');
+const GreenhouseScraper = require('./GreenhouseScraper');
+const LeverScraper = require('./LeverScraper');
+const WorkableScraper = require('./WorkableScraper');
+const AshbyScraper = require('./AshbyScraper');
+const SmartRecruitersScraper = require('./SmartRecruitersScraper');
+const FeedScraper = require('./FeedScraper');
+const SitemapScraper = require('./SitemapScraper');
+const ConfigurableScraper = require('./ConfigurableScraper');
 
 /**
  * Scraper Registry
@@ -8,6 +16,7 @@ const LinkedInJobsScraper = require('./LinkedInJobsScraper');
 class ScraperRegistry {
   constructor() {
     this.scrapers = new Map();
+    this.definitions = new Map();
     this.registerDefaultScrapers();
   }
 
@@ -17,6 +26,13 @@ class ScraperRegistry {
   registerDefaultScrapers() {
     this.register('oficina-trabajo-cei', OficinaDeTrabajoCeiScraper);
     this.register('linkedin', LinkedInJobsScraper);
+    this.register('greenhouse', GreenhouseScraper);
+    this.register('lever', LeverScraper);
+    this.register('workable', WorkableScraper);
+    this.register('ashby', AshbyScraper);
+    this.register('smartrecruiters', SmartRecruitersScraper);
+    this.register('feed', FeedScraper);
+    this.register('sitemap', SitemapScraper);
   }
 
   /**
@@ -39,9 +55,56 @@ class ScraperRegistry {
    */
   unregister(name) {
     this.scrapers.delete(name);
+    this.definitions.delete(name);
     console.log(`[Registry] Unregistered scraper: ${name}`);
   }
 
+  /**
+   * Register a scraper from a declarative definition
+   * @param {string} name - Scraper identifier
+   * @param {Object} definition - ConfigurableScraper definition
+   */
+  registerDefinition(name, definition) {
+    const errors = ConfigurableScraper.validateDefinition(definition);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid scraper definition for ${name}: ${errors.join('; ')}`);
+    }
+
+    if (this.scrapers.has(name) && !this.definitions.has(name)) {
+      throw new Error(`Cannot replace built-in scraper: ${name}`);
+    }
+
+    this.register(name, ConfigurableScraper.fromDefinition(definition));
+    this.definitions.set(name, definition);
+  }
+
+  /**
+   * Check if a scraper was registered from a definition
+   * @param {string} name - Scraper identifier
+   * @returns {boolean} True if definition-based
+   */
+  isDefinition(name) {
+    return this.definitions.has(name);
+  }
+
+  /**
+   * Get the definition a scraper was registered from
+   * @param {string} name - Scraper identifier
+   * @returns {Object|null} Definition, or null for built-in and unknown scrapers
+   */
+  getDefinition(name) {
+    return this.definitions.get(name) || null;
+  }
+
+  /**
+   * Get all registered scraper definitions
+   * @returns {Array} Array of { id, definition } objects
+   */
+  getDefinitions() {
+    return Array.from(this.definitions.entries()).map(([id, definition]) => ({ id, definition }));
+  }
+
   /**
    * Get a scraper instance
    * @param {string} name - Scraper identifier
@@ -87,7 +150,8 @@ class ScraperRegistry {
       info.push({
         id: name,
         name: instance.source,
-        baseUrl: instance.baseUrl
+        baseUrl: instance.baseUrl,
+        configurable: this.definitions.has(name)
       });
     }
 
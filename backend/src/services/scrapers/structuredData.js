@@ -0,0 +1,343 @@
+const cheerio = require('cheerio');
+
+/**
+ * schema.org JobPosting extraction helpers
+ * Reads JSON-LD blocks and microdata so scrapers can use structured fields
+ * (salary, posting and expiry dates, employment type) before falling back to CSS selectors
+ */
+
+const JOB_POSTING_TYPE = 'JobPosting';
+
+/**
+ * Check whether a schema.org node has the JobPosting type
+ * @param {Object} node - JSON-LD node
+ * @returns {boolean} True if the node is a JobPosting
+ */
+const isJobPosting = (node) => {
+  const type = node?.['@type'];
+  const types = Array.isArray(type) ? type : [type];
+  return types.some(t => typeof t === 'string' && t.replace(/^.*[/#]/, '') === JOB_POSTING_TYPE);
+};
+
+/**
+ * Recursively collect JobPosting nodes from a parsed JSON-LD document
+ * Handles arrays, @graph containers and postings nested in ItemList elements
+ * @param {*} node - Parsed JSON value
+ * @param {Array} found - Accumulator
+ * @returns {Array} JobPosting nodes
+ */
+const collectJobPostings = (node, found = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectJobPostings(item, found));
+    return found;
+  }
+
+  if (!node || typeof node !== 'object') {
+    return found;
+  }
+
+  if (isJobPosting(node)) {
+    found.push(node);
+    return found;
+  }
+
+  Object.values(node).forEach(value => collectJobPostings(value, found));
+  return found;
+};
+
+/**
+ * Extract JobPosting objects from application/ld+json scripts
+ * @param {Object} $ - Cheerio instance
+ * @returns {Array} JobPosting nodes
+ */
+const extractJsonLd = ($) => {
+  const postings = [];
+
+  $('script[type="application/ld+json"]').each((i, el) => {
+    const raw = $(el).contents().text().trim();
+    if (!raw) return;
+
+    try {
+      collectJobPostings(JSON.parse(raw), postings);
+    } catch (error) {
+      // Some sites emit JSON with raw control characters inside strings
+      try {
+        collectJobPostings(JSON.parse(raw.replace(/[\u0000-\u001f]+/g, ' ')), postings);
+      } catch (retryError) {
+        console.warn(`[StructuredData] Skipping invalid JSON-LD block: ${retryError.message}`);
+      }
+    }
+  });
+
+  return postings;
+};
+
+/**
+ * Read the value of a microdata itemprop element
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} el - Element carrying itemprop
+ * @returns {*} Property value
+ */
+const readMicrodataValue = ($, el) => {
+  const $el = $(el);
+
+  if ($el.is('[itemscope]')) {
+    return readMicrodataItem($, el);
+  }
+
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if ($el.is('time') && $el.attr('datetime')) return $el.attr('datetime');
+  if ($el.is('a, link, area') && $el.attr('href')) return $el.attr('href');
+  if ($el.is('img, source') && $el.attr('src')) return $el.attr('src');
+  if ($el.is('meta')) return $el.attr('content') || '';
+
+  return $el.text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Convert a microdata itemscope into a JSON-LD like object
+ * @param {Object} $ - Cheerio instance
+ * @param {Object} scope - Element carrying itemscope
+ * @returns {Object} Item properties
+ */
+const readMicrodataItem = ($, scope) => {
+  const item = {};
+  const itemType = $(scope).attr('itemtype');
+
+  if (itemType) {
+    item['@type'] = itemType.split(/\s+/)[0].replace(/^.*[/#]/, '');
+  }
+
+  $(scope).find('[itemprop]').each((i, el) => {
+    // Only direct properties: the closest itemscope ancestor must be this scope
+    if ($(el).parent().closest('[itemscope]')[0] !== scope) return;
+
+    const value = readMicrodataValue($, el);
+
+    for (const name of $(el).attr('itemprop').split(/\s+/)) {
+      if (item[name] === undefined) {
+        item[name] = value;
+      } else {
+        item[name] = [].concat(item[name], value);
+      }
+    }
+  });
+
+  return item;
+};
+
+/**
+ * Extract JobPosting objects from microdata markup
+ * @param {Object} $ - Cheerio instance
+ * @returns {Array} JobPosting objects
+ */
+const extractMicrodata = ($) => {
+  const postings = [];
+
+  $('[itemscope][itemtype]').each((i, el) => {
+    const item = readMicrodataItem($, el);
+    if (isJobPosting(item)) {
+      postings.push(item);
+    }
+  });
+
+  return postings;
+};
+
+/**
+ * Find every JobPosting on a page (JSON-LD first, then microdata)
+ * @param {Object} $ - Cheerio instance
+ * @returns {Array} JobPosting objects
+ */
+const findJobPostings = ($) => [...extractJsonLd($), ...extractMicrodata($)];
+
+/**
+ * Get the first value of a possibly multi-valued property
+ * @param {*} value - Property value
+ * @returns {*} First value
+ */
+const first = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Read a name from a string or a Thing-like object
+ * @param {*} value - String or { name }
+ * @returns {string} Name
+ */
+const nameOf = (value) => {
+  const item = first(value);
+  if (!item) return '';
+  if (typeof item === 'string') return item;
+  return item.name || item.legalName || '';
+};
+
+/**
+ * Convert HTML (possibly entity-escaped) to plain text
+ * @param {string} html - HTML string
+ * @returns {string} Plain text
+ */
+const htmlToText = (html) => {
+  if (!html || typeof html !== 'string') return '';
+
+  // Keep block boundaries as spaces so paragraphs don't run together
+  const toText = markup => cheerio.load(markup.replace(/<(br|\/p|\/li|\/div|\/h\d|\/tr)\b[^>]*>/gi, '$& ')).text();
+
+  let text = toText(html);
+
+  // Escaped markup decodes to tags on the first pass
+  if (/<[a-z][\s\S]*>/i.test(text)) {
+    text = toText(text);
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Format a schema.org jobLocation into a single location string
+ * @param {Object} posting - JobPosting
+ * @returns {string} Location
+ */
+const formatLocation = (posting) => {
+  const places = [].concat(posting.jobLocation || []);
+  const locations = places.map(place => {
+    if (typeof place === 'string') return place;
+
+    const address = place.address || place;
+    if (typeof address === 'string') return address;
+
+    return [
+      address.addressLocality,
+      address.addressRegion,
+      nameOf(address.addressCountry)
+    ].filter(Boolean).join(', ');
+  }).filter(Boolean);
+
+  const remote = [].concat(posting.jobLocationType || []).includes('TELECOMMUTE');
+
+  if (remote) {
+    locations.unshift('Remote');
+  }
+
+  return [...new Set(locations)].join(' | ');
+};
+
+/**
+ * Parse a number out of a schema value
+ * @param {*} value - Number or numeric string
+ * @returns {number|undefined} Parsed number
+ */
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+
+  let text = String(value).replace(/[^\d.,-]/g, '');
+
+  // "1.200.000" / "1,200,000" use thousands separators; "1200,50" uses a decimal comma
+  if (/^-?\d{1,3}([.,])\d{3}(\1\d{3})*$/.test(text) && !/^-?\d{1,3}\.\d{3}$/.test(text)) {
+    text = text.replace(/[.,]/g, '');
+  } else {
+    text = text.replace(/,(?=\d{3}\b)/g, '').replace(',', '.');
+  }
+
+  const number = parseFloat(text);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Map a schema.org baseSalary (MonetaryAmount) into { min, max, currency, unit }
+ * @param {*} baseSalary - baseSalary value
+ * @returns {Object|null} Salary or null
+ */
+const parseSalary = (baseSalary) => {
+  const amount = first(baseSalary);
+  if (amount === undefined || amount === null || amount === '') return null;
+
+  if (typeof amount !== 'object') {
+    const value = toNumber(amount);
+    return value === undefined ? null : { min: value, max: value };
+  }
+
+  const quantity = amount.value;
+  let min;
+  let max;
+  let unit = amount.unitText;
+
+  if (quantity && typeof quantity === 'object') {
+    const exact = toNumber(quantity.value);
+    min = toNumber(quantity.minValue) ?? exact;
+    max = toNumber(quantity.maxValue) ?? exact;
+    unit = quantity.unitText || unit;
+  } else {
+    min = max = toNumber(quantity);
+  }
+
+  if (min === undefined && max === undefined) return null;
+
+  const salary = { min, max };
+  if (amount.currency) salary.currency = amount.currency;
+  if (unit) salary.unit = String(unit).toUpperCase();
+
+  return salary;
+};
+
+/**
+ * Parse a schema.org date
+ * @param {*} value - ISO date string
+ * @returns {Date|undefined} Date
+ */
+const parseDate = (value) => {
+  const raw = first(value);
+  if (!raw) return undefined;
+
+  const date = new Date(raw);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Map a JobPosting into the Job fields used by the scrapers
+ * Missing values are omitted so callers can fall back to selectors
+ * @param {Object} posting - JobPosting object
+ * @param {string} pageUrl - URL of the page the posting was found on
+ * @returns {Object} Partial job data
+ */
+const mapJobPosting = (posting, pageUrl = '') => {
+  const identifier = first(posting.identifier);
+  const employmentType = [].concat(posting.employmentType || []).filter(Boolean);
+  let applyLink = first(posting.url) || pageUrl;
+
+  if (applyLink && pageUrl) {
+    try {
+      applyLink = new URL(applyLink, pageUrl).toString();
+    } catch (error) {
+      applyLink = pageUrl;
+    }
+  }
+
+  const job = {
+    title: htmlToText(first(posting.title) || first(posting.name)),
+    company: nameOf(posting.hiringOrganization),
+    location: formatLocation(posting),
+    description: htmlToText(first(posting.description)),
+    applyLink,
+    externalId: typeof identifier === 'object' ? identifier?.value : identifier,
+    postedAt: parseDate(posting.datePosted),
+    validThrough: parseDate(posting.validThrough),
+    employmentType: employmentType.join(', '),
+    salary: parseSalary(posting.baseSalary || posting.estimatedSalary),
+    tags: employmentType
+  };
+
+  return Object.fromEntries(
+    Object.entries(job).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+};
+
+module.exports = {
+  extractJsonLd,
+  extractMicrodata,
+  findJobPostings,
+  mapJobPosting,
+  parseSalary,
+  htmlToText
+};